@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXBouncingObject - 3D object with beat-synced bounce.
@@ -8,14 +8,13 @@ import { DemoFX } from '../engine/DemoManager.js';
  * C++ original: Odyssey/FX3DObject.cpp + FX3DObject.h
  */
 
-const NUM_BOUNCES = 16;
 const BOUNCE_DURATION = 400.0;
 
 const BOUNCE_INSTANTS = [
-  56311, 57112, 57873, 58694,
-  62500, 63301, 64102, 64853,
-  68709, 69510, 70401, 71172,
-  74847, 75709, 76560, 77301,
+  '37:2:231', '37:4:265', '38:2:249', '38:4:307',
+  '41:2:228', '41:4:261', '42:2:295', '42:4:266',
+  '45:2:248', '45:4:282', '46:2:427', '46:4:423',
+  '49:2:181', '49:4:290', '50:2:386', '50:4:345',
 ];
 
 const DEG2RAD = Math.PI / 180;
@@ -25,6 +24,8 @@ const PTA_NULL_ASPECT = 4 / 3;
 const PTA_NULL_VFOV = 60 / PTA_NULL_ASPECT; // ~45°
 
 export class FXBouncingObject extends DemoFX {
+  static setupParams = ['objectName', 'cameraName', 'sceneFile', 'textureDir'];
+
   constructor() {
     super();
     this.name = 'FXBouncingObject';
@@ -38,6 +39,8 @@ export class FXBouncingObject extends DemoFX {
     this.angleX = 0;
     this.angleY = 0;
     this.angleZ = 0;
+    // Bounce instants, ms or "bar:beat:tick" (resolved with the tempo map in loadData)
+    this.bounceInstants = BOUNCE_INSTANTS;
     // PTA NULL camera (setActiveCamera(NULL))
     this.nullCamera = new THREE.PerspectiveCamera(PTA_NULL_VFOV, PTA_NULL_ASPECT, 1, 1000);
     this.nullCamera.position.set(0, 0, 0);
@@ -53,6 +56,7 @@ export class FXBouncingObject extends DemoFX {
   }
 
   async loadData(dm) {
+    this.bounceInstants = this.bounceInstants.map(t => dm.time(t));
     if (!this.sceneFile) return;
 
     try {
@@ -122,10 +126,11 @@ export class FXBouncingObject extends DemoFX {
 
     // Calculate bounce
     let fPos = 0;
-    for (let count = 0; count < NUM_BOUNCES; count++) {
-      if (BOUNCE_INSTANTS[count] > demoTime && BOUNCE_INSTANTS[count] < demoTime + BOUNCE_DURATION) {
-        const amplitude = (BOUNCE_DURATION - (demoTime - BOUNCE_INSTANTS[count])) / 16.0;
-        fPos = Math.sin((demoTime - BOUNCE_INSTANTS[count]) / 40.0) * amplitude * fMult;
+    const instants = this.bounceInstants;
+    for (let count = 0; count < instants.length; count++) {
+      if (instants[count] > demoTime && instants[count] < demoTime + BOUNCE_DURATION) {
+        const amplitude = (BOUNCE_DURATION - (demoTime - instants[count])) / 16.0;
+        fPos = Math.sin((demoTime - instants[count]) / 40.0) * amplitude * fMult;
 
         if (demoTime > 65500) {
           this.angleX = 174.0 * count;
@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXParticleColumn - Vertical particle stream with perpendicular noise.
@@ -19,6 +19,10 @@ function cRand(state) {
 const C_RAND_MAX = 0x7FFFFFFF;
 
 export class FXParticleColumn extends DemoFX {
+  static setupParams = [
+    'numParticles', 'radius', 'size', 'speed', 'noise', 'source', 'destiny', 'texturePath',
+  ];
+
   constructor() {
     super();
     this.name = 'FXParticleColumn';
@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXParticleText - Particles tracing spline-defined text paths.
@@ -13,6 +13,10 @@ import { DemoFX } from '../engine/DemoManager.js';
  * Destinations are unProjected from screen coords to 3D world space.
  * Source position (0,0,1) is behind the camera → invisible until particles arrive.
  * partSize is in world space units.
+ *
+ * splines is either an array of control point lists or the path of a PTA .spl
+ * file, loaded in loadData. numSplines may then be omitted to use every spline
+ * in the file.
  */
 
 // PTA default camera when setActiveCamera(NULL): FOV=60°, aspect=1.33
@@ -94,6 +98,11 @@ function evaluateSpline(points, t) {
 }
 
 export class FXParticleText extends DemoFX {
+  static setupParams = [
+    'fX', 'fY', 'fSize', 'splines', 'numSplines', 'numParticles', 'texturePath', 'explParticles',
+    'duration',
+  ];
+
   constructor() {
     super();
     this.name = 'FXParticleText';
@@ -101,6 +110,7 @@ export class FXParticleText extends DemoFX {
     this.fSize = 0;
     this.splines = null;
     this.numSplines = 0;
+    this.numParticles = 0;
     this.numParticlesPerSpline = 0;
     this.texturePath = '';
     this.explParticles = true;
@@ -130,7 +140,7 @@ export class FXParticleText extends DemoFX {
     this.fSize = fSize;
     this.splines = splines;
     this.numSplines = numSplines;
-    this.numParticlesPerSpline = Math.floor(numParticles / numSplines);
+    this.numParticles = numParticles;
     this.texturePath = texturePath;
     this.explParticles = explParticles;
     this.duration = duration;
@@ -151,6 +161,12 @@ export class FXParticleText extends DemoFX {
       console.warn(`FXParticleText: failed to load "${this.texturePath}":`, err.message);
     }
 
+    if (typeof this.splines === 'string') {
+      this.splines = await dm.assetManager.loadSplines(this.splines);
+    }
+    if (!this.numSplines) this.numSplines = this.splines.length;
+    this.numParticlesPerSpline = Math.floor(this.numParticles / this.numSplines);
+
     const totalParticles = this.numSplines * this.numParticlesPerSpline;
 
     // Initialize particles: evaluate spline destinations and unproject to world space
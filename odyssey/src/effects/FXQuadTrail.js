@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXQuadTrail - Textured quad trail from start to end position.
@@ -6,6 +6,11 @@ import { DemoFX } from '../engine/DemoManager.js';
  * C++ original: Odyssey/FXQuadTrail.cpp
  */
 export class FXQuadTrail extends DemoFX {
+  static setupParams = [
+    'numQuads', 'numSimultaneous', 'startPos', 'endPos', 'size1', 'size2', 'angle1', 'angle2',
+    'duration', 'textureFile',
+  ];
+
   constructor() {
     super();
     this.name = 'FXQuadTrail';
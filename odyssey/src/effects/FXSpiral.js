@@ -1,5 +1,5 @@
-import { DemoFX } from '../engine/DemoManager.js';
-import { BlendMode } from '../engine/Renderer.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
+import { BlendMode } from '../../../shared/engine/Renderer.js';
 
 /**
  * FXSpiral - Rotating spiral of textured quads.
@@ -10,6 +10,8 @@ import { BlendMode } from '../engine/Renderer.js';
  * so torsion stays at setup value (280) and rotation is 0.
  */
 export class FXSpiral extends DemoFX {
+  static setupParams = ['numQuads', 'center', 'minRadius', 'maxRadius', 'angleTorsion', 'texturePath'];
+
   constructor() {
     super();
     this.name = 'FXSpiral';
@@ -1,6 +1,6 @@
 import * as THREE from 'three';
-import { DemoFX } from '../engine/DemoManager.js';
-import { BlendMode } from '../engine/Renderer.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
+import { BlendMode } from '../../../shared/engine/Renderer.js';
 
 /**
  * FXSplineForm - Rotating 3D spline curve with billboard quads.
@@ -8,6 +8,9 @@ import { BlendMode } from '../engine/Renderer.js';
  * Beat-synced speed changes with 29 beat timestamps.
  * Two rendering passes: blur texture + point texture.
  * C++ original: Odyssey/FXSplineForm.cpp
+ *
+ * An optional PTA .spl file replaces the random control points with the first
+ * spline in the file, used as-is in the same -1..1 structure space.
  */
 
 // PTA NULL camera: setActiveCamera(NULL) → FOV=60 horizontal, aspect=1.33
@@ -15,14 +18,13 @@ const PTA_NULL_HFOV = 60;
 const PTA_NULL_ASPECT = 1.33;
 const PTA_NULL_VFOV = PTA_NULL_HFOV / PTA_NULL_ASPECT; // ~45.11°
 
-const NUM_SINCRO_BEATS = 29;
 const SINCRO_BEATS = [
-  92513, 92853, 93194, 93494, 93825,
-  95818, 96028, 96288, 96589, 96899,
-  99062, 99373, 99713, 100024, 100645,
-  100975, 101276, 101586, 101906, 102197,
-  102537, 102828, 103148, 103819, 104070,
-  104350, 104731, 105011, 105301,
+  '60:4:12', '60:4:434', '61:1:377', '61:2:269', '61:3:199',
+  '62:4:271', '63:1:52', '63:1:374', '63:2:267', '63:3:172',
+  '64:4:455', '65:1:360', '65:2:302', '65:3:208', '66:1:18',
+  '66:1:427', '66:2:321', '66:3:225', '66:4:142', '67:1:23',
+  '67:1:445', '67:2:326', '67:3:242', '68:1:115', '68:1:426',
+  '68:2:293', '68:3:286', '68:4:153', '69:1:33',
 ];
 
 // MSVC rand() for reproducible control points (matches C++ srand/rand)
@@ -71,6 +73,11 @@ function evaluateCatmullRom(points, t) {
 }
 
 export class FXSplineForm extends DemoFX {
+  static setupParams = [
+    'center', 'size', 'numCtrlPoints', 'numEvalPoints', 'pointTexturePath', 'blurTexturePath',
+    'splinePath',
+  ];
+
   constructor() {
     super();
     this.name = 'FXSplineForm';
@@ -80,11 +87,14 @@ export class FXSplineForm extends DemoFX {
     this.numEvalPoints = 0;
     this.pointTexturePath = '';
     this.blurTexturePath = '';
+    this.splinePath = null;
     this.pointTexture = null;
     this.blurTexture = null;
     this.evaluatedPoints = null;
     this.lastTime = 0;
     this.angle = 0;
+    // Beat timestamps, ms or "bar:beat:tick" (resolved with the tempo map in loadData)
+    this.sincroBeats = SINCRO_BEATS;
     // Three.js objects
     this.geometry = null;
     this.blurMaterial = null;
@@ -94,16 +104,19 @@ export class FXSplineForm extends DemoFX {
     this.camera = null;
   }
 
-  setup(center, size, numCtrlPoints, numEvalPoints, pointTexturePath, blurTexturePath) {
+  setup(center, size, numCtrlPoints, numEvalPoints, pointTexturePath, blurTexturePath, splinePath = null) {
     this.center = center;
     this.fSize = size;
     this.numCtrlPoints = numCtrlPoints;
     this.numEvalPoints = numEvalPoints;
     this.pointTexturePath = pointTexturePath;
     this.blurTexturePath = blurTexturePath;
+    this.splinePath = splinePath;
   }
 
   async loadData(dm) {
+    this.sincroBeats = this.sincroBeats.map(t => dm.time(t));
+
     // Load textures
     try {
       this.pointTexture = await dm.assetManager.loadTextureByPath(this.pointTexturePath);
@@ -118,23 +131,9 @@ export class FXSplineForm extends DemoFX {
       }
     }
 
-    // Generate random control points with MSVC srand(250880)
-    const rng = { seed: 250880 };
-    const controlPoints = [];
-    const sz = this.fSize;
-    const sz2 = Math.floor(sz) * 2;
-
-    for (let i = 0; i < this.numCtrlPoints - 1; i++) {
-      const x = ((msvcRand(rng) % sz2) - sz) / sz;
-      const y = ((msvcRand(rng) % sz2) - sz) / sz;
-      const z = ((msvcRand(rng) % sz2) - sz) / sz;
-      controlPoints.push({ x, y, z });
-    }
-
-    // Close the spline: last 3 points = first 3 points (reversed)
-    controlPoints.push({ ...controlPoints[2] });
-    controlPoints[this.numCtrlPoints - 2] = { ...controlPoints[1] };
-    controlPoints[this.numCtrlPoints - 3] = { ...controlPoints[0] };
+    const controlPoints = this.splinePath
+      ? await this._loadControlPoints(dm)
+      : this._generateControlPoints();
 
     // Evaluate spline
     this.evaluatedPoints = new Array(this.numEvalPoints);
@@ -210,6 +209,36 @@ export class FXSplineForm extends DemoFX {
     this.camera.updateProjectionMatrix();
   }
 
+  async _loadControlPoints(dm) {
+    const [points] = await dm.assetManager.loadSplines(this.splinePath);
+    if (!points || points.length < 4) {
+      throw new Error(`FXSplineForm: "${this.splinePath}" needs a spline with at least 4 control points`);
+    }
+    this.numCtrlPoints = points.length;
+    return points;
+  }
+
+  _generateControlPoints() {
+    // Generate random control points with MSVC srand(250880)
+    const rng = { seed: 250880 };
+    const controlPoints = [];
+    const sz = this.fSize;
+    const sz2 = Math.floor(sz) * 2;
+
+    for (let i = 0; i < this.numCtrlPoints - 1; i++) {
+      const x = ((msvcRand(rng) % sz2) - sz) / sz;
+      const y = ((msvcRand(rng) % sz2) - sz) / sz;
+      const z = ((msvcRand(rng) % sz2) - sz) / sz;
+      controlPoints.push({ x, y, z });
+    }
+
+    // Close the spline: last 3 points = first 3 points (reversed)
+    controlPoints.push({ ...controlPoints[2] });
+    controlPoints[this.numCtrlPoints - 2] = { ...controlPoints[1] };
+    controlPoints[this.numCtrlPoints - 3] = { ...controlPoints[0] };
+    return controlPoints;
+  }
+
   _drawSpline(dm, texture, material, interpValue, structSizeX, structSizeY, pointSize, angle, alpha) {
     if (!this.evaluatedPoints || !this.geometry) return;
 
@@ -295,11 +324,12 @@ export class FXSplineForm extends DemoFX {
 
     // Beat sync — uses absolute demo time (not fxTime)
     let speed = 2.0;
-    for (let i = 0; i < NUM_SINCRO_BEATS; i++) {
+    const beats = this.sincroBeats;
+    for (let i = 0; i < beats.length; i++) {
       let beatDuration = 130.0;
       if (i === 19) beatDuration = 260.0;
 
-      if (demoTime > SINCRO_BEATS[i] && demoTime < SINCRO_BEATS[i] + beatDuration) {
+      if (demoTime > beats[i] && demoTime < beats[i] + beatDuration) {
         speed = 30.0;
       }
     }
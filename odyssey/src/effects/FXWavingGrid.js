@@ -1,6 +1,6 @@
 import * as THREE from 'three';
-import { DemoFX } from '../engine/DemoManager.js';
-import { BlendMode } from '../engine/Renderer.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
+import { BlendMode } from '../../../shared/engine/Renderer.js';
 
 /**
  * FXWavingGrid - Textured grid mesh with sine-wave vertex deformation.
@@ -68,6 +68,8 @@ function unprojectPTA(sx, sy, zBuffer) {
 }
 
 export class FXWavingGrid extends DemoFX {
+  static setupParams = ['x', 'y', 'sizeX', 'sizeY', 'resX', 'resY', 'texturePath', 'duration'];
+
   constructor() {
     super();
     this.name = 'FXWavingGrid';
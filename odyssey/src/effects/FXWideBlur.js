@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXWideBlur - Wide blur post-processing overlay.
@@ -6,11 +6,12 @@ import { DemoFX } from '../engine/DemoManager.js';
  * Calls sceneManager.doWideBlur() which renders captured framebuffer at multiple zoom levels.
  * C++ original: Odyssey/FXWideBlur.cpp
  *
- * NOTE: The actual doWideBlur implementation depends on the scene manager having
- * a wideblur capture system. For now, this is a stub that will need the engine
- * to support this feature.
+ * Needs the capture enabled (FXWideBlurState or script 3D_WIDEBLUR state=ON)
+ * while the blurred scene renders.
  */
 export class FXWideBlur extends DemoFX {
+  static setupParams = ['numQuads', 'width', 'height', 'inDuration', 'outDuration', 'isDOF'];
+
   constructor() {
     super();
     this.name = 'FXWideBlur';
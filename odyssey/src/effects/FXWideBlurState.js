@@ -1,11 +1,15 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXWideBlurState - Simple ON/OFF toggle for the wide blur capture system.
  * When active, enables/disables the scene manager's wide blur framebuffer capture.
+ * DemoManager restores the previous state after each frame, so the capture is
+ * only on while this effect is active (same as script 3D_WIDEBLUR).
  * C++ original: ptaDemoFX_3D_WideBlur in PtaDemoSystem
  */
 export class FXWideBlurState extends DemoFX {
+  static setupParams = ['enabled'];
+
   constructor() {
     super();
     this.name = 'FXWideBlurState';
@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXWideBlurredText - Text with trailing/blurring quads.
@@ -6,6 +6,11 @@ import { DemoFX } from '../engine/DemoManager.js';
  * C++ original: Odyssey/FXWideBlurredText.cpp
  */
 export class FXWideBlurredText extends DemoFX {
+  static setupParams = [
+    'numTrails', 'x', 'y', 'sizeX1', 'sizeY1', 'sizeX2', 'sizeY2', 'angle1', 'angle2',
+    'texturePath', 'packFile', 'duration', 'timeTillFade', 'trailDelay',
+  ];
+
   constructor() {
     super();
     this.name = 'FXWideBlurredText';
@@ -18,6 +23,7 @@ export class FXWideBlurredText extends DemoFX {
     this.timeTillFade = 0;
     this.trailDelay = 15;
     this.texturePath = '';
+    this.packFile = null;
     this.texture = null;
     this.trails = null;
   }
@@ -29,6 +35,7 @@ export class FXWideBlurredText extends DemoFX {
     this.initialSizeY = sizeY1; this.finalSizeY = sizeY2;
     this.initialAngle = angle1; this.finalAngle = angle2;
     this.texturePath = texturePath;
+    this.packFile = packFile || null;
     this.duration = duration;
     this.timeTillFade = timeTillFade;
     this.trailDelay = trailDelay;
@@ -37,7 +44,7 @@ export class FXWideBlurredText extends DemoFX {
   async loadData(dm) {
     if (this.texturePath) {
       try {
-        this.texture = await dm.assetManager.loadTextureByPath(this.texturePath);
+        this.texture = await dm.assetManager.loadTextureByPath(this.texturePath, this.packFile);
       } catch (err) {
         console.warn(`FXWideBlurredText: failed to load "${this.texturePath}":`, err.message);
       }
@@ -3,62 +3,11 @@
  * Ported from Odyssey/Stravaganza Demo/SplineDefinitions.h
  *
  * Each spline is an array of {x, y, z} control points.
- * Splines are grouped by text: ITHAQUA, TEKNO, INTERFACE (Circuitry), WONDER, STRAVAGANZA.
+ * ITHAQUA, TEKNO, WONDER and STRAVAGANZA are loaded from data/textures/splines/*.spl
+ * (see PtaSplineLoader). INTERFACE has no matching file: circuitry.spl holds a
+ * different 22-spline outline, so its compiled-in points stay here.
  */
 
-// ITHAQUA (24 splines, 4 control points each)
-
-export const splinesIthaqua = [
-  [{x:0.290354,y:0.331025,z:0.5},{x:0.290354,y:0.396122,z:0.5},{x:0.290354,y:0.461219,z:0.5},{x:0.290354,y:0.526316,z:0.5}],
-  [{x:0.301181,y:0.332410,z:0.5},{x:0.302165,y:0.394737,z:0.5},{x:0.303150,y:0.457064,z:0.5},{x:0.304134,y:0.519391,z:0.5}],
-  [{x:0.241142,y:0.455679,z:0.5},{x:0.303150,y:0.457064,z:0.5},{x:0.365157,y:0.458449,z:0.5},{x:0.427165,y:0.459834,z:0.5}],
-  [{x:0.241142,y:0.415512,z:0.5},{x:0.303150,y:0.415512,z:0.5},{x:0.365157,y:0.415512,z:0.5},{x:0.427165,y:0.415512,z:0.5}],
-  [{x:0.375000,y:0.332410,z:0.5},{x:0.375000,y:0.396122,z:0.5},{x:0.375000,y:0.459834,z:0.5},{x:0.375000,y:0.523546,z:0.5}],
-  [{x:0.317913,y:0.414127,z:0.5},{x:0.375984,y:0.414127,z:0.5},{x:0.434055,y:0.414127,z:0.5},{x:0.492126,y:0.414127,z:0.5}],
-  [{x:0.433071,y:0.368421,z:0.5},{x:0.434055,y:0.414127,z:0.5},{x:0.435039,y:0.459834,z:0.5},{x:0.436024,y:0.505540,z:0.5}],
-  [{x:0.381890,y:0.412742,z:0.5},{x:0.442913,y:0.414127,z:0.5},{x:0.503937,y:0.415512,z:0.5},{x:0.564961,y:0.416898,z:0.5}],
-  [{x:0.503937,y:0.371191,z:0.5},{x:0.503937,y:0.415512,z:0.5},{x:0.503937,y:0.459834,z:0.5},{x:0.503937,y:0.504155,z:0.5}],
-  [{x:0.561024,y:0.434903,z:0.5},{x:0.502953,y:0.434903,z:0.5},{x:0.444882,y:0.434903,z:0.5},{x:0.386811,y:0.434903,z:0.5}],
-  [{x:0.445866,y:0.414127,z:0.5},{x:0.445866,y:0.436288,z:0.5},{x:0.445866,y:0.458449,z:0.5},{x:0.445866,y:0.480609,z:0.5}],
-  [{x:0.387795,y:0.457064,z:0.5},{x:0.445866,y:0.457064,z:0.5},{x:0.503937,y:0.457064,z:0.5},{x:0.562008,y:0.457064,z:0.5}],
-  [{x:0.633858,y:0.414127,z:0.5},{x:0.575787,y:0.414127,z:0.5},{x:0.517717,y:0.414127,z:0.5},{x:0.459646,y:0.414127,z:0.5}],
-  [{x:0.517717,y:0.375346,z:0.5},{x:0.517717,y:0.415512,z:0.5},{x:0.517717,y:0.455679,z:0.5},{x:0.517717,y:0.495845,z:0.5}],
-  [{x:0.459646,y:0.457064,z:0.5},{x:0.517717,y:0.457064,z:0.5},{x:0.575787,y:0.457064,z:0.5},{x:0.633858,y:0.457064,z:0.5}],
-  [{x:0.575787,y:0.355956,z:0.5},{x:0.575787,y:0.415512,z:0.5},{x:0.575787,y:0.475069,z:0.5},{x:0.575787,y:0.534626,z:0.5}],
-  [{x:0.587598,y:0.367036,z:0.5},{x:0.587598,y:0.411357,z:0.5},{x:0.587598,y:0.455679,z:0.5},{x:0.587598,y:0.500000,z:0.5}],
-  [{x:0.527559,y:0.454294,z:0.5},{x:0.587598,y:0.455679,z:0.5},{x:0.647638,y:0.457064,z:0.5},{x:0.707677,y:0.458449,z:0.5}],
-  [{x:0.647638,y:0.502770,z:0.5},{x:0.647638,y:0.457064,z:0.5},{x:0.647638,y:0.411357,z:0.5},{x:0.647638,y:0.365651,z:0.5}],
-  [{x:0.595472,y:0.411357,z:0.5},{x:0.657480,y:0.412742,z:0.5},{x:0.719488,y:0.414127,z:0.5},{x:0.781496,y:0.415512,z:0.5}],
-  [{x:0.718504,y:0.371191,z:0.5},{x:0.718504,y:0.414127,z:0.5},{x:0.718504,y:0.457064,z:0.5},{x:0.718504,y:0.500000,z:0.5}],
-  [{x:0.777559,y:0.436288,z:0.5},{x:0.718504,y:0.436288,z:0.5},{x:0.659449,y:0.436288,z:0.5},{x:0.600394,y:0.436288,z:0.5}],
-  [{x:0.658465,y:0.416898,z:0.5},{x:0.659449,y:0.436288,z:0.5},{x:0.660433,y:0.455679,z:0.5},{x:0.661417,y:0.475069,z:0.5}],
-  [{x:0.600394,y:0.457064,z:0.5},{x:0.659449,y:0.457064,z:0.5},{x:0.718504,y:0.457064,z:0.5},{x:0.777559,y:0.457064,z:0.5}],
-];
-
-// TEKNO (19 splines)
-
-export const splinesTekno = [
-  [{x:0.321850,y:0.354571,z:0.5},{x:0.321850,y:0.415512,z:0.5},{x:0.321850,y:0.476454,z:0.5},{x:0.321850,y:0.537396,z:0.5}],
-  [{x:0.260827,y:0.475069,z:0.5},{x:0.321850,y:0.476454,z:0.5},{x:0.382874,y:0.477839,z:0.5},{x:0.443898,y:0.479224,z:0.5}],
-  [{x:0.261811,y:0.432133,z:0.5},{x:0.322835,y:0.433518,z:0.5},{x:0.383858,y:0.434903,z:0.5},{x:0.444882,y:0.436288,z:0.5}],
-  [{x:0.336614,y:0.455679,z:0.5},{x:0.394685,y:0.454294,z:0.5},{x:0.452756,y:0.452909,z:0.5},{x:0.510827,y:0.451524,z:0.5}],
-  [{x:0.451772,y:0.473684,z:0.5},{x:0.451772,y:0.454294,z:0.5},{x:0.451772,y:0.434903,z:0.5},{x:0.451772,y:0.415512,z:0.5}],
-  [{x:0.509843,y:0.436288,z:0.5},{x:0.451772,y:0.434903,z:0.5},{x:0.393701,y:0.433518,z:0.5},{x:0.335630,y:0.432133,z:0.5}],
-  [{x:0.394685,y:0.391967,z:0.5},{x:0.394685,y:0.434903,z:0.5},{x:0.394685,y:0.477839,z:0.5},{x:0.394685,y:0.520776,z:0.5}],
-  [{x:0.335630,y:0.477839,z:0.5},{x:0.395669,y:0.477839,z:0.5},{x:0.455709,y:0.477839,z:0.5},{x:0.515748,y:0.477839,z:0.5}],
-  [{x:0.464567,y:0.351801,z:0.5},{x:0.464567,y:0.415512,z:0.5},{x:0.464567,y:0.479224,z:0.5},{x:0.464567,y:0.542936,z:0.5}],
-  [{x:0.518701,y:0.404432,z:0.5},{x:0.517717,y:0.422438,z:0.5},{x:0.516732,y:0.440443,z:0.5},{x:0.515748,y:0.458449,z:0.5}],
-  [{x:0.568898,y:0.439058,z:0.5},{x:0.516732,y:0.440443,z:0.5},{x:0.464567,y:0.441828,z:0.5},{x:0.412402,y:0.443213,z:0.5}],
-  [{x:0.510827,y:0.439058,z:0.5},{x:0.515748,y:0.440443,z:0.5},{x:0.520669,y:0.441828,z:0.5},{x:0.523622,y:0.441828,z:0.5},{x:0.523622,y:0.447368,z:0.5},{x:0.523622,y:0.479224,z:0.5},{x:0.523622,y:0.511080,z:0.5}],
-  [{x:0.536417,y:0.387812,z:0.5},{x:0.535433,y:0.433518,z:0.5},{x:0.534449,y:0.479224,z:0.5},{x:0.533465,y:0.524931,z:0.5}],
-  [{x:0.477362,y:0.433518,z:0.5},{x:0.535433,y:0.433518,z:0.5},{x:0.593504,y:0.433518,z:0.5},{x:0.651575,y:0.433518,z:0.5}],
-  [{x:0.593504,y:0.389197,z:0.5},{x:0.593504,y:0.434903,z:0.5},{x:0.593504,y:0.480609,z:0.5},{x:0.593504,y:0.526316,z:0.5}],
-  [{x:0.607283,y:0.391967,z:0.5},{x:0.607283,y:0.434903,z:0.5},{x:0.607283,y:0.477839,z:0.5},{x:0.607283,y:0.520776,z:0.5}],
-  [{x:0.548228,y:0.476454,z:0.5},{x:0.607283,y:0.476454,z:0.5},{x:0.666339,y:0.476454,z:0.5},{x:0.725394,y:0.476454,z:0.5}],
-  [{x:0.668307,y:0.519391,z:0.5},{x:0.667323,y:0.476454,z:0.5},{x:0.666339,y:0.433518,z:0.5},{x:0.665354,y:0.390582,z:0.5}],
-  [{x:0.724409,y:0.432133,z:0.5},{x:0.666339,y:0.433518,z:0.5},{x:0.608268,y:0.434903,z:0.5},{x:0.550197,y:0.436288,z:0.5}],
-];
-
 // INTERFACE / Circuitry (30 splines, 4 control points each)
 
 export const splinesInterface = [
@@ -93,52 +42,3 @@ export const splinesInterface = [
   [{x:0.699803,y:0.371191,z:0.5},{x:0.699803,y:0.418283,z:0.5},{x:0.699803,y:0.465374,z:0.5},{x:0.699803,y:0.512465,z:0.5}],
   [{x:0.649606,y:0.461219,z:0.5},{x:0.699803,y:0.463989,z:0.5},{x:0.750000,y:0.466759,z:0.5},{x:0.800197,y:0.469529,z:0.5}],
 ];
-
-// WONDER (23 splines, 4 control points each)
-
-export const splinesWonder = [
-  [{x:0.298228,y:0.373961,z:0.5},{x:0.298228,y:0.419668,z:0.5},{x:0.298228,y:0.465374,z:0.5},{x:0.298228,y:0.511080,z:0.5}],
-  [{x:0.269685,y:0.463989,z:0.5},{x:0.298228,y:0.465374,z:0.5},{x:0.326772,y:0.466759,z:0.5},{x:0.355315,y:0.468144,z:0.5}],
-  [{x:0.325787,y:0.513850,z:0.5},{x:0.326772,y:0.466759,z:0.5},{x:0.327756,y:0.419668,z:0.5},{x:0.328740,y:0.372576,z:0.5}],
-  [{x:0.298228,y:0.466759,z:0.5},{x:0.327756,y:0.466759,z:0.5},{x:0.357283,y:0.466759,z:0.5},{x:0.386811,y:0.466759,z:0.5}],
-  [{x:0.356299,y:0.513850,z:0.5},{x:0.357283,y:0.466759,z:0.5},{x:0.358268,y:0.419668,z:0.5},{x:0.359252,y:0.372576,z:0.5}],
-  [{x:0.371063,y:0.376731,z:0.5},{x:0.371063,y:0.421053,z:0.5},{x:0.371063,y:0.465374,z:0.5},{x:0.371063,y:0.509695,z:0.5}],
-  [{x:0.313976,y:0.465374,z:0.5},{x:0.372047,y:0.465374,z:0.5},{x:0.430118,y:0.465374,z:0.5},{x:0.488189,y:0.465374,z:0.5}],
-  [{x:0.432087,y:0.505540,z:0.5},{x:0.431102,y:0.463989,z:0.5},{x:0.430118,y:0.422438,z:0.5},{x:0.429134,y:0.380886,z:0.5}],
-  [{x:0.489173,y:0.423823,z:0.5},{x:0.430118,y:0.422438,z:0.5},{x:0.371063,y:0.421053,z:0.5},{x:0.312008,y:0.419668,z:0.5}],
-  [{x:0.442913,y:0.376731,z:0.5},{x:0.441929,y:0.422438,z:0.5},{x:0.440945,y:0.468144,z:0.5},{x:0.439961,y:0.513850,z:0.5}],
-  [{x:0.382874,y:0.423823,z:0.5},{x:0.441929,y:0.422438,z:0.5},{x:0.500984,y:0.421053,z:0.5},{x:0.560039,y:0.419668,z:0.5}],
-  [{x:0.500000,y:0.376731,z:0.5},{x:0.500984,y:0.422438,z:0.5},{x:0.501969,y:0.468144,z:0.5},{x:0.502953,y:0.513850,z:0.5}],
-  [{x:0.571850,y:0.340720,z:0.5},{x:0.571850,y:0.404432,z:0.5},{x:0.571850,y:0.468144,z:0.5},{x:0.571850,y:0.531856,z:0.5}],
-  [{x:0.627953,y:0.422438,z:0.5},{x:0.570866,y:0.422438,z:0.5},{x:0.513780,y:0.422438,z:0.5},{x:0.456693,y:0.422438,z:0.5}],
-  [{x:0.513780,y:0.379501,z:0.5},{x:0.513780,y:0.422438,z:0.5},{x:0.513780,y:0.465374,z:0.5},{x:0.513780,y:0.508310,z:0.5}],
-  [{x:0.455709,y:0.465374,z:0.5},{x:0.513780,y:0.465374,z:0.5},{x:0.571850,y:0.465374,z:0.5},{x:0.629921,y:0.465374,z:0.5}],
-  [{x:0.524606,y:0.443213,z:0.5},{x:0.583661,y:0.443213,z:0.5},{x:0.642717,y:0.443213,z:0.5},{x:0.701772,y:0.443213,z:0.5}],
-  [{x:0.641732,y:0.463989,z:0.5},{x:0.641732,y:0.443213,z:0.5},{x:0.641732,y:0.422438,z:0.5},{x:0.641732,y:0.401662,z:0.5}],
-  [{x:0.699803,y:0.421053,z:0.5},{x:0.641732,y:0.421053,z:0.5},{x:0.583661,y:0.421053,z:0.5},{x:0.525591,y:0.421053,z:0.5}],
-  [{x:0.583661,y:0.375346,z:0.5},{x:0.583661,y:0.421053,z:0.5},{x:0.583661,y:0.466759,z:0.5},{x:0.583661,y:0.512465,z:0.5}],
-  [{x:0.522638,y:0.466759,z:0.5},{x:0.583661,y:0.466759,z:0.5},{x:0.644685,y:0.466759,z:0.5},{x:0.705709,y:0.466759,z:0.5}],
-  [{x:0.653543,y:0.375346,z:0.5},{x:0.653543,y:0.421053,z:0.5},{x:0.653543,y:0.466759,z:0.5},{x:0.653543,y:0.512465,z:0.5}],
-  [{x:0.590551,y:0.419668,z:0.5},{x:0.653543,y:0.421053,z:0.5},{x:0.716535,y:0.422438,z:0.5},{x:0.779528,y:0.423823,z:0.5}],
-];
-
-// STRAVAGANZA (16 splines, variable control point counts)
-
-export const splinesStravaganza = [
-  [{x:0.281496,y:0.430748,z:0.5},{x:0.280512,y:0.422438,z:0.5},{x:0.268701,y:0.418283,z:0.5},{x:0.255906,y:0.416898,z:0.5},{x:0.244094,y:0.419668,z:0.5},{x:0.236220,y:0.427978,z:0.5},{x:0.232283,y:0.436288,z:0.5},{x:0.235236,y:0.444598,z:0.5},{x:0.241142,y:0.452909,z:0.5},{x:0.249016,y:0.454294,z:0.5},{x:0.257874,y:0.455679,z:0.5},{x:0.266732,y:0.458449,z:0.5},{x:0.274606,y:0.462604,z:0.5},{x:0.274606,y:0.469529,z:0.5},{x:0.272638,y:0.473684,z:0.5},{x:0.264764,y:0.477839,z:0.5},{x:0.255906,y:0.479224,z:0.5},{x:0.248031,y:0.476454,z:0.5},{x:0.239173,y:0.472299,z:0.5},{x:0.232283,y:0.468144,z:0.5},{x:0.232283,y:0.481994,z:0.5},{x:0.239173,y:0.486150,z:0.5},{x:0.248031,y:0.488920,z:0.5},{x:0.256890,y:0.488920,z:0.5},{x:0.265748,y:0.487535,z:0.5},{x:0.275591,y:0.483380,z:0.5},{x:0.283465,y:0.472299,z:0.5},{x:0.283465,y:0.459834,z:0.5},{x:0.277559,y:0.454294,z:0.5},{x:0.271654,y:0.451524,z:0.5},{x:0.264764,y:0.450139,z:0.5},{x:0.254921,y:0.447368,z:0.5},{x:0.247047,y:0.444598,z:0.5},{x:0.242126,y:0.433518,z:0.5},{x:0.252953,y:0.426593,z:0.5},{x:0.264764,y:0.426593,z:0.5},{x:0.281496,y:0.430748,z:0.5},{x:0.280512,y:0.422438,z:0.5},{x:0.268701,y:0.418283,z:0.5}],
-  [{x:0.307087,y:0.427978,z:0.5},{x:0.306102,y:0.421053,z:0.5},{x:0.297244,y:0.421053,z:0.5},{x:0.296260,y:0.433518,z:0.5},{x:0.296260,y:0.434903,z:0.5},{x:0.290354,y:0.434903,z:0.5},{x:0.290354,y:0.440443,z:0.5},{x:0.296260,y:0.440443,z:0.5},{x:0.297244,y:0.450139,z:0.5},{x:0.296260,y:0.459834,z:0.5},{x:0.296260,y:0.468144,z:0.5},{x:0.297244,y:0.475069,z:0.5},{x:0.299213,y:0.481994,z:0.5},{x:0.303150,y:0.484765,z:0.5},{x:0.307087,y:0.487535,z:0.5},{x:0.312992,y:0.487535,z:0.5},{x:0.316929,y:0.487535,z:0.5},{x:0.319882,y:0.487535,z:0.5},{x:0.322835,y:0.487535,z:0.5},{x:0.322835,y:0.480609,z:0.5},{x:0.319882,y:0.480609,z:0.5},{x:0.314961,y:0.480609,z:0.5},{x:0.310039,y:0.479224,z:0.5},{x:0.306102,y:0.476454,z:0.5},{x:0.305118,y:0.472299,z:0.5},{x:0.305118,y:0.463989,z:0.5},{x:0.305118,y:0.457064,z:0.5},{x:0.305118,y:0.450139,z:0.5},{x:0.305118,y:0.441828,z:0.5},{x:0.311024,y:0.441828,z:0.5},{x:0.317913,y:0.443213,z:0.5},{x:0.321850,y:0.441828,z:0.5},{x:0.322835,y:0.436288,z:0.5},{x:0.315945,y:0.436288,z:0.5},{x:0.310039,y:0.436288,z:0.5},{x:0.306102,y:0.436288,z:0.5},{x:0.307087,y:0.427978,z:0.5},{x:0.306102,y:0.421053,z:0.5},{x:0.297244,y:0.421053,z:0.5}],
-  [{x:0.342520,y:0.436288,z:0.5},{x:0.333661,y:0.437673,z:0.5},{x:0.333661,y:0.444598,z:0.5},{x:0.333661,y:0.450139,z:0.5},{x:0.333661,y:0.455679,z:0.5},{x:0.333661,y:0.462604,z:0.5},{x:0.333661,y:0.473684,z:0.5},{x:0.333661,y:0.481994,z:0.5},{x:0.333661,y:0.487535,z:0.5},{x:0.341535,y:0.487535,z:0.5},{x:0.342520,y:0.480609,z:0.5},{x:0.342520,y:0.470914,z:0.5},{x:0.342520,y:0.458449,z:0.5},{x:0.342520,y:0.450139,z:0.5},{x:0.346457,y:0.445983,z:0.5},{x:0.350394,y:0.444598,z:0.5},{x:0.355315,y:0.444598,z:0.5},{x:0.360236,y:0.444598,z:0.5},{x:0.364173,y:0.444598,z:0.5},{x:0.365157,y:0.436288,z:0.5},{x:0.360236,y:0.437673,z:0.5},{x:0.354331,y:0.437673,z:0.5},{x:0.349409,y:0.440443,z:0.5},{x:0.345472,y:0.443213,z:0.5},{x:0.342520,y:0.441828,z:0.5},{x:0.342520,y:0.436288,z:0.5},{x:0.333661,y:0.437673,z:0.5},{x:0.333661,y:0.444598,z:0.5}],
-  [{x:0.393701,y:0.433518,z:0.5},{x:0.386811,y:0.433518,z:0.5},{x:0.381890,y:0.434903,z:0.5},{x:0.375984,y:0.437673,z:0.5},{x:0.375984,y:0.443213,z:0.5},{x:0.380906,y:0.441828,z:0.5},{x:0.385827,y:0.440443,z:0.5},{x:0.392717,y:0.440443,z:0.5},{x:0.399606,y:0.443213,z:0.5},{x:0.402559,y:0.448753,z:0.5},{x:0.402559,y:0.452909,z:0.5},{x:0.395669,y:0.452909,z:0.5},{x:0.385827,y:0.452909,z:0.5},{x:0.378937,y:0.455679,z:0.5},{x:0.373031,y:0.459834,z:0.5},{x:0.370079,y:0.468144,z:0.5},{x:0.372047,y:0.479224,z:0.5},{x:0.377953,y:0.487535,z:0.5},{x:0.384843,y:0.488920,z:0.5},{x:0.392717,y:0.487535,z:0.5},{x:0.397638,y:0.484765,z:0.5},{x:0.401575,y:0.480609,z:0.5},{x:0.402559,y:0.486150,z:0.5},{x:0.410433,y:0.486150,z:0.5},{x:0.411417,y:0.470914,z:0.5},{x:0.411417,y:0.457064,z:0.5},{x:0.411417,y:0.447368,z:0.5},{x:0.409449,y:0.441828,z:0.5},{x:0.402559,y:0.436288,z:0.5},{x:0.393701,y:0.433518,z:0.5},{x:0.386811,y:0.433518,z:0.5},{x:0.381890,y:0.434903,z:0.5}],
-  [{x:0.398622,y:0.472299,z:0.5},{x:0.398622,y:0.458449,z:0.5},{x:0.390748,y:0.459834,z:0.5},{x:0.379921,y:0.463989,z:0.5},{x:0.377953,y:0.472299,z:0.5},{x:0.381890,y:0.479224,z:0.5},{x:0.387795,y:0.480609,z:0.5},{x:0.398622,y:0.472299,z:0.5},{x:0.398622,y:0.458449,z:0.5},{x:0.390748,y:0.459834,z:0.5}],
-  [{x:0.433071,y:0.437673,z:0.5},{x:0.423228,y:0.436288,z:0.5},{x:0.427165,y:0.445983,z:0.5},{x:0.431102,y:0.457064,z:0.5},{x:0.435039,y:0.465374,z:0.5},{x:0.437992,y:0.473684,z:0.5},{x:0.440945,y:0.480609,z:0.5},{x:0.443898,y:0.487535,z:0.5},{x:0.449803,y:0.487535,z:0.5},{x:0.452756,y:0.477839,z:0.5},{x:0.458661,y:0.469529,z:0.5},{x:0.462598,y:0.458449,z:0.5},{x:0.465551,y:0.448753,z:0.5},{x:0.469488,y:0.440443,z:0.5},{x:0.470472,y:0.434903,z:0.5},{x:0.462598,y:0.437673,z:0.5},{x:0.457677,y:0.445983,z:0.5},{x:0.454724,y:0.454294,z:0.5},{x:0.451772,y:0.461219,z:0.5},{x:0.448819,y:0.466759,z:0.5},{x:0.446850,y:0.472299,z:0.5},{x:0.441929,y:0.462604,z:0.5},{x:0.438976,y:0.455679,z:0.5},{x:0.436024,y:0.447368,z:0.5},{x:0.433071,y:0.437673,z:0.5},{x:0.423228,y:0.436288,z:0.5},{x:0.427165,y:0.445983,z:0.5}],
-  [{x:0.502953,y:0.433518,z:0.5},{x:0.492126,y:0.434903,z:0.5},{x:0.486220,y:0.434903,z:0.5},{x:0.483268,y:0.437673,z:0.5},{x:0.483268,y:0.444598,z:0.5},{x:0.488189,y:0.441828,z:0.5},{x:0.493110,y:0.440443,z:0.5},{x:0.499016,y:0.440443,z:0.5},{x:0.504921,y:0.441828,z:0.5},{x:0.507874,y:0.443213,z:0.5},{x:0.511811,y:0.452909,z:0.5},{x:0.507874,y:0.452909,z:0.5},{x:0.499016,y:0.451524,z:0.5},{x:0.491142,y:0.454294,z:0.5},{x:0.485236,y:0.458449,z:0.5},{x:0.480315,y:0.463989,z:0.5},{x:0.479331,y:0.472299,z:0.5},{x:0.481299,y:0.480609,z:0.5},{x:0.488189,y:0.486150,z:0.5},{x:0.497047,y:0.487535,z:0.5},{x:0.504921,y:0.484765,z:0.5},{x:0.511811,y:0.481994,z:0.5},{x:0.511811,y:0.486150,z:0.5},{x:0.520669,y:0.487535,z:0.5},{x:0.520669,y:0.477839,z:0.5},{x:0.520669,y:0.465374,z:0.5},{x:0.520669,y:0.454294,z:0.5},{x:0.520669,y:0.445983,z:0.5},{x:0.517717,y:0.440443,z:0.5},{x:0.510827,y:0.434903,z:0.5},{x:0.502953,y:0.433518,z:0.5},{x:0.492126,y:0.434903,z:0.5},{x:0.486220,y:0.434903,z:0.5}],
-  [{x:0.512795,y:0.473684,z:0.5},{x:0.511811,y:0.459834,z:0.5},{x:0.500000,y:0.461219,z:0.5},{x:0.490157,y:0.465374,z:0.5},{x:0.488189,y:0.475069,z:0.5},{x:0.492126,y:0.480609,z:0.5},{x:0.498031,y:0.480609,z:0.5},{x:0.507874,y:0.479224,z:0.5},{x:0.512795,y:0.473684,z:0.5},{x:0.511811,y:0.459834,z:0.5},{x:0.500000,y:0.461219,z:0.5}],
-  [{x:0.580709,y:0.436288,z:0.5},{x:0.571850,y:0.437673,z:0.5},{x:0.563976,y:0.433518,z:0.5},{x:0.554134,y:0.433518,z:0.5},{x:0.542323,y:0.440443,z:0.5},{x:0.537402,y:0.451524,z:0.5},{x:0.536417,y:0.468144,z:0.5},{x:0.541339,y:0.480609,z:0.5},{x:0.548228,y:0.484765,z:0.5},{x:0.554134,y:0.486150,z:0.5},{x:0.561024,y:0.486150,z:0.5},{x:0.568898,y:0.484765,z:0.5},{x:0.571850,y:0.487535,z:0.5},{x:0.567913,y:0.493075,z:0.5},{x:0.560039,y:0.497230,z:0.5},{x:0.552165,y:0.497230,z:0.5},{x:0.542323,y:0.493075,z:0.5},{x:0.541339,y:0.504155,z:0.5},{x:0.551181,y:0.505540,z:0.5},{x:0.558071,y:0.505540,z:0.5},{x:0.566929,y:0.504155,z:0.5},{x:0.575787,y:0.498615,z:0.5},{x:0.580709,y:0.486150,z:0.5},{x:0.581693,y:0.462604,z:0.5},{x:0.580709,y:0.445983,z:0.5},{x:0.580709,y:0.436288,z:0.5},{x:0.571850,y:0.437673,z:0.5},{x:0.563976,y:0.433518,z:0.5}],
-  [{x:0.570866,y:0.473684,z:0.5},{x:0.569882,y:0.445983,z:0.5},{x:0.561024,y:0.441828,z:0.5},{x:0.550197,y:0.443213,z:0.5},{x:0.545276,y:0.451524,z:0.5},{x:0.545276,y:0.463989,z:0.5},{x:0.549213,y:0.476454,z:0.5},{x:0.558071,y:0.477839,z:0.5},{x:0.570866,y:0.473684,z:0.5},{x:0.569882,y:0.445983,z:0.5},{x:0.561024,y:0.441828,z:0.5}],
-  [{x:0.613189,y:0.432133,z:0.5},{x:0.607283,y:0.433518,z:0.5},{x:0.602362,y:0.433518,z:0.5},{x:0.597441,y:0.436288,z:0.5},{x:0.598425,y:0.443213,z:0.5},{x:0.605315,y:0.441828,z:0.5},{x:0.612205,y:0.441828,z:0.5},{x:0.620079,y:0.441828,z:0.5},{x:0.627953,y:0.447368,z:0.5},{x:0.627953,y:0.452909,z:0.5},{x:0.623031,y:0.452909,z:0.5},{x:0.613189,y:0.452909,z:0.5},{x:0.604331,y:0.457064,z:0.5},{x:0.597441,y:0.462604,z:0.5},{x:0.595472,y:0.470914,z:0.5},{x:0.597441,y:0.480609,z:0.5},{x:0.603346,y:0.486150,z:0.5},{x:0.611220,y:0.488920,z:0.5},{x:0.620079,y:0.486150,z:0.5},{x:0.626969,y:0.481994,z:0.5},{x:0.626969,y:0.486150,z:0.5},{x:0.636811,y:0.486150,z:0.5},{x:0.636811,y:0.475069,z:0.5},{x:0.636811,y:0.462604,z:0.5},{x:0.636811,y:0.451524,z:0.5},{x:0.632874,y:0.440443,z:0.5},{x:0.624016,y:0.436288,z:0.5},{x:0.613189,y:0.432133,z:0.5},{x:0.607283,y:0.433518,z:0.5},{x:0.602362,y:0.433518,z:0.5}],
-  [{x:0.627953,y:0.469529,z:0.5},{x:0.627953,y:0.459834,z:0.5},{x:0.620079,y:0.458449,z:0.5},{x:0.606299,y:0.463989,z:0.5},{x:0.602362,y:0.469529,z:0.5},{x:0.606299,y:0.477839,z:0.5},{x:0.613189,y:0.480609,z:0.5},{x:0.620079,y:0.480609,z:0.5},{x:0.627953,y:0.475069,z:0.5},{x:0.627953,y:0.469529,z:0.5},{x:0.627953,y:0.459834,z:0.5},{x:0.620079,y:0.458449,z:0.5}],
-  [{x:0.652559,y:0.430748,z:0.5},{x:0.652559,y:0.436288,z:0.5},{x:0.651575,y:0.484765,z:0.5},{x:0.655512,y:0.484765,z:0.5},{x:0.660433,y:0.484765,z:0.5},{x:0.660433,y:0.470914,z:0.5},{x:0.661417,y:0.447368,z:0.5},{x:0.670276,y:0.441828,z:0.5},{x:0.677165,y:0.443213,z:0.5},{x:0.685039,y:0.447368,z:0.5},{x:0.686024,y:0.484765,z:0.5},{x:0.688976,y:0.484765,z:0.5},{x:0.692913,y:0.484765,z:0.5},{x:0.694882,y:0.468144,z:0.5},{x:0.693898,y:0.448753,z:0.5},{x:0.689961,y:0.437673,z:0.5},{x:0.679134,y:0.432133,z:0.5},{x:0.669291,y:0.433518,z:0.5},{x:0.661417,y:0.439058,z:0.5},{x:0.660433,y:0.433518,z:0.5},{x:0.652559,y:0.430748,z:0.5},{x:0.652559,y:0.436288,z:0.5},{x:0.651575,y:0.484765,z:0.5}],
-  [{x:0.725394,y:0.434903,z:0.5},{x:0.710630,y:0.437673,z:0.5},{x:0.709646,y:0.441828,z:0.5},{x:0.738189,y:0.443213,z:0.5},{x:0.708661,y:0.479224,z:0.5},{x:0.708661,y:0.486150,z:0.5},{x:0.749016,y:0.484765,z:0.5},{x:0.749016,y:0.479224,z:0.5},{x:0.720472,y:0.479224,z:0.5},{x:0.724409,y:0.470914,z:0.5},{x:0.749016,y:0.443213,z:0.5},{x:0.748031,y:0.434903,z:0.5},{x:0.725394,y:0.434903,z:0.5},{x:0.710630,y:0.437673,z:0.5},{x:0.709646,y:0.441828,z:0.5}],
-  [{x:0.775591,y:0.430748,z:0.5},{x:0.763780,y:0.434903,z:0.5},{x:0.763780,y:0.444598,z:0.5},{x:0.768701,y:0.443213,z:0.5},{x:0.776575,y:0.440443,z:0.5},{x:0.784449,y:0.440443,z:0.5},{x:0.790354,y:0.444598,z:0.5},{x:0.791339,y:0.450139,z:0.5},{x:0.784449,y:0.452909,z:0.5},{x:0.773622,y:0.452909,z:0.5},{x:0.762795,y:0.459834,z:0.5},{x:0.758858,y:0.472299,z:0.5},{x:0.763780,y:0.486150,z:0.5},{x:0.771654,y:0.487535,z:0.5},{x:0.778543,y:0.488920,z:0.5},{x:0.792323,y:0.480609,z:0.5},{x:0.792323,y:0.487535,z:0.5},{x:0.799213,y:0.487535,z:0.5},{x:0.800197,y:0.470914,z:0.5},{x:0.800197,y:0.452909,z:0.5},{x:0.800197,y:0.440443,z:0.5},{x:0.789370,y:0.434903,z:0.5},{x:0.775591,y:0.430748,z:0.5},{x:0.763780,y:0.434903,z:0.5},{x:0.763780,y:0.444598,z:0.5}],
-  [{x:0.792323,y:0.466759,z:0.5},{x:0.792323,y:0.459834,z:0.5},{x:0.781496,y:0.459834,z:0.5},{x:0.772638,y:0.461219,z:0.5},{x:0.767717,y:0.468144,z:0.5},{x:0.769685,y:0.477839,z:0.5},{x:0.775591,y:0.480609,z:0.5},{x:0.783465,y:0.480609,z:0.5},{x:0.791339,y:0.473684,z:0.5},{x:0.792323,y:0.466759,z:0.5},{x:0.792323,y:0.459834,z:0.5},{x:0.781496,y:0.459834,z:0.5}],
-];
@@ -2,7 +2,8 @@
  * timeline.js - Odyssey demo effect timeline.
  * Port of Odyssey/Stravaganza Demo/FXManagement.cpp
  *
- * Registers all ~55 manual effect instances with exact ms timing.
+ * Registers all ~55 manual effect instances. Times are bar:beat:tick on the
+ * tempo map in production.json (dm.time() resolves them where ms are needed).
  * Script-based effects (3D_SCENE, 3D_IMAGE, 3D_FADE, etc.) are loaded
  * separately from demo.scr by DemoManager.loadScript().
  */
@@ -18,27 +19,33 @@ import { FXParticleColumn } from './effects/FXParticleColumn.js';
 import { FXSplineForm } from './effects/FXSplineForm.js';
 import { FXQuadTrail } from './effects/FXQuadTrail.js';
 import { FXSpiral1 } from './effects/FXSpiral.js';
-import { splinesIthaqua, splinesTekno, splinesInterface, splinesWonder } from './effects/SplineDefinitions.js';
-
-const megapeich = 20000;
+import { splinesInterface } from './effects/SplineDefinitions.js';
 
 export function registerAllEffects(dm) {
 
+  // Effect classes demo.scr can instantiate with FX class=
+  dm.effectRegistry.registerAll({
+    FXBackground1, FXParticleText, FXPTextIthaqua, FXPTextTekno, FXPTextCircuitry, FXPTextWonder,
+    FXWideBlurredText, FXWavingGrid, FXWavingDemoLogo, FXWavingBlur, FXBouncingObject,
+    FXWideBlurState, FXWideBlur, FXParticleColumn, FXSplineForm, FXQuadTrail, FXSpiral1,
+  });
+
   // ============================================================
   // Credits
   // ============================================================
 
   const partTextIthaqua = new FXPTextIthaqua();
-  partTextIthaqua.setup(0.30, 0.43, 1.0, splinesIthaqua, splinesIthaqua.length, 400, 'data/textures/particles/particlefirebig.jpg', true, 3000.0);
+  partTextIthaqua.setup(0.30, 0.43, 1.0, 'data/textures/splines/ithaqua.spl', null, 400, 'data/textures/particles/particlefirebig.jpg', true, 3000.0);
 
   const partTextTekno = new FXPTextTekno();
-  partTextTekno.setup(0.75, 0.37, 1.0, splinesTekno, splinesTekno.length, 400, 'data/textures/particles/particlefirebig.jpg', true, 3000.0);
+  partTextTekno.setup(0.75, 0.37, 1.0, 'data/textures/splines/tekno.spl', null, 400, 'data/textures/particles/particlefirebig.jpg', true, 3000.0);
 
+  // The original used compiled-in "interface" splines; circuitry.spl is a different outline
   const partTextCircuitry = new FXPTextCircuitry();
   partTextCircuitry.setup(0.62, 0.70, 1.0, splinesInterface, splinesInterface.length, 400, 'data/textures/particles/particlefirebig.jpg', true, 3000.0);
 
   const partTextWonder = new FXPTextWonder();
-  partTextWonder.setup(0.38, 0.86, 1.0, splinesWonder, splinesWonder.length, 400, 'data/textures/particles/particlefirebig.jpg', true, 3000.0);
+  partTextWonder.setup(0.38, 0.86, 1.0, 'data/textures/splines/wonder.spl', null, 400, 'data/textures/particles/particlefirebig.jpg', true, 3000.0);
 
   const stravaganza = new FXWideBlurredText();
   stravaganza.setup(10, 0.5, 0.5, 2.4, 1.2, 0.8, 0.4, 0.0, 0.0, 'data/textures/credits/stravaganza.tga', null, 4000.0, 1000.0, 85.0);
@@ -48,23 +55,23 @@ export function registerAllEffects(dm) {
 
   // End times extended +1000ms vs C++ to allow the full 3s alpha fade-out
   // (duration=3000 + 3000 fade = 6000ms total needed)
-  dm.addFX(partTextIthaqua,   13000, 19000, 8, 'FXPartText Ithaqua');
-  dm.addFX(partTextTekno,     19000, 25000, 8, 'FXPartText Tekno');
-  dm.addFX(partTextCircuitry, 25500, 31500, 8, 'FXPartText Circuitry');
-  dm.addFX(partTextWonder,    32000, 38000, 8, 'FXPartText Wonder');
+  dm.addFX(partTextIthaqua,   '9:2:274', '13:2:35', 8, 'FXPartText Ithaqua');
+  dm.addFX(partTextTekno,     '13:2:35', '17:1:277', 8, 'FXPartText Tekno');
+  dm.addFX(partTextCircuitry, '17:2:417', '21:2:179', 8, 'FXPartText Circuitry');
+  dm.addFX(partTextWonder,    '21:3:319', '25:3:81', 8, 'FXPartText Wonder');
 
-  dm.addFX(stravaganza, 37200, 43200, 9, 'Stravaganza');
-  dm.addFX(title,        43300, 49700, 9, 'Title');
+  dm.addFX(stravaganza, '25:1:48', '28:4:290', 9, 'Stravaganza');
+  dm.addFX(title,        '28:4:414', '33:1:192', 9, 'Title');
 
   // ============================================================
   // 2D Compositions (Bouncing objects)
   // ============================================================
 
   const bounceTimes = [
-    [55790, 58804],
-    [61959, 65073],
-    [68078, 71232],
-    [74297, 77391],
+    ['37:1:65', '38:4:444'],
+    ['41:1:37', '43:1:59'],
+    ['44:4:426', '47:1:18'],
+    ['48:4:459', '50:4:457'],
   ];
 
   for (let i = 0; i < 4; i++) {
@@ -89,23 +96,23 @@ export function registerAllEffects(dm) {
 
   const wideBlurState1 = new FXWideBlurState();
   wideBlurState1.setup(true);
-  dm.addFX(wideBlurState1, 82000, 83500, 1, 'WideBlurState1');
+  dm.addFX(wideBlurState1, '53:4:413', '54:4:353', 1, 'WideBlurState1');
 
   const wideBlurState2 = new FXWideBlurState();
   wideBlurState2.setup(true);
-  dm.addFX(wideBlurState2, 88500, 89800, 1, 'WideBlurState2');
+  dm.addFX(wideBlurState2, '58:1:315', '59:1:7', 1, 'WideBlurState2');
 
   const wideBlurStateOff = new FXWideBlurState();
   wideBlurStateOff.setup(false);
-  dm.addFX(wideBlurStateOff, 89800, 92000, 1, 'WideBlurStateOFF');
+  dm.addFX(wideBlurStateOff, '59:1:7', '60:2:336', 1, 'WideBlurStateOFF');
 
   const wideBlur1 = new FXWideBlur();
   wideBlur1.setup(7, 0.8, 0.0, 1000.0, 500.0, false);
-  dm.addFX(wideBlur1, 82000, 83500, 3, 'WideBlur1');
+  dm.addFX(wideBlur1, '53:4:413', '54:4:353', 3, 'WideBlur1');
 
   const wideBlur2 = new FXWideBlur();
   wideBlur2.setup(7, 0.8, 0.0, 900.0, 400.0, false);
-  dm.addFX(wideBlur2, 88500, 89800, 3, 'WideBlur2');
+  dm.addFX(wideBlur2, '58:1:315', '59:1:7', 3, 'WideBlur2');
 
   // ============================================================
   // Electric Guitar section
@@ -113,11 +120,11 @@ export function registerAllEffects(dm) {
 
   const egBackground = new FXBackground1();
   egBackground.setup(15, 0.7, 0.7, 'data/textures/backgrounds/elguitar1.tga');
-  dm.addFX(egBackground, 92513, 108300, 1, 'EG Background');
+  dm.addFX(egBackground, '60:4:12', '70:4:392', 1, 'EG Background');
 
   const egWavBlur = new FXWavingBlur();
   egWavBlur.setup(0.5, 0.5, 1.0, 1.0, 50, 24, 'data/textures/backgrounds/elguitar1.tga', 18000);
-  dm.addFX(egWavBlur, 92513, 108300, 2, 'EG Ghost blur');
+  dm.addFX(egWavBlur, '60:4:12', '70:4:392', 2, 'EG Ghost blur');
 
   const egPartColumn = new FXParticleColumn();
   egPartColumn.setup(
@@ -126,7 +133,7 @@ export function registerAllEffects(dm) {
     { x: 7.0, y: 10.0, z: -20.0 },
     'data/textures/particles/glowwhite.jpg'
   );
-  dm.addFX(egPartColumn, 92513, 108300, 4, 'EG Particle column');
+  dm.addFX(egPartColumn, '60:4:12', '70:4:392', 4, 'EG Particle column');
 
   const egSpline = new FXSplineForm();
   egSpline.setup(
@@ -135,7 +142,7 @@ export function registerAllEffects(dm) {
     'data/textures/particles/glowwhite.jpg',
     'data/textures/particles/glowblack.tga'
   );
-  dm.addFX(egSpline, 92513, 108300, 4, 'EG Spline effect');
+  dm.addFX(egSpline, '60:4:12', '70:4:392', 4, 'EG Spline effect');
 
   // ============================================================
   // Viewport trails (6 groups of 4 quad trails)
@@ -164,19 +171,19 @@ export function registerAllEffects(dm) {
 
   // Center times and priorities for each group
   const groupTimes = [
-    { center: 110179, priority: 4 },
-    { center: 113183, priority: 8 },
-    { center: 116037, priority: 12 },
-    { center: 122386, priority: 16 },
-    { center: 125581, priority: 20 },
-    { center: 128495, priority: 24 },
+    { center: '72:1:323', priority: 4 },
+    { center: '74:1:209', priority: 8 },
+    { center: '75:4:388', priority: 12 },
+    { center: '80:1:103', priority: 16 },
+    { center: '82:1:226', priority: 20 },
+    { center: '84:1:0', priority: 24 },
   ];
 
   for (let g = 0; g < 6; g++) {
     const { center, priority } = groupTimes[g];
     const endPos = groupEnds[g];
-    const start = center - 1200;
-    const end = center + 400;
+    const start = dm.time(center) - 1200;
+    const end = dm.time(center) + 400;
 
     for (let c = 0; c < 4; c++) {
       const qt = new FXQuadTrail();
@@ -191,40 +198,41 @@ export function registerAllEffects(dm) {
   // Greetings & Respects
   // ============================================================
 
+  // The C++ original wrote these 20000ms later and subtracted "megapeich" (20000).
   const greetSpiral = new FXSpiral1();
   greetSpiral.setup(25, { x: 0.75, y: 0.70, z: 0.0 }, 0.0, 0.45, 280.0, 'data/textures/backgrounds/elguitarspiral.jpg');
-  dm.addFX(greetSpiral, 171400 - megapeich, 182700 - megapeich, 3, 'Greet Spiral');
+  dm.addFX(greetSpiral, '98:1:304', '102:4:224', 3, 'Greet Spiral');
 
   const greetBackground = new FXBackground1();
   greetBackground.setup(25, 0.7, 0.7, 'data/textures/backgrounds/elguitar2.tga');
-  dm.addFX(greetBackground, 171400 - megapeich, 182700 - megapeich, 2, 'Greet Background');
+  dm.addFX(greetBackground, '98:1:304', '102:4:224', 2, 'Greet Background');
 
   const fxGreetings = new FXWideBlurredText();
   fxGreetings.setup(15, 0.75, 0.1, 1.5, 0.15, 0.4, 0.08, 0.0, 0.0, 'data/textures/greets/greetings.tga', null, 700.0, 3000.0, 20.0);
-  dm.addFX(fxGreetings, 171400 - megapeich, 176500 - megapeich, 50, 'Greetings');
+  dm.addFX(fxGreetings, '98:1:304', '100:2:64', 50, 'Greetings');
 
   const fxRespects = new FXWideBlurredText();
   fxRespects.setup(15, 0.75, 0.1, 1.5, 0.15, 0.4, 0.08, 0.0, 0.0, 'data/textures/greets/respects.tga', null, 700.0, 3000.0, 20.0);
-  dm.addFX(fxRespects, 177000 - megapeich, 181700 - megapeich, 50, 'Respects');
+  dm.addFX(fxRespects, '100:2:464', '102:2:384', 50, 'Respects');
 
   const fxSurrender = new FXWideBlurredText();
   fxSurrender.setup(10, 0.67, 0.8, 2.0, 0.15, 0.50, 0.15, 0.0, 0.0, 'data/textures/greets/surrender.tga', null, 500.0, 2000.0, 20.0);
-  dm.addFX(fxSurrender, 176000 - megapeich, 182500 - megapeich, 50, 'All of you must...');
+  dm.addFX(fxSurrender, '100:1:144', '102:4:64', 50, 'All of you must...');
 
   const fxFutile = new FXWideBlurredText();
   fxFutile.setup(15, 0.5, 0.7, 2.0, 0.13, 0.70, 0.13, 0.0, 0.0, 'data/textures/greets/futile.tga', null, 500.0, 6000.0, 20.0);
-  dm.addFX(fxFutile, 183000 - megapeich, 190000 - megapeich, 50, 'Resistance is futile');
+  dm.addFX(fxFutile, '102:4:464', '105:4:304', 50, 'Resistance is futile');
 
   // Individual greet lines
   const fWidth1 = 1.2, fWidth2 = 0.3, fHeight1 = 0.45, fHeight2 = 0.06;
 
   const greetData = [
-    { y: 0.20, tex: 'greet01.tga', h2: fHeight2 - 0.01, timeTillFade: 3000, startMs: 172237 },
-    { y: 0.33, tex: 'greet09.tga', h2: fHeight2, timeTillFade: 2400, startMs: 172837 },
-    { y: 0.46, tex: 'greet03.tga', h2: fHeight2, timeTillFade: 1800, startMs: 173459 },
-    { y: 0.59, tex: 'greet02.tga', h2: fHeight2, timeTillFade: 1200, startMs: 174050 },
-    { y: 0.72, tex: 'greet07.tga', h2: fHeight2, timeTillFade: 600, startMs: 174631 },
-    { y: 0.85, tex: 'greet11.tga', h2: fHeight2 - 0.01, timeTillFade: 0, startMs: 175252 },
+    { y: 0.20, tex: 'greet01.tga', h2: fHeight2 - 0.01, timeTillFade: 3000, start: '98:3:14' },
+    { y: 0.33, tex: 'greet09.tga', h2: fHeight2, timeTillFade: 2400, start: '98:4:14' },
+    { y: 0.46, tex: 'greet03.tga', h2: fHeight2, timeTillFade: 1800, start: '99:1:32' },
+    { y: 0.59, tex: 'greet02.tga', h2: fHeight2, timeTillFade: 1200, start: '99:2:24' },
+    { y: 0.72, tex: 'greet07.tga', h2: fHeight2, timeTillFade: 600, start: '99:3:9' },
+    { y: 0.85, tex: 'greet11.tga', h2: fHeight2 - 0.01, timeTillFade: 0, start: '99:4:26' },
   ];
 
   for (let i = 0; i < greetData.length; i++) {
@@ -232,18 +240,18 @@ export function registerAllEffects(dm) {
     const fx = new FXWideBlurredText();
     fx.setup(10, 0.2, g.y, fWidth1, fHeight1, fWidth2, g.h2, 0.0, 0.0,
       `data/textures/greets/${g.tex}`, null, 500.0, g.timeTillFade, 20.0);
-    dm.addFX(fx, g.startMs - 500 - megapeich, 175702 - megapeich, 55, `Greet ${String(i + 1).padStart(2, '0')}`);
+    dm.addFX(fx, dm.time(g.start) - 500, '99:4:386', 55, `Greet ${String(i + 1).padStart(2, '0')}`);
   }
 
   // Individual respect lines
   const respectData = [
-    { y: 0.2, tex: 'respect01.tga', h2: fHeight2, timeTillFade: 4200, startMs: 177024 },
-    { y: 0.3, tex: 'respect02.tga', h2: fHeight2, timeTillFade: 3600, startMs: 177635 },
-    { y: 0.4, tex: 'respect03.tga', h2: fHeight2, timeTillFade: 3000, startMs: 178236 },
-    { y: 0.5, tex: 'respect04.tga', h2: fHeight2, timeTillFade: 2400, startMs: 178827 },
-    { y: 0.6, tex: 'respect05.tga', h2: fHeight2 - 0.01, timeTillFade: 1800, startMs: 179418 },
-    { y: 0.7, tex: 'respect06.tga', h2: fHeight2, timeTillFade: 1200, startMs: 180018 },
-    { y: 0.8, tex: 'respect07.tga', h2: fHeight2, timeTillFade: 600, startMs: 180619 },
+    { y: 0.2, tex: 'respect01.tga', h2: fHeight2, timeTillFade: 4200, start: '100:3:4' },
+    { y: 0.3, tex: 'respect02.tga', h2: fHeight2, timeTillFade: 3600, start: '100:4:12' },
+    { y: 0.4, tex: 'respect03.tga', h2: fHeight2, timeTillFade: 3000, start: '101:1:13' },
+    { y: 0.5, tex: 'respect04.tga', h2: fHeight2, timeTillFade: 2400, start: '101:2:6' },
+    { y: 0.6, tex: 'respect05.tga', h2: fHeight2 - 0.01, timeTillFade: 1800, start: '101:2:479' },
+    { y: 0.7, tex: 'respect06.tga', h2: fHeight2, timeTillFade: 1200, start: '101:3:479' },
+    { y: 0.8, tex: 'respect07.tga', h2: fHeight2, timeTillFade: 600, start: '102:1:0' },
   ];
 
   for (let i = 0; i < respectData.length; i++) {
@@ -251,6 +259,6 @@ export function registerAllEffects(dm) {
     const fx = new FXWideBlurredText();
     fx.setup(10, 0.2, r.y, fWidth1, fHeight1, fWidth2, r.h2, 0.0, 0.0,
       `data/textures/greets/${r.tex}`, null, 500.0, r.timeTillFade, 20.0);
-    dm.addFX(fx, r.startMs - 500 - megapeich, 182700 - megapeich, 55, `Respect ${String(i + 1).padStart(2, '0')}`);
+    dm.addFX(fx, dm.time(r.start) - 500, '102:4:224', 55, `Respect ${String(i + 1).padStart(2, '0')}`);
   }
 }
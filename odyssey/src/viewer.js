@@ -1,8 +1,13 @@
 import * as THREE from 'three';
-import { Renderer } from './engine/Renderer.js';
-import { AssetManager } from './engine/AssetManager.js';
-import { SceneManager } from './engine/SceneManager.js';
-import { getTransformMatrix } from './engine/AnimationSystem.js';
+import { Renderer } from '../../shared/engine/Renderer.js';
+import { AssetManager } from '../../shared/engine/AssetManager.js';
+import { SceneManager } from '../../shared/engine/SceneManager.js';
+import { parsePtaFile } from '../../shared/engine/PtaFileLoader.js';
+import { isGltfPath, parseGltfFile } from '../../shared/engine/GltfSceneLoader.js';
+import { getTransformMatrix } from '../../shared/engine/AnimationSystem.js';
+import { loadProductionManifest } from '../../shared/engine/ProductionManifest.js';
+import { applyScenePatch, scenePatchPath } from '../../shared/engine/ScenePatch.js';
+import { decodeTga } from '../../shared/utils/TgaDecoder.js';
 
 // ─── Scene Registry ─────────────────────────────────────────────────────────
 const SCENES = [
@@ -23,31 +28,31 @@ const TEXTURE_DIRS = {
     'entorno-a.jpg','entorno-b.jpg','fire.jpg','focos.jpg','ind.jpg','metal.jpg',
     'pared-interior1.jpg','paredsala.jpg','particlefire.jpg','particlefirebig.jpg',
     'persiana.jpg','persianassala.jpg','pipe1.jpg','puertapeq.jpg','rays1.jpg',
-    'rejilla.png','rejillas.jpg','sky.jpg','smoke.jpg','spaceshp1.jpg','spaceshp2.jpg',
+    'rejilla.tga','rejillas.jpg','sky.jpg','smoke.jpg','spaceshp1.jpg','spaceshp2.jpg',
     'suelo.jpg','suelosala.jpg','tejado.jpg','tuborayo.jpg','turbina.jpg','ventanas.jpg',
   ],
-  '3dscenes/compos1': ['bouncingobjcolumnlens.png'],
+  '3dscenes/compos1': ['bouncingobjcolumnlens.tga'],
   '3dscenes/lensflares': [
     'circle1.jpg','circle2.jpg','pentagon1.jpg','point1.jpg','point2.jpg','point3.jpg',
     'rays2_512.jpg','rays2.jpg','rays3_512.jpg','rays3.jpg','rays4_512.jpg','rays4.jpg',
     'ring1.jpg','ring2.jpg',
   ],
   'backgrounds': [
-    'bouncingobjbackground.png','bouncingobjcolumn.png','bouncingobjcolumnbgtext.png',
-    'bouncingobjcolumnclaim01.png','bouncingobjcolumnlens.png','bouncingobjcolumnthickline.png',
-    'bouncingobjwblur.jpg','elguitar1.png','elguitar2.png','elguitarinfbar.png',
-    'elguitarspiral.jpg','elguitarsupbar.png','greetsalphalayer.png',
-    'splinecolumn.png','splinecolumnarcs.png','splinecolumnicons.png',
-    'splinecolumnpolar.png','splinecolumntext.png',
+    'bouncingobjbackground.tga','bouncingobjcolumn.tga','bouncingobjcolumnbgtext.tga',
+    'bouncingobjcolumnclaim01.tga','bouncingobjcolumnlens.tga','bouncingobjcolumnthickline.tga',
+    'bouncingobjwblur.jpg','elguitar1.tga','elguitar2.tga','elguitarinfbar.tga',
+    'elguitarspiral.jpg','elguitarsupbar.tga','greetsalphalayer.tga',
+    'splinecolumn.tga','splinecolumnarcs.tga','splinecolumnicons.tga',
+    'splinecolumnpolar.tga','splinecolumntext.tga',
   ],
   'compos1': ['psycho1.jpg','psycho2.jpg','punksphere.jpg'],
-  'credits': ['code.png','gfx.png','logo.png','music.png','stravaganza.png','title.jpg'],
+  'credits': ['code.tga','gfx.tga','logo.tga','music.tga','stravaganza.tga','title.jpg'],
   'greets': [
-    'futile.png','greet01.png','greet02.png','greet03.png','greet04.png','greet05.png',
-    'greet06.png','greet07.png','greet08.png','greet09.png','greet10.png','greet11.png',
-    'greet12.png','greetings.png','odyssey.png','respect01.png','respect02.png',
-    'respect03.png','respect04.png','respect05.png','respect06.png','respect07.png',
-    'respects.png','stravaganza2001.png','surrender.png',
+    'futile.tga','greet01.tga','greet02.tga','greet03.tga','greet04.tga','greet05.tga',
+    'greet06.tga','greet07.tga','greet08.tga','greet09.tga','greet10.tga','greet11.tga',
+    'greet12.tga','greetings.tga','odyssey.tga','respect01.tga','respect02.tga',
+    'respect03.tga','respect04.tga','respect05.tga','respect06.tga','respect07.tga',
+    'respects.tga','stravaganza2001.tga','surrender.tga',
   ],
   'lensflare': [
     'circle1.jpg','circle2.jpg','pentagon1.jpg','point1.jpg','point2.jpg','point3.jpg',
@@ -56,18 +61,18 @@ const TEXTURE_DIRS = {
   ],
   'loading': ['loadbar.jpg','loading.jpg'],
   'lyrics': [
-    'es.jpg','esta.jpg','frase.png','interior.jpg','is.png','no.png',
-    'remorse.png','stravaganza.jpg','there.png','title.jpg','una.jpg',
+    'es.jpg','esta.jpg','frase.tga','interior.jpg','is.tga','no.tga',
+    'remorse.tga','stravaganza.jpg','there.tga','title.jpg','una.jpg',
   ],
   'particles': [
-    'fire.jpg','glowblack.png','gloworange.jpg','glowwhite.jpg',
+    'fire.jpg','glowblack.tga','gloworange.jpg','glowwhite.jpg',
     'particlefire.jpg','particlefirebig.jpg','smoke.jpg',
   ],
   'splines': [
     'circuitry.jpg','circuitry.spl','ithaqua.jpg','ithaqua.spl',
     'stravaganza.spl','tekno.jpg','tekno.spl','wonder.jpg','wonder.spl',
   ],
-  'viewports': ['viewportquad.png'],
+  'viewports': ['viewportquad.tga'],
 };
 
 // ─── Simple Orbit Controls ───────────────────────────────────────────────────
@@ -202,6 +207,9 @@ class PtaViewer {
     // State
     this.currentSceneId = null;
     this.currentPtaScene = null;
+    this.currentScenePath = null;
+    /** @type {import('../../shared/engine/ScenePatch.js').ScenePatch|null} Edited copy of the scene's patch */
+    this.scenePatch = null;
     this.orbitCamera = null;
     this.orbitControls = null;
     this.isPlaying = false;
@@ -239,14 +247,30 @@ class PtaViewer {
     this.closePreviewBtn = document.getElementById('close-preview');
   }
 
-  init() {
+  async init() {
     this._initEngine();
     this._buildLeftPanel();
     this._bindEvents();
     this._resizeCanvas();
     this._renderLoop();
-    this._setStatus('Ready. Select a scene from the left panel.');
+    this._setStatus('Ready. Select a scene from the left panel, or drop a .pta/.gltf/.glb file.');
     this.loopBtn.classList.add('active');
+
+    // Fetch only the loose scene patches the production lists, like the demo does
+    try {
+      const manifest = await loadProductionManifest('production.json');
+      this.assetManager.scenePatches = manifest.scenePatches;
+    } catch (err) {
+      console.warn(`Viewer: ${err.message}; looking for a patch next to every scene`);
+    }
+
+    // ?scene=<path>[&textures=<dir>] opens any scene under the root, e.g. a .glb
+    const params = new URLSearchParams(window.location.search);
+    const path = params.get('scene');
+    if (path) {
+      this._loadScene(SCENES.find(s => s.path === path) ??
+        { path, textureDir: params.get('textures'), label: path.replace(/^.*\/3dscenes\//, '') });
+    }
   }
 
   _initEngine() {
@@ -342,6 +366,14 @@ class PtaViewer {
   // ─── Events ────────────────────────────────────────────────────────────────
 
   _bindEvents() {
+    // Dropped files: PTA scenes load untextured, glTF with their embedded images
+    this.viewport.addEventListener('dragover', (e) => e.preventDefault());
+    this.viewport.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer.files[0];
+      if (file) this._loadDroppedFile(file);
+    });
+
     this.sceneSelect.addEventListener('change', () => {
       const path = this.sceneSelect.value;
       if (!path) return;
@@ -570,6 +602,22 @@ class PtaViewer {
           <div class="slider-row"><label class="axis-y">Y</label><input type="range" min="-180" max="180" step="0.5" value="${(euler.y * toDeg).toFixed(1)}" data-rot-axis="y"><span class="slider-val" data-rot-val="y">${(euler.y * toDeg).toFixed(1)}°</span></div>
           <div class="slider-row"><label class="axis-z">Z</label><input type="range" min="-180" max="180" step="0.5" value="${(euler.z * toDeg).toFixed(1)}" data-rot-axis="z"><span class="slider-val" data-rot-val="z">${(euler.z * toDeg).toFixed(1)}°</span></div>
         </div>
+        <div class="patch-controls">
+          <div class="slider-group-label">Scene patch</div>
+          <div class="patch-row">
+            <label>Side <select data-patch="side">
+              <option value="">material</option>
+              <option value="front">front</option>
+              <option value="back">back</option>
+              <option value="double">double</option>
+            </select></label>
+            <label><input type="checkbox" data-patch="visible"> Visible</label>
+          </div>
+          <div class="patch-row">
+            <button data-patch="transform" title="Record the slider transform in the patch">Patch transform</button>
+            <button data-patch="save" title="Download the scene's .patch.json">Save patch</button>
+          </div>
+        </div>
       </div>
     `;
 
@@ -640,43 +688,89 @@ class PtaViewer {
     for (const slider of allSliders) {
       slider.addEventListener('input', onSliderChange);
     }
+
+    // Scene patch controls
+    const objectPatch = this.scenePatch?.objects[name] ?? {};
+    const sideSelect = panel.querySelector('[data-patch="side"]');
+    const visibleCheck = panel.querySelector('[data-patch="visible"]');
+    sideSelect.value = objectPatch.side ?? '';
+    visibleCheck.checked = objectPatch.visible ?? true;
+    sideSelect.addEventListener('change', () => {
+      this._patchObject(name, { side: sideSelect.value || undefined });
+      this._renderCurrentScene();
+    });
+    visibleCheck.addEventListener('change', () => {
+      this._patchObject(name, { visible: visibleCheck.checked ? undefined : false });
+      this._renderCurrentScene();
+    });
+    panel.querySelector('[data-patch="transform"]').addEventListener('click', () => this._patchTransform(name));
+    panel.querySelector('[data-patch="save"]').addEventListener('click', () => this._savePatch());
   }
 
-  // ─── Position Overrides (for investigation) ────────────────────────────────
+  // ─── Scene Patch Authoring ─────────────────────────────────────────────────
 
   /**
-   * Apply hardcoded position overrides for specific objects.
-   * Used to investigate transform discrepancies between C++ and JS.
+   * Merge changes into an object's entry of the scene patch and apply it to
+   * the loaded scene (see shared/engine/ScenePatch.js).
+   * @param {string} name - Object name
+   * @param {Object} changes - position/rotation/side/visible properties; undefined removes one
    */
-  _applyPositionOverrides(managed, sceneEntry) {
-    // sala scene: Box01-04 position corrections
-    // The .pta file stores identical positions (0, 10, 34.68) for all 4 boxes,
-    // but in the C++ demo they appear at different positions.
-    if (sceneEntry.label === 'city/sala') {
-      const overrides = {
-        'Box01': { x: 0, y: -10 },    // Move down in Y
-        'Box02': { x: 20, y: 10 },    // Move right in X
-        'Box03': { x: 0, y: 30 },     // Move up in Y
-        'Box04': { x: -20 },          // Move left in X
-      };
-
-      for (const [name, pos] of Object.entries(overrides)) {
-        const entry = managed.meshes.get(name);
-        if (!entry) continue;
-
-        const e = entry.data.transformMatrix.elements;
-        // Update position in the stored transformMatrix
-        if (pos.x !== undefined) e[12] = pos.x;
-        if (pos.y !== undefined) e[13] = pos.y;
-        if (pos.z !== undefined) e[14] = pos.z;
-
-        // Also update the mesh matrix immediately
-        entry.mesh.matrix.copy(entry.data.transformMatrix);
-        entry.mesh.matrixWorldNeedsUpdate = true;
-
-        console.log(`[Override] ${name}: pos=(${e[12].toFixed(1)}, ${e[13].toFixed(1)}, ${e[14].toFixed(1)})`);
-      }
+  _patchObject(name, changes) {
+    const managed = this.sceneManager.getScene(this.currentSceneId);
+    if (!managed) return;
+    const objectPatch = { ...this.scenePatch.objects[name], ...changes };
+    for (const key of Object.keys(objectPatch)) {
+      if (objectPatch[key] === undefined) delete objectPatch[key];
     }
+    if (Object.keys(objectPatch).length > 0) this.scenePatch.objects[name] = objectPatch;
+    else delete this.scenePatch.objects[name];
+    applyScenePatch(managed, { objects: { [name]: objectPatch } });
+    this._setStatus(`Patched ${name} (save the patch to keep it)`);
+  }
+
+  /**
+   * Record the transform panel's slider delta as the object's patched
+   * position and rotation, then start the sliders over from the result.
+   * @param {string} name
+   */
+  _patchTransform(name) {
+    const managed = this.sceneManager.getScene(this.currentSceneId);
+    const entry = managed?.meshes.get(name);
+    if (!entry || !this._transformOverride) return;
+    const { deltaQuat, deltaPos } = this._transformOverride;
+
+    const position = new THREE.Vector3().setFromMatrixPosition(entry.data.transformMatrix).add(deltaPos);
+    const toRad = Math.PI / 180;
+    const previous = this.scenePatch.objects[name]?.rotation ?? [0, 0, 0];
+    const quat = new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(previous[0] * toRad, previous[1] * toRad, previous[2] * toRad, 'XYZ')
+    ).premultiply(deltaQuat);
+    const euler = new THREE.Euler().setFromQuaternion(quat, 'XYZ');
+    const round = (v, digits) => Number(v.toFixed(digits));
+
+    const rotation = euler.toArray().slice(0, 3).map(v => round(v / toRad, 2));
+    this._patchObject(name, {
+      position: position.toArray().map(v => round(v, 4)),
+      rotation: rotation.some(v => v !== 0) ? rotation : undefined,
+    });
+
+    this._transformOverride = null;
+    this._renderCurrentScene();
+    this._showTransformPanel(entry.mesh, name);
+  }
+
+  /**
+   * Download the edited patch as <scene>.patch.json, to be saved next to the scene file.
+   */
+  _savePatch() {
+    if (!this.scenePatch) return;
+    const blob = new Blob([JSON.stringify(this.scenePatch, null, 2) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = scenePatchPath(this.currentScenePath).split('/').pop();
+    link.click();
+    // Revoking right away can cancel the download before the browser has started it
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
   }
 
   // ─── Scene Loading ─────────────────────────────────────────────────────────
@@ -694,12 +788,16 @@ class PtaViewer {
     }
 
     try {
-      // 1. Load PTA scene
-      const ptaScene = await this.assetManager.loadPtaScene(sceneEntry.path);
+      // 1. Load PTA (or glTF) scene
+      const ptaScene = sceneEntry.ptaScene ?? await this.assetManager.loadPtaScene(sceneEntry.path);
       this.currentPtaScene = ptaScene;
+      this.currentScenePath = sceneEntry.path;
+      this.scenePatch = structuredClone(ptaScene.patch ?? { comment: '', objects: {} });
 
       // 2. Load textures
-      const textures = await this.assetManager.loadSceneTextures(ptaScene, sceneEntry.textureDir);
+      const textures = sceneEntry.textureDir || ptaScene.gltfImages
+        ? await this.assetManager.loadSceneTextures(ptaScene, sceneEntry.textureDir)
+        : new Map();
 
       // 3. Build Three.js scene
       const sceneId = sceneEntry.path;
@@ -707,8 +805,7 @@ class PtaViewer {
       const managed = this.sceneManager.buildScene(sceneId, ptaScene, textures);
 
       // 4. Load lens flares and particles
-      await this.sceneManager.loadSceneLensFlares(sceneId, (path) => this.assetManager.loadTextureByPath(path));
-      await this.sceneManager.loadSceneParticles(sceneId, (path) => this.assetManager.loadTextureByPath(path));
+      await this.sceneManager.loadSceneHelperEffects(sceneId, (path) => this.assetManager.loadTextureByPath(path));
 
       // 5. Setup animation range
       this.animStart = ptaScene.animStartTime || 0;
@@ -728,10 +825,7 @@ class PtaViewer {
       // 8. Populate info panel
       this._populateInfoPanel(ptaScene, managed);
 
-      // 9. Apply position overrides for investigation
-      this._applyPositionOverrides(managed, sceneEntry);
-
-      // 10. Initial render
+      // 9. Initial render
       this._renderCurrentScene();
       this._setStatus(`Loaded: ${sceneEntry.label}`);
 
@@ -741,6 +835,18 @@ class PtaViewer {
     }
   }
 
+  async _loadDroppedFile(file) {
+    try {
+      const buffer = await file.arrayBuffer();
+      const ptaScene = isGltfPath(file.name) ? await parseGltfFile(buffer) : parsePtaFile(buffer);
+      ptaScene.sourcePath = file.name;
+      await this._loadScene({ path: file.name, label: file.name, ptaScene });
+    } catch (err) {
+      console.error('Failed to load dropped file:', err);
+      this._setStatus(`Error loading ${file.name}: ${err.message}`);
+    }
+  }
+
   _cleanupScene() {
     if (!this.currentSceneId) return;
     this._deselectObject();
@@ -942,8 +1048,8 @@ class PtaViewer {
 
   // ─── Texture Preview ──────────────────────────────────────────────────────
 
-  _showTexturePreview(path, filename) {
-    this.previewImg.src = path;
+  async _showTexturePreview(path, filename) {
+    this.previewImg.src = path.toLowerCase().endsWith('.tga') ? await this._tgaDataUrl(path) : path;
     this.previewImg.onload = () => {
       const w = this.previewImg.naturalWidth;
       const h = this.previewImg.naturalHeight;
@@ -953,6 +1059,29 @@ class PtaViewer {
     this.texturePreview.classList.add('visible');
   }
 
+  /**
+   * Browsers cannot display TGA, so decode it and hand the <img> a PNG data URL.
+   * @param {string} path
+   * @returns {Promise<string>}
+   */
+  async _tgaDataUrl(path) {
+    const response = await fetch(path);
+    const tga = decodeTga(await response.arrayBuffer());
+    const canvas = document.createElement('canvas');
+    canvas.width = tga.width;
+    canvas.height = tga.height;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(tga.width, tga.height);
+    // Decoded rows are bottom-up (GL order); canvas rows are top-down
+    const rowBytes = tga.width * 4;
+    for (let y = 0; y < tga.height; y++) {
+      const src = (tga.height - 1 - y) * rowBytes;
+      imageData.data.set(tga.data.subarray(src, src + rowBytes), y * rowBytes);
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas.toDataURL('image/png');
+  }
+
   // ─── Info Panel ────────────────────────────────────────────────────────────
 
   _populateInfoPanel(ptaScene, managed) {
@@ -6,7 +6,12 @@
  * Interactive: click/drag progress bar to seek, click play/pause button.
  */
 export class DebugOverlay {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.videoUrl] - Reference capture shown by toggleVideo()
+   */
+  constructor(options = {}) {
+    this.videoUrl = options.videoUrl ?? null;
     this.canvas = document.createElement('canvas');
     this.ctx = this.canvas.getContext('2d');
     this.visible = false;
@@ -38,6 +43,14 @@ export class DebugOverlay {
     // Current time for copy-link
     this._currentTimeMs = 0;
 
+    // Script diagnostics (set via setDiagnostics); toggled in place of the effect rows
+    this._diagnostics = [];
+    this._showDiagnostics = false;
+    this._diagBtnRect = { x: 0, y: 0, w: 0, h: 0 };
+
+    /** @type {import('../engine/TempoMap.js').TempoMap|null} shows bar:beat:tick in the header */
+    this._tempo = null;
+
     // Reference video overlay
     this._videoOverlay = this._createVideoOverlay();
 
@@ -88,7 +101,7 @@ export class DebugOverlay {
       const pos = this._canvasPos(e);
       if (this._hitPlayhead(pos)) {
         this.canvas.style.cursor = 'ew-resize';
-      } else if (this._hitTimeline(pos) || this._hitPlayBtn(pos) || this._hitFilterBtn(pos) || this._hitCopyBtn(pos) || this._hitLabel(pos) >= 0) {
+      } else if (this._hitTimeline(pos) || this._hitPlayBtn(pos) || this._hitFilterBtn(pos) || this._hitCopyBtn(pos) || this._hitDiagBtn(pos) || this._hitLabel(pos) >= 0) {
         this.canvas.style.cursor = 'pointer';
       } else {
         this.canvas.style.cursor = 'default';
@@ -147,6 +160,29 @@ export class DebugOverlay {
     return r.w > 0 && pos.x >= r.x && pos.x <= r.x + r.w && pos.y >= r.y && pos.y <= r.y + r.h;
   }
 
+  _hitDiagBtn(pos) {
+    const r = this._diagBtnRect;
+    return r.w > 0 && pos.x >= r.x && pos.x <= r.x + r.w && pos.y >= r.y && pos.y <= r.y + r.h;
+  }
+
+  /**
+   * @param {import('../engine/TempoMap.js').TempoMap|null} tempo
+   */
+  setTempoMap(tempo) {
+    this._tempo = tempo;
+  }
+
+  /**
+   * Set the script diagnostics listed by the overlay.
+   * Errors open the diagnostics view automatically.
+   * @param {Array<import('../engine/ScriptParser.js').ScriptDiagnostic>} diagnostics
+   */
+  setDiagnostics(diagnostics) {
+    this._diagnostics = diagnostics || [];
+    this._showDiagnostics = this._diagnostics.some(d => d.severity === 'error');
+    this.scrollY = 0;
+  }
+
   _seekFromX(px) {
     const r = this._progRect;
     const frac = Math.max(0, Math.min(1, (px - r.x) / r.w));
@@ -166,6 +202,9 @@ export class DebugOverlay {
     const pos = this._canvasPos(e);
     if (this._hitCopyBtn(pos)) {
       this._copyTimeLink();
+    } else if (this._hitDiagBtn(pos)) {
+      this._showDiagnostics = !this._showDiagnostics;
+      this.scrollY = 0;
     } else if (this._hitTimeline(pos)) {
       this._dragging = true;
       this._wasPlayingBeforeDrag = this._isPlaying;
@@ -237,11 +276,8 @@ export class DebugOverlay {
     video.style.cssText = 'width: 100%; height: 100%; display: block; object-fit: contain;';
     wrapper.appendChild(video);
 
-    // Load video as blob URL so seeking works without HTTP range request support
-    fetch('odyssey.mp4')
-      .then(r => r.blob())
-      .then(blob => { video.src = URL.createObjectURL(blob); })
-      .catch(() => { video.src = 'odyssey.mp4'; /* fallback */ });
+    this._videoEl = video;
+    if (this.videoUrl) this._loadVideo(this.videoUrl);
 
     // Resize handle (bottom-right corner)
     const resizeHandle = document.createElement('div');
@@ -373,6 +409,25 @@ export class DebugOverlay {
     this.hideVideo();
   }
 
+  /**
+   * Change the reference video (e.g. once the production manifest is loaded).
+   * @param {string} url
+   */
+  setVideoUrl(url) {
+    if (!url || url === this.videoUrl) return;
+    this.videoUrl = url;
+    this._loadVideo(url);
+  }
+
+  _loadVideo(url) {
+    const video = this._videoEl;
+    // Load video as blob URL so seeking works without HTTP range request support
+    fetch(url)
+      .then(r => r.blob())
+      .then(blob => { if (this.videoUrl === url) video.src = URL.createObjectURL(blob); })
+      .catch(() => { if (this.videoUrl === url) video.src = url; /* fallback */ });
+  }
+
   toggleVideo() {
     if (this._videoVisible) this.hideVideo();
     else this.showVideo();
@@ -470,7 +525,8 @@ export class DebugOverlay {
 
     // Header text (offset to right of button)
     ctx.fillStyle = '#aaa';
-    const headerText = `FPS: ${fps}  |  ${(timeMs / 1000).toFixed(1)}s / ${(duration / 1000).toFixed(1)}s  |  ${activeCount} active  |  ${sorted.length} total`;
+    const musicalTime = this._tempo ? ` (${this._tempo.format(timeMs)})` : '';
+    const headerText = `FPS: ${fps}  |  ${(timeMs / 1000).toFixed(1)}s${musicalTime} / ${(duration / 1000).toFixed(1)}s  |  ${activeCount} active  |  ${sorted.length} total`;
     const headerTextX = btnX + btnSize + 8;
     ctx.fillText(headerText, headerTextX, HEADER_H - 8);
 
@@ -498,6 +554,22 @@ export class DebugOverlay {
     ctx.fillStyle = isCopied ? '#0f0' : '#888';
     ctx.fillText(copyLabel, copyX + 4, filterY + filterH - 3);
 
+    // Script diagnostics button (only when the script has problems)
+    const diags = this._diagnostics;
+    const numErrors = diags.filter(d => d.severity === 'error').length;
+    if (diags.length > 0) {
+      const diagLabel = `Script: ${numErrors}E ${diags.length - numErrors}W`;
+      const diagX = copyX + copyW + 8;
+      const diagW = ctx.measureText(diagLabel).width + 8;
+      this._diagBtnRect = { x: diagX, y: filterY, w: diagW, h: filterH };
+      ctx.fillStyle = this._showDiagnostics ? (numErrors > 0 ? '#a00' : '#a60') : '#333';
+      ctx.fillRect(diagX, filterY, diagW, filterH);
+      ctx.fillStyle = this._showDiagnostics ? '#fff' : (numErrors > 0 ? '#f66' : '#fc6');
+      ctx.fillText(diagLabel, diagX + 4, filterY + filterH - 3);
+    } else {
+      this._diagBtnRect = { x: 0, y: 0, w: 0, h: 0 };
+    }
+
     // --- Progress bar (aligned with effect bars) ---
     const progY = HEADER_H;
     const progX = BAR_X;
@@ -523,6 +595,12 @@ export class DebugOverlay {
 
     // --- Effect rows ---
     const rowsY = HEADER_H + PROGRESS_H + 4;
+    if (this._showDiagnostics && diags.length > 0) {
+      this._displayedEffects = [];
+      this._rowsY = rowsY;
+      this._drawDiagnostics(rowsY, ROW_H, W, H);
+      return;
+    }
     const displayed = this._showActiveOnly
       ? sorted.filter(e => timeMs >= e.startTime && timeMs <= e.endTime)
       : sorted;
@@ -593,4 +671,30 @@ export class DebugOverlay {
     ctx.lineWidth = 1;
     ctx.stroke();
   }
+
+  /**
+   * Draw the script diagnostics list in place of the effect rows.
+   */
+  _drawDiagnostics(rowsY, rowH, W, H) {
+    const ctx = this.ctx;
+    const diags = this._diagnostics;
+    const maxScroll = Math.max(0, diags.length * rowH - (H - rowsY));
+    this.scrollY = Math.min(this.scrollY, maxScroll);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, rowsY, W, H - rowsY);
+    ctx.clip();
+
+    for (let i = 0; i < diags.length; i++) {
+      const d = diags[i];
+      const y = rowsY + i * rowH - this.scrollY;
+      if (y + rowH < rowsY || y > H) continue; // off-screen
+
+      ctx.fillStyle = d.severity === 'error' ? '#f66' : '#fc6';
+      ctx.fillText(`${d.line}:${d.column}`.padEnd(8) + d.severity.padEnd(8) + d.message, 4, y + rowH - 3);
+    }
+
+    ctx.restore();
+  }
 }
@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+
+/**
+ * Animation System - Keyframe interpolation matching PTA engine.
+ *
+ * Implements:
+ * - LERP for position/scale
+ * - SLERP for quaternion rotation
+ * - Key lookup with constant time delta (sampled exports) or binary search
+ * - getTMatrix() composition: initial axes + animated keys
+ * - Camera pose (rotation keys or target lookAt)
+ */
+
+const EPSILON = 0.001;
+
+/**
+ * Linear interpolation.
+ */
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Per-track lookup state: whether the keys are evenly spaced, the last
+ * interval found and the time it was found for (a node is often evaluated
+ * more than once per frame). Keyed by the keys array; length and end times
+ * detect edits.
+ * @type {WeakMap<Array, {length: number, t0: number, t1: number, constant: boolean, cursor: number,
+ *   lastT: number, lastCt: number}>}
+ */
+const trackCache = new WeakMap();
+
+function getTrackInfo(keys) {
+  const n = keys.length;
+  let info = trackCache.get(keys);
+  if (info && info.length === n && info.t0 === keys[0].t && info.t1 === keys[n - 1].t) return info;
+
+  // 3ds Max exports sample at a fixed rate; allow for float32 rounding of the times
+  const msPerTick = keys[1].t - keys[0].t;
+  const tolerance = Math.max(EPSILON, msPerTick * EPSILON);
+  let constant = msPerTick > 0;
+  for (let i = 2; constant && i < n; i++) {
+    constant = Math.abs(keys[i].t - keys[i - 1].t - msPerTick) <= tolerance;
+  }
+  info = { length: n, t0: keys[0].t, t1: keys[n - 1].t, constant, cursor: 0, lastT: NaN, lastCt: 0 };
+  trackCache.set(keys, info);
+  return info;
+}
+
+/**
+ * Find the key pair around time t.
+ *
+ * Evenly spaced keys use PTA's constant-delta index; anything else is looked
+ * up from the track's last interval, then its successor, then by binary search.
+ * Times outside the keys clamp to the first or last key (ct 0 or 1).
+ *
+ * @param {Array<{t: number}>} keys - At least two keys, sorted by time
+ * @param {number} t - Time in ms
+ * @param {{index: number, ct: number}} [out]
+ * @returns {{index: number, ct: number}} keys[index] and keys[index + 1], blend factor ct
+ */
+export function findKeyInterval(keys, t, out = { index: 0, ct: 0 }) {
+  const last = keys.length - 1;
+  if (t <= keys[0].t) {
+    out.index = 0;
+    out.ct = 0;
+    return out;
+  }
+  if (t >= keys[last].t) {
+    out.index = last - 1;
+    out.ct = 1;
+    return out;
+  }
+
+  const info = getTrackInfo(keys);
+  if (t === info.lastT) {
+    out.index = info.cursor;
+    out.ct = info.lastCt;
+    return out;
+  }
+
+  let index;
+  let ct;
+  if (info.constant) {
+    const msPerTick = keys[1].t - keys[0].t;
+    index = Math.floor((t - keys[0].t) / msPerTick);
+    index = Math.max(0, Math.min(index, last - 1));
+    ct = Math.max(0, Math.min(1, (t - keys[index].t) / msPerTick));
+  } else {
+    index = findVariableInterval(keys, t, info.cursor);
+    ct = (t - keys[index].t) / (keys[index + 1].t - keys[index].t);
+  }
+
+  info.cursor = index;
+  info.lastT = t;
+  info.lastCt = ct;
+  out.index = index;
+  out.ct = ct;
+  return out;
+}
+
+/**
+ * Index of the last key at or before t, trying the cursor and its successor
+ * before a binary search. keys[0].t < t < keys[last].t.
+ */
+function findVariableInterval(keys, t, cursor) {
+  const last = keys.length - 1;
+  if (keys[cursor].t <= t && t < keys[cursor + 1].t) return cursor;
+  if (cursor + 2 <= last && keys[cursor + 1].t <= t && t < keys[cursor + 2].t) return cursor + 1;
+
+  let lo = 0;
+  let hi = last;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (keys[mid].t <= t) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Scratch result shared by the interpolators below
+const interval = { index: 0, ct: 0 };
+
+/**
+ * Interpolate a position key at time t.
+ * @param {Array<{t: number, pos: THREE.Vector3}>} keys
+ * @param {number} t - Time in ms
+ * @param {THREE.Vector3} [target] - Receives the result (a new vector by default)
+ * @returns {THREE.Vector3}
+ */
+export function interpolatePosition(keys, t, target = new THREE.Vector3()) {
+  if (!keys || keys.length === 0) return target.set(0, 0, 0);
+  if (keys.length === 1) return target.copy(keys[0].pos);
+
+  // Clamp to range
+  if (t <= keys[0].t) return target.copy(keys[0].pos);
+  if (t >= keys[keys.length - 1].t) return target.copy(keys[keys.length - 1].pos);
+
+  const { index, ct } = findKeyInterval(keys, t, interval);
+  const key0 = keys[index];
+  const key1 = keys[index + 1];
+
+  return target.set(
+    lerp(key0.pos.x, key1.pos.x, ct),
+    lerp(key0.pos.y, key1.pos.y, ct),
+    lerp(key0.pos.z, key1.pos.z, ct)
+  );
+}
+
+/**
+ * Interpolate a scale key at time t.
+ * @param {Array<{t: number, scale: THREE.Vector3, axes: THREE.Quaternion}>} keys
+ * @param {number} t
+ * @param {{scale: THREE.Vector3, axes: THREE.Quaternion}} [target] - Receives the result
+ * @returns {{scale: THREE.Vector3, axes: THREE.Quaternion}}
+ */
+export function interpolateScale(keys, t, target = { scale: new THREE.Vector3(), axes: new THREE.Quaternion() }) {
+  if (!keys || keys.length === 0) {
+    target.scale.set(1, 1, 1);
+    target.axes.identity();
+    return target;
+  }
+
+  let key = null;
+  if (keys.length === 1 || t <= keys[0].t) key = keys[0];
+  else if (t >= keys[keys.length - 1].t) key = keys[keys.length - 1];
+  if (key) {
+    target.scale.copy(key.scale);
+    target.axes.copy(key.axes);
+    return target;
+  }
+
+  const { index, ct } = findKeyInterval(keys, t, interval);
+  const key0 = keys[index];
+  const key1 = keys[index + 1];
+
+  // LERP scale
+  target.scale.set(
+    lerp(key0.scale.x, key1.scale.x, ct),
+    lerp(key0.scale.y, key1.scale.y, ct),
+    lerp(key0.scale.z, key1.scale.z, ct)
+  );
+
+  // SLERP axes quaternion
+  target.axes.copy(key0.axes).slerp(key1.axes, ct);
+
+  return target;
+}
+
+/**
+ * Interpolate a rotation key at time t using SLERP.
+ * @param {Array<{t: number, quat: THREE.Quaternion}>} keys
+ * @param {number} t
+ * @param {THREE.Quaternion} [target] - Receives the result (a new quaternion by default)
+ * @returns {THREE.Quaternion}
+ */
+export function interpolateRotation(keys, t, target = new THREE.Quaternion()) {
+  if (!keys || keys.length === 0) return target.identity();
+  if (keys.length === 1) return target.copy(keys[0].quat);
+
+  if (t <= keys[0].t) return target.copy(keys[0].quat);
+  if (t >= keys[keys.length - 1].t) return target.copy(keys[keys.length - 1].quat);
+
+  const { index, ct } = findKeyInterval(keys, t, interval);
+  return target.copy(keys[index].quat).slerp(keys[index + 1].quat, ct);
+}
+
+/**
+ * Interpolate camera settings at time t.
+ * @param {Array<{t: number, near: number, far: number, fov: number}>} keys
+ * @param {number} t
+ * @param {{near: number, far: number, fov: number}} defaults
+ * @param {{near: number, far: number, fov: number}} [target] - Receives the result
+ * @returns {{near: number, far: number, fov: number}}
+ */
+export function interpolateCameraSettings(keys, t, defaults, target = {}) {
+  let key = null;
+  if (!keys || keys.length === 0) key = defaults;
+  else if (keys.length === 1 || t <= keys[0].t) key = keys[0];
+  else if (t >= keys[keys.length - 1].t) key = keys[keys.length - 1];
+  if (key) {
+    target.near = key.near;
+    target.far = key.far;
+    target.fov = key.fov;
+    return target;
+  }
+
+  const { index, ct } = findKeyInterval(keys, t, interval);
+  const key0 = keys[index];
+  const key1 = keys[index + 1];
+
+  target.near = lerp(key0.near, key1.near, ct);
+  target.far = lerp(key0.far, key1.far, ct);
+  target.fov = lerp(key0.fov, key1.fov, ct);
+  return target;
+}
+
+/**
+ * Decompose a PTA matrix using PTA's row-based convention.
+ *
+ * PTA extracts scale from ROW vector lengths and builds rotation
+ * by normalizing rows. This differs from Three.js decompose() which
+ * uses column vectors. For matrices with shear (non-orthogonal axes),
+ * using PTA's convention is essential to match C++ behaviour.
+ *
+ * Three.js stores column-major: elements[0..2] = column 0.
+ * PTA M[row][col] maps to Three.js as:
+ *   PTA Row 0 = elements[0], elements[4], elements[8]
+ *   PTA Row 1 = elements[1], elements[5], elements[9]
+ *   PTA Row 2 = elements[2], elements[6], elements[10]
+ *   Position  = elements[12], elements[13], elements[14]
+ *
+ * @param {THREE.Matrix4} axes
+ * @param {{pos: THREE.Vector3, scale: THREE.Vector3, rotMatrix: THREE.Matrix4}} [target] - Receives the result
+ * @returns {{pos: THREE.Vector3, scale: THREE.Vector3, rotMatrix: THREE.Matrix4}}
+ */
+export function ptaDecompose(axes, target = {
+  pos: new THREE.Vector3(),
+  scale: new THREE.Vector3(),
+  rotMatrix: new THREE.Matrix4(),
+}) {
+  const e = axes.elements;
+
+  // PTA rows (3x3 upper-left in PTA's M[row][col] layout)
+  const r0x = e[0], r0y = e[4], r0z = e[8];
+  const r1x = e[1], r1y = e[5], r1z = e[9];
+  const r2x = e[2], r2y = e[6], r2z = e[10];
+
+  // Scale = row vector lengths (PTA getScaleValues)
+  const sx = Math.sqrt(r0x * r0x + r0y * r0y + r0z * r0z);
+  const sy = Math.sqrt(r1x * r1x + r1y * r1y + r1z * r1z);
+  const sz = Math.sqrt(r2x * r2x + r2y * r2y + r2z * r2z);
+
+  // Rotation = normalized rows (PTA removeScale + removePos)
+  const isx = sx > 0 ? 1 / sx : 0;
+  const isy = sy > 0 ? 1 / sy : 0;
+  const isz = sz > 0 ? 1 / sz : 0;
+
+  // Build rotation matrix with normalized PTA rows, zero translation
+  // Three.js set() takes row-major args: set(n11,n12,n13,n14, n21,...n44)
+  // PTA Row 0 normalized → Three.js row 1 of set() args
+  target.rotMatrix.set(
+    r0x * isx, r0y * isx, r0z * isx, 0,
+    r1x * isy, r1y * isy, r1z * isy, 0,
+    r2x * isz, r2y * isz, r2z * isz, 0,
+    0, 0, 0, 1
+  );
+
+  // Position = PTA column 3: M[0][3], M[1][3], M[2][3]
+  target.pos.set(e[12], e[13], e[14]);
+  target.scale.set(sx, sy, sz);
+  return target;
+}
+
+// Scratch objects for getTransformMatrix() and getCameraPose(), which run per
+// node per frame and must not allocate
+const _axes = { pos: new THREE.Vector3(), scale: new THREE.Vector3(), rotMatrix: new THREE.Matrix4() };
+const _sclKey = { scale: new THREE.Vector3(), axes: new THREE.Quaternion() };
+const _rotQuat = new THREE.Quaternion();
+const _posKey = new THREE.Vector3();
+const _sAxesMat = new THREE.Matrix4();
+const _sAxesInv = new THREE.Matrix4();
+const _diagS = new THREE.Matrix4();
+const _stepMatrix = new THREE.Matrix4();
+const _identity = new THREE.Matrix4();
+const _poseMatrix = new THREE.Matrix4();
+const _poseScale = new THREE.Vector3();
+const _targetPos = new THREE.Vector3();
+const _initPos = new THREE.Vector3();
+const _initQuat = new THREE.Quaternion();
+const _up = new THREE.Vector3();
+const _targetAnimation = { posKeys: null, sclKeys: null, rotKeys: null };
+
+/**
+ * Compose a transformation matrix from initial axes + animated keys.
+ * Matches PTA's pta3DAnimation::getTMatrix() exactly:
+ *
+ *   retMatrix = Identity
+ *   retMatrix.scale(axes.getScaleValues())          — PTA row-based scale
+ *   retMatrix.scale(animScl, animSclAxes)           — oriented animated scale
+ *   retMatrix = axes.getRotValues() * retMatrix     — left-multiply initial rotation
+ *   retMatrix.rotate(animRot)                       — left-multiply animated rotation
+ *   retMatrix.translate(axes.getPosValues())         — left-multiply initial translation
+ *   retMatrix.translate(animPos)                     — left-multiply animated translation
+ *
+ * @param {number} t - Time in ms
+ * @param {{posKeys: Array, sclKeys: Array, rotKeys: Array}} animation
+ * @param {THREE.Matrix4} initialAxes - The initial world transformation matrix
+ * @param {THREE.Matrix4} [target] - Receives the result (a new matrix by default; may be initialAxes)
+ * @returns {THREE.Matrix4}
+ */
+export function getTransformMatrix(t, animation, initialAxes, target = new THREE.Matrix4()) {
+  const axes = initialAxes || _identity;
+
+  // Decompose using PTA's row-based convention
+  const { pos: axesPos, scale: axesScale, rotMatrix: axesRot } = ptaDecompose(axes, _axes);
+
+  // Follow exact C++ getTMatrix() step order:
+  // 1. retMatrix = Identity
+  // 2. retMatrix.scale(axesScale)           → retMatrix = diag(axesScale)
+  // 3. retMatrix.scale(animScl, sAxes)      → retMatrix = buildScale * diag(axesScale)
+  // 4. retMatrix = axesRot * retMatrix       → left-multiply initial rotation
+  // 5. retMatrix.rotate(animRot)            → left-multiply animated rotation
+  // 6. retMatrix.translate(axesPos)          → left-multiply initial translation
+  // 7. retMatrix.translate(animPos)          → left-multiply animated translation
+
+  // Step 1-2: Start with initial scale (diagonal)
+  const result = target.makeScale(axesScale.x, axesScale.y, axesScale.z);
+
+  // Step 3: Animated scale (oriented along sclKey.axes quaternion)
+  if (animation.sclKeys && animation.sclKeys.length > 0) {
+    const sclKey = interpolateScale(animation.sclKeys, t, _sclKey);
+    // PTA buildScale: sAxes * diag(S) * inv(sAxes)
+    // Then addTransform (left-multiply): result = scaleMatrix * result
+    _sAxesMat.makeRotationFromQuaternion(sclKey.axes);
+    _sAxesInv.copy(_sAxesMat).invert();
+    _diagS.makeScale(sclKey.scale.x, sclKey.scale.y, sclKey.scale.z);
+    result.premultiply(_stepMatrix.copy(_sAxesMat).multiply(_diagS).multiply(_sAxesInv));
+  }
+
+  // Step 4: Initial rotation (left-multiply)
+  result.premultiply(axesRot);
+
+  // Step 5: Animated rotation
+  if (animation.rotKeys && animation.rotKeys.length > 0) {
+    const rotQuat = interpolateRotation(animation.rotKeys, t, _rotQuat);
+    result.premultiply(_stepMatrix.makeRotationFromQuaternion(rotQuat));
+  }
+
+  // Step 6: Initial axes translation
+  result.premultiply(_stepMatrix.makeTranslation(axesPos.x, axesPos.y, axesPos.z));
+
+  // Step 7: Animated translation
+  if (animation.posKeys && animation.posKeys.length > 0) {
+    const posKey = interpolatePosition(animation.posKeys, t, _posKey);
+    result.premultiply(_stepMatrix.makeTranslation(posKey.x, posKey.y, posKey.z));
+  }
+
+  return result;
+}
+
+/**
+ * Position and orientation of a PTA camera at time t.
+ *
+ * PTA uses originTM.getInvTransform() as the view matrix. With rotation keys
+ * the orientation is baked in by 3DS Max (preserving roll); target cameras
+ * without them look at the (animated) target, using the initial up vector to
+ * preserve roll; free cameras keep their initial orientation.
+ *
+ * @param {number} t - Time in ms
+ * @param {Object} camData - Camera from PtaScene.cameras
+ * @param {THREE.Vector3} position - Receives the camera position
+ * @param {THREE.Quaternion} quaternion - Receives the camera orientation
+ */
+export function getCameraPose(t, camData, position, quaternion) {
+  getTransformMatrix(t, camData, camData.originMatrix, _poseMatrix).decompose(position, quaternion, _poseScale);
+
+  const hasRotKeys = camData.rotKeys && camData.rotKeys.length > 0;
+  if (hasRotKeys || camData.type !== 2) return;
+
+  if (camData.targetPosKeys && camData.targetPosKeys.length > 0) {
+    _targetAnimation.posKeys = camData.targetPosKeys;
+    _targetAnimation.sclKeys = camData.targetSclKeys;
+    _targetAnimation.rotKeys = camData.targetRotKeys;
+    _targetPos.setFromMatrixPosition(getTransformMatrix(t, _targetAnimation, camData.targetMatrix, _poseMatrix));
+  } else if (camData.targetMatrix) {
+    _targetPos.setFromMatrixPosition(camData.targetMatrix);
+  } else {
+    return;
+  }
+
+  // Same as Object3D.lookAt() for cameras
+  camData.originMatrix.decompose(_initPos, _initQuat, _poseScale);
+  _up.set(0, 1, 0).applyQuaternion(_initQuat);
+  quaternion.setFromRotationMatrix(_poseMatrix.lookAt(position, _targetPos, _up));
+}
@@ -0,0 +1,469 @@
+import * as THREE from 'three';
+import { loadPtaFile, parsePtaFile } from './PtaFileLoader.js';
+import { isGltfPath, loadGltfFile, parseGltfFile } from './GltfSceneLoader.js';
+import { loadSplineFile, parseSplineFile } from './PtaSplineLoader.js';
+import { PtaPackFile, normalizePackPath } from './PtaPackFile.js';
+import { normalizeScenePatch, scenePatchPath } from './ScenePatch.js';
+import { decodeTga } from '../utils/TgaDecoder.js';
+
+/**
+ * AssetManager - Manages loading and caching of textures, scenes, and images.
+ *
+ * Packfiles are only used when the manifest names one (defaultPackFile). Loaders
+ * then take the packfile named by the script (packfile="demo.dat"), or
+ * defaultPackFile when not given one. Assets are read from that archive when it
+ * contains them, otherwise from the loose files under basePath.
+ */
+export class AssetManager {
+  constructor(renderer) {
+    this.renderer = renderer;
+    /** @type {Map<string, THREE.Texture>} */
+    this.textures = new Map();
+    /** @type {Map<string, import('./PtaFileLoader.js').PtaScene>} */
+    this.ptaScenes = new Map();
+    /** @type {Map<string, THREE.Texture>} */
+    this.images = new Map();
+    /** @type {Map<string, Array<Array<{x: number, y: number, z: number}>>>} */
+    this.splines = new Map();
+    /** @type {Map<string, Promise<PtaPackFile|null>>} */
+    this.packFiles = new Map();
+    /** Archive used when a loader is not given one (manifest "packfile"); null reads loose files only */
+    this.defaultPackFile = null;
+    /** Loose scene patches to fetch (manifest "scenePatches"); null looks next to every scene */
+    this.scenePatches = null;
+
+    this.textureLoader = new THREE.TextureLoader();
+    this.imageBitmapLoader = new THREE.ImageBitmapLoader();
+    this.imageBitmapLoader.setOptions({
+      imageOrientation: 'flipY',
+      premultiplyAlpha: 'none',
+      colorSpaceConversion: 'none',
+    });
+    this.basePath = '';
+  }
+
+  /**
+   * Set the base path for asset loading.
+   * @param {string} path
+   */
+  setBasePath(path) {
+    this.basePath = path.endsWith('/') ? path : path + '/';
+  }
+
+  /**
+   * Load a texture from the data directory.
+   * Tries the original extension first, then .png, .jpg and .tga.
+   * @param {string} filename - Original filename (may be .tga)
+   * @param {string} [subdir] - Subdirectory under data/textures/
+   * @param {string} [packfile] - Archive to look in before loose files
+   * @returns {Promise<THREE.Texture>}
+   */
+  async loadTexture(filename, subdir = '', packfile) {
+    const key = `${subdir}/${filename}`.toLowerCase();
+    if (this.textures.has(key)) return this.textures.get(key);
+
+    const dirPath = subdir ? `data/textures/${subdir}/` : 'data/textures/';
+
+    for (const name of this._candidateNames(filename)) {
+      try {
+        const texture = await this._loadTextureFile(`${dirPath}${name}`, packfile);
+        this.textures.set(key, texture);
+        return texture;
+      } catch {
+        // Try next extension
+      }
+    }
+
+    console.warn(`Failed to load texture: ${key}`);
+    return this._createPlaceholderTexture();
+  }
+
+  /**
+   * File names to try for a texture: as given, then with the usual extensions.
+   * @param {string} filename
+   * @returns {string[]}
+   */
+  _candidateNames(filename) {
+    const baseName = filename.replace(/\.\w+$/, '');
+    const names = [filename];
+    for (const ext of ['.png', '.jpg', '.tga']) {
+      const name = `${baseName}${ext}`;
+      if (name.toLowerCase() !== filename.toLowerCase()) names.push(name);
+    }
+    return names;
+  }
+
+  /**
+   * Open a packfile once; resolves to null when it cannot be read.
+   * @param {string} name - Archive path relative to basePath (e.g. "demo.dat")
+   * @returns {Promise<PtaPackFile|null>}
+   */
+  openPackFile(name) {
+    const key = normalizePackPath(name);
+    if (!this.packFiles.has(key)) {
+      this.packFiles.set(key, PtaPackFile.fromUrl(`${this.basePath}${key}`).catch((err) => {
+        console.info(`Packfile "${name}" not used, loading loose files (${err.message})`);
+        return null;
+      }));
+    }
+    return this.packFiles.get(key);
+  }
+
+  /**
+   * Asset contents from a packfile.
+   * @param {string} path - Asset path relative to basePath
+   * @param {string} [packfile]
+   * @returns {Promise<ArrayBuffer|null>} null if there is no archive or the asset is not in it
+   */
+  async readPacked(path, packfile) {
+    // Scripts name demo.dat throughout; only look for it once the manifest opts in
+    if (!this.defaultPackFile) return null;
+    const pack = await this.openPackFile(packfile ?? this.defaultPackFile);
+    return pack ? pack.read(path) : null;
+  }
+
+  /**
+   * Load all textures from a scene's material list.
+   * glTF scenes bring their own images (embedded, or relative to the file),
+   * so textureDir is not used for them.
+   * @param {import('./PtaFileLoader.js').PtaScene} ptaScene
+   * @param {string} [textureDir] - Base texture directory
+   * @param {string} [packfile] - Archive to look in before loose files
+   * @returns {Promise<Map<string, THREE.Texture>>}
+   */
+  async loadSceneTextures(ptaScene, textureDir, packfile) {
+    if (ptaScene.gltfImages) return this._loadGltfTextures(ptaScene, packfile);
+    const texMap = new Map();
+    const allTextureNames = new Set();
+
+    for (const mat of ptaScene.materials) {
+      this._collectTextureNames(mat, allTextureNames);
+    }
+
+    // Normalize backslashes from Windows-style PTA paths
+    const normalizedDir = textureDir.replace(/\\/g, '/');
+
+    const promises = Array.from(allTextureNames).map(async (name) => {
+      const path = `${normalizedDir}/${name}`;
+      const tex = await this.loadTextureByPath(path, packfile);
+      texMap.set(name, tex);
+    });
+
+    await Promise.all(promises);
+    return texMap;
+  }
+
+  async _loadGltfTextures(ptaScene, packfile) {
+    const texMap = new Map();
+    const dir = ptaScene.sourcePath.slice(0, ptaScene.sourcePath.lastIndexOf('/') + 1);
+    const promises = Array.from(ptaScene.gltfImages, async ([name, image]) => {
+      if (image.uri) {
+        texMap.set(name, await this.loadTextureByPath(`${dir}${image.uri}`, packfile));
+        return;
+      }
+      try {
+        const imageBitmap = await createImageBitmap(new Blob([image.data], { type: image.mimeType }), {
+          imageOrientation: 'flipY',
+          premultiplyAlpha: 'none',
+          colorSpaceConversion: 'none',
+        });
+        const ext = image.mimeType === 'image/png' ? '.png' : '.jpg';
+        texMap.set(name, this._createImageBitmapTexture(imageBitmap, `${name}${ext}`));
+      } catch (err) {
+        console.warn(`Failed to decode embedded texture ${name}: ${err.message}`);
+        texMap.set(name, this._createPlaceholderTexture());
+      }
+    });
+    await Promise.all(promises);
+    return texMap;
+  }
+
+  _collectTextureNames(mat, set) {
+    if (mat.texture1) set.add(mat.texture1);
+    if (mat.texture2) set.add(mat.texture2);
+    if (mat.subMaterials) {
+      for (const sub of mat.subMaterials) {
+        this._collectTextureNames(sub, set);
+      }
+    }
+  }
+
+  /**
+   * Load a PTA scene file, or a .gltf/.glb file read into the same structure.
+   * @param {string} path - Path relative to basePath
+   * @param {string} [packfile] - Archive to look in before loose files
+   * @returns {Promise<import('./PtaFileLoader.js').PtaScene>}
+   */
+  async loadPtaScene(path, packfile) {
+    const normalizedPath = path.replace(/\\/g, '/');
+    if (this.ptaScenes.has(normalizedPath)) return this.ptaScenes.get(normalizedPath);
+
+    const packed = await this.readPacked(normalizedPath, packfile);
+    let scene;
+    if (isGltfPath(normalizedPath)) {
+      scene = await this._loadGltfScene(normalizedPath, packed, packfile);
+    } else {
+      scene = packed
+        ? parsePtaFile(packed)
+        : await loadPtaFile(`${this.basePath}${normalizedPath}`.toLowerCase());
+    }
+    // Keep source path so SceneManager can apply per-scene compatibility tuning.
+    scene.sourcePath = normalizedPath;
+    scene.patch = await this.loadScenePatch(normalizedPath, packfile);
+    this.ptaScenes.set(normalizedPath, scene);
+    return scene;
+  }
+
+  /**
+   * Load the patch file next to a scene (see ScenePatch.js). Loose patches are
+   * only fetched when listed in scenePatches, so scenes without one cost no request.
+   * @param {string} scenePath - Scene path relative to basePath
+   * @param {string} [packfile] - Archive to look in before loose files
+   * @returns {Promise<import('./ScenePatch.js').ScenePatch|null>} null if there is none or it is invalid
+   */
+  async loadScenePatch(scenePath, packfile) {
+    const path = scenePatchPath(scenePath);
+    try {
+      const packed = await this.readPacked(path, packfile);
+      let text;
+      if (packed) {
+        text = new TextDecoder().decode(packed);
+      } else {
+        const key = normalizePackPath(path);
+        if (this.scenePatches && !this.scenePatches.some(p => normalizePackPath(p) === key)) return null;
+        const response = await fetch(`${this.basePath}${path}`.toLowerCase());
+        if (!response.ok) return null;
+        text = await response.text();
+      }
+      return normalizeScenePatch(JSON.parse(text), path);
+    } catch (err) {
+      console.warn(`Scene patch ignored: ${err.message}`);
+      return null;
+    }
+  }
+
+  async _loadGltfScene(path, packed, packfile) {
+    if (!packed) return loadGltfFile(`${this.basePath}${path}`.toLowerCase());
+    // External buffers sit next to the file, in the same archive
+    const dir = path.slice(0, path.lastIndexOf('/') + 1);
+    return parseGltfFile(packed, {
+      readUri: async (uri) => {
+        const data = await this.readPacked(`${dir}${uri}`, packfile);
+        if (!data) throw new Error(`${dir}${uri} is not in the packfile`);
+        return data;
+      },
+    });
+  }
+
+  /**
+   * Load a PTA spline file (.spl).
+   * @param {string} path - Path relative to basePath
+   * @param {string} [packfile] - Archive to look in before loose files
+   * @returns {Promise<Array<Array<{x: number, y: number, z: number}>>>}
+   */
+  async loadSplines(path, packfile) {
+    const normalizedPath = path.replace(/\\/g, '/');
+    const key = normalizedPath.toLowerCase();
+    if (this.splines.has(key)) return this.splines.get(key);
+
+    const packed = await this.readPacked(normalizedPath, packfile);
+    const splines = packed
+      ? parseSplineFile(packed)
+      : await loadSplineFile(`${this.basePath}${normalizedPath}`.toLowerCase());
+    this.splines.set(key, splines);
+    return splines;
+  }
+
+  /**
+   * Load a 2D image as a texture (for 3D_LOADIMAGE / FXFadedImage etc).
+   * @param {string} id - Image identifier
+   * @param {string} file - File path
+   * @param {string} [packfile] - Archive to look in before loose files
+   * @returns {Promise<THREE.Texture>}
+   */
+  async loadImage(id, file, packfile) {
+    if (this.images.has(id)) return this.images.get(id);
+
+    for (const name of this._candidateNames(file)) {
+      try {
+        const texture = await this._loadTextureFile(name, packfile);
+        this.images.set(id, texture);
+        return texture;
+      } catch { /* continue */ }
+    }
+    console.warn(`Failed to load image: ${id} (${file})`);
+    const placeholder = this._createPlaceholderTexture();
+    this.images.set(id, placeholder);
+    return placeholder;
+  }
+
+  getImage(id) {
+    return this.images.get(id);
+  }
+
+  getTexture(key) {
+    return this.textures.get(key.toLowerCase());
+  }
+
+  /**
+   * Load a texture by its full path (relative to basePath).
+   * Used by effects that specify complete paths like 'data/textures/spike/background.jpg'.
+   * @param {string} path - Full relative path
+   * @param {string} [packfile] - Archive to look in before loose files
+   * @returns {Promise<THREE.Texture>}
+   */
+  async loadTextureByPath(path, packfile) {
+    const key = path.toLowerCase();
+    if (this.textures.has(key)) return this.textures.get(key);
+
+    for (const name of this._candidateNames(path)) {
+      try {
+        const texture = await this._loadTextureFile(name, packfile);
+        this.textures.set(key, texture);
+        return texture;
+      } catch { /* try alternate extensions */ }
+    }
+    console.warn(`Failed to load texture by path: ${path}`);
+    return this._createPlaceholderTexture();
+  }
+
+  /**
+   * Load one texture file, from the packfile if it has it.
+   * @param {string} path - Path relative to basePath
+   * @param {string} [packfile]
+   * @returns {Promise<THREE.Texture>}
+   */
+  async _loadTextureFile(path, packfile) {
+    const packed = await this.readPacked(path, packfile);
+    if (!packed) return this._loadTextureUrl(`${this.basePath}${path}`);
+
+    const name = path.toLowerCase();
+    if (name.endsWith('.tga')) return this._createTgaTexture(packed, name);
+    const blob = new Blob([packed], { type: name.endsWith('.png') ? 'image/png' : 'image/jpeg' });
+    const imageBitmap = await createImageBitmap(blob, {
+      imageOrientation: 'flipY',
+      premultiplyAlpha: 'none',
+      colorSpaceConversion: 'none',
+    });
+    return this._createImageBitmapTexture(imageBitmap, name);
+  }
+
+  _loadTextureUrl(url) {
+    // Lowercase URL for case-sensitive servers (GitHub Pages / Linux)
+    const loadUrl = url.toLowerCase();
+    if (loadUrl.endsWith('.tga')) return this._loadTgaTexture(loadUrl);
+    return this._loadTextureWithImageBitmap(loadUrl).catch(() => this._loadTextureWithImageElement(loadUrl));
+  }
+
+  _configureTexture(texture, loadUrl) {
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = true;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    // No sRGB decode — PTA uses raw texture bytes (uncorrected pipeline).
+    // Output is also linear, so file → screen roundtrip matches PTA exactly.
+
+    // Tag textures with alpha channel so materials can enable transparency.
+    // PTA auto-enables GL_BLEND(SRC_ALPHA, INV_SRC_ALPHA) when any texture
+    // on a material is 32-bit. TGA textures are tagged from their pixel depth
+    // when decoded; for PNG textures we detect alpha by sampling.
+    if (loadUrl.toLowerCase().endsWith('.png')) {
+      texture._hasAlpha = this._imageHasAlpha(texture.image);
+    }
+  }
+
+  _loadTextureWithImageBitmap(loadUrl) {
+    return new Promise((resolve, reject) => {
+      this.imageBitmapLoader.load(
+        loadUrl,
+        (imageBitmap) => resolve(this._createImageBitmapTexture(imageBitmap, loadUrl)),
+        undefined,
+        reject
+      );
+    });
+  }
+
+  _createImageBitmapTexture(imageBitmap, loadUrl) {
+    const texture = new THREE.Texture(imageBitmap);
+    // flipY is ignored for ImageBitmap textures; orientation is applied at decode time.
+    texture.flipY = false;
+    texture.addEventListener('dispose', () => {
+      if (imageBitmap && typeof imageBitmap.close === 'function') imageBitmap.close();
+    });
+    texture.needsUpdate = true;
+    this._configureTexture(texture, loadUrl);
+    return texture;
+  }
+
+  async _loadTgaTexture(loadUrl) {
+    const response = await fetch(loadUrl);
+    if (!response.ok) throw new Error(`Failed to fetch ${loadUrl}: ${response.status}`);
+    return this._createTgaTexture(await response.arrayBuffer(), loadUrl);
+  }
+
+  _createTgaTexture(buffer, loadUrl) {
+    const tga = decodeTga(buffer);
+
+    // Rows are already bottom-up, like the flipY'd ImageBitmap path
+    const texture = new THREE.DataTexture(tga.data, tga.width, tga.height, THREE.RGBAFormat, THREE.UnsignedByteType);
+    texture.flipY = false;
+    texture.needsUpdate = true;
+    this._configureTexture(texture, loadUrl);
+    texture._hasAlpha = tga.hasAlpha;
+    return texture;
+  }
+
+  _loadTextureWithImageElement(loadUrl) {
+    return new Promise((resolve, reject) => {
+      this.textureLoader.load(
+        loadUrl,
+        (texture) => {
+          this._configureTexture(texture, loadUrl);
+          resolve(texture);
+        },
+        undefined,
+        reject
+      );
+    });
+  }
+
+  /**
+   * Check if an image has any non-opaque pixels (alpha channel with transparency).
+   * @param {HTMLImageElement} image
+   * @returns {boolean}
+   */
+  _imageHasAlpha(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    // Sample every 4th pixel for performance on large textures
+    for (let i = 3; i < data.length; i += 16) {
+      if (data[i] < 255) return true;
+    }
+    return false;
+  }
+
+  _createPlaceholderTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 2;
+    canvas.height = 2;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ff00ff';
+    ctx.fillRect(0, 0, 2, 2);
+    return new THREE.CanvasTexture(canvas);
+  }
+
+  dispose() {
+    for (const [, tex] of this.textures) tex.dispose();
+    for (const [, tex] of this.images) tex.dispose();
+    this.textures.clear();
+    this.images.clear();
+    this.ptaScenes.clear();
+    this.splines.clear();
+    this.packFiles.clear();
+  }
+}
@@ -0,0 +1,1092 @@
+import { parseScript, parseBlendMode, formatScriptCommand, setScriptParam, ScriptDiagnostic, ScriptError, Severity } from './ScriptParser.js';
+import { SceneManager } from './SceneManager.js';
+import { EffectRegistry } from './EffectRegistry.js';
+import { TempoMap, isMusicalTime } from './TempoMap.js';
+import { BlendMode } from './Renderer.js';
+
+/**
+ * DemoManager - Timeline orchestrator for the demo.
+ *
+ * Ports the behavior of PTA's ptaDemoManager:
+ * - Manages a list of effects with start/end times and priorities
+ * - Per frame: builds active effect list sorted by priority, calls doFrame()
+ * - Handles script-based effects (fade, viewport, alphafunc, etc.)
+ * - Handles manually registered effects (FXManagement.cpp)
+ */
+export class DemoManager {
+  /**
+   * @param {import('./Renderer.js').Renderer} renderer
+   * @param {import('./MusicPlayer.js').MusicPlayer} musicPlayer
+   * @param {import('./AssetManager.js').AssetManager} assetManager
+   * @param {Object} [options]
+   * @param {number} [options.duration=172000] - Demo duration in ms
+   * @param {boolean} [options.letterboxFullViewport=false] - Map 3D_VIEWPORT
+   *   viewport2=(0.5,0.5,1,1) to the letterboxed demo viewport
+   * @param {Object} [options.scene] - SceneManager options
+   * @param {boolean} [options.strict=false] - Fail loadScript() when the script has errors
+   */
+  constructor(renderer, musicPlayer, assetManager, options = {}) {
+    this.renderer = renderer;
+    this.musicPlayer = musicPlayer;
+    this.assetManager = assetManager;
+    this.sceneManager = new SceneManager(renderer, options.scene);
+    this.letterboxFullViewport = !!options.letterboxFullViewport;
+    this.strict = !!options.strict;
+
+    /** @type {Array<DemoFXEntry>} */
+    this.effects = [];
+
+    /** @type {Array<ScriptCommand>} */
+    this.scriptCommands = [];
+
+    /** @type {Array<ScriptDiagnostic>} problems found in the last loaded script */
+    this.diagnostics = [];
+
+    /** @type {string|null} URL of the loaded script (for reloadScript) */
+    this.scriptUrl = null;
+    this._scriptText = null;
+    this._rejectedScriptText = null;
+
+    /** @type {TempoMap|null} bar:beat:tick → ms for script and timeline times */
+    this.tempo = options.tempo ? new TempoMap(options.tempo) : null;
+
+    /** Effect classes the script can instantiate with FX class= */
+    this.effectRegistry = new EffectRegistry();
+
+    /** @type {Map<string, Object>} loaded scenes by id */
+    this.loadedScenes = new Map();
+
+    /** @type {Map<string, Object>} loaded images by id */
+    this.loadedImages = new Map();
+
+    this.startTime = 0;
+    this.duration = options.duration ?? 172000; // ~172 seconds
+
+    // Current render state
+    this.currentBlendSrc = BlendMode.SRCALPHA;
+    this.currentBlendDst = BlendMode.INVSRCALPHA;
+    this.currentAlpha = 1.0;
+
+    // Viewport state
+    this.viewportStack = [];
+
+    // Match C++ startup: begin with centered demo viewport. After that,
+    // viewport is stateful and 3D_VIEWPORT effects mutate it over time.
+    this.renderer.setDemoViewport();
+    this.prevDemoTime = Number.NEGATIVE_INFINITY;
+
+    /** Streaming load state (see startStreaming); null when loading everything up front */
+    this._stream = null;
+  }
+
+  /**
+   * Load and parse the demo script.
+   * Diagnostics are logged and kept in this.diagnostics. In strict mode, a missing
+   * script or any error-severity diagnostic rejects with the failure instead.
+   * @param {string} url
+   */
+  async loadScript(url) {
+    this.scriptUrl = url;
+    let text;
+    try {
+      text = await this._fetchScript(url);
+    } catch (err) {
+      if (this.strict) throw err;
+      console.warn('Failed to load script:', err.message);
+      return;
+    }
+
+    this.diagnostics = [];
+    this._applyScript(parseScript(text, this.diagnostics), text);
+    this._reportDiagnostics(url);
+    if (this.strict && this.diagnostics.some(d => d.severity === Severity.ERROR)) {
+      throw new ScriptError(url, this.diagnostics);
+    }
+  }
+
+  /**
+   * Re-fetch the script and rebuild the script-created effects (debug hot-reload).
+   * Manually registered effects keep their instances and loaded data; their
+   * timing is reset to the registered values before FX lines are reapplied.
+   * Scenes and images already loaded under the same id and file are reused,
+   * new or changed ones are loaded before returning.
+   * If the new script has syntax errors, the current timeline is kept.
+   * @returns {Promise<boolean>} true if the timeline was rebuilt
+   */
+  async reloadScript() {
+    if (!this.scriptUrl) return false;
+    const url = this.scriptUrl;
+    let text;
+    try {
+      text = await this._fetchScript(url, { cache: 'no-store' });
+    } catch (err) {
+      console.warn('Failed to reload script:', err.message);
+      return false;
+    }
+    // Unchanged since the last load or the last rejected edit
+    if (text === this._scriptText || text === this._rejectedScriptText) return false;
+
+    const diagnostics = [];
+    const commands = parseScript(text, diagnostics);
+    if (diagnostics.some(d => d.severity === Severity.ERROR)) {
+      this._rejectedScriptText = text;
+      this.diagnostics = diagnostics;
+      this._reportDiagnostics(url);
+      console.warn(`${url}: not reloaded, fix the errors above`);
+      return false;
+    }
+
+    const prevScenes = this.loadedScenes;
+    const prevImages = this.loadedImages;
+
+    this.effects = this.effects.filter(e => !e.scriptCommand);
+    for (const entry of this.effects) {
+      Object.assign(entry, entry.registeredTiming);
+    }
+    this.loadedScenes = new Map();
+    this.loadedImages = new Map();
+    this.diagnostics = diagnostics;
+    this._applyScript(commands, text);
+    this._reportDiagnostics(url);
+
+    const sameAsset = (a, b) => !!a && !!b &&
+      a.file === b.file && a.packfile === b.packfile && a.texturedir === b.texturedir;
+    for (const [id, info] of this.loadedScenes) {
+      if (!sameAsset(info, prevScenes.get(id))) await this._loadScene(id, info);
+    }
+    for (const [id, info] of this.loadedImages) {
+      if (!sameAsset(info, prevImages.get(id))) {
+        this.assetManager.images.delete(id);
+        await this._loadImage(id, info);
+      }
+    }
+    for (const entry of this.effects) {
+      if (entry.scriptCommand?.type === 'FX') await this._loadEffect(entry);
+    }
+
+    console.info(`${url}: reloaded`);
+    return true;
+  }
+
+  /**
+   * Write the current timeline back out as script text, e.g. to save timing
+   * edits made at runtime. The loaded script is kept as written (comments,
+   * alignment) except that:
+   * - script effects whose start/end/priority changed are updated in place,
+   * - disabled script effects are commented out,
+   * - FX lines get the current timing of the manual effect they name,
+   * - named manual effects retimed without an FX line get one appended.
+   * FX lines cannot disable an effect, so disabled manual effects are not saved.
+   * @returns {string}
+   */
+  serializeScript() {
+    const text = this._scriptText ?? '';
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = text ? text.split('\n').map(l => l.replace(/\r$/, '')) : [];
+    const trailingNewline = lines.length > 1 && lines[lines.length - 1] === '';
+    if (trailingNewline) lines.pop();
+
+    // Rewrite only the values that differ from what the line already yields,
+    // keeping bar:beat:tick notation where the line used it
+    const setTiming = (cmd, timing, entry) => {
+      const time = (key, ms) => (cmd.params._times?.[key] && this.tempo ? this.tempo.format(ms) : ms);
+      let line = lines[cmd.line - 1];
+      if (entry.startTime !== timing.startTime) line = setScriptParam(line, 'start', time('start', entry.startTime));
+      if (entry.endTime !== timing.endTime) line = setScriptParam(line, 'end', time('end', entry.endTime));
+      if (entry.priority !== timing.priority) line = setScriptParam(line, 'priority', entry.priority);
+      return line;
+    };
+
+    for (const entry of this.effects) {
+      const cmd = entry.scriptCommand;
+      if (!cmd) continue;
+      const line = setTiming(cmd, entry.registeredTiming, entry);
+      lines[cmd.line - 1] = entry.disabled ? `;${line}` : line;
+    }
+
+    // FX lines keep unset values from the registered timing (_updateFXTiming)
+    const written = new Set();
+    for (const cmd of this.scriptCommands) {
+      if (cmd.type !== 'FX' || cmd.params.class !== undefined) continue;
+      const entry = this.effects.find(e => e.name === cmd.params.name);
+      if (!entry) continue;
+      const reg = entry.registeredTiming;
+      lines[cmd.line - 1] = setTiming(cmd, {
+        startTime: cmd.params.start ?? reg.startTime,
+        endTime: cmd.params.end ?? reg.endTime,
+        priority: cmd.params.priority ?? reg.priority,
+      }, entry);
+      written.add(entry.name);
+    }
+
+    const retimed = [];
+    for (const entry of this.effects) {
+      if (entry.scriptCommand || !entry.name || written.has(entry.name)) continue;
+      const reg = entry.registeredTiming;
+      if (entry.startTime === reg.startTime && entry.endTime === reg.endTime && entry.priority === reg.priority) continue;
+      retimed.push(formatScriptCommand('FX', {
+        name: entry.name, start: entry.startTime, end: entry.endTime, priority: entry.priority,
+      }));
+      written.add(entry.name);
+    }
+    if (retimed.length) {
+      if (lines.length) lines.push('');
+      lines.push('; Manual effect timing', ...retimed);
+    }
+
+    return lines.join(eol) + (trailingNewline || retimed.length ? eol : '');
+  }
+
+  async _fetchScript(url, init) {
+    // Reloads always read the loose file, which is the one being edited
+    if (!init) {
+      const packed = await this.assetManager.readPacked(url);
+      if (packed) return new TextDecoder().decode(packed);
+    }
+    const response = await fetch(url, init);
+    if (!response.ok) throw new Error(`Script not found: ${url}`);
+    return response.text();
+  }
+
+  _applyScript(commands, text) {
+    this._scriptText = text;
+    this.scriptCommands = commands;
+    this._processScriptCommands();
+    this._validateScriptReferences();
+    this.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  _reportDiagnostics(url) {
+    for (const d of this.diagnostics) {
+      console.warn(`${url}:${d.toString()}`);
+    }
+  }
+
+  /**
+   * Report a problem with a script command.
+   * @param {ScriptCommand} cmd
+   * @param {string|null} key - Parameter the problem refers to (for the column)
+   * @param {string} severity
+   * @param {string} message
+   */
+  _diagnose(cmd, key, severity, message) {
+    const column = (key && cmd.columns?.[key]) || cmd.column || 1;
+    this.diagnostics.push(new ScriptDiagnostic(cmd.line || 0, column, severity, message));
+  }
+
+  /**
+   * Check that scene/image ids used by 3D_SCENE/3D_IMAGE are defined by
+   * 3D_LOADSCENE/3D_LOADIMAGE (anywhere in the script).
+   */
+  _validateScriptReferences() {
+    for (const cmd of this.scriptCommands) {
+      const id = cmd.params.id;
+      if (cmd.type === '3D_SCENE' || cmd.type === '3D_IMAGE') {
+        const isScene = cmd.type === '3D_SCENE';
+        const defined = isScene ? this.loadedScenes : this.loadedImages;
+        if (id === undefined) {
+          this._diagnose(cmd, null, Severity.ERROR, `${cmd.type} has no id=`);
+        } else if (!defined.has(id)) {
+          const loader = isScene ? '3D_LOADSCENE' : '3D_LOADIMAGE';
+          this._diagnose(cmd, 'id', Severity.ERROR, `Unknown ${isScene ? 'scene' : 'image'} id "${id}" (no ${loader} defines it)`);
+        }
+      } else if ((cmd.type === '3D_LOADSCENE' || cmd.type === '3D_LOADIMAGE') && !cmd.params.file) {
+        this._diagnose(cmd, 'id', Severity.ERROR, `${cmd.type} "${id}" has no file=`);
+      }
+    }
+  }
+
+  /**
+   * Process script commands into effect entries.
+   */
+  _processScriptCommands() {
+    for (const cmd of this.scriptCommands) {
+      this._resolveScriptTimes(cmd);
+      switch (cmd.type) {
+        case 'DEMO_START':
+          this.startTime = cmd.params.start || 0;
+          break;
+
+        case '3D_LOADSCENE':
+          if (this.loadedScenes.has(cmd.params.id)) {
+            this._diagnose(cmd, 'id', Severity.WARNING, `Scene id "${cmd.params.id}" is already loaded; this definition replaces it`);
+          }
+          this.loadedScenes.set(cmd.params.id, {
+            file: (cmd.params.file || '').replace(/\\/g, '/'),
+            packfile: cmd.params.packfile,
+            texturedir: (cmd.params.texturedir || '').replace(/\\/g, '/'),
+          });
+          break;
+
+        case '3D_LOADIMAGE':
+          if (this.loadedImages.has(cmd.params.id)) {
+            this._diagnose(cmd, 'id', Severity.WARNING, `Image id "${cmd.params.id}" is already loaded; this definition replaces it`);
+          }
+          this.loadedImages.set(cmd.params.id, {
+            file: (cmd.params.file || '').replace(/\\/g, '/'),
+            packfile: cmd.params.packfile,
+          });
+          break;
+
+        case '3D_FADE':
+          this._addScriptEffect(cmd, new FadeFX(cmd.params));
+          break;
+
+        case '3D_FLASH':
+          this._addScriptEffect(cmd, new FlashFX(cmd.params));
+          break;
+
+        case '3D_VIEWPORT':
+          // Odyssey script transitions use viewport2=(0.5,0.5,1,1) to mean
+          // "full final demo view", which is letterboxed (85% height).
+          // Normalize this endpoint so zoomed viewport handoff is seamless.
+          // The command params are left as written so serializeScript() round-trips.
+          let viewportParams = cmd.params;
+          if (
+            this.letterboxFullViewport &&
+            cmd.params.viewport2 &&
+            Math.abs((cmd.params.viewport2[0] ?? 0) - 0.5) < 1e-6 &&
+            Math.abs((cmd.params.viewport2[1] ?? 0) - 0.5) < 1e-6 &&
+            Math.abs((cmd.params.viewport2[2] ?? 0) - 1.0) < 1e-6 &&
+            Math.abs((cmd.params.viewport2[3] ?? 0) - 1.0) < 1e-6
+          ) {
+            viewportParams = { ...cmd.params, viewport2: [0.5, 0.5, 1.0, this.renderer.viewportRatio] };
+          }
+          this._addScriptEffect(cmd, new ViewportFX(viewportParams, this.renderer));
+          break;
+
+        case '3D_CLEAR_ZBUFF':
+          this._addScriptEffect(cmd, new ClearZBuffFX());
+          break;
+
+        case '3D_CLEAR_FRAMEBUFF':
+          this._addScriptEffect(cmd, new ClearFrameBuffFX());
+          break;
+
+        case '3D_ALPHAFUNC':
+          this._addScriptEffect(cmd, new AlphaFuncFX(cmd.params, this));
+          break;
+
+        case '3D_FOG':
+          this._addScriptEffect(cmd, new FogFX(cmd.params));
+          break;
+
+        case '3D_MOTIONBLUR':
+          this._addScriptEffect(cmd, new MotionBlurFX(cmd.params));
+          break;
+
+        case '3D_WIDEBLUR':
+          this._addScriptEffect(cmd, new WideBlurFX(cmd.params));
+          break;
+
+        case '3D_IMAGE':
+          this._addScriptEffect(cmd, new ImageFX(cmd.params, this));
+          break;
+
+        case '3D_SCENE':
+          this._addScriptEffect(cmd, new SceneFX(cmd.params, this));
+          break;
+
+        case 'FX':
+          if (cmd.params.class !== undefined) {
+            this._createScriptFX(cmd);
+            break;
+          }
+          // Update timing of a manually registered effect
+          if (!this._updateFXTiming(cmd.params.name, cmd.params)) {
+            this._diagnose(cmd, 'name', Severity.WARNING, `FX "${cmd.params.name}" does not match a registered effect`);
+          }
+          break;
+      }
+    }
+  }
+
+  /**
+   * Resolve a time given as ms or as "bar:beat[:tick]" through the tempo map.
+   * Timelines use it as dm.time('17:1') wherever a ms value is expected.
+   * @param {number|string} value
+   * @returns {number} ms
+   */
+  time(value) {
+    if (typeof value === 'number') return value;
+    if (!this.tempo) {
+      throw new Error(`Musical time "${value}" needs a tempo map ("tempo" in production.json)`);
+    }
+    return this.tempo.resolve(value);
+  }
+
+  /**
+   * Replace bar:beat:tick start/end values of a command with ms.
+   * The written values are kept in params._times for serializeScript().
+   */
+  _resolveScriptTimes(cmd) {
+    const params = cmd.params;
+    for (const key of ['start', 'end']) {
+      if (!isMusicalTime(params[key])) continue;
+      (params._times ??= {})[key] = params[key];
+      try {
+        params[key] = this.time(params[key]);
+      } catch (err) {
+        this._diagnose(cmd, key, Severity.ERROR, err.message);
+        params[key] = 0;
+      }
+    }
+    if (params._times && params.start > params.end) {
+      this._diagnose(cmd, 'start', Severity.ERROR, `start=${params.start} is after end=${params.end}`);
+    }
+  }
+
+  /**
+   * FX class=<name> [name=...] params={...}: instantiate a registered effect class.
+   */
+  _createScriptFX(cmd) {
+    const className = String(cmd.params.class);
+    if (!this.effectRegistry.has(className)) {
+      this._diagnose(cmd, 'class', Severity.ERROR, `Unknown effect class "${className}"`);
+      return;
+    }
+
+    let created;
+    try {
+      created = this.effectRegistry.create(className, cmd.params.params);
+    } catch (err) {
+      this._diagnose(cmd, 'params', Severity.ERROR, `${className}.setup() failed: ${err.message}`);
+      return;
+    }
+    for (const key of created.unknownParams) {
+      this._diagnose(cmd, 'params', Severity.WARNING, `${className} has no setup parameter "${key}"`);
+    }
+    if (created.missingParams.length) {
+      this._diagnose(cmd, 'params', Severity.WARNING, `${className} params missing: ${created.missingParams.join(', ')}`);
+    }
+
+    const params = cmd.params;
+    const name = params.name !== undefined ? String(params.name) : className;
+    const entry = this.addFX(created.fx, params.start || 0, params.end || 0, params.priority || 0, name);
+    entry.scriptCommand = cmd;
+  }
+
+  _addScriptEffect(cmd, fx) {
+    const params = cmd.params;
+    const entry = this.addFX(fx, params.start || 0, params.end || 0, params.priority || 0, fx.constructor.name);
+    entry.scriptCommand = cmd;
+  }
+
+  /**
+   * @returns {boolean} false if no effect is registered under that name
+   */
+  _updateFXTiming(name, params) {
+    const entry = this.effects.find(e => e.name === name);
+    if (entry) {
+      entry.startTime = params.start ?? entry.startTime;
+      entry.endTime = params.end ?? entry.endTime;
+      entry.priority = params.priority ?? entry.priority;
+    }
+    return !!entry;
+  }
+
+  /**
+   * Register an effect.
+   * @param {DemoFX} fx - Effect instance
+   * @param {number|string} startTime - Start time in ms or "bar:beat[:tick]"
+   * @param {number|string} endTime - End time in ms or "bar:beat[:tick]"
+   * @param {number} priority - Draw priority (lower = rendered first / behind)
+   * @param {string} [name] - Optional name for script FX referencing
+   * @returns {DemoFXEntry}
+   */
+  addFX(fx, startTime, endTime, priority, name = '') {
+    const order = this.effects.length;
+    const entry = new DemoFXEntry(fx, this.time(startTime), this.time(endTime), priority, name, order);
+    this.effects.push(entry);
+    return entry;
+  }
+
+  /**
+   * Load all effect resources.
+   * @param {Function} [onProgress] - Progress callback (progress: 0-1, name: string)
+   */
+  async loadAllEffects(onProgress) {
+    // Load scene files
+    for (const [id, info] of this.loadedScenes) {
+      if (onProgress) onProgress(0, `Scene: ${id}`);
+      await this._loadScene(id, info);
+    }
+
+    // Load images
+    for (const [id, info] of this.loadedImages) {
+      if (onProgress) onProgress(0.5, `Image: ${id}`);
+      await this._loadImage(id, info);
+    }
+
+    // Load each manual effect
+    const total = this.effects.length;
+    for (let i = 0; i < total; i++) {
+      const entry = this.effects[i];
+      if (onProgress) onProgress(i / total, entry.name || entry.fx.constructor.name);
+      await this._loadEffect(entry);
+    }
+  }
+
+  /**
+   * Streaming alternative to loadAllEffects(): scenes, images and manual effects
+   * load in timeline order, nearest to the playhead first, and the promise
+   * resolves as soon as everything active at fromTime is in. The rest keeps
+   * loading in the background. Entries whose assets are not loaded yet are
+   * skipped by doFrame(); players should check isReadyAt() and wait with
+   * whenReadyAt() rather than render a frame with effects missing.
+   * @param {Object} [options]
+   * @param {number} [options.fromTime=0] - Playback start position (ms)
+   * @param {number} [options.leadMs=10000] - Units starting within this window
+   *   after fromTime are loaded before resolving
+   * @param {Function} [options.onProgress] - (progress: 0-1, name: string)
+   */
+  async startStreaming({ fromTime = 0, leadMs = 10000, onProgress } = {}) {
+    const units = this._buildLoadPlan();
+    this._stream = { units, focus: fromTime, loaded: 0, waiters: [], onProgress };
+    this._streamLoop();
+    await this.whenReadyAt(fromTime, leadMs);
+  }
+
+  /**
+   * Group what has to load into units (one per scene, image or manual effect
+   * instance), each with the time range of the entries that need it.
+   * @returns {Array<Object>} Units sorted by first use
+   */
+  _buildLoadPlan() {
+    const units = new Map();
+    const need = (key, name, load, entry) => {
+      let unit = units.get(key);
+      if (!unit) {
+        unit = { name, load, start: Infinity, end: -Infinity, loaded: false, loading: false, entries: [] };
+        units.set(key, unit);
+      }
+      if (entry) {
+        unit.start = Math.min(unit.start, entry.startTime);
+        unit.end = Math.max(unit.end, entry.endTime);
+        unit.entries.push(entry);
+        entry.ready = false;
+      }
+    };
+
+    for (const entry of this.effects) {
+      const fx = entry.fx;
+      if (fx instanceof SceneFX) {
+        const info = this.loadedScenes.get(fx.sceneId);
+        if (info) need(`scene:${fx.sceneId}`, `Scene: ${fx.sceneId}`, () => this._loadScene(fx.sceneId, info), entry);
+      } else if (fx instanceof ImageFX) {
+        const info = this.loadedImages.get(fx.imageId);
+        if (info) need(`image:${fx.imageId}`, `Image: ${fx.imageId}`, () => this._loadImage(fx.imageId, info), entry);
+      } else if (fx.loadData !== DemoFX.prototype.loadData) {
+        // Keyed by instance: the same effect may be registered more than once
+        need(fx, entry.name || fx.constructor.name, () => this._loadEffect(entry), entry);
+      }
+    }
+
+    // Scenes and images the timeline never shows still load, last
+    for (const [id, info] of this.loadedScenes) {
+      need(`scene:${id}`, `Scene: ${id}`, () => this._loadScene(id, info), null);
+    }
+    for (const [id, info] of this.loadedImages) {
+      need(`image:${id}`, `Image: ${id}`, () => this._loadImage(id, info), null);
+    }
+
+    return [...units.values()].sort((a, b) => a.start - b.start);
+  }
+
+  async _streamLoop() {
+    const stream = this._stream;
+    for (;;) {
+      const unit = this._nextStreamUnit();
+      if (!unit) break;
+      unit.loading = true;
+      if (stream.onProgress) stream.onProgress(stream.loaded / stream.units.length, unit.name);
+      await unit.load();
+      unit.loaded = true;
+      for (const entry of unit.entries) entry.ready = true;
+      stream.loaded++;
+      this._checkStreamWaiters();
+    }
+    if (stream.onProgress) stream.onProgress(1, 'done');
+  }
+
+  /**
+   * Next unit to load: the earliest one still needed at or after the playhead,
+   * then anything left (units only used before a backwards seek target).
+   */
+  _nextStreamUnit() {
+    const { units, focus } = this._stream;
+    let fallback = null;
+    for (const unit of units) {
+      if (unit.loaded || unit.loading) continue;
+      if (unit.end > focus || unit.entries.length === 0) return unit;
+      fallback ??= unit;
+    }
+    return fallback;
+  }
+
+  /**
+   * Whether every asset needed between demoTime and demoTime + leadMs is loaded.
+   * Always true when not streaming.
+   * @param {number} demoTime
+   * @param {number} [leadMs=0]
+   * @returns {boolean}
+   */
+  isReadyAt(demoTime, leadMs = 0) {
+    if (!this._stream) return true;
+    return this._stream.units.every(unit =>
+      unit.loaded || unit.start > demoTime + leadMs || unit.end <= demoTime
+    );
+  }
+
+  /**
+   * Resolve once isReadyAt(demoTime, leadMs), loading around demoTime first.
+   * @param {number} demoTime
+   * @param {number} [leadMs=0]
+   * @returns {Promise<void>}
+   */
+  whenReadyAt(demoTime, leadMs = 0) {
+    if (this.isReadyAt(demoTime, leadMs)) return Promise.resolve();
+    this._stream.focus = demoTime;
+    return new Promise(resolve => {
+      this._stream.waiters.push({ demoTime, leadMs, resolve });
+    });
+  }
+
+  _checkStreamWaiters() {
+    const stream = this._stream;
+    stream.waiters = stream.waiters.filter(w => {
+      if (!this.isReadyAt(w.demoTime, w.leadMs)) return true;
+      w.resolve();
+      return false;
+    });
+  }
+
+  async _loadEffect(entry) {
+    try {
+      if (entry.fx.loadData) {
+        await entry.fx.loadData(this);
+      }
+    } catch (err) {
+      console.warn(`Failed to load effect "${entry.name}":`, err.message);
+    }
+  }
+
+  async _loadScene(id, info) {
+    try {
+      const ptaScene = await this.assetManager.loadPtaScene(info.file, info.packfile);
+      const textures = info.texturedir || ptaScene.gltfImages
+        ? await this.assetManager.loadSceneTextures(ptaScene, info.texturedir, info.packfile)
+        : new Map();
+      this.sceneManager.buildScene(id, ptaScene, textures);
+
+      // Lens flare and particle textures (parsed from helper userProps during buildScene)
+      await this.sceneManager.loadSceneHelperEffects(
+        id, (path) => this.assetManager.loadTextureByPath(path, info.packfile)
+      );
+    } catch (err) {
+      console.warn(`Failed to load scene "${id}":`, err.message);
+    }
+  }
+
+  async _loadImage(id, info) {
+    try {
+      await this.assetManager.loadImage(id, info.file, info.packfile);
+    } catch (err) {
+      console.warn(`Failed to load image "${id}":`, err.message);
+    }
+  }
+
+  /**
+   * Get total demo duration in ms.
+   */
+  getDuration() {
+    return this.duration;
+  }
+
+  /**
+   * Execute one frame of the demo.
+   * @param {number} demoTime - Current demo time in ms
+   */
+  doFrame(demoTime) {
+    if (demoTime < this.prevDemoTime) {
+      this.prevDemoTime = demoTime;
+    }
+
+    // Clear full frame while preserving the current viewport (PTA behavior:
+    // clear does not reset viewport state).
+    const prevViewport = this.renderer.currentViewport;
+    this.renderer.resetViewport();
+    this.renderer.clear(0x000000);
+    this.renderer.setViewport(prevViewport.x, prevViewport.y, prevViewport.w, prevViewport.h);
+
+    // Build active effect list sorted by priority (lower priority = drawn first)
+    const activeEffects = [];
+    for (const entry of this.effects) {
+      // Streaming: skip effects whose assets are still loading
+      if (entry.disabled || !entry.ready) continue;
+
+      let include = false;
+      let fxTime = 0;
+
+      // C++ uses [start, end) timing for active effects.
+      if (demoTime >= entry.startTime && demoTime < entry.endTime) {
+        include = true;
+        fxTime = demoTime - entry.startTime;
+      } else if (
+        entry.fx instanceof ViewportFX &&
+        this.prevDemoTime < entry.endTime &&
+        demoTime >= entry.endTime
+      ) {
+        // Ensure viewport effects land exactly at endpoint once when crossing
+        // the end time. This avoids a visible one-frame snap at low FPS.
+        include = true;
+        fxTime = entry.endTime - entry.startTime;
+      }
+
+      if (include) {
+        activeEffects.push({ entry, fxTime });
+      }
+    }
+    // C++ sorts by priority; at equal priority, script effects (fades, flashes)
+    // render AFTER manual effects (they were registered later in C++).
+    // Use insertion order as tiebreaker to match C++ behavior.
+    activeEffects.sort((a, b) => a.entry.priority - b.entry.priority || a.entry.order - b.entry.order);
+
+    // Fog, motion blur and wide blur state (3D_FOG, 3D_MOTIONBLUR, 3D_WIDEBLUR)
+    // only last while their effect is active, so seeking never leaves them stuck on.
+    const sm = this.sceneManager;
+    const prevFog = sm.fog;
+    const prevMotionBlur = sm.motionBlurEnabled;
+    const prevWideBlur = sm.wideBlurEnabled;
+
+    // Execute each active effect
+    for (const item of activeEffects) {
+      const { entry, fxTime } = item;
+      try {
+        entry.fx.doFrame(fxTime, demoTime, this);
+      } catch (err) {
+        console.warn(`Effect "${entry.name}" error:`, err.message);
+      }
+    }
+
+    sm.setFog(prevFog);
+    sm.motionBlurEnabled = prevMotionBlur;
+    sm.wideBlurEnabled = prevWideBlur;
+    this.prevDemoTime = demoTime;
+    if (this._stream) this._stream.focus = demoTime;
+  }
+}
+
+/**
+ * A registered demo effect entry.
+ */
+class DemoFXEntry {
+  constructor(fx, startTime, endTime, priority, name, order = 0) {
+    this.fx = fx;
+    this.startTime = startTime;
+    this.endTime = endTime;
+    this.priority = priority;
+    this.name = name;
+    this.order = order;
+    this.force = false;
+    this.disabled = false;
+    /** False while streaming has not loaded this entry's assets yet */
+    this.ready = true;
+    /** @type {ScriptCommand|null} Command that created this entry (script effects only) */
+    this.scriptCommand = null;
+    /** Timing passed to addFX, before any script FX line changed it */
+    this.registeredTiming = { startTime, endTime, priority };
+  }
+}
+
+// ---- Base class for demo effects ----
+
+/**
+ * Base class for all demo effects.
+ * Override loadData() and doFrame().
+ */
+export class DemoFX {
+  constructor() {
+    this.name = '';
+  }
+
+  /**
+   * Load resources for this effect.
+   * @param {DemoManager} demoManager
+   */
+  async loadData(demoManager) {}
+
+  /**
+   * Render one frame.
+   * @param {number} fxTime - Time since effect start (ms)
+   * @param {number} demoTime - Absolute demo time (ms)
+   * @param {DemoManager} demoManager
+   */
+  doFrame(fxTime, demoTime, demoManager) {}
+
+  /**
+   * Cleanup resources.
+   */
+  close() {}
+}
+
+// ---- Script-based effect implementations ----
+
+/** 3D_FADE: Fullscreen fade in/out */
+class FadeFX extends DemoFX {
+  constructor(params) {
+    super();
+    this.fadeType = params.type; // 'IN' or 'OUT'
+    this.color = params.color || [0, 0, 0];
+    this.startMs = params.start || 0;
+    this.endMs = params.end || 0;
+  }
+
+  doFrame(fxTime, demoTime, dm) {
+    const duration = this.endMs - this.startMs;
+    const t = duration > 0 ? Math.max(0, Math.min(1, fxTime / duration)) : 1;
+    const alpha = this.fadeType === 'IN' ? (1 - t) : t;
+
+    const color = (Math.round(this.color[0] * 255) << 16) |
+                  (Math.round(this.color[1] * 255) << 8) |
+                  Math.round(this.color[2] * 255);
+
+    dm.renderer.drawFullscreenQuad(color, alpha);
+  }
+}
+
+/** 3D_FLASH: Instant flash */
+class FlashFX extends DemoFX {
+  constructor(params) {
+    super();
+    this.color = params.color || [1, 1, 1];
+    this.startMs = params.start || 0;
+    this.endMs = params.end || 0;
+  }
+
+  doFrame(fxTime, demoTime, dm) {
+    const duration = this.endMs - this.startMs;
+    const t = duration > 0 ? Math.max(0, Math.min(1, fxTime / duration)) : 0;
+    const alpha = 1 - t;
+
+    const color = (Math.round(this.color[0] * 255) << 16) |
+                  (Math.round(this.color[1] * 255) << 8) |
+                  Math.round(this.color[2] * 255);
+
+    dm.renderer.drawFullscreenQuad(color, alpha, BlendMode.SRCALPHA, BlendMode.ONE);
+  }
+}
+
+/** 3D_VIEWPORT: Animated viewport change */
+class ViewportFX extends DemoFX {
+  constructor(params, renderer) {
+    super();
+    this.viewport1 = params.viewport1 || [0, 0, 1, 1];
+    this.viewport2 = params.viewport2 || [0, 0, 1, 1];
+    this.startMs = params.start || 0;
+    this.endMs = params.end || 0;
+    this.renderer = renderer;
+  }
+
+  doFrame(fxTime, demoTime, dm) {
+    const duration = this.endMs - this.startMs;
+    const t = duration > 0 ? Math.max(0, Math.min(1, fxTime / duration)) : 1;
+
+    const cx = this.viewport1[0] + (this.viewport2[0] - this.viewport1[0]) * t;
+    const cy = this.viewport1[1] + (this.viewport2[1] - this.viewport1[1]) * t;
+    const w = this.viewport1[2] + (this.viewport2[2] - this.viewport1[2]) * t;
+    const h = this.viewport1[3] + (this.viewport2[3] - this.viewport1[3]) * t;
+
+    // Use PTA viewport convention (cx, cy = center, 0,0 = top-left)
+    dm.renderer.setViewportPTA(cx, cy, w, h);
+  }
+}
+
+/** 3D_CLEAR_ZBUFF: Clear depth buffer */
+class ClearZBuffFX extends DemoFX {
+  doFrame(fxTime, demoTime, dm) {
+    dm.renderer.clearDepth();
+  }
+}
+
+/** 3D_CLEAR_FRAMEBUFF: Clear color + depth */
+class ClearFrameBuffFX extends DemoFX {
+  doFrame(fxTime, demoTime, dm) {
+    dm.renderer.clear(0x000000);
+  }
+}
+
+/** 3D_ALPHAFUNC: Set blend function */
+class AlphaFuncFX extends DemoFX {
+  constructor(params, demoManager) {
+    super();
+    this.func = params.func || [4, 5]; // SRCALPHA, INVSRCALPHA
+    this.alpha1 = params.alpha1 ?? 1.0;
+    this.alpha2 = params.alpha2 ?? 1.0;
+    this.startMs = params.start || 0;
+    this.endMs = params.end || 0;
+  }
+
+  doFrame(fxTime, demoTime, dm) {
+    const duration = this.endMs - this.startMs;
+    const t = duration > 0 ? Math.max(0, Math.min(1, fxTime / duration)) : 1;
+
+    dm.currentBlendSrc = this.func[0];
+    dm.currentBlendDst = this.func[1];
+    dm.currentAlpha = this.alpha1 + (this.alpha2 - this.alpha1) * t;
+  }
+}
+
+/** 3D_FOG: Enable PTA fixed-function fog (LINEAR/EXP/EXP2) or disable it (OFF)
+ * for the scenes rendered after it this frame. DemoManager.doFrame() restores
+ * the previous fog state once all effects have run. */
+class FogFX extends DemoFX {
+  constructor(params) {
+    super();
+    this.fogType = params.type ?? 'OFF';
+    this.near = params.near ?? 0;
+    this.far = params.far ?? 1000;
+    this.density = params.density ?? 1;
+    this.color = params.color ?? [0, 0, 0];
+    /** @type {import('./PtaFog.js').PtaFog|null} built lazily (needs the scene manager color mode) */
+    this.fog = null;
+  }
+
+  doFrame(fxTime, demoTime, dm) {
+    if (this.fogType === 'OFF') {
+      dm.sceneManager.setFog(null);
+      return;
+    }
+    if (!this.fog) {
+      this.fog = dm.sceneManager.createFog(this.fogType, this.color, this.near, this.far, this.density);
+    }
+    dm.sceneManager.setFog(this.fog);
+  }
+}
+
+/** 3D_MOTIONBLUR: Frame-accumulation motion blur on scenes rendered after it.
+ * state=ON|OFF, optional alpha = history weight (default 0.5 at 60 fps). */
+class MotionBlurFX extends DemoFX {
+  constructor(params) {
+    super();
+    this.state = params.state || 'ON';
+    this.alpha = params.alpha ?? 0.5;
+  }
+
+  doFrame(fxTime, demoTime, dm) {
+    dm.sceneManager.motionBlurEnabled = this.state === 'ON';
+    dm.sceneManager.motionBlurAlpha = this.alpha;
+  }
+}
+
+/** 3D_WIDEBLUR: Enable wide blur framebuffer capture (state=ON|OFF).
+ * With quads=N it also draws SceneManager.doWideBlur() using the last capture,
+ * so it must run after the 3D_SCENE it blurs (higher priority):
+ *   quads, width, height (blur quad growth, or DOF spread), dof=ON|OFF */
+class WideBlurFX extends DemoFX {
+  constructor(params) {
+    super();
+    this.state = params.state || 'ON';
+    this.numQuads = params.quads || 0;
+    this.width = params.width || 0;
+    this.height = params.height || 0;
+    this.isDOF = params.dof === 'ON';
+  }
+
+  doFrame(fxTime, demoTime, dm) {
+    const sm = dm.sceneManager;
+    const wasCapturing = sm.wideBlurEnabled;
+    sm.wideBlurEnabled = this.state === 'ON';
+    if (sm.wideBlurEnabled && this.numQuads > 0) {
+      // Scenes drawn earlier this frame weren't captured if capture was off; grab them now.
+      if (!wasCapturing) sm.captureWideBlur();
+      sm.doWideBlur(this.numQuads, this.width, this.height, this.isDOF);
+    }
+  }
+}
+
+/** 3D_IMAGE: Display a 2D image */
+class ImageFX extends DemoFX {
+  constructor(params, demoManager) {
+    super();
+    this.imageId = params.id;
+    this.alpha1 = params.alpha1 ?? 1.0;
+    this.alpha2 = params.alpha2 ?? 1.0;
+    this.angle1 = (params.angle1 || 0) * Math.PI / 180;
+    this.angle2 = (params.angle2 || 0) * Math.PI / 180;
+    this.pos1 = params.pos1 || [0.5, 0.5];
+    this.pos2 = params.pos2 || [0.5, 0.5];
+    this.size1 = params.size1 || [0.5, 0.5];
+    this.size2 = params.size2 || [0.5, 0.5];
+    this.startMs = params.start || 0;
+    this.endMs = params.end || 0;
+  }
+
+  doFrame(fxTime, demoTime, dm) {
+    const texture = dm.assetManager.getImage(this.imageId);
+    if (!texture) return;
+
+    const duration = this.endMs - this.startMs;
+    const t = duration > 0 ? Math.max(0, Math.min(1, fxTime / duration)) : 1;
+
+    const alpha = this.alpha1 + (this.alpha2 - this.alpha1) * t;
+    const angle = this.angle1 + (this.angle2 - this.angle1) * t;
+    const x = this.pos1[0] + (this.pos2[0] - this.pos1[0]) * t;
+    const y = this.pos1[1] + (this.pos2[1] - this.pos1[1]) * t;
+    const w = this.size1[0] + (this.size2[0] - this.size1[0]) * t;
+    const h = this.size1[1] + (this.size2[1] - this.size1[1]) * t;
+
+    dm.renderer.drawTexturedQuad(texture, x, y, w, h, angle, alpha);
+  }
+}
+
+/** 3D_SCENE: Play a 3D scene.
+ * When AlphaFuncFX has set currentAlpha < 1 (crossfade), renders to an offscreen
+ * target then composites with alpha blending to blend with the previous scene. */
+class SceneFX extends DemoFX {
+  constructor(params, demoManager) {
+    super();
+    this.sceneId = params.id;
+    this.sceneTime = params.scenetime || 0;
+    this.cameraName = params.camera;
+    this.playSpeed = params.playspeed ?? 1.0;
+    this.startMs = params.start || 0;
+    this.endMs = params.end || 0;
+  }
+
+  doFrame(fxTime, demoTime, dm) {
+    const sceneTime = this.sceneTime + fxTime * this.playSpeed;
+    const alpha = dm.currentAlpha;
+
+    if (alpha >= 0.999) {
+      dm.sceneManager.renderScene(this.sceneId, sceneTime, this.cameraName, 1);
+      return;
+    }
+
+    if (alpha <= 0.001) return;
+
+    // Crossfade: render to offscreen RT, then composite with alpha.
+    // RT must be sized in physical pixels (vp * devicePixelRatio) because
+    // Three.js setViewport() multiplies by pixelRatio internally.
+    const renderer = dm.renderer;
+    const vp = renderer.currentViewport;
+    const dpr = renderer.webglRenderer.getPixelRatio();
+    const rt = renderer.getRenderTarget('_crossfade', vp.w * dpr, vp.h * dpr);
+
+    renderer.setRenderTarget(rt);
+    renderer.webglRenderer.setViewport(0, 0, vp.w, vp.h);
+    renderer.webglRenderer.setScissor(0, 0, vp.w, vp.h);
+    renderer.webglRenderer.setScissorTest(true);
+    renderer.webglRenderer.setClearColor(0x000000, 0);
+    renderer.webglRenderer.clear(true, true, true);
+
+    dm.sceneManager.renderScene(this.sceneId, sceneTime, this.cameraName, 1);
+
+    renderer.restoreRenderTarget();
+    renderer.setViewport(vp.x, vp.y, vp.w, vp.h);
+
+    renderer.drawFullscreenTexturedQuad(
+      rt.texture, alpha, dm.currentBlendSrc, dm.currentBlendDst
+    );
+  }
+}
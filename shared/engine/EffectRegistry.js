@@ -0,0 +1,76 @@
+/**
+ * EffectRegistry - Effect classes by name, so demo scripts can create effects.
+ *
+ * A production registers its effect classes (usually from timeline.js):
+ *
+ *   dm.effectRegistry.registerAll({ FXBackground1, FXWavingBlur, FXRadialBlur });
+ *
+ * and the script can then instantiate and configure them without JavaScript
+ * (one line per effect; params= is a JSON object):
+ *
+ *   FX class=FXBackground1 name="EG Background" start=92513 end=108300 priority=1 params={"numQuads": 15, "sizeX": 0.7, "sizeY": 0.7, "texturePath": "data/textures/bg.tga"}
+ *
+ * Named params map onto the positional setup() arguments through the class's
+ * static setupParams list (matched case-insensitively). Params that are not
+ * given are passed as undefined (setup() defaults still apply) and reported as
+ * missing, since most setup() methods overwrite every field they take.
+ */
+
+export class EffectRegistry {
+  constructor() {
+    /** @type {Map<string, Function>} */
+    this.classes = new Map();
+  }
+
+  /**
+   * @param {string} name - Name used by class= in the script
+   * @param {Function} EffectClass - DemoFX subclass with a no-argument constructor
+   */
+  register(name, EffectClass) {
+    this.classes.set(name, EffectClass);
+  }
+
+  /**
+   * Register several classes, keyed by property name ({ FXBackground1, ... }).
+   * @param {Object<string, Function>} classes
+   */
+  registerAll(classes) {
+    for (const [name, EffectClass] of Object.entries(classes)) {
+      this.register(name, EffectClass);
+    }
+  }
+
+  has(name) {
+    return this.classes.has(name);
+  }
+
+  /**
+   * Instantiate a registered effect and call setup() with named params.
+   * @param {string} name - Registered class name
+   * @param {Object} [params] - setup() arguments by parameter name
+   * @returns {{fx: import('./DemoManager.js').DemoFX, unknownParams: string[], missingParams: string[]}}
+   */
+  create(name, params = {}) {
+    const EffectClass = this.classes.get(name);
+    if (!EffectClass) throw new Error(`Unknown effect class "${name}"`);
+
+    const names = EffectClass.setupParams || [];
+    const index = new Map(names.map((n, i) => [n.toLowerCase(), i]));
+    const args = new Array(names.length).fill(undefined);
+    const unknownParams = [];
+    for (const [key, value] of Object.entries(params)) {
+      const i = index.get(key.toLowerCase());
+      if (i === undefined) {
+        unknownParams.push(key);
+      } else {
+        args[i] = value;
+      }
+    }
+
+    const missingParams = names.filter((n, i) => args[i] === undefined);
+
+    const fx = new EffectClass();
+    if (typeof fx.setup === 'function') fx.setup(...args);
+    return { fx, unknownParams, missingParams };
+  }
+}
@@ -0,0 +1,706 @@
+import * as THREE from 'three';
+import { PtaScene } from './PtaFileLoader.js';
+
+/**
+ * glTF 2.0 Scene Loader
+ *
+ * Reads .gltf/.glb files into the same PtaScene structure parsePtaFile()
+ * produces, so SceneManager, SceneFX and the helper effects handle them like
+ * any exported PTA scene:
+ *
+ * - mesh primitives → objects (one per primitive, named after the node;
+ *   extra primitives get ".1", ".2", ...), vertices in node space
+ * - nodes without a mesh, camera or light → helpers; extras.userProps (or the
+ *   node's other extras as key=value lines) → userProps, so lens flare and
+ *   particle helpers can be authored as empties with custom properties
+ * - perspective cameras → free cameras, keeping the authored vertical FOV
+ * - KHR_lights_punctual → omni, spot and directional lights
+ * - materials: baseColor → diffuse/texture1, normalTexture → bump texture2,
+ *   occlusionTexture → lightmap texture2 (UV channel 2 = TEXCOORD_1)
+ *
+ * The node hierarchy is flattened. Animations (all played together from
+ * t=0) are resampled into evenly spaced PTA keys relative to each node's
+ * first world transform, which is what AnimationSystem interpolates.
+ *
+ * Texture names are "#<image index>:<uri or name>". URIs are relative to the
+ * glTF file; embedded images are kept in scene.gltfImages for AssetManager.
+ *
+ * Not supported: skins and morph targets (meshes load in their bind pose),
+ * compressed geometry/texture extensions, per-texture samplers and transforms.
+ */
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_JSON = 0x4e4f534a;
+const GLB_BIN = 0x004e4942;
+
+const COMPONENT_READERS = {
+  5120: [1, (view, offset) => view.getInt8(offset), 127],
+  5121: [1, (view, offset) => view.getUint8(offset), 255],
+  5122: [2, (view, offset) => view.getInt16(offset, true), 32767],
+  5123: [2, (view, offset) => view.getUint16(offset, true), 65535],
+  5125: [4, (view, offset) => view.getUint32(offset, true), 4294967295],
+  5126: [4, (view, offset) => view.getFloat32(offset, true), 1],
+};
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+const SUPPORTED_EXTENSIONS = new Set(['KHR_lights_punctual', 'KHR_materials_unlit']);
+const LIGHT_TYPES = { point: 1, spot: 2, directional: 3 };
+
+const _pos = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _pos0 = new THREE.Vector3();
+const _quat0 = new THREE.Quaternion();
+const _axis = new THREE.Vector3();
+
+/**
+ * Whether a scene path names a glTF file.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isGltfPath(path) {
+  return /\.(gltf|glb)$/i.test(path);
+}
+
+/**
+ * Load and parse a .gltf/.glb file from a URL.
+ * @param {string} url
+ * @param {Object} [options] - See parseGltfFile
+ * @returns {Promise<PtaScene>}
+ */
+export async function loadGltfFile(url, options = {}) {
+  const base = url.slice(0, url.lastIndexOf('/') + 1);
+  return parseGltfFile(await fetchBuffer(url), {
+    readUri: (uri) => fetchBuffer(base + uri),
+    ...options,
+  });
+}
+
+async function fetchBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  return response.arrayBuffer();
+}
+
+/**
+ * Parse .gltf (JSON) or .glb (binary) file contents.
+ * @param {ArrayBuffer} buffer
+ * @param {Object} [options]
+ * @param {function(string): Promise<ArrayBuffer>} [options.readUri]
+ *   Reads an external buffer, given its URI relative to the glTF file
+ * @param {number} [options.fps=30] - Rate animations are resampled at
+ * @returns {Promise<PtaScene>}
+ */
+export async function parseGltfFile(buffer, options = {}) {
+  const { json, bin } = readContainer(buffer);
+  const version = String(json.asset?.version ?? '');
+  if (!version.startsWith('2.')) throw new Error(`GltfSceneLoader: unsupported glTF version "${version}"`);
+  for (const ext of json.extensionsRequired ?? []) {
+    if (!SUPPORTED_EXTENSIONS.has(ext)) throw new Error(`GltfSceneLoader: required extension ${ext} is not supported`);
+  }
+
+  const buffers = await Promise.all((json.buffers ?? []).map((def, i) => {
+    if (def.uri === undefined) {
+      if (i !== 0 || !bin) throw new Error(`GltfSceneLoader: buffer ${i} has no data`);
+      return bin;
+    }
+    if (def.uri.startsWith('data:')) return decodeDataUri(def.uri);
+    if (!options.readUri) throw new Error(`GltfSceneLoader: cannot read external buffer ${def.uri}`);
+    return options.readUri(decodeURIComponent(def.uri)).then(data => new Uint8Array(data));
+  }));
+
+  return new GltfSceneBuilder(json, buffers, options.fps ?? 30).build();
+}
+
+/**
+ * Split a .glb container, or decode .gltf JSON text.
+ * @param {ArrayBuffer} buffer
+ * @returns {{json: Object, bin: Uint8Array|null}}
+ */
+function readContainer(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 12 || view.getUint32(0, true) !== GLB_MAGIC) {
+    return { json: JSON.parse(new TextDecoder().decode(buffer)), bin: null };
+  }
+
+  let json = null;
+  let bin = null;
+  const length = Math.min(view.getUint32(8, true), buffer.byteLength);
+  for (let offset = 12; offset + 8 <= length;) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const data = new Uint8Array(buffer, offset + 8, chunkLength);
+    if (chunkType === GLB_JSON) json = JSON.parse(new TextDecoder().decode(data));
+    else if (chunkType === GLB_BIN && !bin) bin = data;
+    offset += 8 + chunkLength;
+  }
+  if (!json) throw new Error('GltfSceneLoader: .glb file has no JSON chunk');
+  return { json, bin };
+}
+
+function decodeDataUri(uri) {
+  const comma = uri.indexOf(',');
+  const header = uri.slice(0, comma);
+  const payload = uri.slice(comma + 1);
+  if (!header.endsWith(';base64')) return new TextEncoder().encode(decodeURIComponent(payload));
+  const binary = atob(payload);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Builds the PtaScene from a parsed glTF document.
+ */
+class GltfSceneBuilder {
+  constructor(json, buffers, fps) {
+    this.json = json;
+    this.buffers = buffers;
+    this.fps = fps;
+    this.scene = new PtaScene();
+    /** @type {Map<string, {uri?: string, mimeType?: string, data?: Uint8Array}>} */
+    this.images = new Map();
+    this.warnings = new Set();
+  }
+
+  warn(message) {
+    if (this.warnings.has(message)) return;
+    this.warnings.add(message);
+    console.warn(`GltfSceneLoader: ${message}`);
+  }
+
+  build() {
+    const { json, scene } = this;
+    const rootScene = json.scenes?.[json.scene ?? 0];
+    scene.materials = (json.materials ?? []).map(mat => this.buildMaterial(mat));
+
+    // Flatten the active scene's hierarchy, parents first
+    const order = [];
+    const parents = new Map();
+    const visit = (index, parent) => {
+      if (parents.has(index)) return;
+      parents.set(index, parent);
+      order.push(index);
+      for (const child of json.nodes[index].children ?? []) visit(child, index);
+    };
+    for (const root of rootScene?.nodes ?? json.nodes?.map((_, i) => i) ?? []) visit(root, -1);
+
+    const animation = this.readAnimations();
+    const locals = new Map(order.map(index => [index, this.localTrs(json.nodes[index])]));
+    const animated = new Set();
+    for (const index of order) {
+      const parent = parents.get(index);
+      if (animation.channels.has(index) || animated.has(parent)) animated.add(index);
+    }
+
+    // World matrices at each sample time; keys are evenly spaced in ms
+    const sampleCount = animated.size > 0 && animation.duration > 0
+      ? Math.max(1, Math.ceil(animation.duration * this.fps)) + 1
+      : 1;
+    const worlds = order.map(() => []);
+    const world = new Map();
+    for (let s = 0; s < sampleCount; s++) {
+      const seconds = sampleCount > 1 ? animation.duration * s / (sampleCount - 1) : 0;
+      order.forEach((index, i) => {
+        const parent = parents.get(index);
+        if (s > 0 && !animated.has(index)) return;
+        const local = this.animatedLocalMatrix(locals.get(index), animation.channels.get(index), seconds);
+        const matrix = parent >= 0 ? world.get(parent).clone().multiply(local) : local;
+        world.set(index, matrix);
+        worlds[i].push({ t: seconds * 1000, matrix });
+      });
+    }
+    if (sampleCount > 1) {
+      scene.animStartTime = 0;
+      scene.animEndTime = animation.duration * 1000;
+    }
+
+    order.forEach((index, i) => {
+      const node = json.nodes[index];
+      const samples = animated.has(index) ? worlds[i] : worlds[i].slice(0, 1);
+      const name = node.name || json.meshes?.[node.mesh]?.name || `node${index}`;
+      const userProps = userPropsFromExtras(node.extras);
+      if (node.skin !== undefined) this.warn(`skin on node "${name}" ignored, the mesh loads in its bind pose`);
+
+      let isHelper = true;
+      if (node.mesh !== undefined) {
+        this.addMeshObjects(name, json.meshes[node.mesh], samples, userProps);
+        isHelper = false;
+      }
+      if (node.camera !== undefined) {
+        this.addCamera(name, json.cameras[node.camera], samples, userProps);
+        isHelper = false;
+      }
+      const light = node.extensions?.KHR_lights_punctual;
+      if (light !== undefined) {
+        this.addLight(name, json.extensions?.KHR_lights_punctual?.lights?.[light.light], samples, userProps);
+        isHelper = false;
+      }
+      if (isHelper) {
+        scene.helpers.push({
+          name,
+          userProps,
+          flags: 0,
+          ...transformKeys(samples, true),
+          boundingBox: { min: new THREE.Vector3(), max: new THREE.Vector3() },
+        });
+        scene.chunkOrder.push('HO__');
+      }
+    });
+
+    const extras = rootScene?.extras;
+    if (Array.isArray(extras?.backgroundColor) || Array.isArray(extras?.ambientColor)) {
+      scene.globalInfo = {
+        bgColor: colorObject(extras.backgroundColor ?? [0, 0, 0]),
+        ambientColor: colorObject(extras.ambientColor ?? [0, 0, 0]),
+      };
+    }
+    scene.gltfImages = this.images;
+    return scene;
+  }
+
+  // --- Accessors ---
+
+  /**
+   * Accessor contents as floats (normalized integers scaled to [0, 1] / [-1, 1]).
+   * @param {number} index
+   * @returns {{array: Float32Array, size: number, count: number}}
+   */
+  readAccessor(index) {
+    const accessor = this.json.accessors[index];
+    const size = TYPE_SIZES[accessor.type];
+    const array = new Float32Array(accessor.count * size);
+    if (accessor.bufferView !== undefined) {
+      this.readComponents(array, accessor.bufferView, accessor.byteOffset ?? 0,
+        accessor.componentType, size, accessor.count, accessor.normalized);
+    }
+    if (accessor.sparse) {
+      const { count, indices, values } = accessor.sparse;
+      const sparseIndices = new Float32Array(count);
+      const sparseValues = new Float32Array(count * size);
+      this.readComponents(sparseIndices, indices.bufferView, indices.byteOffset ?? 0, indices.componentType, 1, count);
+      this.readComponents(sparseValues, values.bufferView, values.byteOffset ?? 0,
+        accessor.componentType, size, count, accessor.normalized);
+      for (let i = 0; i < count; i++) {
+        array.set(sparseValues.subarray(i * size, i * size + size), sparseIndices[i] * size);
+      }
+    }
+    return { array, size, count: accessor.count };
+  }
+
+  readComponents(out, viewIndex, byteOffset, componentType, size, count, normalized = false) {
+    const bufferView = this.json.bufferViews[viewIndex];
+    const bytes = this.buffers[bufferView.buffer];
+    const [componentBytes, read, max] = COMPONENT_READERS[componentType];
+    const stride = bufferView.byteStride || componentBytes * size;
+    const view = new DataView(bytes.buffer, bytes.byteOffset + (bufferView.byteOffset ?? 0) + byteOffset);
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < size; c++) {
+        const value = read(view, i * stride + c * componentBytes);
+        out[i * size + c] = normalized ? Math.max(value / max, -1) : value;
+      }
+    }
+  }
+
+  // --- Animation ---
+
+  /**
+   * Channels by node, from every animation in the file.
+   * @returns {{channels: Map<number, Object>, duration: number}} duration in seconds
+   */
+  readAnimations() {
+    const channels = new Map();
+    let duration = 0;
+    for (const animation of this.json.animations ?? []) {
+      for (const channel of animation.channels) {
+        const path = channel.target.path;
+        if (channel.target.node === undefined || path === 'weights') continue;
+        const def = animation.samplers[channel.sampler];
+        const input = this.readAccessor(def.input).array;
+        const output = this.readAccessor(def.output);
+        const sampler = {
+          input,
+          output: output.array,
+          size: path === 'rotation' ? 4 : 3,
+          interpolation: def.interpolation ?? 'LINEAR',
+        };
+        if (!channels.has(channel.target.node)) channels.set(channel.target.node, {});
+        channels.get(channel.target.node)[path] = sampler;
+        if (input.length > 0) duration = Math.max(duration, input[input.length - 1]);
+      }
+    }
+    return { channels, duration };
+  }
+
+  localTrs(node) {
+    const trs = {
+      position: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+      scale: new THREE.Vector3(1, 1, 1),
+    };
+    if (node.matrix) {
+      new THREE.Matrix4().fromArray(node.matrix).decompose(trs.position, trs.quaternion, trs.scale);
+    } else {
+      if (node.translation) trs.position.fromArray(node.translation);
+      if (node.rotation) trs.quaternion.fromArray(node.rotation);
+      if (node.scale) trs.scale.fromArray(node.scale);
+    }
+    return trs;
+  }
+
+  animatedLocalMatrix(trs, channels, seconds) {
+    _pos.copy(trs.position);
+    _quat.copy(trs.quaternion);
+    _scale.copy(trs.scale);
+    if (channels?.translation) _pos.fromArray(sampleChannel(channels.translation, seconds));
+    if (channels?.rotation) _quat.fromArray(sampleChannel(channels.rotation, seconds)).normalize();
+    if (channels?.scale) _scale.fromArray(sampleChannel(channels.scale, seconds));
+    return new THREE.Matrix4().compose(_pos, _quat, _scale);
+  }
+
+  // --- Scene nodes ---
+
+  addMeshObjects(name, mesh, samples, userProps) {
+    mesh.primitives.forEach((primitive, p) => {
+      const mode = primitive.mode ?? MODE_TRIANGLES;
+      if (![MODE_TRIANGLES, MODE_TRIANGLE_STRIP, MODE_TRIANGLE_FAN].includes(mode)) {
+        this.warn(`primitive mode ${mode} in mesh "${mesh.name ?? name}" skipped, only triangles are supported`);
+        return;
+      }
+      if (primitive.attributes.POSITION === undefined) return;
+      if (primitive.targets) this.warn(`morph targets in mesh "${mesh.name ?? name}" ignored`);
+
+      const attribute = (semantic) => primitive.attributes[semantic] !== undefined
+        ? this.readAccessor(primitive.attributes[semantic])
+        : null;
+      const position = attribute('POSITION');
+      const vectors = (data) => {
+        const out = [];
+        for (let i = 0; i < data.count; i++) {
+          out.push(new THREE.Vector3().fromArray(data.array, i * data.size));
+        }
+        return out;
+      };
+      // PTA UVs have V=0 at the bottom of the image
+      const uvs = (data) => {
+        const out = [];
+        for (let i = 0; data && i < data.count; i++) {
+          out.push({ u: data.array[i * 2], v: 1 - data.array[i * 2 + 1] });
+        }
+        return out;
+      };
+      const colorData = attribute('COLOR_0');
+      const colors = [];
+      for (let i = 0; colorData && i < colorData.count; i++) {
+        const c = i * colorData.size;
+        colors.push({ r: colorData.array[c], g: colorData.array[c + 1], b: colorData.array[c + 2] });
+      }
+
+      const indices = primitive.indices !== undefined
+        ? this.readAccessor(primitive.indices).array
+        : Float32Array.from({ length: position.count }, (_, i) => i);
+      const faces = triangleFaces(indices, mode);
+      const normals = attribute('NORMAL');
+      const uvs1 = uvs(attribute('TEXCOORD_0'));
+      const uvs2 = uvs(attribute('TEXCOORD_1'));
+
+      this.scene.objects.push({
+        name: p === 0 ? name : `${name}.${p}`,
+        userProps,
+        flags: 0,
+        materialId: primitive.material ?? -1,
+        numVertices: position.count,
+        numVertexNormals: normals ? normals.count : 0,
+        numColorVertices: colors.length,
+        numTextureVertices: Math.max(uvs1.length, uvs2.length),
+        uvChannelFlags: (uvs1.length ? 1 : 0) | (uvs2.length ? 2 : 0),
+        hasEdgeFlagCount: true,
+        numEdgeFlags: 0,
+        numFaces: faces.length,
+        vertices: vectors(position),
+        normals: normals ? vectors(normals) : [],
+        colors,
+        uvs1,
+        uvs2,
+        edgeFlags: [],
+        faces,
+        ...transformKeys(samples, true),
+        bones: [],
+        vertexBoneData: null,
+        deformable: false,
+      });
+      this.scene.chunkOrder.push('GO__');
+    });
+  }
+
+  addCamera(name, def, samples, userProps) {
+    if (def?.type !== 'perspective') {
+      this.warn(`camera "${name}" skipped, only perspective cameras are supported`);
+      return;
+    }
+    const { yfov, aspectRatio, znear, zfar } = def.perspective;
+    const verticalFov = THREE.MathUtils.radToDeg(yfov);
+    const keys = transformKeys(samples, false);
+    this.scene.cameras.push({
+      name,
+      userProps,
+      type: 1,
+      flags: 0,
+      originMatrix: keys.transformMatrix,
+      near: znear,
+      far: zfar ?? 10000,
+      // PTA's horizontal FOV; SceneManager renders verticalFov as authored
+      fov: verticalFov * (aspectRatio ?? 4 / 3),
+      verticalFov,
+      settingsKeys: [],
+      posKeys: keys.posKeys,
+      sclKeys: [],
+      // The engine only takes the camera's animated orientation from rotation keys
+      rotKeys: keys.rotKeys,
+      targetPosKeys: [],
+      targetSclKeys: [],
+      targetRotKeys: [],
+    });
+    this.scene.chunkOrder.push('CO__');
+  }
+
+  addLight(name, def, samples, userProps) {
+    if (!def) return;
+    const type = LIGHT_TYPES[def.type] ?? 1;
+    // Lights shine down their local -Z. Directional lights point at the
+    // origin in the engine, so place them on the +Z axis of their node.
+    const place = (matrix) => {
+      matrix.decompose(_pos, _quat, _scale);
+      if (type === 3) {
+        _axis.set(0, 0, 1).applyQuaternion(_quat).multiplyScalar(Math.max(_pos.length(), 100));
+        _pos.copy(_axis);
+      }
+      return new THREE.Matrix4().compose(_pos, _quat, _scale.set(1, 1, 1));
+    };
+    const originMatrix = place(samples[0].matrix);
+    const light = {
+      name,
+      userProps,
+      type,
+      flags: 0,
+      originMatrix,
+      color: colorObject(def.color ?? [1, 1, 1]),
+      intensity: def.intensity ?? 1,
+      falloff: def.range ?? 0,
+      settingsKeys: [],
+      // Light position keys are absolute
+      posKeys: samples.length > 1
+        ? samples.map(({ t, matrix }) => ({ t, pos: new THREE.Vector3().setFromMatrixPosition(place(matrix)) }))
+        : [],
+      sclKeys: [],
+      rotKeys: [],
+      targetPosKeys: [],
+      targetSclKeys: [],
+      targetRotKeys: [],
+    };
+    if (type === 2) light.targetMatrix = originMatrix.clone().multiply(new THREE.Matrix4().makeTranslation(0, 0, -1));
+    this.scene.lights.push(light);
+    this.scene.chunkOrder.push('LO__');
+  }
+
+  // --- Materials ---
+
+  buildMaterial(def) {
+    const pbr = def.pbrMetallicRoughness ?? {};
+    const base = pbr.baseColorFactor ?? [1, 1, 1, 1];
+    const extras = def.extras ?? {};
+    const roughness = pbr.roughnessFactor ?? 1;
+    const mat = {
+      name: def.name ?? '',
+      flags: 0,
+      diffuse: colorObject(base),
+      ambient: colorObject(Array.isArray(extras.ambient) ? extras.ambient : base),
+      specular: colorObject(Array.isArray(extras.specular) ? extras.specular : [0, 0, 0]),
+      // Roughness to a Blinn-Phong exponent, as a fraction of 128
+      shininess: typeof extras.shininess === 'number'
+        ? extras.shininess
+        : Math.min(1, Math.max(0, (2 / Math.max(roughness, 0.05) ** 4 - 2) / 128)),
+      texture1: this.textureName(pbr.baseColorTexture),
+      texture2: null,
+      isTwoSided: !!def.doubleSided,
+      isBumpMap: false,
+      tex1Spherical: false,
+      tex2Spherical: false,
+      subMaterials: [],
+    };
+    if (def.normalTexture) {
+      mat.texture2 = this.textureName(def.normalTexture);
+      mat.isBumpMap = mat.texture2 !== null;
+    } else if (def.occlusionTexture) {
+      mat.texture2 = this.textureName(def.occlusionTexture);
+    }
+    if (extras.sphereMapped) {
+      mat.tex1Spherical = !!extras.sphereMapped.texture1 && mat.texture1 !== null;
+      if (extras.sphereMapped.texture2 && !mat.texture2) {
+        // Reflection layers have no glTF slot; find the texture by its name
+        const index = this.json.textures?.findIndex(tex => tex.name === extras.textures?.[1]) ?? -1;
+        mat.texture2 = index >= 0 ? this.textureName({ index }) : null;
+        mat.tex2Spherical = mat.texture2 !== null;
+      }
+    }
+    return mat;
+  }
+
+  textureName(info) {
+    const texture = info ? this.json.textures?.[info.index] : undefined;
+    const imageIndex = texture?.source;
+    const image = imageIndex !== undefined ? this.json.images?.[imageIndex] : undefined;
+    if (!image) return null;
+
+    const name = `#${imageIndex}:${image.uri && !image.uri.startsWith('data:') ? image.uri : image.name ?? ''}`;
+    if (!this.images.has(name)) {
+      if (image.bufferView !== undefined) {
+        const view = this.json.bufferViews[image.bufferView];
+        const bytes = this.buffers[view.buffer];
+        const start = bytes.byteOffset + (view.byteOffset ?? 0);
+        this.images.set(name, { mimeType: image.mimeType, data: new Uint8Array(bytes.buffer, start, view.byteLength) });
+      } else if (image.uri?.startsWith('data:')) {
+        const mimeType = image.uri.slice(5, image.uri.search(/[;,]/));
+        this.images.set(name, { mimeType, data: decodeDataUri(image.uri) });
+      } else if (image.uri) {
+        this.images.set(name, { uri: decodeURIComponent(image.uri) });
+      }
+    }
+    return name;
+  }
+}
+
+/**
+ * Triangle index triples for a primitive.
+ * @param {ArrayLike<number>} indices
+ * @param {number} mode
+ * @returns {Array<{v0: number, v1: number, v2: number}>}
+ */
+function triangleFaces(indices, mode) {
+  const faces = [];
+  if (mode === MODE_TRIANGLE_STRIP) {
+    for (let i = 0; i + 2 < indices.length; i++) {
+      const odd = i % 2 === 1;
+      faces.push({ v0: indices[odd ? i + 1 : i], v1: indices[odd ? i : i + 1], v2: indices[i + 2] });
+    }
+  } else if (mode === MODE_TRIANGLE_FAN) {
+    for (let i = 1; i + 1 < indices.length; i++) {
+      faces.push({ v0: indices[0], v1: indices[i], v2: indices[i + 1] });
+    }
+  } else {
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+      faces.push({ v0: indices[i], v1: indices[i + 1], v2: indices[i + 2] });
+    }
+  }
+  return faces;
+}
+
+/**
+ * Value of an animation sampler at a time in seconds.
+ * @returns {number[]}
+ */
+function sampleChannel({ input, output, size, interpolation }, seconds) {
+  const cubic = interpolation === 'CUBICSPLINE';
+  const stride = cubic ? size * 3 : size;
+  const value = (key) => {
+    const start = key * stride + (cubic ? size : 0);
+    return Array.from(output.subarray(start, start + size));
+  };
+  const last = input.length - 1;
+  if (last <= 0 || seconds <= input[0]) return value(0);
+  if (seconds >= input[last]) return value(last);
+
+  let lo = 0;
+  let hi = last;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (input[mid] <= seconds) lo = mid;
+    else hi = mid;
+  }
+  const dt = input[hi] - input[lo];
+  const u = dt > 0 ? (seconds - input[lo]) / dt : 0;
+  if (interpolation === 'STEP') return value(lo);
+
+  if (cubic) {
+    // Hermite spline: value, out-tangent of lo; value, in-tangent of hi
+    const u2 = u * u;
+    const u3 = u2 * u;
+    const h00 = 2 * u3 - 3 * u2 + 1;
+    const h10 = u3 - 2 * u2 + u;
+    const h01 = -2 * u3 + 3 * u2;
+    const h11 = u3 - u2;
+    const out = [];
+    for (let c = 0; c < size; c++) {
+      out.push(h00 * output[lo * stride + size + c] + h10 * dt * output[lo * stride + 2 * size + c] +
+        h01 * output[hi * stride + size + c] + h11 * dt * output[hi * stride + c]);
+    }
+    return out;
+  }
+
+  if (size === 4) {
+    const out = [0, 0, 0, 0];
+    THREE.Quaternion.slerpFlat(out, 0, output, lo * 4, output, hi * 4, u);
+    return out;
+  }
+  const out = [];
+  for (let c = 0; c < size; c++) {
+    out.push(output[lo * size + c] + (output[hi * size + c] - output[lo * size + c]) * u);
+  }
+  return out;
+}
+
+/**
+ * Initial matrix and keys reproducing sampled world transforms through
+ * getTransformMatrix(): the axes hold the first translation and rotation,
+ * keys hold the offset from them and the full scale.
+ * @param {Array<{t: number, matrix: THREE.Matrix4}>} samples
+ * @param {boolean} withScale - false for cameras, whose matrices carry no scale
+ * @returns {{transformMatrix: THREE.Matrix4, posKeys: Array, sclKeys: Array, rotKeys: Array}}
+ */
+function transformKeys(samples, withScale) {
+  if (samples.length === 1) {
+    const transformMatrix = samples[0].matrix.clone();
+    if (!withScale) {
+      transformMatrix.decompose(_pos, _quat, _scale);
+      transformMatrix.compose(_pos, _quat, _scale.set(1, 1, 1));
+    }
+    return { transformMatrix, posKeys: [], sclKeys: [], rotKeys: [] };
+  }
+
+  samples[0].matrix.decompose(_pos0, _quat0, _scale);
+  const transformMatrix = new THREE.Matrix4().compose(_pos0, _quat0, new THREE.Vector3(1, 1, 1));
+  const inverse = _quat0.clone().invert();
+  const posKeys = [];
+  const sclKeys = [];
+  const rotKeys = [];
+  for (const { t, matrix } of samples) {
+    matrix.decompose(_pos, _quat, _scale);
+    posKeys.push({ t, pos: _pos.clone().sub(_pos0) });
+    rotKeys.push({ t, quat: _quat.clone().multiply(inverse) });
+    if (withScale) sclKeys.push({ t, scale: _scale.clone(), axes: new THREE.Quaternion() });
+  }
+  return { transformMatrix, posKeys, sclKeys, rotKeys };
+}
+
+/**
+ * PTA userProps text from node extras: the "userProps" string if present,
+ * otherwise the other simple properties as key=value lines.
+ * @param {Object} [extras]
+ * @returns {string}
+ */
+function userPropsFromExtras(extras) {
+  if (!extras || typeof extras !== 'object') return '';
+  if (typeof extras.userProps === 'string') return extras.userProps;
+  return Object.entries(extras)
+    .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+    .map(([key, value]) => (typeof value === 'string' ? `${key}="${value}"` : `${key}=${value}`))
+    .join('\r\n');
+}
+
+function colorObject(c) {
+  return { r: c[0], g: c[1], b: c[2] };
+}
@@ -28,15 +28,19 @@ export class MusicPlayer {
   /**
    * Load an MP3 music file via Web Audio API.
    * @param {string} url - URL to the .mp3 file
+   * @param {ArrayBuffer} [data] - File contents if already read (e.g. from a packfile)
    * @returns {Promise<void>}
    */
-  async load(url) {
+  async load(url, data = null) {
     try {
       this._ctx = new (window.AudioContext || window.webkitAudioContext)();
 
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      const arrayBuffer = await response.arrayBuffer();
+      let arrayBuffer = data;
+      if (!arrayBuffer) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        arrayBuffer = await response.arrayBuffer();
+      }
 
       this._buffer = await this._ctx.decodeAudioData(arrayBuffer);
       this.duration = Math.round(this._buffer.duration * 1000);
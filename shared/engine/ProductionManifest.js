@@ -0,0 +1,155 @@
+/**
+ * ProductionManifest - Per-production settings read by the demo bootstrap.
+ *
+ * Each production folder ships a production.json next to its index.html:
+ *
+ *   {
+ *     "name": "Odyssey",
+ *     "width": 800, "height": 600,
+ *     "viewportRatio": 0.85,
+ *     "music": "wnd_fix.mp3",
+ *     "script": "data/demo.scr",
+ *     "duration": 170000,
+ *     "timeline": "src/timeline.js",
+ *     "debugVideo": "odyssey.mp4",
+ *     "letterboxFullViewport": true,
+ *     "scene": {
+ *       "fixedFrustumAspect": 1.3333,
+ *       "cameraAspect": "viewport",
+ *       "ptaColor": "linear"
+ *     }
+ *   }
+ *
+ * Relative paths are resolved against the manifest URL. The timeline module
+ * must export registerAllEffects(demoManager).
+ */
+
+const DEFAULTS = {
+  name: '',
+  width: 800,
+  height: 600,
+  viewportRatio: 0.85,
+  music: null,
+  script: 'demo.scr',
+  duration: 172000,
+  timeline: null,
+  debugVideo: null,
+  letterboxFullViewport: false,
+  strictScript: false,
+  tempo: null,
+  streaming: false,
+  packfile: null,
+  scenePatches: [],
+};
+
+const SCENE_DEFAULTS = {
+  fixedFrustumAspect: 4 / 3,
+  cameraAspect: 'viewport',
+  specularCompensation: 0.35,
+  diffuseCompensation: 0.80,
+  sphereMapShader: true,
+  helperEffects: true,
+  ptaColor: 'linear',
+  skinning: 'cpu',
+  animation: 'pta',
+};
+
+/**
+ * Fetch and normalize a production manifest.
+ * @param {string} url - URL of the production.json file
+ * @returns {Promise<ProductionManifest>}
+ */
+export async function loadProductionManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Production manifest not found: ${url} (HTTP ${response.status})`);
+  }
+  const json = await response.json();
+  return normalizeProductionManifest(json, new URL(url, document.baseURI).href);
+}
+
+/**
+ * Apply defaults, validate values and resolve relative paths.
+ * @param {Object} json - Parsed manifest
+ * @param {string} baseUrl - Absolute manifest URL used to resolve paths
+ * @returns {ProductionManifest}
+ */
+export function normalizeProductionManifest(json, baseUrl) {
+  const manifest = { ...DEFAULTS, ...json };
+  manifest.scene = { ...SCENE_DEFAULTS, ...(json.scene || {}) };
+
+  for (const key of ['width', 'height', 'viewportRatio', 'duration']) {
+    if (!Number.isFinite(manifest[key]) || manifest[key] <= 0) {
+      throw new Error(`Production manifest: "${key}" must be a positive number`);
+    }
+  }
+  if (!Array.isArray(manifest.scenePatches) || !manifest.scenePatches.every(p => typeof p === 'string')) {
+    throw new Error('Production manifest: "scenePatches" must be a list of paths');
+  }
+  if (!manifest.timeline) {
+    throw new Error('Production manifest: "timeline" module is required');
+  }
+  if (manifest.scene.cameraAspect !== 'viewport' && manifest.scene.cameraAspect !== 'fixed') {
+    throw new Error(`Production manifest: unknown scene.cameraAspect "${manifest.scene.cameraAspect}"`);
+  }
+  if (manifest.scene.skinning !== 'cpu' && manifest.scene.skinning !== 'gpu') {
+    throw new Error(`Production manifest: unknown scene.skinning "${manifest.scene.skinning}"`);
+  }
+  if (manifest.scene.animation !== 'pta' && manifest.scene.animation !== 'mixer') {
+    throw new Error(`Production manifest: unknown scene.animation "${manifest.scene.animation}"`);
+  }
+
+  // Asset paths stay relative to the page (AssetManager/fetch resolve against it);
+  // the timeline module is imported from shared/, so it needs an absolute URL.
+  manifest.timelineUrl = new URL(manifest.timeline, baseUrl).href;
+  return manifest;
+}
+
+/**
+ * Build SceneManager options from the manifest scene block.
+ * @param {ProductionManifest} manifest
+ * @param {Object} [overrides] - Optional { fixedFrustumAspect, ptaColor, skinning, animation } (e.g. from URL params)
+ * @returns {Object}
+ */
+export function sceneOptionsFromManifest(manifest, overrides = {}) {
+  const scene = manifest.scene;
+  const ptaColor = (overrides.ptaColor || scene.ptaColor || 'linear').toLowerCase();
+  return {
+    fixedFrustumAspect: Number.isFinite(overrides.fixedFrustumAspect)
+      ? overrides.fixedFrustumAspect
+      : scene.fixedFrustumAspect,
+    cameraAspect: scene.cameraAspect,
+    specularCompensation: scene.specularCompensation,
+    diffuseCompensation: scene.diffuseCompensation,
+    sphereMapShader: scene.sphereMapShader,
+    helperEffects: scene.helperEffects,
+    ptaColorConstantsAreSRGB: ptaColor !== 'linear',
+    skinning: overrides.skinning === 'cpu' || overrides.skinning === 'gpu'
+      ? overrides.skinning
+      : scene.skinning,
+    animation: overrides.animation === 'pta' || overrides.animation === 'mixer'
+      ? overrides.animation
+      : scene.animation,
+  };
+}
+
+/**
+ * @typedef {Object} ProductionManifest
+ * @property {string} name
+ * @property {number} width - Demo native width
+ * @property {number} height - Demo native height
+ * @property {number} viewportRatio - Fraction of vertical space used by the demo viewport
+ * @property {string|null} music - Music file path
+ * @property {string} script - Demo script path
+ * @property {number} duration - Demo duration in ms
+ * @property {string} timeline - Timeline module path (exports registerAllEffects)
+ * @property {string} timelineUrl - Timeline module resolved against the manifest URL
+ * @property {string|null} debugVideo - Reference capture shown by the debug overlay
+ * @property {boolean} letterboxFullViewport
+ * @property {boolean} strictScript - Fail loading when demo script has errors
+ * @property {Object|null} tempo - Tempo map for bar:beat:tick times (see TempoMap)
+ * @property {boolean} streaming - Start playback before all assets are loaded (also ?stream)
+ * @property {string|null} packfile - Enables packfiles; archive for assets without a script packfile= (see PtaPackFile)
+ * @property {string[]} scenePatches - Loose <scene>.patch.json files to load (see ScenePatch)
+ * @property {Object} scene - SceneManager settings (see SceneManager constructor)
+ */
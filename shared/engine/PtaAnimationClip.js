@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { getCameraPose, getTransformMatrix } from './AnimationSystem.js';
+
+/**
+ * PTA key tracks baked into THREE.AnimationClip.
+ *
+ * Every animated object, camera or light gets its own clip whose tracks bind
+ * to the action root ('.position', '.quaternion', ...), so the clip plays on
+ * whichever Object3D is passed to mixer.clipAction(clip, root). Clip time is
+ * scene time in seconds (PTA key time / 1000).
+ *
+ * Transforms are sampled at every key time and decomposed into TRS; between
+ * keys the mixer lerps positions and slerps rotations like PTA does. Shear
+ * (non-uniform scale on rotated axes) is lost and target cameras are only
+ * exact at key times, so SceneManager's PTA path stays the reference.
+ */
+
+export const AnimationMode = {
+  PTA: 'pta',
+  MIXER: 'mixer',
+};
+
+/**
+ * Sorted, de-duplicated times of the given key tracks.
+ * @param {Array<Array<{t: number}>|undefined>} tracks
+ * @returns {number[]}
+ */
+function keyTimes(tracks) {
+  const times = new Set();
+  for (const keys of tracks) {
+    if (keys) for (const key of keys) times.add(key.t);
+  }
+  return [...times].sort((a, b) => a - b);
+}
+
+function seconds(times) {
+  return times.map(t => t / 1000);
+}
+
+/**
+ * Position/quaternion/scale tracks sampled from a transform at the given times.
+ * @param {number[]} times - ms
+ * @param {Function} sample - (t, position, quaternion, scale) => void
+ * @param {boolean} withScale
+ * @returns {THREE.KeyframeTrack[]}
+ */
+function transformTracks(times, sample, withScale) {
+  const positions = [];
+  const quaternions = [];
+  const scales = [];
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  for (const t of times) {
+    sample(t, position, quaternion, scale);
+    positions.push(...position.toArray());
+    quaternions.push(...quaternion.toArray());
+    scales.push(...scale.toArray());
+  }
+  const s = seconds(times);
+  const tracks = [
+    new THREE.VectorKeyframeTrack('.position', s, positions),
+    new THREE.QuaternionKeyframeTrack('.quaternion', s, quaternions),
+  ];
+  if (withScale) tracks.push(new THREE.VectorKeyframeTrack('.scale', s, scales));
+  return tracks;
+}
+
+/**
+ * Clip for a geometric object: its getTransformMatrix() at every key time.
+ * @param {Object} objData - Object from PtaScene.objects
+ * @returns {THREE.AnimationClip|null} null when the object has no keys
+ */
+export function createObjectClip(objData) {
+  const times = keyTimes([objData.posKeys, objData.rotKeys, objData.sclKeys]);
+  if (times.length === 0) return null;
+
+  const tracks = transformTracks(times, (t, position, quaternion, scale) => {
+    getTransformMatrix(t, objData, objData.transformMatrix).decompose(position, quaternion, scale);
+  }, true);
+  return new THREE.AnimationClip(objData.name, -1, tracks);
+}
+
+/**
+ * Clip for a camera: pose (see getCameraPose) at every key time of the camera
+ * and its target, plus fov/near/far from the settings keys.
+ * @param {Object} camData - Camera from PtaScene.cameras
+ * @param {Object} [options]
+ * @param {number} [options.fixedFrustumAspect=4/3] - Converts the stored horizontal FOV to vertical
+ * @returns {THREE.AnimationClip|null} null when the camera has no keys
+ */
+export function createCameraClip(camData, options = {}) {
+  const aspect = options.fixedFrustumAspect ?? 4 / 3;
+  const tracks = [];
+
+  const times = keyTimes([
+    camData.posKeys, camData.rotKeys, camData.sclKeys,
+    camData.targetPosKeys, camData.targetRotKeys, camData.targetSclKeys,
+  ]);
+  if (times.length > 0) {
+    tracks.push(...transformTracks(times, (t, position, quaternion) => {
+      getCameraPose(t, camData, position, quaternion);
+    }, false));
+  }
+
+  const settings = camData.settingsKeys || [];
+  if (settings.length > 0) {
+    const s = seconds(settings.map(key => key.t));
+    tracks.push(
+      new THREE.NumberKeyframeTrack('.fov', s, settings.map(key => (key.fov || 60) / aspect)),
+      new THREE.NumberKeyframeTrack('.near', s, settings.map(key => (key.near > 0 ? key.near : 1.0))),
+      new THREE.NumberKeyframeTrack('.far', s, settings.map(key => (key.far > 0 ? key.far : 10000)))
+    );
+  }
+
+  return tracks.length > 0 ? new THREE.AnimationClip(camData.name, -1, tracks) : null;
+}
+
+/**
+ * Clip for a light: absolute position keys and color settings keys.
+ * @param {Object} lightData - Light from PtaScene.lights
+ * @param {Object} [options]
+ * @param {boolean} [options.colorsAreSRGB=false] - See SceneManager.setPtaColorConstantsAreSRGB()
+ * @returns {THREE.AnimationClip|null} null when the light has no keys
+ */
+export function createLightClip(lightData, options = {}) {
+  const tracks = [];
+
+  const posKeys = lightData.posKeys || [];
+  if (posKeys.length > 0) {
+    tracks.push(new THREE.VectorKeyframeTrack(
+      '.position',
+      seconds(posKeys.map(key => key.t)),
+      posKeys.flatMap(key => key.pos.toArray())
+    ));
+  }
+
+  const settings = lightData.settingsKeys || [];
+  if (settings.length > 0) {
+    const color = new THREE.Color();
+    const colorSpace = options.colorsAreSRGB ? THREE.SRGBColorSpace : THREE.LinearSRGBColorSpace;
+    tracks.push(new THREE.ColorKeyframeTrack(
+      '.color',
+      seconds(settings.map(key => key.t)),
+      settings.flatMap(key => color.setRGB(key.color.r, key.color.g, key.color.b, colorSpace).toArray())
+    ));
+  }
+
+  return tracks.length > 0 ? new THREE.AnimationClip(lightData.name, -1, tracks) : null;
+}
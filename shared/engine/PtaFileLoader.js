@@ -13,56 +13,56 @@ import * as THREE from 'three';
  */
 
 // Header flags
-const FILE_GLOBALINFO    = 1 << 0;
-const FILE_MATERIALS     = 1 << 1;
-const FILE_GEOMOBJECTS   = 1 << 2;
-const FILE_CAMERAS       = 1 << 3;
-const FILE_LIGHTS        = 1 << 4;
-const FILE_HELPERS       = 1 << 5;
-const FILE_ANIM_KEYS     = 1 << 6;
-const FILE_CAM_SETTINGS  = 1 << 7;
-const FILE_LIGHT_SETTINGS = 1 << 8;
-const FILE_MESH_NORMALS  = 1 << 9;
-const FILE_MESH_COLORS   = 1 << 10;
-const FILE_MESH_UV       = 1 << 11;
+export const FILE_GLOBALINFO    = 1 << 0;
+export const FILE_MATERIALS     = 1 << 1;
+export const FILE_GEOMOBJECTS   = 1 << 2;
+export const FILE_CAMERAS       = 1 << 3;
+export const FILE_LIGHTS        = 1 << 4;
+export const FILE_HELPERS       = 1 << 5;
+export const FILE_ANIM_KEYS     = 1 << 6;
+export const FILE_CAM_SETTINGS  = 1 << 7;
+export const FILE_LIGHT_SETTINGS = 1 << 8;
+export const FILE_MESH_NORMALS  = 1 << 9;
+export const FILE_MESH_COLORS   = 1 << 10;
+export const FILE_MESH_UV       = 1 << 11;
 
 // Object property flags
-const OBJ_MATERIAL    = 1 << 0;
-const OBJ_POSKEYS     = 1 << 1;
-const OBJ_SCLKEYS     = 1 << 2;
-const OBJ_ROTKEYS     = 1 << 3;
-const OBJ_DEFORMABLE  = 1 << 4;
-const OBJ_EDGEVISINFO = 1 << 5;
+export const OBJ_MATERIAL    = 1 << 0;
+export const OBJ_POSKEYS     = 1 << 1;
+export const OBJ_SCLKEYS     = 1 << 2;
+export const OBJ_ROTKEYS     = 1 << 3;
+export const OBJ_DEFORMABLE  = 1 << 4;
+export const OBJ_EDGEVISINFO = 1 << 5;
 
 // Camera property flags
-const CAM_ANIMSETTINGS  = 1 << 0;
-const CAM_POSKEYS        = 1 << 1;
-const CAM_SCLKEYS        = 1 << 2;
-const CAM_ROTKEYS        = 1 << 3;
-const TCAM_POSKEYS       = 1 << 4;
-const TCAM_SCLKEYS       = 1 << 5;
-const TCAM_ROTKEYS       = 1 << 6;
+export const CAM_ANIMSETTINGS  = 1 << 0;
+export const CAM_POSKEYS        = 1 << 1;
+export const CAM_SCLKEYS        = 1 << 2;
+export const CAM_ROTKEYS        = 1 << 3;
+export const TCAM_POSKEYS       = 1 << 4;
+export const TCAM_SCLKEYS       = 1 << 5;
+export const TCAM_ROTKEYS       = 1 << 6;
 
 // Light property flags
-const LIGHT_ANIMSETTINGS = 1 << 0;
-const LIGHT_POSKEYS      = 1 << 1;
-const LIGHT_SCLKEYS      = 1 << 2;
-const LIGHT_ROTKEYS      = 1 << 3;
-const TLIGHT_POSKEYS     = 1 << 4;
-const TLIGHT_SCLKEYS     = 1 << 5;
-const TLIGHT_ROTKEYS     = 1 << 6;
+export const LIGHT_ANIMSETTINGS = 1 << 0;
+export const LIGHT_POSKEYS      = 1 << 1;
+export const LIGHT_SCLKEYS      = 1 << 2;
+export const LIGHT_ROTKEYS      = 1 << 3;
+export const TLIGHT_POSKEYS     = 1 << 4;
+export const TLIGHT_SCLKEYS     = 1 << 5;
+export const TLIGHT_ROTKEYS     = 1 << 6;
 
 // Material property flags (from Pta3DMaterial.h)
-const MAT_HASTEX1  = 1 << 0;
-const MAT_TEX1SPH  = 1 << 1;
-const MAT_HASTEX2  = 1 << 8;
-const MAT_TEX2SPH  = 1 << 9;
-const MAT_BUMP     = 1 << 30;
-const MAT_2SIDES   = 1 << 31;
+export const MAT_HASTEX1  = 1 << 0;
+export const MAT_TEX1SPH  = 1 << 1;
+export const MAT_HASTEX2  = 1 << 8;
+export const MAT_TEX2SPH  = 1 << 9;
+export const MAT_BUMP     = 1 << 30;
+export const MAT_2SIDES   = 1 << 31;
 
 // UV channel flags
-const UVCHANNEL_1 = 1 << 0;
-const UVCHANNEL_2 = 1 << 1;
+export const UVCHANNEL_1 = 1 << 0;
+export const UVCHANNEL_2 = 1 << 1;
 
 /**
  * Parsed PTA scene data.
@@ -76,6 +76,10 @@ export class PtaScene {
     this.cameras = [];
     this.lights = [];
     this.helpers = [];
+    // GO__/CO__/LO__/HO__ ids in file order (chunk kinds may be interleaved)
+    this.chunkOrder = [];
+    /** @type {Array<{id: string, offset: number, length: number}>} Byte range of every chunk read */
+    this.chunks = [];
     this.animStartTime = 0;
     this.animEndTime = 0;
   }
@@ -182,6 +186,16 @@ function readMaterial(reader) {
  */
 export async function loadPtaFile(url) {
   const reader = await BinaryReader.fromUrl(url);
+  return parsePtaFile(reader.buffer);
+}
+
+/**
+ * Parse .pta file contents.
+ * @param {ArrayBuffer} buffer
+ * @returns {PtaScene}
+ */
+export function parsePtaFile(buffer) {
+  const reader = new BinaryReader(buffer);
   const scene = new PtaScene();
 
   // --- Read 1024-byte header ---
@@ -206,6 +220,7 @@ export async function loadPtaFile(url) {
 
   // --- Global Info chunk (GI__ ... __GI) ---
   if (header.flags & FILE_GLOBALINFO) {
+    const chunkStart = reader.tell();
     const chunkId = reader.readChunkId();
     if (chunkId !== 'GI__') {
       console.warn(`Expected GI__ chunk, got: ${chunkId}`);
@@ -221,10 +236,12 @@ export async function loadPtaFile(url) {
     if (endMarker !== '__GI') {
       console.warn(`Expected __GI end marker, got: ${endMarker}`);
     }
+    scene.chunks.push({ id: chunkId, offset: chunkStart, length: reader.tell() - chunkStart });
   }
 
   // --- Material List chunk (ML__ ... __ML) ---
   if (header.flags & FILE_MATERIALS) {
+    const chunkStart = reader.tell();
     const chunkId = reader.readChunkId();
     if (chunkId !== 'ML__') {
       console.warn(`Expected ML__ chunk, got: ${chunkId}`);
@@ -237,16 +254,20 @@ export async function loadPtaFile(url) {
     if (endMarker !== '__ML') {
       console.warn(`Expected __ML end marker, got: ${endMarker}`);
     }
+    scene.chunks.push({ id: chunkId, offset: chunkStart, length: reader.tell() - chunkStart });
   }
 
   // --- Read remaining chunks until _PTA end marker ---
   while (!reader.eof()) {
+    const chunkStart = reader.tell();
     const chunkId = reader.readChunkId();
 
     if (chunkId === '_PTA') {
+      scene.chunks.push({ id: chunkId, offset: chunkStart, length: 4 });
       break; // End of file
     }
 
+    if (/^(GO|CO|LO|HO)__$/.test(chunkId)) scene.chunkOrder.push(chunkId);
     switch (chunkId) {
       case 'GO__':
         scene.objects.push(readGeomObject(reader, header));
@@ -265,6 +286,7 @@ export async function loadPtaFile(url) {
         // Try to skip to next chunk — this is a fallback
         break;
     }
+    scene.chunks.push({ id: chunkId, offset: chunkStart, length: reader.tell() - chunkStart });
   }
 
   return scene;
@@ -313,10 +335,12 @@ function readGeomObject(reader, header) {
   const field7 = reader.readInt32();
   if (field7 >= 0 && (field6 === 0 || field6 === field7 * 3)) {
     // Newer format: field6 = numEdgeFlags, field7 = numFaces
+    obj.hasEdgeFlagCount = true;
     obj.numEdgeFlags = field6;
     obj.numFaces = field7;
   } else {
     // Older format: field6 = numFaces, no edge flags
+    obj.hasEdgeFlagCount = false;
     obj.numEdgeFlags = 0;
     obj.numFaces = field6;
     reader.seek(savedPos); // rewind the extra int32 read
@@ -448,6 +472,7 @@ function readGeomObject(reader, header) {
       obj.vertexBoneData.push({ localPositions, boneIndices, weights });
     }
   }
+  obj.deformable = (obj.flags & OBJ_DEFORMABLE) !== 0 && obj.vertexBoneData !== null;
 
   // Read end marker
   const endMarker = reader.readChunkId();
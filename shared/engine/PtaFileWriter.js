@@ -0,0 +1,464 @@
+import { BinaryWriter } from '../utils/BinaryWriter.js';
+import { threeToPtaMatrix } from '../utils/CoordinateSystem.js';
+import {
+  FILE_GLOBALINFO, FILE_MATERIALS, FILE_GEOMOBJECTS, FILE_CAMERAS, FILE_LIGHTS, FILE_HELPERS,
+  FILE_ANIM_KEYS, FILE_CAM_SETTINGS, FILE_LIGHT_SETTINGS, FILE_MESH_COLORS, FILE_MESH_UV,
+  OBJ_MATERIAL, OBJ_POSKEYS, OBJ_SCLKEYS, OBJ_ROTKEYS, OBJ_DEFORMABLE,
+  CAM_ANIMSETTINGS, CAM_POSKEYS, CAM_SCLKEYS, CAM_ROTKEYS, TCAM_POSKEYS, TCAM_SCLKEYS, TCAM_ROTKEYS,
+  LIGHT_ANIMSETTINGS, LIGHT_POSKEYS, LIGHT_SCLKEYS, LIGHT_ROTKEYS, TLIGHT_POSKEYS, TLIGHT_SCLKEYS, TLIGHT_ROTKEYS,
+  MAT_HASTEX1, MAT_TEX1SPH, MAT_HASTEX2, MAT_TEX2SPH, MAT_BUMP, MAT_2SIDES,
+  UVCHANNEL_1, UVCHANNEL_2,
+} from './PtaFileLoader.js';
+
+/**
+ * PTA Binary File Format Writer
+ *
+ * Serializes a PtaScene (as returned by parsePtaFile) back to the .pta layout
+ * the loader reads. A scene that was parsed and not modified is written back
+ * byte for byte.
+ *
+ * The parsed arrays are authoritative: element counts, key counts and the
+ * flag bits that say whether a block is present (textures, key tracks, UV
+ * channels, camera/light settings) are derived from them. All other flag bits
+ * are written as read. All pos/scl/rot/settings key tracks in a file share
+ * one key count per kind (stored in the header), so tracks of different
+ * lengths are an error.
+ */
+
+const HEADER_SIZE = 1024;
+const GLOBALINFO_END = 2048 - 4;
+
+// Header flags for scenes built from scratch (no parsed header)
+const DEFAULT_FILE_FLAGS = FILE_ANIM_KEYS | FILE_CAM_SETTINGS | FILE_LIGHT_SETTINGS |
+  FILE_MESH_COLORS | FILE_MESH_UV;
+
+/**
+ * Serialize a scene to .pta file contents.
+ * @param {import('./PtaFileLoader.js').PtaScene} scene
+ * @returns {Uint8Array}
+ */
+export function writePtaFile(scene) {
+  const writer = new BinaryWriter();
+  const counts = keyCounts(scene);
+
+  // --- 1024-byte header ---
+  let flags = scene.header?.flags ?? DEFAULT_FILE_FLAGS;
+  flags = setFlag(flags, FILE_GLOBALINFO, !!scene.globalInfo);
+  flags = addFlag(flags, FILE_MATERIALS, scene.materials.length > 0);
+  flags = addFlag(flags, FILE_GEOMOBJECTS, scene.objects.length > 0);
+  flags = addFlag(flags, FILE_CAMERAS, scene.cameras.length > 0);
+  flags = addFlag(flags, FILE_LIGHTS, scene.lights.length > 0);
+  flags = addFlag(flags, FILE_HELPERS, scene.helpers.length > 0);
+
+  writer.writeString(scene.header?.signature ?? '.PTA', 4);
+  writer.writeInt32(flags);
+  writer.writeFloat(scene.animStartTime);
+  writer.writeFloat(scene.animEndTime);
+  writer.writeInt32(counts.pos);
+  writer.writeInt32(counts.scl);
+  writer.writeInt32(counts.rot);
+  writer.writeInt32(counts.cam);
+  writer.writeInt32(counts.light);
+  for (const kind of CHUNK_KINDS) writer.writeInt32(declaredCount(scene, kind));
+  writer.seek(HEADER_SIZE);
+
+  // --- Global Info chunk (fixed size, ends at 2048) ---
+  if (flags & FILE_GLOBALINFO) {
+    writer.writeChunkId('GI__');
+    writeColor(writer, scene.globalInfo.bgColor);
+    writeColor(writer, scene.globalInfo.ambientColor);
+    writer.seek(GLOBALINFO_END);
+    writer.writeChunkId('__GI');
+  }
+
+  // --- Material List chunk ---
+  if (flags & FILE_MATERIALS) {
+    writer.writeChunkId('ML__');
+    writer.writeInt32(scene.materials.length);
+    for (const mat of scene.materials) writeMaterial(writer, mat);
+    writer.writeChunkId('__ML');
+  }
+
+  for (const { kind, node } of chunkSequence(scene)) kind.write(writer, node, counts);
+  writer.writeChunkId('_PTA');
+
+  return writer.toUint8Array();
+}
+
+const CHUNK_KINDS = [
+  { id: 'GO__', list: 'objects', header: 'numObjects', write: writeGeomObject },
+  { id: 'CO__', list: 'cameras', header: 'numCameras', write: writeCamera },
+  { id: 'LO__', list: 'lights', header: 'numLights', write: writeLight },
+  { id: 'HO__', list: 'helpers', header: 'numHelpers', write: writeHelper },
+];
+
+/**
+ * Chunks in the order they were read (scene.chunkOrder), then any nodes
+ * added since, grouped by kind.
+ * @returns {Array<{kind: Object, node: Object}>}
+ */
+function chunkSequence(scene) {
+  const next = new Map(CHUNK_KINDS.map(kind => [kind.id, 0]));
+  const byId = new Map(CHUNK_KINDS.map(kind => [kind.id, kind]));
+  const chunks = [];
+  for (const id of scene.chunkOrder ?? []) {
+    const kind = byId.get(id);
+    const index = next.get(id);
+    if (!kind || index >= scene[kind.list].length) continue;
+    chunks.push({ kind, node: scene[kind.list][index] });
+    next.set(id, index + 1);
+  }
+  for (const kind of CHUNK_KINDS) {
+    for (let i = next.get(kind.id); i < scene[kind.list].length; i++) {
+      chunks.push({ kind, node: scene[kind.list][i] });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Node count for the header. Headers may declare more nodes than the file
+ * holds (cubos.pta lists a light it does not contain); the declared count is
+ * kept while the scene still has the chunks it was read with.
+ */
+function declaredCount(scene, kind) {
+  const actual = scene[kind.list].length;
+  const read = (scene.chunkOrder ?? []).filter(id => id === kind.id).length;
+  const declared = scene.header?.[kind.header];
+  return declared !== undefined && actual === read ? declared : actual;
+}
+
+/**
+ * Shared key counts, from the tracks present in the scene (falling back to
+ * the parsed header when no track of a kind has keys).
+ */
+function keyCounts(scene) {
+  const tracks = { pos: [], scl: [], rot: [], cam: [], light: [] };
+  const addAnimated = (node, prefix = '') => {
+    tracks.pos.push([node[prefix ? `${prefix}PosKeys` : 'posKeys'], node.name]);
+    tracks.scl.push([node[prefix ? `${prefix}SclKeys` : 'sclKeys'], node.name]);
+    tracks.rot.push([node[prefix ? `${prefix}RotKeys` : 'rotKeys'], node.name]);
+  };
+  for (const obj of scene.objects) {
+    addAnimated(obj);
+    for (const bone of obj.bones ?? []) addAnimated({ ...bone, name: `${obj.name} bone` });
+  }
+  for (const cam of scene.cameras) {
+    addAnimated(cam);
+    addAnimated(cam, 'target');
+    tracks.cam.push([cam.settingsKeys, cam.name]);
+  }
+  for (const light of scene.lights) {
+    addAnimated(light);
+    addAnimated(light, 'target');
+    tracks.light.push([light.settingsKeys, light.name]);
+  }
+  for (const helper of scene.helpers) addAnimated(helper);
+
+  const header = scene.header ?? {};
+  const fallback = {
+    pos: header.numPosKeys, scl: header.numSclKeys, rot: header.numRotKeys,
+    cam: header.numCamKeys, light: header.numLightKeys,
+  };
+  const counts = {};
+  for (const kind of Object.keys(tracks)) {
+    let count = null;
+    for (const [keys, name] of tracks[kind]) {
+      if (!keys || keys.length === 0) continue;
+      if (count === null) count = keys.length;
+      else if (keys.length !== count) {
+        throw new Error(`PTA writer: "${name}" has ${keys.length} ${kind} keys, expected ${count}`);
+      }
+    }
+    counts[kind] = count ?? fallback[kind] ?? 0;
+  }
+  return counts;
+}
+
+/** Set or clear a flag bit. */
+function setFlag(flags, bit, on) {
+  return on ? flags | bit : flags & ~bit;
+}
+
+/** Set a flag bit when on, otherwise leave it as it was. */
+function addFlag(flags, bit, on) {
+  return on ? flags | bit : flags;
+}
+
+/**
+ * Flag bit for an optional block of `count` elements: set when the array has
+ * them, cleared when it is empty. With a zero count the block is empty either
+ * way and the bit is kept as read.
+ */
+function blockFlag(flags, bit, array, count, what) {
+  if (count === 0) return flags;
+  if (!array || array.length === 0) return flags & ~bit;
+  if (array.length !== count) {
+    throw new Error(`PTA writer: ${what} has ${array.length} entries, expected ${count}`);
+  }
+  return flags | bit;
+}
+
+function writeColor(writer, c) {
+  writer.writeFloat(c.r);
+  writer.writeFloat(c.g);
+  writer.writeFloat(c.b);
+}
+
+function writeVector(writer, v) {
+  writer.writeFloat(v.x);
+  writer.writeFloat(v.y);
+  writer.writeFloat(v.z);
+}
+
+function writeQuat(writer, q) {
+  writer.writeFloat(q.w);
+  writer.writeFloat(q.x);
+  writer.writeFloat(q.y);
+  writer.writeFloat(q.z);
+}
+
+function writePosKeys(writer, keys) {
+  for (const key of keys) {
+    writer.writeFloat(key.t);
+    writeVector(writer, key.pos);
+  }
+}
+
+function writeSclKeys(writer, keys) {
+  for (const key of keys) {
+    writer.writeFloat(key.t);
+    writeVector(writer, key.scale);
+    writeQuat(writer, key.axes);
+  }
+}
+
+function writeRotKeys(writer, keys) {
+  for (const key of keys) {
+    writer.writeFloat(key.t);
+    writeQuat(writer, key.quat);
+  }
+}
+
+/**
+ * Key track flags of a node, then its tracks in file order.
+ * @returns {number} Flags with the key bits matching the tracks
+ */
+function animatedFlags(flags, node, counts, bits, prefix = '') {
+  const name = prefix ? `"${node.name}" target` : `"${node.name}"`;
+  flags = blockFlag(flags, bits.pos, node[prefix ? `${prefix}PosKeys` : 'posKeys'], counts.pos, `${name} position track`);
+  flags = blockFlag(flags, bits.scl, node[prefix ? `${prefix}SclKeys` : 'sclKeys'], counts.scl, `${name} scale track`);
+  flags = blockFlag(flags, bits.rot, node[prefix ? `${prefix}RotKeys` : 'rotKeys'], counts.rot, `${name} rotation track`);
+  return flags;
+}
+
+function writeAnimated(writer, flags, node, bits, prefix = '') {
+  if (flags & bits.pos) writePosKeys(writer, node[prefix ? `${prefix}PosKeys` : 'posKeys']);
+  if (flags & bits.scl) writeSclKeys(writer, node[prefix ? `${prefix}SclKeys` : 'sclKeys']);
+  if (flags & bits.rot) writeRotKeys(writer, node[prefix ? `${prefix}RotKeys` : 'rotKeys']);
+}
+
+const OBJ_KEY_BITS = { pos: OBJ_POSKEYS, scl: OBJ_SCLKEYS, rot: OBJ_ROTKEYS };
+const CAM_KEY_BITS = { pos: CAM_POSKEYS, scl: CAM_SCLKEYS, rot: CAM_ROTKEYS };
+const TCAM_KEY_BITS = { pos: TCAM_POSKEYS, scl: TCAM_SCLKEYS, rot: TCAM_ROTKEYS };
+const LIGHT_KEY_BITS = { pos: LIGHT_POSKEYS, scl: LIGHT_SCLKEYS, rot: LIGHT_ROTKEYS };
+const TLIGHT_KEY_BITS = { pos: TLIGHT_POSKEYS, scl: TLIGHT_SCLKEYS, rot: TLIGHT_ROTKEYS };
+
+/**
+ * Write a material (recursive for sub-materials).
+ */
+function writeMaterial(writer, mat) {
+  let flags = mat.flags ?? 0;
+  flags = setFlag(flags, MAT_HASTEX1, mat.texture1 != null);
+  flags = setFlag(flags, MAT_HASTEX2, mat.texture2 != null);
+  if (mat.isTwoSided !== undefined) flags = setFlag(flags, MAT_2SIDES, mat.isTwoSided);
+  if (mat.isBumpMap !== undefined) flags = setFlag(flags, MAT_BUMP, mat.isBumpMap);
+  if (mat.tex1Spherical !== undefined) flags = setFlag(flags, MAT_TEX1SPH, mat.tex1Spherical);
+  if (mat.tex2Spherical !== undefined) flags = setFlag(flags, MAT_TEX2SPH, mat.tex2Spherical);
+
+  writer.writeCString(mat.name);
+  writer.writeInt32(flags);
+  writeColor(writer, mat.ambient);
+  writeColor(writer, mat.diffuse);
+  writeColor(writer, mat.specular);
+  writer.writeFloat(mat.shininess);
+  if (flags & MAT_HASTEX1) writer.writeCString(mat.texture1);
+  if (flags & MAT_HASTEX2) writer.writeCString(mat.texture2);
+
+  const subMaterials = mat.subMaterials ?? [];
+  writer.writeInt32(subMaterials.length);
+  for (const sub of subMaterials) writeMaterial(writer, sub);
+}
+
+/**
+ * Write a geometric object chunk (GO__ ... __GO).
+ */
+function writeGeomObject(writer, obj, counts) {
+  const bones = obj.bones ?? [];
+  let flags = setFlag(obj.flags ?? 0, OBJ_MATERIAL, obj.materialId >= 0);
+  flags = addFlag(flags, OBJ_DEFORMABLE, bones.length > 0);
+  flags = animatedFlags(flags, obj, counts, OBJ_KEY_BITS);
+
+  writer.writeChunkId('GO__');
+  writer.writeCString(obj.name);
+  writer.writeCString(obj.userProps ?? '');
+  writer.writeInt32(flags);
+  if (flags & OBJ_MATERIAL) {
+    writer.writeInt32(obj.materialId);
+    writer.writeInt32(0); // reserved
+    writer.writeInt32(0); // reserved
+  } else {
+    writeColor(writer, obj.wireColor ?? { r: 0, g: 0, b: 0 });
+  }
+  writer.writeMatrix4x4(threeToPtaMatrix(obj.transformMatrix));
+
+  // Mesh data counts
+  const uvs1 = obj.uvs1 ?? [];
+  const uvs2 = obj.uvs2 ?? [];
+  const numTextureVertices = Math.max(uvs1.length, uvs2.length) || (obj.numTextureVertices ?? 0);
+  let uvChannelFlags = obj.uvChannelFlags ?? 0;
+  uvChannelFlags = blockFlag(uvChannelFlags, UVCHANNEL_1, uvs1, numTextureVertices, `"${obj.name}" UV channel 1`);
+  uvChannelFlags = blockFlag(uvChannelFlags, UVCHANNEL_2, uvs2, numTextureVertices, `"${obj.name}" UV channel 2`);
+
+  const edgeFlags = obj.edgeFlags ?? [];
+  const hasEdgeFlagCount = obj.hasEdgeFlagCount ?? true;
+  // The loader tells the two layouts apart by numEdgeFlags being 0 or 3 * numFaces
+  if (hasEdgeFlagCount ? edgeFlags.length !== 0 && edgeFlags.length !== obj.faces.length * 3
+    : edgeFlags.length !== 0) {
+    throw new Error(`PTA writer: "${obj.name}" has ${edgeFlags.length} edge flags for ${obj.faces.length} faces`);
+  }
+
+  writer.writeInt32(obj.vertices.length);
+  writer.writeInt32(obj.normals.length);
+  writer.writeInt32(obj.colors.length);
+  writer.writeInt32(numTextureVertices);
+  writer.writeInt32(uvChannelFlags);
+  if (hasEdgeFlagCount) writer.writeInt32(edgeFlags.length);
+  writer.writeInt32(obj.faces.length);
+
+  for (const v of obj.vertices) writeVector(writer, v);
+  for (const n of obj.normals) writeVector(writer, n);
+  for (const c of obj.colors) writeColor(writer, c);
+  if (uvChannelFlags & UVCHANNEL_1) {
+    for (const uv of uvs1) { writer.writeFloat(uv.u); writer.writeFloat(uv.v); }
+  }
+  if (uvChannelFlags & UVCHANNEL_2) {
+    for (const uv of uvs2) { writer.writeFloat(uv.u); writer.writeFloat(uv.v); }
+  }
+  for (const e of edgeFlags) writer.writeUint8(e);
+  for (const face of obj.faces) {
+    writer.writeInt32(face.v0);
+    writer.writeInt32(face.v1);
+    writer.writeInt32(face.v2);
+  }
+
+  writeAnimated(writer, flags, obj, OBJ_KEY_BITS);
+
+  // Bones — numBones is always written, as the loader always reads it
+  writer.writeInt32(bones.length);
+  if (bones.length > 0) {
+    for (const bone of bones) {
+      const boneFlags = animatedFlags(bone.flags ?? 0, { ...bone, name: `${obj.name} bone` }, counts, OBJ_KEY_BITS);
+      writer.writeInt32(boneFlags);
+      writer.writeMatrix4x4(threeToPtaMatrix(bone.transformMatrix));
+      writeAnimated(writer, boneFlags, bone, OBJ_KEY_BITS);
+    }
+
+    const links = obj.vertexBoneData ?? [];
+    if (links.length !== obj.vertices.length) {
+      throw new Error(`PTA writer: "${obj.name}" has bone links for ${links.length} of ${obj.vertices.length} vertices`);
+    }
+    for (const link of links) {
+      writer.writeInt32(link.boneIndices.length);
+      for (const p of link.localPositions) writeVector(writer, p);
+      for (const b of link.boneIndices) writer.writeInt32(b);
+      for (const w of link.weights) writer.writeFloat(w);
+    }
+  }
+
+  writer.writeChunkId('__GO');
+}
+
+/**
+ * Write a camera chunk (CO__ ... __CO).
+ */
+function writeCamera(writer, cam, counts) {
+  let flags = blockFlag(cam.flags ?? 0, CAM_ANIMSETTINGS, cam.settingsKeys, counts.cam, `"${cam.name}" settings track`);
+  flags = animatedFlags(flags, cam, counts, CAM_KEY_BITS);
+  flags = animatedFlags(flags, cam, counts, TCAM_KEY_BITS, 'target');
+
+  writer.writeChunkId('CO__');
+  writer.writeCString(cam.name);
+  writer.writeCString(cam.userProps ?? '');
+  writer.writeInt32(cam.type);
+  writer.writeInt32(flags);
+  writer.writeMatrix4x4(threeToPtaMatrix(cam.originMatrix));
+  if (cam.type === 2) writer.writeMatrix4x4(threeToPtaMatrix(cam.targetMatrix));
+  writer.writeFloat(cam.near);
+  writer.writeFloat(cam.far);
+  writer.writeFloat(cam.fov);
+
+  if (flags & CAM_ANIMSETTINGS) {
+    for (const key of cam.settingsKeys) {
+      writer.writeFloat(key.t);
+      writer.writeFloat(key.near);
+      writer.writeFloat(key.far);
+      writer.writeFloat(key.fov);
+    }
+  }
+  writeAnimated(writer, flags, cam, CAM_KEY_BITS);
+  writeAnimated(writer, flags, cam, TCAM_KEY_BITS, 'target');
+
+  writer.writeChunkId('__CO');
+}
+
+/**
+ * Write a light chunk (LO__ ... __LO).
+ */
+function writeLight(writer, light, counts) {
+  let flags = blockFlag(light.flags ?? 0, LIGHT_ANIMSETTINGS, light.settingsKeys, counts.light, `"${light.name}" settings track`);
+  flags = animatedFlags(flags, light, counts, LIGHT_KEY_BITS);
+  flags = animatedFlags(flags, light, counts, TLIGHT_KEY_BITS, 'target');
+
+  writer.writeChunkId('LO__');
+  writer.writeCString(light.name);
+  writer.writeCString(light.userProps ?? '');
+  writer.writeInt32(light.type);
+  writer.writeInt32(flags);
+  writer.writeMatrix4x4(threeToPtaMatrix(light.originMatrix));
+  if (light.type === 2) writer.writeMatrix4x4(threeToPtaMatrix(light.targetMatrix));
+  writeColor(writer, light.color);
+  writer.writeFloat(light.intensity);
+  writer.writeFloat(light.falloff);
+
+  if (flags & LIGHT_ANIMSETTINGS) {
+    for (const key of light.settingsKeys) {
+      writer.writeFloat(key.t);
+      writeColor(writer, key.color);
+      writer.writeFloat(key.intensity);
+      writer.writeFloat(key.falloff);
+    }
+  }
+  writeAnimated(writer, flags, light, LIGHT_KEY_BITS);
+  writeAnimated(writer, flags, light, TLIGHT_KEY_BITS, 'target');
+
+  writer.writeChunkId('__LO');
+}
+
+/**
+ * Write a helper chunk (HO__ ... __HO).
+ */
+function writeHelper(writer, helper, counts) {
+  const flags = animatedFlags(helper.flags ?? 0, helper, counts, OBJ_KEY_BITS);
+
+  writer.writeChunkId('HO__');
+  writer.writeCString(helper.name);
+  writer.writeCString(helper.userProps ?? '');
+  writer.writeInt32(flags);
+  writer.writeMatrix4x4(threeToPtaMatrix(helper.transformMatrix));
+  writeVector(writer, helper.boundingBox.min);
+  writeVector(writer, helper.boundingBox.max);
+  writeAnimated(writer, flags, helper, OBJ_KEY_BITS);
+
+  writer.writeChunkId('__HO');
+}
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+/**
+ * PtaFog - PTA fixed-function fog (glFogi(GL_FOG_MODE, ...)) for Three.js scenes.
+ *
+ * OpenGL fog factors (f = fraction of fragment color kept, z = eye-space depth):
+ *   GL_LINEAR: f = (end - z) / (end - start)
+ *   GL_EXP:    f = exp(-density * z)
+ *   GL_EXP2:   f = exp(-(density * z)^2)
+ *
+ * Three.js only has Fog (smoothstep, not linear) and FogExp2 (matches GL_EXP2),
+ * so usePtaFog() swaps the fog_fragment chunk of the materials that render PTA
+ * fog for the GL formulas. GL_EXP and GL_EXP2 both use FogExp2 (the renderer
+ * only uploads density for it) and are told apart by a ptaFogExp uniform, set
+ * from the scene's fog before each draw. Other materials keep stock fog.
+ */
+
+const PTA_FOG_PARS = /* glsl */ `
+#include <fog_pars_fragment>
+#ifdef USE_FOG
+	uniform bool ptaFogExp;
+#endif`;
+
+const PTA_FOG_FRAGMENT = /* glsl */ `
+#ifdef USE_FOG
+	#ifdef FOG_EXP2
+		// GL_EXP or GL_EXP2 (ptaFogExp, see PtaFog)
+		float fogZ = fogDensity * vFogDepth;
+		float fogFactor = 1.0 - exp( - ( ptaFogExp ? fogZ : fogZ * fogZ ) );
+	#else
+		// GL_LINEAR (Three.js default is smoothstep)
+		float fogFactor = fogFar > fogNear
+			? clamp( ( vFogDepth - fogNear ) / ( fogFar - fogNear ), 0.0, 1.0 )
+			: step( fogFar, vFogDepth );
+	#endif
+	gl_FragColor.rgb = mix( gl_FragColor.rgb, fogColor, clamp( fogFactor, 0.0, 1.0 ) );
+#endif`;
+
+export const FogMode = {
+  LINEAR: 'LINEAR',
+  EXP: 'EXP',
+  EXP2: 'EXP2',
+};
+
+/**
+ * Mode of each PtaFog's Three.js fog, read when drawing with it.
+ * @type {WeakMap<THREE.Fog|THREE.FogExp2, string>}
+ */
+const fogModes = new WeakMap();
+
+/** Materials already switched to the PTA formulas. */
+const ptaFogMaterials = new WeakSet();
+
+/**
+ * Render fog on the materials under an object with the PTA formulas. Materials
+ * added later are picked up by calling it again (SceneManager does so for scenes
+ * and particles it builds once a fog has been set); materials seen before are skipped.
+ * @param {THREE.Object3D} root - Usually the THREE.Scene that gets the fog
+ */
+export function usePtaFog(root) {
+  root.traverse(usePtaFogOn);
+}
+
+function usePtaFogOn(object) {
+  const material = object.material;
+  if (Array.isArray(material)) {
+    for (const m of material) usePtaFogMaterial(m);
+  } else if (material) {
+    usePtaFogMaterial(material);
+  }
+}
+
+function usePtaFogMaterial(material) {
+  if (!material.fog || ptaFogMaterials.has(material)) return;
+  ptaFogMaterials.add(material);
+
+  const onBeforeCompile = material.onBeforeCompile;
+  const onBeforeRender = material.onBeforeRender;
+  const programKey = `${material.customProgramCacheKey()}\nptaFog`;
+  const fogExp = { value: false };
+
+  material.onBeforeCompile = function (shader, renderer) {
+    onBeforeCompile.call(this, shader, renderer);
+    shader.uniforms.ptaFogExp = fogExp;
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <fog_pars_fragment>', PTA_FOG_PARS)
+      .replace('#include <fog_fragment>', PTA_FOG_FRAGMENT);
+  };
+  material.customProgramCacheKey = () => programKey;
+  material.onBeforeRender = function (renderer, scene, camera, geometry, object, group) {
+    fogExp.value = fogModes.get(scene.fog) === FogMode.EXP;
+    onBeforeRender.call(this, renderer, scene, camera, geometry, object, group);
+  };
+  material.needsUpdate = true;
+}
+
+export class PtaFog {
+  /**
+   * @param {string} mode - 'LINEAR', 'EXP' or 'EXP2'
+   * @param {THREE.Color} color - Fog color
+   * @param {number} [near=0] - GL_FOG_START (LINEAR)
+   * @param {number} [far=1000] - GL_FOG_END (LINEAR)
+   * @param {number} [density=1] - GL_FOG_DENSITY (EXP/EXP2)
+   */
+  constructor(mode, color, near = 0, far = 1000, density = 1) {
+    this.mode = FogMode[String(mode).toUpperCase()] || FogMode.LINEAR;
+    this.color = color.clone();
+    this.near = near;
+    this.far = far;
+    this.density = density;
+
+    /** @type {THREE.Fog|THREE.FogExp2} Assign to THREE.Scene.fog (see usePtaFog) */
+    this.threeFog = this.mode === FogMode.LINEAR
+      ? new THREE.Fog(this.color, near, far)
+      : new THREE.FogExp2(this.color, 0);
+    fogModes.set(this.threeFog, this.mode);
+    this.set(near, far, density);
+  }
+
+  /**
+   * Update fog range/density without rebuilding the Three.js fog object.
+   * @param {number} near
+   * @param {number} far
+   * @param {number} density
+   */
+  set(near, far, density) {
+    this.near = near;
+    this.far = far;
+    this.density = density;
+    if (this.mode === FogMode.LINEAR) {
+      this.threeFog.near = near;
+      this.threeFog.far = far;
+    } else {
+      this.threeFog.density = density;
+    }
+  }
+}
@@ -0,0 +1,483 @@
+import * as THREE from 'three';
+import { getTransformMatrix } from './AnimationSystem.js';
+import { SceneManager } from './SceneManager.js';
+
+/**
+ * PtaGltfExporter - Convert a parsed PTA scene to glTF 2.0.
+ *
+ * Geometry, cameras and lights go through the same SceneManager code the demo
+ * renders with (unindexed face corners, PTA vertex normals, camera lookAt with
+ * the initial up vector, fixed-frustum FOV), so the export matches what is on
+ * screen:
+ *
+ * - meshes: POSITION, NORMAL, TEXCOORD_0/1 (PTA UV channels 1/2), COLOR_0
+ * - materials: texture1 → baseColorTexture (UV 0); texture2 → normalTexture
+ *   when it is a DOT3 bump map, otherwise occlusionTexture (the engine also
+ *   multiplies it in through the AO slot), both on UV 1. Scenes without
+ *   lights use KHR_materials_unlit, as the engine renders them unlit.
+ * - cameras: perspective, yfov from PTA's horizontal FOV and the frustum aspect
+ * - lights: KHR_lights_punctual (omni → point, spot, directional)
+ * - animation: objects, helpers, cameras and lights with keys are sampled
+ *   with AnimationSystem at a fixed rate (LINEAR TRS channels, seconds of
+ *   scene time). glTF cannot animate camera FOV or light color, so
+ *   settings keys are not exported.
+ *
+ * Not exported: sub-materials (faces carry no material id), bone deformation
+ * (deformable objects are written in their rest pose), shear in transforms.
+ */
+
+const ARRAY_BUFFER = 34962;
+const FLOAT = 5126;
+const REPEAT = 10497;
+const LINEAR_MIPMAP_LINEAR = 9987;
+const LINEAR = 9729;
+
+const _pos = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _lookAt = new THREE.Matrix4();
+const _up = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Build a glTF asset from a parsed scene.
+ * @param {import('./PtaFileLoader.js').PtaScene} ptaScene
+ * @param {Object} [options]
+ * @param {Map<string, {mimeType: string, data: Uint8Array, hasAlpha?: boolean}>} [options.images]
+ *   Encoded PNG/JPEG images by PTA texture name; textures without one are left out
+ * @param {Object} [options.sceneOptions] - SceneManager options (fixedFrustumAspect, ptaColorConstantsAreSRGB, ...)
+ * @param {number} [options.fps=30] - Animation sampling rate
+ * @param {string} [options.name] - Scene name
+ * @returns {{json: Object, bin: Uint8Array}}
+ */
+export function buildGltf(ptaScene, options = {}) {
+  const builder = new GltfBuilder();
+  const sceneManager = new SceneManager(null, options.sceneOptions);
+  const fps = options.fps ?? 30;
+  const lit = Math.max(ptaScene.lights.length, ptaScene.header?.numLights || 0) > 0;
+
+  const textureIndices = new Map();
+  const textureIndex = (name) => {
+    if (!name) return undefined;
+    if (!textureIndices.has(name)) {
+      const image = options.images?.get(name);
+      textureIndices.set(name, image ? builder.addTexture(name, image) : undefined);
+    }
+    return textureIndices.get(name);
+  };
+  const materials = ptaScene.materials.map(mat =>
+    builder.addMaterial(gltfMaterial(mat, sceneManager, textureIndex, options.images, lit)));
+  if (!lit && materials.length > 0) builder.useExtension('KHR_materials_unlit');
+
+  const times = sampleTimes(ptaScene.animStartTime, ptaScene.animEndTime, fps);
+  const animation = { name: options.name || 'PTA', channels: [], samplers: [] };
+
+  // Geometric objects
+  for (const obj of ptaScene.objects) {
+    const node = { name: obj.name };
+    const threeMesh = sceneManager._buildMesh(obj, []);
+    if (threeMesh) {
+      const primitive = builder.addPrimitive(threeMesh.geometry);
+      if (obj.materialId >= 0 && obj.materialId < materials.length) primitive.material = materials[obj.materialId];
+      node.mesh = builder.addMesh({ name: obj.name, primitives: [primitive] });
+    }
+    addUserProps(node, obj.userProps);
+    const nodeIndex = builder.addNode(node);
+    if (isAnimated(obj)) {
+      builder.addTrsAnimation(animation, nodeIndex, times, (t, pos, quat, scale) =>
+        getTransformMatrix(t, obj, obj.transformMatrix).decompose(pos, quat, scale));
+    } else {
+      node.matrix = obj.transformMatrix.toArray();
+    }
+  }
+
+  // Helpers (dummies, lens flare / particle emitters)
+  for (const helper of ptaScene.helpers) {
+    const node = { name: helper.name };
+    addUserProps(node, helper.userProps);
+    const nodeIndex = builder.addNode(node);
+    if (isAnimated(helper)) {
+      builder.addTrsAnimation(animation, nodeIndex, times, (t, pos, quat, scale) =>
+        getTransformMatrix(t, helper, helper.transformMatrix).decompose(pos, quat, scale));
+    } else {
+      node.matrix = helper.transformMatrix.toArray();
+    }
+  }
+
+  // Cameras
+  for (const cam of ptaScene.cameras) {
+    const camera = sceneManager._buildCamera(cam);
+    const cameraIndex = builder.addCamera({
+      name: cam.name,
+      type: 'perspective',
+      perspective: {
+        yfov: THREE.MathUtils.degToRad(camera.fov),
+        aspectRatio: sceneManager.fixedFrustumAspect,
+        znear: camera.near,
+        zfar: camera.far,
+      },
+    });
+    const node = { name: cam.name, camera: cameraIndex };
+    addUserProps(node, cam.userProps);
+    const nodeIndex = builder.addNode(node);
+    const animated = isAnimated(cam) || isAnimated(cam, 'target');
+    if (animated) {
+      builder.addTrsAnimation(animation, nodeIndex, times, (t, pos, quat) => {
+        sceneManager._updateCamera(camera, cam, t);
+        pos.copy(camera.position);
+        quat.copy(camera.quaternion);
+      }, false);
+    } else {
+      node.translation = camera.position.toArray();
+      node.rotation = camera.quaternion.toArray();
+    }
+  }
+
+  // Lights
+  for (const lightData of ptaScene.lights) {
+    const light = sceneManager._buildLight(lightData);
+    const def = {
+      name: lightData.name,
+      color: light.color.toArray(),
+      intensity: light.intensity,
+    };
+    if (light.isSpotLight) {
+      def.type = 'spot';
+      def.spot = { outerConeAngle: light.angle };
+    } else {
+      def.type = light.isDirectionalLight ? 'directional' : 'point';
+    }
+    const node = { name: lightData.name };
+    node.extensions = { KHR_lights_punctual: { light: builder.addLight(def) } };
+    addUserProps(node, lightData.userProps);
+    const nodeIndex = builder.addNode(node);
+
+    // Spot and directional lights shine down -Z, toward their (static) target
+    const pose = (pos, quat) => {
+      pos.copy(light.position);
+      if (light.target) {
+        _lookAt.lookAt(light.position, light.target.position, _up);
+        quat.setFromRotationMatrix(_lookAt);
+      } else {
+        quat.identity();
+      }
+    };
+    if (lightData.posKeys.length > 0) {
+      builder.addTrsAnimation(animation, nodeIndex, times, (t, pos, quat) => {
+        sceneManager._updateLight(light, lightData, t);
+        pose(pos, quat);
+      }, false);
+    } else {
+      pose(_pos, _quat);
+      node.translation = _pos.toArray();
+      if (light.target) node.rotation = _quat.toArray();
+    }
+  }
+
+  if (animation.channels.length > 0) builder.json.animations = [animation];
+  builder.json.scenes = [{ name: options.name || 'PTA', nodes: builder.json.nodes.map((_, i) => i) }];
+  builder.json.scene = 0;
+  if (ptaScene.globalInfo) {
+    builder.json.scenes[0].extras = {
+      backgroundColor: colorArray(ptaScene.globalInfo.bgColor),
+      ambientColor: colorArray(ptaScene.globalInfo.ambientColor),
+    };
+  }
+  return builder.finish();
+}
+
+/**
+ * Binary glTF (.glb) container.
+ * @param {{json: Object, bin: Uint8Array}} gltf
+ * @returns {Uint8Array}
+ */
+export function encodeGlb({ json, bin }) {
+  const jsonBytes = padded(new TextEncoder().encode(JSON.stringify(json)), 0x20);
+  const binBytes = padded(bin, 0);
+  const length = 12 + 8 + jsonBytes.length + (binBytes.length ? 8 + binBytes.length : 0);
+  const out = new Uint8Array(length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, 0x46546c67, true); // 'glTF'
+  view.setUint32(4, 2, true);
+  view.setUint32(8, length, true);
+  view.setUint32(12, jsonBytes.length, true);
+  view.setUint32(16, 0x4e4f534a, true); // 'JSON'
+  out.set(jsonBytes, 20);
+  if (binBytes.length) {
+    const offset = 20 + jsonBytes.length;
+    view.setUint32(offset, binBytes.length, true);
+    view.setUint32(offset + 4, 0x004e4942, true); // 'BIN\0'
+    out.set(binBytes, offset + 8);
+  }
+  return out;
+}
+
+/**
+ * Self-contained .gltf text (buffer embedded as a data URI).
+ * @param {{json: Object, bin: Uint8Array}} gltf
+ * @returns {string}
+ */
+export function encodeGltf({ json, bin }) {
+  const out = structuredClone(json);
+  if (out.buffers) out.buffers[0].uri = `data:application/octet-stream;base64,${toBase64(bin)}`;
+  return JSON.stringify(out, null, 2);
+}
+
+function gltfMaterial(mat, sceneManager, textureIndex, images, lit) {
+  const base = sceneManager._ptaColorFromObj(mat.diffuse);
+  const material = {
+    name: mat.name,
+    pbrMetallicRoughness: {
+      baseColorFactor: [base.r, base.g, base.b, 1],
+      metallicFactor: 0,
+      // Blinn-Phong exponent (shininess * 128) to roughness
+      roughnessFactor: Math.sqrt(Math.sqrt(2 / (mat.shininess * 128 + 2))),
+    },
+    doubleSided: !!mat.isTwoSided,
+    extras: {
+      ambient: colorArray(mat.ambient),
+      specular: colorArray(mat.specular),
+      shininess: mat.shininess,
+    },
+  };
+  if (!lit) material.extensions = { KHR_materials_unlit: {} };
+
+  const tex1 = textureIndex(mat.texture1);
+  if (tex1 !== undefined) material.pbrMetallicRoughness.baseColorTexture = { index: tex1, texCoord: 0 };
+  const tex2 = textureIndex(mat.texture2);
+  if (tex2 !== undefined) {
+    if (mat.isBumpMap) material.normalTexture = { index: tex2, texCoord: 1 };
+    else if (!mat.tex2Spherical) material.occlusionTexture = { index: tex2, texCoord: 1 };
+  }
+  if (mat.tex1Spherical || mat.tex2Spherical) {
+    // Reflection-mapped layers have no glTF equivalent
+    material.extras.sphereMapped = { texture1: !!mat.tex1Spherical, texture2: !!mat.tex2Spherical };
+  }
+  // PTA blends any material with a 32-bit texture
+  if ([mat.texture1, mat.texture2].some(name => name && images?.get(name)?.hasAlpha)) {
+    material.alphaMode = 'BLEND';
+  }
+  if (mat.texture1 || mat.texture2) {
+    material.extras.textures = [mat.texture1, mat.texture2];
+  }
+  return material;
+}
+
+function isAnimated(node, prefix = '') {
+  const keys = prefix ? ['PosKeys', 'SclKeys', 'RotKeys'].map(k => prefix + k) : ['posKeys', 'sclKeys', 'rotKeys'];
+  return keys.some(k => node[k] && node[k].length > 0);
+}
+
+function sampleTimes(start, end, fps) {
+  const duration = Math.max(0, end - start);
+  const count = Math.max(1, Math.ceil(duration / 1000 * fps));
+  return Array.from({ length: count + 1 }, (_, i) => start + duration * i / count);
+}
+
+function addUserProps(node, userProps) {
+  if (userProps) node.extras = { userProps };
+}
+
+function colorArray(c) {
+  return [c.r, c.g, c.b];
+}
+
+function padded(bytes, fill) {
+  const length = (bytes.length + 3) & ~3;
+  if (length === bytes.length) return bytes;
+  const out = new Uint8Array(length).fill(fill);
+  out.set(bytes);
+  return out;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Accumulates the JSON document and one binary buffer.
+ */
+class GltfBuilder {
+  constructor() {
+    this.json = {
+      asset: { version: '2.0', generator: 'stravaganza.js PtaGltfExporter' },
+      nodes: [],
+    };
+    this.chunks = [];
+    this.byteLength = 0;
+    this.extensions = new Set();
+  }
+
+  useExtension(name) {
+    this.extensions.add(name);
+  }
+
+  _push(key, item) {
+    (this.json[key] ??= []).push(item);
+    return this.json[key].length - 1;
+  }
+
+  addNode(node) { return this._push('nodes', node); }
+  addMesh(mesh) { return this._push('meshes', mesh); }
+  addCamera(camera) { return this._push('cameras', camera); }
+  addMaterial(material) { return this._push('materials', material); }
+
+  addLight(light) {
+    this.useExtension('KHR_lights_punctual');
+    this.json.extensions ??= {};
+    const lights = (this.json.extensions.KHR_lights_punctual ??= { lights: [] }).lights;
+    lights.push(light);
+    return lights.length - 1;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @param {number} [target]
+   * @returns {number} bufferView index
+   */
+  addBufferView(bytes, target) {
+    const byteOffset = this.byteLength;
+    const data = padded(bytes, 0);
+    this.chunks.push(data);
+    this.byteLength += data.length;
+    const view = { buffer: 0, byteOffset, byteLength: bytes.length };
+    if (target) view.target = target;
+    return this._push('bufferViews', view);
+  }
+
+  /**
+   * @param {Float32Array} array
+   * @param {'SCALAR'|'VEC2'|'VEC3'|'VEC4'} type
+   * @param {Object} [options]
+   * @returns {number} accessor index
+   */
+  addAccessor(array, type, { target, bounds = false } = {}) {
+    const size = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[type];
+    const accessor = {
+      bufferView: this.addBufferView(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), target),
+      componentType: FLOAT,
+      count: array.length / size,
+      type,
+    };
+    if (bounds) {
+      accessor.min = new Array(size).fill(Infinity);
+      accessor.max = new Array(size).fill(-Infinity);
+      for (let i = 0; i < array.length; i++) {
+        const c = i % size;
+        accessor.min[c] = Math.min(accessor.min[c], array[i]);
+        accessor.max[c] = Math.max(accessor.max[c], array[i]);
+      }
+    }
+    return this._push('accessors', accessor);
+  }
+
+  /**
+   * Primitive from a SceneManager-built geometry.
+   * @param {THREE.BufferGeometry} geometry
+   * @returns {Object}
+   */
+  addPrimitive(geometry) {
+    const attributes = {};
+    const add = (name, semantic, type, transform) => {
+      const attribute = geometry.getAttribute(name);
+      if (!attribute) return;
+      const array = Float32Array.from(attribute.array);
+      if (transform) transform(array);
+      attributes[semantic] = this.addAccessor(array, type, { target: ARRAY_BUFFER, bounds: semantic === 'POSITION' });
+    };
+    // glTF UVs have their origin at the top-left of the image
+    const flipV = (array) => { for (let i = 1; i < array.length; i += 2) array[i] = 1 - array[i]; };
+    const normalize = (array) => {
+      for (let i = 0; i < array.length; i += 3) {
+        const len = Math.hypot(array[i], array[i + 1], array[i + 2]);
+        if (len > 0) { array[i] /= len; array[i + 1] /= len; array[i + 2] /= len; }
+        else { array[i + 1] = 1; }
+      }
+    };
+    add('position', 'POSITION', 'VEC3');
+    add('normal', 'NORMAL', 'VEC3', normalize);
+    add('uv', 'TEXCOORD_0', 'VEC2', flipV);
+    add('uv2', 'TEXCOORD_1', 'VEC2', flipV);
+    add('color', 'COLOR_0', 'VEC3');
+    return { attributes, mode: 4 };
+  }
+
+  /**
+   * @param {string} name
+   * @param {{mimeType: string, data: Uint8Array}} image
+   * @returns {number} texture index
+   */
+  addTexture(name, image) {
+    if (!this.json.samplers) {
+      this._push('samplers', { magFilter: LINEAR, minFilter: LINEAR_MIPMAP_LINEAR, wrapS: REPEAT, wrapT: REPEAT });
+    }
+    const source = this._push('images', {
+      name,
+      mimeType: image.mimeType,
+      bufferView: this.addBufferView(image.data),
+    });
+    return this._push('textures', { name, sampler: 0, source });
+  }
+
+  /**
+   * Sample a node's transform and add LINEAR channels for it.
+   * @param {Object} animation
+   * @param {number} node
+   * @param {number[]} times - Scene times in ms
+   * @param {function(number, THREE.Vector3, THREE.Quaternion, THREE.Vector3): void} sample
+   * @param {boolean} [withScale=true]
+   */
+  addTrsAnimation(animation, node, times, sample, withScale = true) {
+    const n = times.length;
+    const input = new Float32Array(n);
+    const translation = new Float32Array(n * 3);
+    const rotation = new Float32Array(n * 4);
+    const scale = new Float32Array(n * 3);
+    for (let i = 0; i < n; i++) {
+      _scale.set(1, 1, 1);
+      sample(times[i], _pos, _quat, _scale);
+      input[i] = times[i] / 1000;
+      _pos.toArray(translation, i * 3);
+      // Sheared PTA matrices decompose to slightly non-unit rotations
+      _quat.normalize();
+      // Keep consecutive samples in one hemisphere so slerp takes the short way
+      if (i > 0 && _quat.x * rotation[i * 4 - 4] + _quat.y * rotation[i * 4 - 3] +
+          _quat.z * rotation[i * 4 - 2] + _quat.w * rotation[i * 4 - 1] < 0) {
+        _quat.set(-_quat.x, -_quat.y, -_quat.z, -_quat.w);
+      }
+      _quat.toArray(rotation, i * 4);
+      _scale.toArray(scale, i * 3);
+    }
+
+    const inputAccessor = this.addAccessor(input, 'SCALAR', { bounds: true });
+    const channel = (path, values, type) => {
+      animation.samplers.push({
+        input: inputAccessor,
+        output: this.addAccessor(values, type),
+        interpolation: 'LINEAR',
+      });
+      animation.channels.push({ sampler: animation.samplers.length - 1, target: { node, path } });
+    };
+    channel('translation', translation, 'VEC3');
+    channel('rotation', rotation, 'VEC4');
+    if (withScale) channel('scale', scale, 'VEC3');
+  }
+
+  /**
+   * @returns {{json: Object, bin: Uint8Array}}
+   */
+  finish() {
+    const bin = new Uint8Array(this.byteLength);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      bin.set(chunk, offset);
+      offset += chunk.length;
+    }
+    if (bin.length > 0) this.json.buffers = [{ byteLength: bin.length }];
+    if (this.extensions.size > 0) this.json.extensionsUsed = [...this.extensions];
+    return { json: this.json, bin };
+  }
+}
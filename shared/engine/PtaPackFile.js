@@ -0,0 +1,178 @@
+import { BinaryReader } from '../utils/BinaryReader.js';
+
+/**
+ * PtaPackFile - Read access to a packfile (the demo.dat archive).
+ *
+ * Script lines name the archive an asset lives in (packfile="demo.dat"), but the
+ * original demo.dat is not in the repository and its format is not documented,
+ * so the layout below is this project's own. tools/build-bundle.mjs writes it.
+ * Paths inside are the same data\... paths the script uses, matched without
+ * case and with either slash.
+ *
+ * Layout (little-endian):
+ *   char[4]  signature "PACK"
+ *   int32    version (1)
+ *   int32    number of entries
+ *   int32    directory offset
+ *   ...      entry data
+ *   directory, one fixed-size record per entry:
+ *     int32     data offset
+ *     int32     data size
+ *     char[260] path (null-terminated)
+ *
+ * Archives opened from a URL only fetch the header and directory up front;
+ * entries are then read with HTTP Range requests as they are needed.
+ */
+
+export const PACK_SIGNATURE = 'PACK';
+export const PACK_VERSION = 1;
+export const PACK_HEADER_SIZE = 16;
+export const PACK_PATH_LENGTH = 260;
+export const PACK_ENTRY_SIZE = 8 + PACK_PATH_LENGTH;
+
+/**
+ * Normalize an asset path for directory lookups.
+ * @param {string} path
+ * @returns {string}
+ */
+export function normalizePackPath(path) {
+  return path.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '').toLowerCase();
+}
+
+export class PtaPackFile {
+  /**
+   * @param {string} name - Archive name or URL, for messages and range reads
+   * @param {Map<string, {path: string, offset: number, size: number}>} entries
+   * @param {ArrayBuffer|null} [buffer] - Whole archive; null to read entries by range
+   */
+  constructor(name, entries, buffer = null) {
+    this.name = name;
+    this.entries = entries;
+    this.buffer = buffer;
+  }
+
+  /**
+   * Index an archive held in memory.
+   * @param {ArrayBuffer} buffer
+   * @param {string} [name]
+   * @returns {PtaPackFile}
+   */
+  static fromBuffer(buffer, name = 'Packfile') {
+    const reader = new BinaryReader(buffer);
+    const { count, directoryOffset } = readHeader(reader, name);
+    reader.seek(directoryOffset);
+    return new PtaPackFile(name, readDirectory(reader, count, name, buffer.byteLength), buffer);
+  }
+
+  /**
+   * Open an archive over HTTP. Falls back to holding the whole file when the
+   * server does not support Range requests.
+   * @param {string} url
+   * @returns {Promise<PtaPackFile>}
+   */
+  static async fromUrl(url) {
+    const head = await BinaryReader.fromUrlRange(url, 0, PACK_HEADER_SIZE);
+    if (!head.isRange) return PtaPackFile.fromBuffer(head.buffer, url);
+
+    const { count, directoryOffset } = readHeader(head, url);
+    const dir = await BinaryReader.fromUrlRange(url, directoryOffset, count * PACK_ENTRY_SIZE);
+    if (!dir.isRange) return PtaPackFile.fromBuffer(dir.buffer, url);
+    return new PtaPackFile(url, readDirectory(dir, count, url, Infinity));
+  }
+
+  has(path) {
+    return this.entries.has(normalizePackPath(path));
+  }
+
+  /**
+   * Contents of one entry of an in-memory archive.
+   * @param {string} path
+   * @returns {ArrayBuffer|null} Copy of the entry data, or null if not in the archive
+   */
+  get(path) {
+    if (!this.buffer) throw new Error(`${this.name}: entries are read by range, use read()`);
+    const entry = this.entries.get(normalizePackPath(path));
+    if (!entry) return null;
+    return this.buffer.slice(entry.offset, entry.offset + entry.size);
+  }
+
+  /**
+   * Contents of one entry, fetching its byte range if the archive is remote.
+   * @param {string} path
+   * @returns {Promise<ArrayBuffer|null>} null if not in the archive
+   */
+  async read(path) {
+    if (this.buffer) return this.get(path);
+    const entry = this.entries.get(normalizePackPath(path));
+    if (!entry) return null;
+    if (entry.size === 0) return new ArrayBuffer(0);
+
+    const reader = await BinaryReader.fromUrlRange(this.name, entry.offset, entry.size);
+    return reader.isRange
+      ? reader.buffer
+      : reader.buffer.slice(entry.offset, entry.offset + entry.size);
+  }
+}
+
+/**
+ * Build an archive.
+ * @param {Array<{path: string, data: Uint8Array}>} files - Paths relative to the production root
+ * @returns {Uint8Array}
+ */
+export function writePackFile(files) {
+  const dataSize = files.reduce((sum, f) => sum + f.data.byteLength, 0);
+  const directoryOffset = PACK_HEADER_SIZE + dataSize;
+  const out = new Uint8Array(directoryOffset + files.length * PACK_ENTRY_SIZE);
+  const view = new DataView(out.buffer);
+
+  for (let i = 0; i < 4; i++) out[i] = PACK_SIGNATURE.charCodeAt(i);
+  view.setInt32(4, PACK_VERSION, true);
+  view.setInt32(8, files.length, true);
+  view.setInt32(12, directoryOffset, true);
+
+  let offset = PACK_HEADER_SIZE;
+  let record = directoryOffset;
+  for (const file of files) {
+    // Stored with PTA's backslashes, as the script writes them
+    const path = file.path.replace(/\//g, '\\');
+    if (path.length >= PACK_PATH_LENGTH || /[^\x20-\x7e]/.test(path)) {
+      throw new Error(`Packfile: path "${file.path}" must be printable ASCII under ${PACK_PATH_LENGTH} chars`);
+    }
+    out.set(file.data, offset);
+    view.setInt32(record, offset, true);
+    view.setInt32(record + 4, file.data.byteLength, true);
+    for (let i = 0; i < path.length; i++) out[record + 8 + i] = path.charCodeAt(i);
+    offset += file.data.byteLength;
+    record += PACK_ENTRY_SIZE;
+  }
+  return out;
+}
+
+function readHeader(reader, name) {
+  const signature = reader.readString(4);
+  if (signature !== PACK_SIGNATURE) {
+    throw new Error(`${name}: bad signature "${signature}"`);
+  }
+  const version = reader.readInt32();
+  if (version !== PACK_VERSION) {
+    throw new Error(`${name}: unsupported version ${version}`);
+  }
+  return { count: reader.readInt32(), directoryOffset: reader.readInt32() };
+}
+
+function readDirectory(reader, count, name, fileSize) {
+  if (reader.remaining() < count * PACK_ENTRY_SIZE) {
+    throw new Error(`${name}: truncated directory`);
+  }
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    const offset = reader.readInt32();
+    const size = reader.readInt32();
+    const path = reader.readString(PACK_PATH_LENGTH);
+    if (offset + size > fileSize) {
+      throw new Error(`${name}: entry "${path}" extends past end of file`);
+    }
+    entries.set(normalizePackPath(path), { path, offset, size });
+  }
+  return entries;
+}
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { getTransformMatrix } from './AnimationSystem.js';
+
+/**
+ * PtaSkinning - Bone deformation for OBJ_DEFORMABLE PTA objects.
+ *
+ * Each vertex links to one or more bones with a weight and its position in
+ * that bone's local space. PTA places the vertex at the weighted sum of the
+ * animated bones applied to those local positions:
+ *
+ *   world = Σ weight_i * bone_i(t) * local_i
+ *
+ * Bones animate like objects (initial axes + pos/scl/rot keys).
+ *
+ * 'cpu' evaluates exactly that sum every frame and writes the mesh positions
+ * (in object space, so the mesh keeps its animated object matrix).
+ * 'gpu' uses a THREE.SkinnedMesh instead: every bone becomes the delta from
+ * its rest pose, applied to the rest vertex positions. This matches the CPU
+ * result when the local positions agree with the rest mesh, and is limited
+ * to four bones per vertex; objects with more links use the CPU path.
+ */
+
+export const SkinningMode = {
+  CPU: 'cpu',
+  GPU: 'gpu',
+};
+
+const MAX_GPU_INFLUENCES = 4;
+
+const _objectInverse = new THREE.Matrix4();
+const _delta = new THREE.Matrix4();
+const _normalMatrix = new THREE.Matrix3();
+const _v = new THREE.Vector3();
+
+export class PtaSkin {
+  /**
+   * @param {Object} objData - Parsed geometry object with bones and vertexBoneData
+   * @param {THREE.Mesh} mesh - Mesh built from objData (unindexed, one vertex per face corner)
+   * @param {'cpu'|'gpu'} [mode='cpu']
+   */
+  constructor(objData, mesh, mode = SkinningMode.CPU) {
+    this.objData = objData;
+    this.bones = objData.bones;
+    const links = objData.vertexBoneData;
+    const maxLinks = links.reduce((max, v) => Math.max(max, v.boneIndices.length), 0);
+    this.mode = mode === SkinningMode.GPU && maxLinks <= MAX_GPU_INFLUENCES
+      ? SkinningMode.GPU
+      : SkinningMode.CPU;
+
+    // Face corner → original vertex index (the mesh is built unindexed)
+    this.cornerToVertex = new Uint32Array(objData.numFaces * 3);
+    objData.faces.forEach((face, f) => {
+      this.cornerToVertex[f * 3] = face.v0;
+      this.cornerToVertex[f * 3 + 1] = face.v1;
+      this.cornerToVertex[f * 3 + 2] = face.v2;
+    });
+
+    // Rest pose: object-space vertex → bone-local space, for deltas and normals
+    const objectRest = objData.transformMatrix;
+    this.restToBone = this.bones.map(bone =>
+      bone.transformMatrix.clone().invert().multiply(objectRest));
+    this.boneWorld = this.bones.map(() => new THREE.Matrix4());
+    this.boneDelta = this.bones.map(() => new THREE.Matrix4());
+
+    this.mesh = this.mode === SkinningMode.GPU
+      ? this._buildSkinnedMesh(mesh)
+      : this._prepareCpu(mesh);
+    // Deformed geometry leaves the rest bounding volume
+    this.mesh.frustumCulled = false;
+  }
+
+  /**
+   * Pose the mesh at time t.
+   * @param {number} t - Scene time in ms
+   * @param {THREE.Matrix4} objectMatrix - Animated object matrix at t
+   */
+  update(t, objectMatrix) {
+    _objectInverse.copy(objectMatrix).invert();
+    for (let i = 0; i < this.bones.length; i++) {
+      const bone = this.bones[i];
+      getTransformMatrix(t, bone, bone.transformMatrix, this.boneWorld[i]);
+      this.boneDelta[i]
+        .multiplyMatrices(_objectInverse, this.boneWorld[i])
+        .multiply(this.restToBone[i]);
+    }
+
+    if (this.mode === SkinningMode.GPU) {
+      this.skeleton.bones.forEach((b, i) => b.matrixWorld.copy(this.boneDelta[i]));
+    } else {
+      this._deformCpu();
+    }
+  }
+
+  _prepareCpu(mesh) {
+    const links = this.objData.vertexBoneData;
+    let count = 0;
+    this.linkStart = new Uint32Array(links.length + 1);
+    links.forEach((v, i) => {
+      this.linkStart[i] = count;
+      count += v.boneIndices.length;
+    });
+    this.linkStart[links.length] = count;
+
+    this.linkBone = new Uint32Array(count);
+    this.linkWeight = new Float32Array(count);
+    this.linkLocal = new Float32Array(count * 3);
+    links.forEach((v, i) => {
+      for (let k = 0; k < v.boneIndices.length; k++) {
+        const l = this.linkStart[i] + k;
+        this.linkBone[l] = v.boneIndices[k];
+        this.linkWeight[l] = v.weights[k];
+        this.linkLocal[l * 3] = v.localPositions[k].x;
+        this.linkLocal[l * 3 + 1] = v.localPositions[k].y;
+        this.linkLocal[l * 3 + 2] = v.localPositions[k].z;
+      }
+    });
+
+    this.vertexPositions = new Float32Array(links.length * 3);
+    const normal = mesh.geometry.getAttribute('normal');
+    if (normal) {
+      this.restNormals = normal.array.slice();
+      this.vertexNormalMatrices = new Float32Array(links.length * 9);
+      this.boneNormal = this.bones.map(() => new THREE.Matrix3());
+    }
+    return mesh;
+  }
+
+  _deformCpu() {
+    const geometry = this.mesh.geometry;
+    const positions = geometry.getAttribute('position');
+    const normals = this.restNormals ? geometry.getAttribute('normal') : null;
+    const vp = this.vertexPositions;
+    const vn = this.vertexNormalMatrices;
+    const numVertices = this.linkStart.length - 1;
+
+    if (normals) {
+      this.boneDelta.forEach((m, i) => this.boneNormal[i].getNormalMatrix(m));
+    }
+
+    for (let v = 0; v < numVertices; v++) {
+      let x = 0, y = 0, z = 0;
+      if (normals) vn.fill(0, v * 9, v * 9 + 9);
+      for (let l = this.linkStart[v]; l < this.linkStart[v + 1]; l++) {
+        const b = this.linkBone[l];
+        const w = this.linkWeight[l];
+        if (b >= this.bones.length) continue;
+        _v.fromArray(this.linkLocal, l * 3).applyMatrix4(this.boneWorld[b]);
+        x += w * _v.x;
+        y += w * _v.y;
+        z += w * _v.z;
+        if (normals) {
+          const e = this.boneNormal[b].elements;
+          for (let k = 0; k < 9; k++) vn[v * 9 + k] += w * e[k];
+        }
+      }
+      _v.set(x, y, z).applyMatrix4(_objectInverse);
+      vp[v * 3] = _v.x;
+      vp[v * 3 + 1] = _v.y;
+      vp[v * 3 + 2] = _v.z;
+    }
+
+    const corners = this.cornerToVertex;
+    const pos = positions.array;
+    for (let c = 0; c < corners.length; c++) {
+      const v = corners[c];
+      if (v >= numVertices) continue;
+      pos[c * 3] = vp[v * 3];
+      pos[c * 3 + 1] = vp[v * 3 + 1];
+      pos[c * 3 + 2] = vp[v * 3 + 2];
+    }
+    positions.needsUpdate = true;
+
+    if (normals) {
+      const out = normals.array;
+      for (let c = 0; c < corners.length; c++) {
+        const v = corners[c];
+        if (v >= numVertices) continue;
+        _normalMatrix.fromArray(vn, v * 9);
+        _v.fromArray(this.restNormals, c * 3).applyMatrix3(_normalMatrix).normalize();
+        out[c * 3] = _v.x;
+        out[c * 3 + 1] = _v.y;
+        out[c * 3 + 2] = _v.z;
+      }
+      normals.needsUpdate = true;
+    }
+  }
+
+  _buildSkinnedMesh(mesh) {
+    const links = this.objData.vertexBoneData;
+    const corners = this.cornerToVertex;
+    const skinIndex = new Uint16Array(corners.length * 4);
+    const skinWeight = new Float32Array(corners.length * 4);
+    for (let c = 0; c < corners.length; c++) {
+      const link = links[corners[c]];
+      if (!link) continue;
+      for (let k = 0; k < link.boneIndices.length; k++) {
+        skinIndex[c * 4 + k] = link.boneIndices[k];
+        skinWeight[c * 4 + k] = link.weights[k];
+      }
+    }
+    mesh.geometry.setAttribute('skinIndex', new THREE.BufferAttribute(skinIndex, 4));
+    mesh.geometry.setAttribute('skinWeight', new THREE.BufferAttribute(skinWeight, 4));
+
+    const skinned = new THREE.SkinnedMesh(mesh.geometry, mesh.material);
+    skinned.name = mesh.name;
+    skinned.matrixAutoUpdate = false;
+    skinned.matrix.copy(mesh.matrix);
+
+    // Bones are posed directly through matrixWorld (deltas in object space),
+    // so they stay out of the scene graph and bind with identity matrices.
+    const bones = this.bones.map(() => {
+      const bone = new THREE.Bone();
+      bone.matrixAutoUpdate = false;
+      bone.matrixWorldAutoUpdate = false;
+      return bone;
+    });
+    this.skeleton = new THREE.Skeleton(bones, bones.map(() => new THREE.Matrix4()));
+    skinned.bindMode = THREE.DetachedBindMode;
+    skinned.bind(this.skeleton, new THREE.Matrix4());
+    return skinned;
+  }
+}
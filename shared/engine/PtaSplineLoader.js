@@ -0,0 +1,56 @@
+import { BinaryReader } from '../utils/BinaryReader.js';
+
+/**
+ * PTA Spline File Loader
+ *
+ * Parses .spl files (text outlines for particle effects):
+ *   char[8]  signature "PTASPLIN"
+ *   int32    number of splines
+ *   per spline:
+ *     int32  size in bytes of the rest of the record (4 + 12 * points)
+ *     int32  number of control points
+ *     float  x, y, z per control point
+ *
+ * Points are screen-normalized (0..1, y down), z is the depth buffer value,
+ * which is what FXParticleText expects.
+ */
+
+const SIGNATURE = 'PTASPLIN';
+
+/**
+ * Parse .spl file contents.
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<Array<{x: number, y: number, z: number}>>} Control points per spline
+ */
+export function parseSplineFile(buffer) {
+  const reader = new BinaryReader(buffer);
+  const signature = reader.readString(8);
+  if (signature !== SIGNATURE) throw new Error(`Not a PTA spline file (signature "${signature}")`);
+
+  const numSplines = reader.readInt32();
+  const splines = new Array(numSplines);
+  for (let i = 0; i < numSplines; i++) {
+    const size = reader.readInt32();
+    const end = reader.tell() + size;
+    const numPoints = reader.readInt32();
+    if (size !== 4 + numPoints * 12 || end > reader.length) {
+      throw new Error(`Spline ${i}: bad record size ${size} for ${numPoints} points`);
+    }
+    const points = new Array(numPoints);
+    for (let p = 0; p < numPoints; p++) {
+      points[p] = { x: reader.readFloat(), y: reader.readFloat(), z: reader.readFloat() };
+    }
+    splines[i] = points;
+  }
+  return splines;
+}
+
+/**
+ * Load and parse a .spl file.
+ * @param {string} url
+ * @returns {Promise<Array<Array<{x: number, y: number, z: number}>>>}
+ */
+export async function loadSplineFile(url) {
+  const reader = await BinaryReader.fromUrl(url);
+  return parseSplineFile(reader.buffer);
+}
@@ -3,6 +3,7 @@ import * as THREE from 'three';
 /**
  * Renderer - Three.js rendering setup matching original PTA demo.
  * Odyssey: 800x600, with 85% vertical viewport (510px centered, 45px black bars).
+ * This Way: 800x600, with 70% vertical viewport (420px centered, 90px black bars).
  */
 
 // PTA blend mode constants (from Pta3DWrapper.h)
@@ -38,14 +39,17 @@ export class Renderer {
    * @param {HTMLElement} container
    * @param {number} width - Demo native width (800)
    * @param {number} height - Demo native height (600)
+   * @param {Object} [options]
+   * @param {number} [options.viewportRatio=0.85] - Fraction of vertical space used by the demo viewport
    */
-  constructor(container, width = 800, height = 600) {
+  constructor(container, width = 800, height = 600, options = {}) {
     this.container = container;
     this.demoWidth = width;
     this.demoHeight = height;
 
-    // The demo viewport is 85% of vertical space, centered
-    this.viewportRatio = 0.85;
+    // The demo viewport is a centered fraction of vertical space
+    // (Odyssey: 85%, This Way: 70%)
+    this.viewportRatio = options.viewportRatio ?? 0.85;
 
     // Three.js WebGL renderer
     this.webglRenderer = new THREE.WebGLRenderer({
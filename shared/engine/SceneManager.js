@@ -1,11 +1,16 @@
 import * as THREE from 'three';
-import { getTransformMatrix, interpolatePosition, interpolateRotation, interpolateCameraSettings } from './AnimationSystem.js';
+import { findKeyInterval, getCameraPose, getTransformMatrix, interpolatePosition, interpolateCameraSettings } from './AnimationSystem.js';
+import { AnimationMode, createCameraClip, createLightClip, createObjectClip } from './PtaAnimationClip.js';
 import { BlendMode } from './Renderer.js';
+import { PtaFog, usePtaFog } from './PtaFog.js';
+import { PtaSkin, SkinningMode } from './PtaSkinning.js';
+import { applyScenePatch } from './ScenePatch.js';
 
 // PTA hardcodes the aspect ratio to 4:3 (1.3333) in WrpTransforming.cpp setActiveCamera().
 // FOV stored in .pta files is horizontal; PTA converts to vertical via fov/ASPECT.
 // gluPerspective(fov/aspect, aspect, near, far) — the viewport mismatch (800x510 = 1.569)
 // produces the same horizontal stretching as the original C++ demo.
+// The This Way wrapper hardcodes 2.0 instead (≈800/420 viewport); see setFixedFrustumAspect().
 const DEFAULT_PTA_ASPECT = 4 / 3;
 
 // Lens flare alpha fade speed: 1.0 / 150ms (matches C++ pta3DLensFlare)
@@ -15,6 +20,11 @@ const LENS_FLARE_FADE_SPEED = 1.0 / 150.0;
 const _flareRaycaster = new THREE.Raycaster();
 const _flareRayDir = new THREE.Vector3();
 const _flareCamPos = new THREE.Vector3();
+
+// Reusable objects for the per-frame animation update
+const _keyInterval = { index: 0, ct: 0 };
+const _lightColor = { r: 0, g: 0, b: 0 };
+const _cameraSettings = { near: 0, far: 0, fov: 0 };
 // PTA fixed-function OpenGL computes specular per-vertex (Gouraud), while
 // Three.js MeshPhong computes per-fragment and looks hotter on low-poly meshes.
 // Odyssey city scenes: all materials have specular=0.9, shininess=0.1 (→12.8).
@@ -31,16 +41,56 @@ const PTA_DIFFUSE_VERTEX_COMPENSATION_DEFAULT = 0.80;
 /**
  * SceneManager - Converts parsed PTA scene data to Three.js scene graphs
  * and handles animated rendering.
+ *
+ * Per-production wrapper differences are passed as options:
+ * - fixedFrustumAspect: aspect used to convert the stored horizontal FOV (Odyssey 4:3, This Way 2.0)
+ * - cameraAspect: 'viewport' derives the projection aspect from the current viewport
+ *   (Odyssey), 'fixed' keeps fixedFrustumAspect regardless of viewport (This Way)
+ * - specularCompensation / diffuseCompensation: per-vertex lighting approximation factors
+ * - sphereMapShader: render unlit tex2 GL_SPHERE_MAP materials with the GL_ADD shader
+ * - helperEffects: build lens flares and particle systems from helper userProps
+ * - ptaColorConstantsAreSRGB: see setPtaColorConstantsAreSRGB()
+ * - skinning: 'cpu' (PTA-exact) or 'gpu' bone deformation of deformable objects (see PtaSkinning)
+ * - animation: 'pta' (PTA-exact key evaluation) or 'mixer' (baked clips on a THREE.AnimationMixer,
+ *   see PtaAnimationClip)
  */
 export class SceneManager {
-  constructor(renderer) {
+  /**
+   * @param {import('./Renderer.js').Renderer} renderer
+   * @param {Object} [options]
+   * @param {number} [options.fixedFrustumAspect=4/3]
+   * @param {'viewport'|'fixed'} [options.cameraAspect='viewport']
+   * @param {number} [options.specularCompensation=0.35]
+   * @param {number} [options.diffuseCompensation=0.80]
+   * @param {boolean} [options.sphereMapShader=true]
+   * @param {boolean} [options.helperEffects=true]
+   * @param {boolean} [options.ptaColorConstantsAreSRGB=false]
+   * @param {'cpu'|'gpu'} [options.skinning='cpu']
+   * @param {'pta'|'mixer'} [options.animation='pta']
+   */
+  constructor(renderer, options = {}) {
     this.renderer = renderer;
     /** @type {Map<string, ManagedScene>} */
     this.scenes = new Map();
     this.fixedFrustumAspect = DEFAULT_PTA_ASPECT;
+    this.setFixedFrustumAspect(options.fixedFrustumAspect);
+    this.cameraAspect = options.cameraAspect ?? 'viewport';
+    this.specularCompensation = options.specularCompensation ?? PTA_SPECULAR_VERTEX_COMPENSATION_DEFAULT;
+    this.diffuseCompensation = options.diffuseCompensation ?? PTA_DIFFUSE_VERTEX_COMPENSATION_DEFAULT;
+    this.sphereMapShader = options.sphereMapShader ?? true;
+    this.helperEffects = options.helperEffects ?? true;
     // Some productions authored PTA color constants as monitor-space (sRGB-like) values.
     // Keep legacy default behavior unless explicitly enabled by the caller.
-    this.ptaColorConstantsAreSRGB = false;
+    this.ptaColorConstantsAreSRGB = !!options.ptaColorConstantsAreSRGB;
+    this.skinning = options.skinning ?? SkinningMode.CPU;
+    this.animation = options.animation ?? AnimationMode.PTA;
+
+    // Active fixed-function fog (3D_FOG). Applied to every scene rendered while set.
+    /** @type {PtaFog|null} */
+    this.fog = null;
+    // Set by the first setFog(); from then on scene materials get the PTA fog formulas
+    // once when they are built instead of on every render.
+    this._ptaFogMaterials = false;
 
     // Wide blur capture system (C++ initWideBlurSupport)
     this.wideBlurEnabled = false;
@@ -49,6 +99,12 @@ export class SceneManager {
     this._wblurScene = null;
     this._wblurMesh = null;
     this._wblurMat = null;
+
+    // Motion blur (C++ ptaDemoFX_3D_MotionBlur): each rendered scene frame is
+    // blended with the previous one of the same scene. motionBlurAlpha is the
+    // weight of the accumulated history at 60 fps.
+    this.motionBlurEnabled = false;
+    this.motionBlurAlpha = 0.5;
   }
 
   /**
@@ -70,6 +126,43 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Set (or clear with null) the fog applied to subsequently rendered scenes.
+   * @param {PtaFog|null} fog
+   */
+  setFog(fog) {
+    this.fog = fog || null;
+    if (this.fog && !this._ptaFogMaterials) {
+      this._ptaFogMaterials = true;
+      for (const managed of this.scenes.values()) this._usePtaFog(managed);
+    }
+  }
+
+  /**
+   * Switch a scene's fogged materials, particle sprites included, to the PTA fog formulas.
+   * @param {ManagedScene} managed
+   */
+  _usePtaFog(managed) {
+    usePtaFog(managed.threeScene);
+    for (const psys of managed.particleSystems) {
+      if (psys.group) usePtaFog(psys.group);
+    }
+  }
+
+  /**
+   * Create a PtaFog from PTA-authored values (color honors ptaColorConstantsAreSRGB).
+   * @param {string} mode - 'LINEAR', 'EXP' or 'EXP2'
+   * @param {number[]} color - [r, g, b] in 0-1
+   * @param {number} near
+   * @param {number} far
+   * @param {number} density
+   * @returns {PtaFog}
+   */
+  createFog(mode, color, near, far, density) {
+    const c = this._ptaColorFromRGB(color[0] ?? 0, color[1] ?? 0, color[2] ?? 0);
+    return new PtaFog(mode, c, near, far, density);
+  }
+
   _ptaColorFromRGB(r, g, b) {
     if (this.ptaColorConstantsAreSRGB) {
       return new THREE.Color().setRGB(r, g, b, THREE.SRGBColorSpace);
@@ -92,8 +185,8 @@ export class SceneManager {
   buildScene(id, ptaScene, textures = new Map()) {
     const managed = new ManagedScene(ptaScene);
     const sourcePath = (ptaScene.sourcePath || '').toLowerCase();
-    const specularCompensation = PTA_SPECULAR_VERTEX_COMPENSATION_DEFAULT;
-    const diffuseCompensation = PTA_DIFFUSE_VERTEX_COMPENSATION_DEFAULT;
+    const specularCompensation = this.specularCompensation;
+    const diffuseCompensation = this.diffuseCompensation;
 
     // Check if scene has lights — use unlit materials if not.
     // PTA determines lighting at load time: numLights > 0 → lit, else unlit.
@@ -122,15 +215,18 @@ export class SceneManager {
 
     // Build objects
     for (const obj of ptaScene.objects) {
-      const mesh = this._buildMesh(obj, threeMaterials);
+      let mesh = this._buildMesh(obj, threeMaterials);
       if (mesh) {
+        // Bone-animated vertices (OBJ_DEFORMABLE); GPU mode swaps in a SkinnedMesh
+        const skin = obj.deformable ? new PtaSkin(obj, mesh, this.skinning) : null;
+        if (skin) mesh = skin.mesh;
         managed.threeScene.add(mesh);
-        managed.meshes.set(obj.name, { mesh, data: obj });
+        managed.meshes.set(obj.name, { mesh, data: obj, skin, animated: hasKeys(obj), rest: null });
       }
     }
 
-    // Apply per-scene overrides for known exporter issues
-    this._applySceneOverrides(id, managed);
+    // Per-scene fixes for known exporter issues (<scene>.patch.json)
+    if (ptaScene.patch) applyScenePatch(managed, ptaScene.patch);
 
     // Build cameras
     for (const cam of ptaScene.cameras) {
@@ -164,7 +260,7 @@ export class SceneManager {
     // Parse helper userDefined properties for lens flares and particle systems.
     // C++ Pta3DSceneManager::parseUserDefinedProperties() iterates helpers,
     // looking for "lensflare" → pta3DLensFlare, "particles" → ptaParticleSystemStandard.
-    if (ptaScene.helpers) {
+    if (this.helperEffects && ptaScene.helpers) {
       for (const helper of ptaScene.helpers) {
         if (!helper.userProps) continue;
         const propsLower = helper.userProps.toLowerCase();
@@ -231,48 +327,80 @@ export class SceneManager {
       }
     }
 
+    if (this.animation === AnimationMode.MIXER) {
+      this._buildMixer(managed);
+    }
+
     this.scenes.set(id, managed);
+    if (this._ptaFogMaterials) this._usePtaFog(managed);
     return managed;
   }
 
   /**
-   * Apply per-scene overrides for known exporter issues.
+   * Bake the scene keys into one clip per animated node and play them all on
+   * managed.mixer. renderScene() then drives the mixer with mixer.setTime(), so
+   * mixer and action time scales apply on top of the scene time; callers that
+   * pass sceneTime < 0 can update the mixer themselves (blending, crossfades).
+   * @param {ManagedScene} managed
    */
-  _applySceneOverrides(id, managed) {
-    // Normalize id: extract basename without extension for matching
-    // DemoManager passes "City02", viewer passes "data/3dscenes/city/city02.pta"
-    const basename = id.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '').toLowerCase();
-
-    // sala: Box01-04 position corrections (exporter GetNodeTM vs GetObjectTM mismatch)
-    if (basename === 'sala') {
-      const overrides = {
-        'Box01': { x: 0, y: -10 },
-        'Box02': { x: 20, y: 10 },
-        'Box03': { x: 0, y: 30 },
-        'Box04': { x: -20, y: 10 },
-      };
-
-      for (const [name, pos] of Object.entries(overrides)) {
-        const entry = managed.meshes.get(name);
-        if (!entry) continue;
-
-        const e = entry.data.transformMatrix.elements;
-        if (pos.x !== undefined) e[12] = pos.x;
-        if (pos.y !== undefined) e[13] = pos.y;
-        if (pos.z !== undefined) e[14] = pos.z;
+  _buildMixer(managed) {
+    const mixer = new THREE.AnimationMixer(managed.threeScene);
+    const play = (clip, root) => {
+      if (!clip) return null;
+      const action = mixer.clipAction(clip, root);
+      action.setLoop(THREE.LoopOnce);
+      action.clampWhenFinished = true;
+      action.play();
+      managed.actions.push(action);
+      return action;
+    };
+
+    for (const entry of managed.meshes.values()) {
+      entry.action = play(createObjectClip(entry.data), entry.mesh);
+    }
+    for (const { camera, data } of managed.cameras.values()) {
+      play(createCameraClip(data, { fixedFrustumAspect: this.fixedFrustumAspect }), camera);
+    }
+    for (const { light, data } of managed.lights.values()) {
+      if (data) play(createLightClip(data, { colorsAreSRGB: this.ptaColorConstantsAreSRGB }), light);
+    }
+    managed.mixer = mixer;
+  }
 
-        entry.mesh.matrix.copy(entry.data.transformMatrix);
-        entry.mesh.matrixWorldNeedsUpdate = true;
-      }
+  /**
+   * Pose every node from the mixer at scene time t (ms).
+   * @param {ManagedScene} managed
+   * @param {number} t
+   */
+  _updateMixer(managed, t) {
+    // Actions pause themselves once clamped at the end of their clip
+    for (const action of managed.actions) action.paused = false;
+    managed.mixer.setTime(t / 1000);
+
+    // Mesh matrices stay manual (as in PTA mode) so callers can still edit them
+    for (const entry of managed.meshes.values()) {
+      const { mesh, skin } = entry;
+      if (entry.action) mesh.updateMatrix();
+      else mesh.matrix.copy(this._restMatrix(entry));
+      if (skin) skin.update(t, mesh.matrix);
     }
+  }
 
-    // City02: "suelo carretera" has inverted normals — flip face side
-    if (basename === 'city02') {
-      const entry = managed.meshes.get('suelo carretera');
-      if (entry) {
-        entry.mesh.material.side = THREE.BackSide;
-      }
+  /**
+   * Matrix of a mesh without keys, which getTransformMatrix() gives for any time.
+   * Recomputed only when its transformMatrix is edited (scene overrides, viewer).
+   * @param {{data: Object, rest: ?{source: THREE.Matrix4, matrix: THREE.Matrix4}}} entry
+   * @returns {THREE.Matrix4}
+   */
+  _restMatrix(entry) {
+    const source = entry.data.transformMatrix;
+    if (!entry.rest) {
+      entry.rest = { source: source.clone(), matrix: getTransformMatrix(0, entry.data, source) };
+    } else if (!entry.rest.source.equals(source)) {
+      entry.rest.source.copy(source);
+      getTransformMatrix(0, entry.data, source, entry.rest.matrix);
     }
+    return entry.rest.matrix;
   }
 
   /**
@@ -293,11 +421,15 @@ export class SceneManager {
     const t = sceneTime * playSpeed;
 
     // Update all objects (skip if sceneTime < 0, meaning caller manages matrices)
-    if (sceneTime >= 0) {
-      for (const [name, { mesh, data }] of managed.meshes) {
-        const matrix = getTransformMatrix(t, data, data.transformMatrix);
+    if (sceneTime >= 0 && managed.mixer) {
+      this._updateMixer(managed, t);
+    } else if (sceneTime >= 0) {
+      for (const entry of managed.meshes.values()) {
+        const { mesh, data, skin } = entry;
         mesh.matrixAutoUpdate = false;
-        mesh.matrix.copy(matrix);
+        if (entry.animated) getTransformMatrix(t, data, data.transformMatrix, mesh.matrix);
+        else mesh.matrix.copy(this._restMatrix(entry));
+        if (skin) skin.update(t, mesh.matrix);
       }
     }
 
@@ -310,45 +442,52 @@ export class SceneManager {
       const camEntry = managed.cameras.get(cameraName);
       activeCamera = camEntry.camera;
       // Only update camera animation if sceneTime >= 0
-      if (sceneTime >= 0) {
+      if (sceneTime >= 0 && !managed.mixer) {
         this._updateCamera(camEntry.camera, camEntry.data, t);
       }
     } else if (managed.cameras.size > 0) {
       const [firstCam] = managed.cameras.values();
       activeCamera = firstCam.camera;
-      if (sceneTime >= 0) {
+      if (sceneTime >= 0 && !managed.mixer) {
         this._updateCamera(firstCam.camera, firstCam.data, t);
       }
     }
 
     if (!activeCamera) {
       // PTA NULL camera: FOV=60° horizontal, identity view at origin looking -Z
-      activeCamera = new THREE.PerspectiveCamera(
-        60 / this.fixedFrustumAspect,
-        this.fixedFrustumAspect,
-        1,
-        1000
-      );
+      this._nullCamera ??= new THREE.PerspectiveCamera(60, 1, 1, 1000);
+      activeCamera = this._nullCamera;
+      activeCamera.fov = 60 / this.fixedFrustumAspect;
+      activeCamera.aspect = this.fixedFrustumAspect;
       activeCamera.position.set(0, 0, 0);
       activeCamera.lookAt(0, 0, -1);
     }
 
     // Compute camera aspect from the current viewport so circles stay round.
     // PTA renderScene() does the same (Pta3DSceneManager.cpp:509).
+    // The This Way wrapper instead hardcodes the aspect in setFrustum(), regardless
+    // of viewport — even inside a 512x512 ViewportInt the frustum uses ASPECT=2.0.
     if (activeCamera.isPerspectiveCamera) {
-      const vp = this.renderer.currentViewport;
-      activeCamera.aspect = (vp.w > 0 && vp.h > 0)
-        ? vp.w / vp.h
-        : this.renderer.demoWidth / this.renderer.demoHeight;
+      if (this.cameraAspect === 'fixed') {
+        activeCamera.aspect = this.fixedFrustumAspect;
+      } else {
+        const vp = this.renderer.currentViewport;
+        activeCamera.aspect = (vp.w > 0 && vp.h > 0)
+          ? vp.w / vp.h
+          : this.renderer.demoWidth / this.renderer.demoHeight;
+      }
       activeCamera.updateProjectionMatrix();
     }
 
     // Update lights
-    for (const [name, { light, data }] of managed.lights) {
-      if (data) this._updateLight(light, data, t);
+    if (!managed.mixer) {
+      for (const [name, { light, data }] of managed.lights) {
+        if (data) this._updateLight(light, data, t);
+      }
     }
 
     // Render
+    managed.threeScene.fog = this.fog ? this.fog.threeFog : null;
     this.renderer.renderScene(managed.threeScene, activeCamera);
 
     // Render scene-embedded particle systems (after main scene, before lens flares)
@@ -357,10 +496,17 @@ export class SceneManager {
     // Render lens flares (after main scene so they overlay correctly)
     this._renderLensFlares(managed, activeCamera);
 
+    // Motion blur: blend accumulated previous frames over this one, then keep the result.
+    if (this.motionBlurEnabled) {
+      this._accumulateMotionBlur(managed);
+    } else {
+      managed._motionBlurLastTimestamp = -1;
+    }
+
     // Wide blur: capture framebuffer for doWideBlur() overlay.
     // C++ copies framebuffer to wblurTexture after scene + lens flares.
     if (this.wideBlurEnabled) {
-      this._captureWideBlur();
+      this.captureWideBlur();
     }
   }
 
@@ -391,6 +537,18 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Load everything helper-driven effects need (lens flare and particle
+   * textures). Scenes built without it render neither.
+   * Call after buildScene() during asset loading phase.
+   * @param {string} id - Scene identifier
+   * @param {Function} loadTextureFn - async (path) => THREE.Texture
+   */
+  async loadSceneHelperEffects(id, loadTextureFn) {
+    await this.loadSceneLensFlares(id, loadTextureFn);
+    await this.loadSceneParticles(id, loadTextureFn);
+  }
+
   /**
    * Load particle textures and build render objects for scene-embedded particle systems.
    * Call after buildScene() during asset loading phase.
@@ -409,6 +567,7 @@ export class SceneManager {
         console.warn(`SceneParticle: failed to load "${psys.texturePath}":`, err.message);
       }
     }
+    if (this._ptaFogMaterials) this._usePtaFog(managed);
   }
 
   /**
@@ -431,6 +590,7 @@ export class SceneManager {
     managed._particleLastTime = sceneTime;
 
     const particleScene = new THREE.Scene();
+    particleScene.fog = managed.threeScene.fog;
 
     for (const psys of managed.particleSystems) {
       if (!psys.group) continue;
@@ -543,8 +703,19 @@ export class SceneManager {
    * C++ copies framebuffer pixels to a 256x256 texture via copyFBufferToTexture.
    * We use FramebufferTexture + copyFramebufferToTexture to capture what's already
    * rendered on screen (exact pixel match, no re-rendering needed).
+   * renderScene() calls this while wideBlurEnabled is set; effects that turn the
+   * wide blur on after a scene was drawn call it themselves before doWideBlur().
    */
-  _captureWideBlur() {
+  captureWideBlur() {
+    this._wblurTex = this._captureViewport(this._wblurTex);
+  }
+
+  /**
+   * Copy the current viewport's framebuffer contents into a FramebufferTexture.
+   * @param {THREE.FramebufferTexture|null} tex - Previous texture (reused if same size)
+   * @returns {THREE.FramebufferTexture} texture holding the capture
+   */
+  _captureViewport(tex) {
     const webgl = this.renderer.webglRenderer;
     const vp = this.renderer.currentViewport;
     const dpr = webgl.getPixelRatio();
@@ -552,17 +723,54 @@ export class SceneManager {
     const physH = Math.round(vp.h * dpr);
 
     // Create/recreate FramebufferTexture if viewport size changed
-    if (!this._wblurTex || this._wblurTex.image.width !== physW || this._wblurTex.image.height !== physH) {
-      if (this._wblurTex) this._wblurTex.dispose();
-      this._wblurTex = new THREE.FramebufferTexture(physW, physH);
-      this._wblurTex.minFilter = THREE.LinearFilter;
-      this._wblurTex.magFilter = THREE.LinearFilter;
+    if (!tex || tex.image.width !== physW || tex.image.height !== physH) {
+      if (tex) tex.dispose();
+      tex = new THREE.FramebufferTexture(physW, physH);
+      tex.minFilter = THREE.LinearFilter;
+      tex.magFilter = THREE.LinearFilter;
     }
 
     // Copy framebuffer from viewport's physical position (bottom-left origin)
     const physX = Math.round(vp.x * dpr);
     const physY = Math.round(vp.y * dpr);
-    webgl.copyFramebufferToTexture(this._wblurTex, new THREE.Vector2(physX, physY));
+    webgl.copyFramebufferToTexture(tex, new THREE.Vector2(physX, physY));
+    return tex;
+  }
+
+  /**
+   * Frame-accumulation motion blur for one scene.
+   * history = lerp(current, history, alpha), then the result is shown and kept.
+   * Alpha is rescaled by frame delta so the trail length doesn't depend on FPS.
+   * @param {ManagedScene} managed
+   */
+  _accumulateMotionBlur(managed) {
+    const now = performance.now();
+    const last = managed._motionBlurLastTimestamp;
+    managed._motionBlurLastTimestamp = now;
+
+    const tex = managed._motionBlurTex;
+    const vp = this.renderer.currentViewport;
+    const dpr = this.renderer.webglRenderer.getPixelRatio();
+    const sameSize = tex &&
+      tex.image.width === Math.round(vp.w * dpr) &&
+      tex.image.height === Math.round(vp.h * dpr);
+
+    // Only blend with a history that was captured on the previous frame
+    // (not after a seek, pause or a gap where the scene wasn't rendered).
+    if (sameSize && last >= 0 && now - last < 100) {
+      const alpha = Math.pow(
+        Math.max(0, Math.min(1, this.motionBlurAlpha)),
+        Math.max(now - last, 1) / (1000 / 60)
+      );
+      this._ensureWblurQuad();
+      this._wblurMat.uniforms.map.value = tex;
+      this._wblurMat.uniforms.opacity.value = alpha;
+      this._wblurMesh.position.set(0.5, 0.5, 0);
+      this._wblurMesh.scale.set(1, 1, 1);
+      this.renderer.webglRenderer.render(this._wblurScene, this.renderer.orthoCamera);
+    }
+
+    managed._motionBlurTex = this._captureViewport(tex);
   }
 
   /**
@@ -721,7 +929,7 @@ export class SceneManager {
     if (matData.tex1Spherical && mapTexture) {
       hasSphereMap = true;
     }
-    if (matData.tex2Spherical && lightMapTexture) {
+    if (matData.tex2Spherical && lightMapTexture && this.sphereMapShader) {
       // tex2 with GL_SPHERE_MAP provides chrome/metallic reflections.
       // Keep reference for matcap rendering.
       sphereMapTexture = lightMapTexture;
@@ -730,6 +938,13 @@ export class SceneManager {
         mapTexture = lightMapTexture;
       }
       lightMapTexture = null;
+    } else if (matData.tex2Spherical && lightMapTexture) {
+      // Second sphere texture used as additional layer — use as map if no tex1
+      if (!mapTexture) {
+        mapTexture = lightMapTexture;
+        hasSphereMap = true;
+      }
+      lightMapTexture = null;
     }
 
     let mat;
@@ -830,11 +1045,13 @@ export class SceneManager {
       const hasMap = mapTexture && mapTexture !== sphereMapTexture;
       mat = new THREE.ShaderMaterial({
         uniforms: {
+          ...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
           diffuseColor: { value: rawColor },
           map: { value: hasMap ? mapTexture : null },
           sphereMap: { value: sphereMapTexture },
         },
         vertexShader: /* glsl */ `
+          #include <fog_pars_vertex>
           varying vec2 vUv;
           varying vec3 vNormal;
           varying vec3 vViewPosition;
@@ -844,9 +1061,11 @@ export class SceneManager {
             vViewPosition = -mvPosition.xyz;
             vNormal = normalMatrix * normal;
             gl_Position = projectionMatrix * mvPosition;
+            #include <fog_vertex>
           }
         `,
         fragmentShader: /* glsl */ `
+          #include <fog_pars_fragment>
           uniform vec3 diffuseColor;
           uniform sampler2D map;
           uniform sampler2D sphereMap;
@@ -864,8 +1083,10 @@ export class SceneManager {
             vec2 sphereUV = vec2(r.x / m + 0.5, r.y / m + 0.5);
             color += texture2D(sphereMap, sphereUV).rgb;
             gl_FragColor = vec4(color, 1.0);
+            #include <fog_fragment>
           }
         `,
+        fog: true,
         side,
       });
     } else {
@@ -1056,10 +1277,11 @@ export class SceneManager {
     const aspect = this.fixedFrustumAspect;
     // PTA stores horizontal FOV in degrees. The engine converts to vertical via:
     //   gluPerspective(fov / ASPECT, ASPECT, 1.0, zFar)
-    // where ASPECT is fixed by the wrapper (Odyssey default: 4:3).
+    // where ASPECT is fixed by the wrapper (Odyssey default: 4:3, This Way: 2.0).
     // Three.js PerspectiveCamera expects vertical FOV in degrees.
+    // Cameras imported from glTF keep their authored vertical FOV.
     const hfov = camData.fov || 60;
-    const vfov = hfov / this.fixedFrustumAspect;
+    const vfov = camData.verticalFov ?? hfov / this.fixedFrustumAspect;
     const camera = new THREE.PerspectiveCamera(
       vfov,
       aspect,
@@ -1098,56 +1320,11 @@ export class SceneManager {
   }
 
   _updateCamera(camera, camData, t) {
-    // PTA uses originTM.getInvTransform() as the view matrix.
-    // Get the camera's full animated transformation matrix.
-    const matrix = getTransformMatrix(t, camData, camData.originMatrix);
-    const pos = new THREE.Vector3();
-    const quat = new THREE.Quaternion();
-    const scale = new THREE.Vector3();
-    matrix.decompose(pos, quat, scale);
-    camera.position.copy(pos);
-
-    const hasRotKeys = camData.rotKeys && camData.rotKeys.length > 0;
-    if (hasRotKeys) {
-      // Rotation keys exist — use the animated rotation directly.
-      // This preserves roll and handles cameras with baked lookAt rotation.
-      camera.quaternion.copy(quat);
-    } else if (camData.type === 2) {
-      // Target camera without rotation keys — compute lookAt from camera to target.
-      // Use the initial up vector from originMatrix to preserve roll.
-      let targetPos;
-      if (camData.targetPosKeys && camData.targetPosKeys.length > 0) {
-        const targetMatrix = getTransformMatrix(t, {
-          posKeys: camData.targetPosKeys,
-          sclKeys: camData.targetSclKeys,
-          rotKeys: camData.targetRotKeys,
-        }, camData.targetMatrix);
-        targetPos = new THREE.Vector3();
-        targetMatrix.decompose(targetPos, new THREE.Quaternion(), new THREE.Vector3());
-      } else if (camData.targetMatrix) {
-        targetPos = new THREE.Vector3();
-        camData.targetMatrix.decompose(targetPos, new THREE.Quaternion(), new THREE.Vector3());
-      }
-      if (targetPos) {
-        // Extract up vector from initial camera orientation (preserves roll)
-        const initQuat = new THREE.Quaternion();
-        camData.originMatrix.decompose(new THREE.Vector3(), initQuat, new THREE.Vector3());
-        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(initQuat);
-        camera.up.copy(up);
-        camera.lookAt(targetPos);
-      } else {
-        camera.quaternion.copy(quat);
-      }
-    } else {
-      // Free camera without rotation keys — use initial orientation
-      camera.quaternion.copy(quat);
-    }
+    getCameraPose(t, camData, camera.position, camera.quaternion);
 
     // Update camera settings (PTA stores horizontal FOV → convert to vertical)
     if (camData.settingsKeys && camData.settingsKeys.length > 0) {
-      const settings = interpolateCameraSettings(camData.settingsKeys, t, {
-        near: camData.near, far: camData.far, fov: camData.fov,
-      });
+      const settings = interpolateCameraSettings(camData.settingsKeys, t, camData, _cameraSettings);
       camera.near = settings.near > 0 ? settings.near : 1.0;
       camera.far = settings.far > 0 ? settings.far : 10000;
       camera.fov = (settings.fov || 60) / this.fixedFrustumAspect;
@@ -1206,8 +1383,7 @@ export class SceneManager {
 
   _updateLight(light, lightData, t) {
     if (lightData.posKeys && lightData.posKeys.length > 0) {
-      const pos = interpolatePosition(lightData.posKeys, t);
-      light.position.copy(pos);
+      interpolatePosition(lightData.posKeys, t, light.position);
     }
 
     // Animate light color from settingsKeys (color + intensity + falloff per keyframe)
@@ -1219,17 +1395,13 @@ export class SceneManager {
       } else if (t >= keys[keys.length - 1].t) {
         c = keys[keys.length - 1].color;
       } else {
-        const msPerTick = keys[1].t - keys[0].t;
-        let idx = msPerTick > 0 ? Math.floor((t - keys[0].t) / msPerTick) : 0;
-        idx = Math.max(0, Math.min(idx, keys.length - 2));
-        const k0 = keys[idx];
-        const k1 = keys[idx + 1];
-        const ct = msPerTick > 0 ? Math.max(0, Math.min(1, (t - k0.t) / msPerTick)) : 0;
-        c = {
-          r: k0.color.r + (k1.color.r - k0.color.r) * ct,
-          g: k0.color.g + (k1.color.g - k0.color.g) * ct,
-          b: k0.color.b + (k1.color.b - k0.color.b) * ct,
-        };
+        const { index, ct } = findKeyInterval(keys, t, _keyInterval);
+        const k0 = keys[index];
+        const k1 = keys[index + 1];
+        c = _lightColor;
+        c.r = k0.color.r + (k1.color.r - k0.color.r) * ct;
+        c.g = k0.color.g + (k1.color.g - k0.color.g) * ct;
+        c.b = k0.color.b + (k1.color.b - k0.color.b) * ct;
       }
       if (this.ptaColorConstantsAreSRGB) {
         light.color.setRGB(c.r, c.g, c.b, THREE.SRGBColorSpace);
@@ -1240,6 +1412,15 @@ export class SceneManager {
   }
 }
 
+/**
+ * Whether a PTA node has any transform keys.
+ * @param {{posKeys?: Array, rotKeys?: Array, sclKeys?: Array}} data
+ * @returns {boolean}
+ */
+function hasKeys(data) {
+  return data.posKeys?.length > 0 || data.rotKeys?.length > 0 || data.sclKeys?.length > 0;
+}
+
 /**
  * A managed scene instance.
  */
@@ -1259,6 +1440,14 @@ class ManagedScene {
     // Scene-embedded particle systems from helper userProps
     this.particleSystems = [];
     this._particleLastTime = -1;
+    // Motion blur history (see SceneManager._accumulateMotionBlur)
+    this._motionBlurTex = null;
+    this._motionBlurLastTimestamp = -1;
+    // AnimationMixer playback (SceneManager animation mode 'mixer')
+    /** @type {THREE.AnimationMixer|null} */
+    this.mixer = null;
+    /** @type {THREE.AnimationAction[]} */
+    this.actions = [];
   }
 }
 
@@ -0,0 +1,208 @@
+import * as THREE from 'three';
+import { ptaDecompose } from './AnimationSystem.js';
+
+/**
+ * ScenePatch - Per-scene fixes kept as data next to the scene file.
+ *
+ * AssetManager.loadPtaScene() reads data/3dscenes/city/sala.patch.json along
+ * with data/3dscenes/city/sala.pta (from the packfile, or loose when the
+ * manifest lists it in "scenePatches"), and SceneManager.buildScene() applies
+ * it to the objects it builds. Objects are matched by name:
+ *
+ *   {
+ *     "comment": "Why the scene needs patching",
+ *     "objects": {
+ *       "Box01": { "position": [0, -10, null] },
+ *       "Box02": { "rotation": [0, 0, 90] },
+ *       "suelo carretera": { "side": "back" },
+ *       "Plane01": { "visible": false, "material": { "opacity": 0.5, "color": [1, 0, 0] } }
+ *     }
+ *   }
+ *
+ * "comment" is free text. Per object:
+ *
+ * - position: node translation (transformMatrix); null keeps that axis.
+ * - rotation: XYZ Euler degrees, turning the node about its own pivot (applied
+ *   before its PTA rotation, so it turns the rendered object as a whole).
+ * - side: "front", "back" or "double".
+ * - visible: false hides the object.
+ * - material: properties set on the object's material; arrays fill colors and
+ *   vectors (e.g. "color", "emissive"), in the material's linear values.
+ *
+ * Transforms edit the node's transformMatrix, so they carry through its
+ * animation keys; side and material apply to a copy of the material, leaving
+ * other objects that share it untouched.
+ */
+
+/** Values of the "side" property. */
+export const PATCH_SIDES = {
+  front: THREE.FrontSide,
+  back: THREE.BackSide,
+  double: THREE.DoubleSide,
+};
+
+const OBJECT_KEYS = ['position', 'rotation', 'side', 'visible', 'material'];
+
+/**
+ * transformMatrix of each patched node as read from the scene file, so that
+ * building a scene again patches the original instead of the patched matrix.
+ * @type {WeakMap<Object, THREE.Matrix4>}
+ */
+const sourceMatrices = new WeakMap();
+
+/**
+ * Material each patched mesh was built with.
+ * @type {WeakMap<THREE.Mesh, THREE.Material|THREE.Material[]>}
+ */
+const sourceMaterials = new WeakMap();
+
+const _euler = new THREE.Euler();
+const _rotation = new THREE.Matrix4();
+const _scale = new THREE.Matrix4();
+
+/**
+ * Path of the patch for a scene file: same directory and name, .patch.json.
+ * @param {string} scenePath - e.g. "data/3dscenes/city/sala.pta"
+ * @returns {string} e.g. "data/3dscenes/city/sala.patch.json"
+ */
+export function scenePatchPath(scenePath) {
+  return scenePath.replace(/\\/g, '/').replace(/(\.[^./]*)?$/, '.patch.json');
+}
+
+/**
+ * Validate a parsed patch and fill in the optional sections.
+ * @param {Object} json
+ * @param {string} [source] - File name for error messages
+ * @returns {ScenePatch}
+ * @throws {Error} When a property has the wrong type or an unknown name
+ */
+export function normalizeScenePatch(json, source = 'scene patch') {
+  const fail = (message) => {
+    throw new Error(`${source}: ${message}`);
+  };
+  if (!isObject(json)) fail('expected a JSON object');
+  if (json.comment !== undefined && typeof json.comment !== 'string') fail('comment must be a string');
+
+  if (json.objects !== undefined && !isObject(json.objects)) fail('objects must map object names to patches');
+
+  const objects = {};
+  for (const [name, patch] of Object.entries(json.objects ?? {})) {
+    if (!isObject(patch)) fail(`objects["${name}"] must be an object`);
+    for (const key of Object.keys(patch)) {
+      if (!OBJECT_KEYS.includes(key)) fail(`objects["${name}"].${key} is not one of ${OBJECT_KEYS.join(', ')}`);
+    }
+    if (patch.position !== undefined && !isTuple(patch.position, 3, true)) {
+      fail(`objects["${name}"].position must be [x, y, z] (numbers or null)`);
+    }
+    if (patch.rotation !== undefined && !isTuple(patch.rotation, 3, false)) {
+      fail(`objects["${name}"].rotation must be [x, y, z] in degrees`);
+    }
+    if (patch.side !== undefined && !(patch.side in PATCH_SIDES)) {
+      fail(`objects["${name}"].side must be one of ${Object.keys(PATCH_SIDES).join(', ')}`);
+    }
+    if (patch.visible !== undefined && typeof patch.visible !== 'boolean') {
+      fail(`objects["${name}"].visible must be true or false`);
+    }
+    if (patch.material !== undefined) {
+      if (!isObject(patch.material)) fail(`objects["${name}"].material must be an object`);
+      for (const [prop, value] of Object.entries(patch.material)) {
+        const ok = typeof value === 'number' || typeof value === 'boolean' ||
+          (Array.isArray(value) && value.every(Number.isFinite));
+        if (!ok) fail(`objects["${name}"].material.${prop} must be a number, boolean or number array`);
+      }
+    }
+    objects[name] = patch;
+  }
+  return { comment: json.comment ?? '', objects };
+}
+
+/**
+ * Apply a patch to a built scene. An object's patch is applied to the node and
+ * material it was loaded with, replacing whatever an earlier patch of the same
+ * object did (the viewer re-applies patches as they are edited). Unknown
+ * object or material property names are reported with console.warn.
+ * @param {import('./SceneManager.js').ManagedScene} managed
+ * @param {ScenePatch} patch
+ */
+export function applyScenePatch(managed, patch) {
+  for (const [name, objectPatch] of Object.entries(patch.objects)) {
+    const entry = managed.meshes.get(name);
+    if (!entry) {
+      console.warn(`Scene patch: no object named "${name}"`);
+      continue;
+    }
+    const { data, mesh } = entry;
+
+    if (!sourceMatrices.has(data)) sourceMatrices.set(data, data.transformMatrix.clone());
+    patchedTransformMatrix(sourceMatrices.get(data), objectPatch, data.transformMatrix);
+    // As built (effects that render with sceneTime -1 never re-evaluate it)
+    mesh.matrix.copy(data.transformMatrix);
+
+    if (!sourceMaterials.has(mesh)) sourceMaterials.set(mesh, mesh.material);
+    const material = sourceMaterials.get(mesh);
+    mesh.material = objectPatch.side !== undefined || objectPatch.material
+      ? patchMaterial(material, objectPatch, name)
+      : material;
+
+    mesh.visible = objectPatch.visible ?? true;
+  }
+}
+
+/**
+ * Node matrix with a patch's transform applied to the one read from the file.
+ * The rotation goes in front of the PTA rotation (rows scaled as ptaDecompose
+ * reads them), so getTransformMatrix() turns by it whatever the node's scale.
+ * @param {THREE.Matrix4} source
+ * @param {{position?: Array<?number>, rotation?: number[]}} objectPatch
+ * @param {THREE.Matrix4} [target]
+ * @returns {THREE.Matrix4}
+ */
+export function patchedTransformMatrix(source, objectPatch, target = new THREE.Matrix4()) {
+  if (!objectPatch.position && !objectPatch.rotation) return target.copy(source);
+  const { pos, scale, rotMatrix } = ptaDecompose(source);
+  if (objectPatch.rotation) {
+    const [x, y, z] = objectPatch.rotation.map(THREE.MathUtils.degToRad);
+    _rotation.makeRotationFromEuler(_euler.set(x, y, z, 'XYZ'));
+    target.multiplyMatrices(_rotation, rotMatrix).premultiply(_scale.makeScale(scale.x, scale.y, scale.z));
+  } else {
+    target.copy(source);
+  }
+  const position = objectPatch.position ?? [];
+  return target.setPosition(position[0] ?? pos.x, position[1] ?? pos.y, position[2] ?? pos.z);
+}
+
+function patchMaterial(material, objectPatch, name) {
+  if (Array.isArray(material)) return material.map(m => patchMaterial(m, objectPatch, name));
+  const patched = material.clone();
+  if (objectPatch.side !== undefined) patched.side = PATCH_SIDES[objectPatch.side];
+  for (const [prop, value] of Object.entries(objectPatch.material ?? {})) {
+    const current = patched[prop];
+    if (current === undefined) {
+      console.warn(`Scene patch: ${name}'s ${patched.type} has no property "${prop}"`);
+    } else if (Array.isArray(value) && typeof current?.fromArray === 'function') {
+      current.fromArray(value);
+    } else if (typeof value === typeof current) {
+      patched[prop] = value;
+    } else {
+      console.warn(`Scene patch: ${name}'s material.${prop} cannot be set to ${JSON.stringify(value)}`);
+    }
+  }
+  patched.needsUpdate = true;
+  return patched;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTuple(value, length, nullable) {
+  return Array.isArray(value) && value.length === length &&
+    value.every(v => Number.isFinite(v) || (nullable && v === null));
+}
+
+/**
+ * @typedef {Object} ScenePatch
+ * @property {string} comment
+ * @property {Object<string, {position?: Array<?number>, rotation?: number[], side?: string,
+ *   visible?: boolean, material?: Object<string, number|boolean|number[]>}>} objects
+ */
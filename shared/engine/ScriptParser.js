@@ -0,0 +1,324 @@
+/**
+ * ScriptParser - Parse PTA demo.scr script files.
+ *
+ * Format: text-based, one command per line
+ * - Lines starting with ; are comments
+ * - Commands: DEMO_START, 3D_LOADSCENE, 3D_LOADIMAGE, 3D_SCENE, 3D_IMAGE,
+ *   3D_FADE, 3D_FLASH, 3D_ALPHAFUNC, 3D_FOG, 3D_VIEWPORT, 3D_MOTIONBLUR,
+ *   3D_WIDEBLUR, 3D_CLEAR_ZBUFF, 3D_CLEAR_FRAMEBUFF, FX
+ * - Key=value pairs, tuples as (a,b,c)
+ * - FX class=<name> params={...}: the params value is a JSON object on the same line
+ *   (see EffectRegistry)
+ * - Times may be written as bar:beat[:tick] (kept as strings, see TempoMap)
+ *
+ * Problems found while parsing (unknown commands, malformed tuples, start > end)
+ * are reported as diagnostics instead of being silently dropped; see ScriptDiagnostic.
+ *
+ * formatScriptCommand() and setScriptParam() write commands back out
+ * (used by DemoManager.serializeScript).
+ */
+
+import { isMusicalTime } from './TempoMap.js';
+
+/** Commands understood by DemoManager */
+export const SCRIPT_COMMANDS = [
+  'DEMO_START', '3D_LOADSCENE', '3D_LOADIMAGE', '3D_SCENE', '3D_IMAGE',
+  '3D_FADE', '3D_FLASH', '3D_ALPHAFUNC', '3D_FOG', '3D_VIEWPORT', '3D_MOTIONBLUR',
+  '3D_WIDEBLUR', '3D_CLEAR_ZBUFF', '3D_CLEAR_FRAMEBUFF', 'FX',
+];
+
+export const Severity = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+/**
+ * A problem found in a demo script, located by 1-based line and column.
+ */
+export class ScriptDiagnostic {
+  /**
+   * @param {number} line
+   * @param {number} column
+   * @param {string} severity - Severity.ERROR or Severity.WARNING
+   * @param {string} message
+   */
+  constructor(line, column, severity, message) {
+    this.line = line;
+    this.column = column;
+    this.severity = severity;
+    this.message = message;
+  }
+
+  toString() {
+    return `${this.line}:${this.column} ${this.severity}: ${this.message}`;
+  }
+}
+
+/**
+ * Thrown by DemoManager.loadScript() in strict mode when the script has errors.
+ */
+export class ScriptError extends Error {
+  /**
+   * @param {string} url
+   * @param {ScriptDiagnostic[]} diagnostics
+   */
+  constructor(url, diagnostics) {
+    const errors = diagnostics.filter(d => d.severity === Severity.ERROR);
+    super(`${url}: ${errors.length} script error(s)\n` + errors.map(d => d.toString()).join('\n'));
+    this.name = 'ScriptError';
+    this.url = url;
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * Parse a tuple string like "(0.5,0.3,0.1)" into an array of numbers.
+ * For blend mode tuples like "(ALPHA, INVALPHA)", returns parsed blend mode values.
+ * Unparseable entries become NaN (reported by parseKeyValues).
+ */
+export function parseTuple(str) {
+  if (!str) return [];
+  const inner = str.replace(/[()]/g, '').trim();
+  if (!inner) return [];
+  const parts = inner.split(',').map(s => s.trim());
+
+  // Check if any part is a blend mode name (non-numeric)
+  const hasBlendModes = parts.some(s => isNaN(parseFloat(s)) && BLEND_MODE_NAMES[s.toUpperCase()] !== undefined);
+  if (hasBlendModes) {
+    return parts.map(s => {
+      const num = parseFloat(s);
+      if (!isNaN(num)) return num;
+      return BLEND_MODE_NAMES[s.toUpperCase()] ?? 0;
+    });
+  }
+
+  return parts.map(s => parseFloat(s));
+}
+
+/** PTA blend mode name → internal enum value */
+const BLEND_MODE_NAMES = {
+  'ZERO': 0, 'ONE': 1,
+  'SRCCOLOR': 2, 'INVSRCCOLOR': 3,
+  'ALPHA': 4, 'SRCALPHA': 4,
+  'INVALPHA': 5, 'INVSRCALPHA': 5,
+  'DSTALPHA': 6, 'INVDSTALPHA': 7,
+  'DSTCOLOR': 8, 'INVDSTCOLOR': 9,
+};
+
+/**
+ * End of the JSON object that opens at line[start]: the index after its
+ * closing brace, ignoring braces inside strings. The end of the line if the
+ * object is not closed (JSON.parse then reports it).
+ * @param {string} line
+ * @param {number} start - Index of the opening '{'
+ * @returns {number}
+ */
+function jsonObjectEnd(line, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < line.length; i++) {
+    const c = line[i];
+    if (inString) {
+      if (c === '\\') i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}' && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return line.length;
+}
+
+/**
+ * Parse a single line into key-value pairs.
+ * @param {string} line
+ * @param {Function} [report] - (offset, severity, message) => void, offset into line
+ * @param {Object} [columns] - Filled with key → offset of the key in line
+ * @returns {Object}
+ */
+function parseKeyValues(line, report = () => {}, columns = {}) {
+  const result = {};
+  // Match key={json}, key=(tuple), key="string" or key=value patterns
+  const regex = /(\w+)\s*=\s*(\{|\([^)]*\)|"[^"]*"|[^\s]+)/g;
+  let match;
+  while ((match = regex.exec(line)) !== null) {
+    const key = match[1].toLowerCase();
+    let value = match[2];
+    columns[key] = match.index;
+
+    // JSON object (FX params=); the scan resumes after its closing brace
+    if (value === '{') {
+      const start = match.index + match[0].length - 1;
+      const end = jsonObjectEnd(line, start);
+      value = line.slice(start, end);
+      regex.lastIndex = end;
+      try {
+        result[key] = JSON.parse(value);
+      } catch (err) {
+        result[key] = {};
+        report(match.index, Severity.ERROR, `Malformed JSON for "${key}": ${err.message}`);
+      }
+      continue;
+    }
+
+    // Remove quotes
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+
+    // Parse tuples
+    if (value.startsWith('(')) {
+      result[key] = parseTuple(value);
+      if (!value.endsWith(')')) {
+        report(match.index, Severity.ERROR, `Malformed tuple for "${key}": missing ")"`);
+      } else if (result[key].length === 0) {
+        report(match.index, Severity.ERROR, `Malformed tuple for "${key}": empty`);
+      } else if (result[key].some(n => Number.isNaN(n))) {
+        report(match.index, Severity.ERROR, `Malformed tuple for "${key}": ${value} has non-numeric entries`);
+      }
+    } else if (KEYWORDS.includes(value) || isMusicalTime(value)) {
+      result[key] = value;
+    } else {
+      // Try to parse as number
+      const num = parseFloat(value);
+      result[key] = isNaN(num) ? value : num;
+    }
+  }
+
+  // Check for FORCE modifier
+  if (line.includes('FORCE')) {
+    result.force = true;
+  }
+
+  return result;
+}
+
+/**
+ * Parse a demo script string into a list of commands.
+ * @param {string} text - Script file contents
+ * @param {ScriptDiagnostic[]} [diagnostics] - Receives parse problems
+ * @returns {Array<{type: string, params: Object, line: number, column: number, columns: Object}>}
+ */
+export function parseScript(text, diagnostics = []) {
+  const commands = [];
+  const lines = text.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const rawLine = lines[i].replace(/\r$/, '');
+    const line = rawLine.trim();
+
+    // Skip empty lines and comments
+    if (!line || line.startsWith(';')) continue;
+
+    const lineNo = i + 1;
+    const indent = rawLine.indexOf(line);
+
+    // Determine command type (first whitespace-separated word)
+    const spaceMatch = /\s/.exec(line);
+    const spaceIdx = spaceMatch ? spaceMatch.index : -1;
+    const cmdType = spaceIdx >= 0 ? line.substring(0, spaceIdx) : line;
+    const rest = spaceIdx >= 0 ? line.substring(spaceIdx + 1) : '';
+    const restOffset = indent + spaceIdx + 1;
+
+    const report = (offset, severity, message) => {
+      diagnostics.push(new ScriptDiagnostic(lineNo, restOffset + offset + 1, severity, message));
+    };
+
+    if (!SCRIPT_COMMANDS.includes(cmdType)) {
+      diagnostics.push(new ScriptDiagnostic(lineNo, indent + 1, Severity.ERROR, `Unknown command "${cmdType}"`));
+    }
+
+    const keyOffsets = {};
+    const params = parseKeyValues(rest, report, keyOffsets);
+    params._raw = line; // Keep raw line for debugging
+
+    if (Number.isFinite(params.start) && Number.isFinite(params.end) && params.start > params.end) {
+      report(keyOffsets.start, Severity.ERROR, `start=${params.start} is after end=${params.end}`);
+    }
+
+    // Column (1-based) of each key, for diagnostics raised later by DemoManager
+    const columns = {};
+    for (const [key, offset] of Object.entries(keyOffsets)) {
+      columns[key] = restOffset + offset + 1;
+    }
+
+    commands.push({ type: cmdType, params, line: lineNo, column: indent + 1, columns });
+  }
+
+  return commands;
+}
+
+/** Bare (unquoted) keyword values */
+const KEYWORDS = ['IN', 'OUT', 'ON', 'OFF', 'LINEAR', 'EXP', 'EXP2'];
+
+/** Internal enum value → PTA blend mode name (as written in the shipped scripts) */
+const BLEND_MODE_VALUES = [
+  'ZERO', 'ONE', 'SRCCOLOR', 'INVSRCCOLOR', 'ALPHA', 'INVALPHA',
+  'DSTALPHA', 'INVDSTALPHA', 'DSTCOLOR', 'INVDSTCOLOR',
+];
+
+/**
+ * Format a parsed parameter value back into script syntax.
+ * @param {string} key
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(key, value) {
+  if (Array.isArray(value)) {
+    const parts = key === 'func'
+      ? value.map(v => BLEND_MODE_VALUES[v] ?? v)
+      : value.map(v => String(v));
+    return `(${parts.join(', ')})`;
+  }
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'number') return String(value);
+  if (KEYWORDS.includes(value) || isMusicalTime(value)) return value;
+  return `"${value}"`;
+}
+
+/**
+ * Format one command as a script line (inverse of parseScript for a single line).
+ * Keys starting with "_" are skipped; force=true is written as FORCE.
+ * @param {string} type - Command name, e.g. '3D_FADE' or 'FX'
+ * @param {Object} params
+ * @returns {string}
+ */
+export function formatScriptCommand(type, params) {
+  const parts = [type];
+  for (const [key, value] of Object.entries(params)) {
+    if (key.startsWith('_') || key === 'force' || value === undefined) continue;
+    parts.push(`${key}=${formatValue(key, value)}`);
+  }
+  if (params.force) parts.push('FORCE');
+  return parts.join(' ');
+}
+
+/**
+ * Set one parameter in an existing script line, keeping the rest of the line
+ * (alignment, quoting, other parameters) untouched. Appends it if missing.
+ * @param {string} line
+ * @param {string} key - Lowercase parameter name
+ * @param {*} value
+ * @returns {string}
+ */
+export function setScriptParam(line, key, value) {
+  const formatted = formatValue(key, value);
+  const regex = new RegExp(`(\\b${key}\\s*=\\s*)(\\([^)]*\\)|"[^"]*"|[^\\s]+)`, 'i');
+  if (regex.test(line)) {
+    return line.replace(regex, (_, prefix) => prefix + formatted);
+  }
+  return `${line.trimEnd()} ${key}=${formatted}`;
+}
+
+/**
+ * Parse blend mode string to numeric value.
+ * Used by 3D_ALPHAFUNC command.
+ * @param {string} mode
+ * @returns {number}
+ */
+export function parseBlendMode(mode) {
+  return BLEND_MODE_NAMES[mode.toUpperCase()] ?? 1;
+}
@@ -0,0 +1,125 @@
+/**
+ * TempoMap - Musical time (bar:beat:tick) to demo milliseconds.
+ *
+ * Defined per production in production.json:
+ *
+ *   "tempo": {
+ *     "bpm": 138, "offset": 520, "beatsPerBar": 4, "ticksPerBeat": 480,
+ *     "changes": [{ "bar": 33, "bpm": 69 }]
+ *   }
+ *
+ * offset is the demo time (ms) of 1:1:0. Bars and beats are 1-based, ticks
+ * are 0-based. Tempo and meter changes take effect at the start of a bar.
+ * Script and timeline times may then be written as "bar:beat" or
+ * "bar:beat:tick" strings; plain numbers are still milliseconds.
+ */
+
+const BBT_REGEX = /^(-?\d+):(\d+)(?::(\d+))?$/;
+
+/**
+ * Whether a value is a bar:beat[:tick] string.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isMusicalTime(value) {
+  return typeof value === 'string' && BBT_REGEX.test(value.trim());
+}
+
+export class TempoMap {
+  /**
+   * @param {Object} def
+   * @param {number} def.bpm - Initial tempo (beats per minute)
+   * @param {number} [def.offset=0] - Demo time (ms) of bar 1, beat 1
+   * @param {number} [def.beatsPerBar=4]
+   * @param {number} [def.ticksPerBeat=480]
+   * @param {Array<{bar: number, bpm?: number, beatsPerBar?: number}>} [def.changes]
+   */
+  constructor(def) {
+    if (!Number.isFinite(def.bpm) || def.bpm <= 0) {
+      throw new Error('Tempo map: "bpm" must be a positive number');
+    }
+    this.ticksPerBeat = def.ticksPerBeat || 480;
+
+    // One segment per tempo/meter change, each starting at a bar boundary
+    this.segments = [{
+      bar: 1,
+      ms: def.offset || 0,
+      bpm: def.bpm,
+      beatsPerBar: def.beatsPerBar || 4,
+    }];
+    const changes = [...(def.changes || [])].sort((a, b) => a.bar - b.bar);
+    for (const change of changes) {
+      const prev = this.segments[this.segments.length - 1];
+      if (!(change.bar > prev.bar)) {
+        throw new Error(`Tempo map: change at bar ${change.bar} must come after bar ${prev.bar}`);
+      }
+      this.segments.push({
+        bar: change.bar,
+        ms: prev.ms + (change.bar - prev.bar) * prev.beatsPerBar * 60000 / prev.bpm,
+        bpm: change.bpm ?? prev.bpm,
+        beatsPerBar: change.beatsPerBar ?? prev.beatsPerBar,
+      });
+    }
+  }
+
+  /**
+   * @param {number} bar - 1-based bar
+   * @param {number} [beat=1] - 1-based beat within the bar
+   * @param {number} [tick=0]
+   * @returns {number} Demo time in ms
+   */
+  toMs(bar, beat = 1, tick = 0) {
+    let seg = this.segments[0];
+    for (const s of this.segments) {
+      if (s.bar <= bar) seg = s;
+    }
+    const beats = (bar - seg.bar) * seg.beatsPerBar + (beat - 1) + tick / this.ticksPerBeat;
+    return seg.ms + beats * 60000 / seg.bpm;
+  }
+
+  /**
+   * @param {number} ms - Demo time
+   * @returns {{bar: number, beat: number, tick: number}}
+   */
+  fromMs(ms) {
+    let seg = this.segments[0];
+    for (const s of this.segments) {
+      if (s.ms <= ms) seg = s;
+    }
+    const totalTicks = Math.round((ms - seg.ms) * seg.bpm / 60000 * this.ticksPerBeat);
+    const ticksPerBar = seg.beatsPerBar * this.ticksPerBeat;
+    const bar = seg.bar + Math.floor(totalTicks / ticksPerBar);
+    const inBar = totalTicks - (bar - seg.bar) * ticksPerBar;
+    return {
+      bar,
+      beat: Math.floor(inBar / this.ticksPerBeat) + 1,
+      tick: inBar % this.ticksPerBeat,
+    };
+  }
+
+  /**
+   * Format a demo time as "bar:beat:tick".
+   * @param {number} ms
+   * @returns {string}
+   */
+  format(ms) {
+    const { bar, beat, tick } = this.fromMs(ms);
+    return `${bar}:${beat}:${tick}`;
+  }
+
+  /**
+   * Resolve a time written either as ms or as a "bar:beat[:tick]" string.
+   * @param {number|string} value
+   * @returns {number} ms
+   */
+  resolve(value) {
+    if (typeof value === 'number') return value;
+    const match = BBT_REGEX.exec(String(value).trim());
+    if (!match) {
+      const ms = parseFloat(value);
+      if (Number.isNaN(ms)) throw new Error(`Invalid time "${value}"`);
+      return ms;
+    }
+    return this.toMs(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3] || '0', 10));
+  }
+}
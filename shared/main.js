@@ -2,12 +2,14 @@ import { DemoManager } from './engine/DemoManager.js';
 import { Renderer } from './engine/Renderer.js';
 import { MusicPlayer } from './engine/MusicPlayer.js';
 import { AssetManager } from './engine/AssetManager.js';
-import { registerAllEffects } from './timeline.js';
+import { loadProductionManifest, sceneOptionsFromManifest } from './engine/ProductionManifest.js';
 import { DebugOverlay } from './debug/DebugOverlay.js';
 
-// Original demo resolution
-const DEMO_WIDTH = 800;
-const DEMO_HEIGHT = 600;
+/**
+ * Demo bootstrap shared by all productions.
+ * Production settings (resolution, music, script, timeline module, scene options)
+ * come from the production.json next to index.html (override with ?manifest=<url>).
+ */
 
 const container = document.getElementById('container');
 const overlay = document.getElementById('overlay');
@@ -21,6 +23,11 @@ let renderer, demoManager, musicPlayer, assetManager;
 let running = false;
 let wakeLockSentinel = null;
 let fsButtonTimer = null;
+let debugMode = false;
+let scriptReloading = false;
+// Streaming: playback waits here when the playhead reaches assets still loading
+let stalled = false;
+let streamStatus = '';
 const debugOverlay = new DebugOverlay();
 
 function togglePlayPause() {
@@ -29,12 +36,71 @@ function togglePlayPause() {
     musicPlayer.pause();
     debugOverlay.update(musicPlayer.getTimeMs(), demoManager.effects, demoManager.getDuration(), false);
   } else {
-    running = true;
-    musicPlayer.play();
-    requestAnimationFrame(loop);
+    resumePlayback();
+  }
+}
+
+function resumePlayback() {
+  running = true;
+  if (stalled) return; // waitForAssets() resumes once loaded
+  musicPlayer.play();
+  requestAnimationFrame(loop);
+}
+
+/**
+ * Streaming: pause the music and show the loading indicator until everything
+ * active at timeMs is loaded, then carry on (unless paused meanwhile).
+ */
+async function waitForAssets(timeMs) {
+  stalled = true;
+  musicPlayer.pause();
+  setLoading(streamStatus || 'Loading...');
+  loadingEl.style.display = '';
+  await demoManager.whenReadyAt(timeMs);
+  stalled = false;
+  loadingEl.style.display = 'none';
+  if (running) resumePlayback();
+}
+
+/**
+ * Debug mode: re-read the demo script and rebuild its effects in place,
+ * keeping the current playback position.
+ */
+async function reloadScript() {
+  if (scriptReloading) return;
+  scriptReloading = true;
+  const prevDiagnostics = demoManager.diagnostics;
+  let changed;
+  try {
+    changed = await demoManager.reloadScript();
+  } finally {
+    scriptReloading = false;
+  }
+  // A new diagnostics array means the script was parsed again
+  if (demoManager.diagnostics !== prevDiagnostics) {
+    debugOverlay.setDiagnostics(demoManager.diagnostics);
+  }
+  if (changed && !running) {
+    const t = musicPlayer.getTimeMs();
+    demoManager.doFrame(t);
+    debugOverlay.update(t, demoManager.effects, demoManager.getDuration(), false);
   }
 }
 
+/**
+ * Debug mode: download the current timeline (runtime toggles and retimings)
+ * as script text.
+ */
+function saveScript() {
+  const blob = new Blob([demoManager.serializeScript()], { type: 'text/plain' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = (demoManager.scriptUrl || 'demo.scr').split('/').pop();
+  link.click();
+  // Revoking right away can cancel the download before the browser has started it
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
 function seekRelative(deltaMs) {
   const current = musicPlayer.getTimeMs();
   const target = Math.max(0, Math.min(demoManager.getDuration(), current + deltaMs));
@@ -62,11 +128,7 @@ debugOverlay.setCallbacks({
     }
   },
   onResume: () => {
-    if (!running) {
-      running = true;
-      musicPlayer.play();
-      requestAnimationFrame(loop);
-    }
+    if (!running) resumePlayback();
   },
   onToggleEffect: (entry) => {
     entry.disabled = !entry.disabled;
@@ -83,24 +145,36 @@ function setLoading(msg) {
 }
 
 async function init() {
-  setLoading('Initializing renderer...');
   const params = new URLSearchParams(window.location.search);
 
-  renderer = new Renderer(container, DEMO_WIDTH, DEMO_HEIGHT);
+  setLoading('Loading production manifest...');
+  const manifest = await loadProductionManifest(params.get('manifest') || 'production.json');
+  if (manifest.debugVideo) debugOverlay.setVideoUrl(manifest.debugVideo);
+
+  setLoading('Initializing renderer...');
+  renderer = new Renderer(container, manifest.width, manifest.height, {
+    viewportRatio: manifest.viewportRatio,
+  });
   assetManager = new AssetManager(renderer);
+  assetManager.defaultPackFile = manifest.packfile;
+  assetManager.scenePatches = manifest.scenePatches;
   musicPlayer = new MusicPlayer();
-  demoManager = new DemoManager(renderer, musicPlayer, assetManager);
-  // Odyssey PTA wrapper uses a fixed frustum aspect of ~4:3.
-  const ptaAspect = parseFloat(params.get('ptaaspect'));
-  demoManager.sceneManager.setFixedFrustumAspect(Number.isFinite(ptaAspect) ? ptaAspect : 1.3333);
 
-  // Odyssey scene/material colors were authored as monitor-space constants.
-  // Interpret PTA color floats as sRGB values to recover original contrast.
-  const ptaColorMode = (params.get('ptacolor') || 'linear').toLowerCase();
-  demoManager.sceneManager.setPtaColorConstantsAreSRGB(ptaColorMode !== 'linear');
-
-  // Odyssey demo duration: ~170 seconds
-  demoManager.duration = 170000;
+  // ?ptaaspect=<n>, ?ptacolor=linear|srgb, ?skinning=cpu|gpu and ?animation=pta|mixer override the
+  // manifest scene settings for side-by-side comparisons against the original.
+  demoManager = new DemoManager(renderer, musicPlayer, assetManager, {
+    duration: manifest.duration,
+    letterboxFullViewport: manifest.letterboxFullViewport,
+    // ?strict (or "strictScript" in the manifest) fails loading on script errors
+    strict: manifest.strictScript || params.has('strict'),
+    tempo: manifest.tempo,
+    scene: sceneOptionsFromManifest(manifest, {
+      fixedFrustumAspect: parseFloat(params.get('ptaaspect')),
+      ptaColor: params.get('ptacolor'),
+      skinning: params.get('skinning'),
+      animation: params.get('animation'),
+    }),
+  });
 
   // Make globally accessible for effects
   window.demoManager = demoManager;
@@ -108,28 +182,54 @@ async function init() {
   window.assetManager = assetManager;
 
   setLoading('Registering effects...');
+  const { registerAllEffects } = await import(manifest.timelineUrl);
   registerAllEffects(demoManager);
 
   setLoading('Loading demo script...');
-  await demoManager.loadScript('data/demo.scr');
+  await demoManager.loadScript(manifest.script);
+  debugOverlay.setDiagnostics(demoManager.diagnostics);
+  debugOverlay.setTempoMap(demoManager.tempo);
 
-  setLoading('Loading music...');
-  await musicPlayer.load('wnd_fix.mp3');
+  if (manifest.music) {
+    setLoading('Loading music...');
+    await musicPlayer.load(manifest.music, await assetManager.readPacked(manifest.music));
+  }
+
+  const seekTime = parseInt(params.get('t'), 10);
 
   setLoading('Loading assets...');
-  await demoManager.loadAllEffects((progress, name) => {
-    setLoading(`Loading: ${name} (${Math.round(progress * 100)}%)`);
-  });
+  if (manifest.streaming || params.has('stream')) {
+    // Start once the first segment is in; the rest loads during playback
+    let firstSegment = true;
+    await demoManager.startStreaming({
+      fromTime: seekTime > 0 ? seekTime : 0,
+      onProgress: (progress, name) => {
+        streamStatus = `Loading: ${name} (${Math.round(progress * 100)}%)`;
+        if (firstSegment || stalled) setLoading(streamStatus);
+      },
+    });
+    firstSegment = false;
+  } else {
+    await demoManager.loadAllEffects((progress, name) => {
+      setLoading(`Loading: ${name} (${Math.round(progress * 100)}%)`);
+    });
+  }
 
   setLoading('Ready. Click to start.');
 
   // URL parameters
   if (params.has('debug')) {
+    debugMode = true;
     debugOverlay.show();
     debugOverlay.showVideo();
+
+    // ?watch[=ms] polls the script for changes (R reloads it on demand, S saves it)
+    if (params.has('watch')) {
+      const interval = parseInt(params.get('watch'), 10) || 1000;
+      setInterval(reloadScript, interval);
+    }
   }
 
-  const seekTime = parseInt(params.get('t'), 10);
   if (!isNaN(seekTime) && seekTime > 0) {
     musicPlayer.seek(seekTime);
   }
@@ -139,10 +239,8 @@ async function init() {
 function start() {
   overlay.style.display = 'none';
   loadingEl.style.display = 'none';
-  running = true;
-  musicPlayer.play();
   acquireWakeLock();
-  requestAnimationFrame(loop);
+  resumePlayback();
 }
 
 // --- WakeLock ---
@@ -195,9 +293,13 @@ document.addEventListener('fullscreenchange', () => {
 });
 
 function loop() {
-  if (!running) return;
+  if (!running || stalled) return;
 
   const time = musicPlayer.getTimeMs();
+  if (!demoManager.isReadyAt(time)) {
+    waitForAssets(time);
+    return;
+  }
   demoManager.doFrame(time);
 
   debugOverlay.update(time, demoManager.effects, demoManager.getDuration(), running);
@@ -248,6 +350,12 @@ document.addEventListener('keydown', (e) => {
   if (e.key === 'v' || e.key === 'V') {
     debugOverlay.toggleVideo();
   }
+  if ((e.key === 'r' || e.key === 'R') && debugMode && demoManager) {
+    reloadScript();
+  }
+  if ((e.key === 's' || e.key === 'S') && debugMode && demoManager) {
+    saveScript();
+  }
   if (e.key === 'ArrowLeft') {
     seekRelative(-10000);
   }
@@ -25,6 +25,24 @@ export class BinaryReader {
     return new BinaryReader(buffer);
   }
 
+  /**
+   * Create from a byte range of a remote file (HTTP Range request).
+   * A server that ignores Range answers with the whole file; the reader then
+   * holds all of it, positioned at offset, and isRange is false.
+   * @param {string} url
+   * @param {number} offset
+   * @param {number} length
+   * @returns {Promise<BinaryReader>}
+   */
+  static async fromUrlRange(url, offset, length) {
+    const response = await fetch(url, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } });
+    if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    const reader = new BinaryReader(await response.arrayBuffer());
+    reader.isRange = response.status === 206;
+    if (!reader.isRange) reader.seek(offset);
+    return reader;
+  }
+
   seek(offset) {
     this.offset = offset;
   }
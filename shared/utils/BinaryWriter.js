@@ -0,0 +1,160 @@
+/**
+ * BinaryWriter - Growable little-endian buffer, the write side of BinaryReader.
+ */
+
+// TextDecoder('ascii') decodes as windows-1252, so strings read by BinaryReader
+// can hold the cp1252 characters for bytes 0x80-0x9F; map them back.
+const CP1252_HIGH = new Map();
+{
+  const decoded = new TextDecoder('ascii').decode(Uint8Array.from({ length: 32 }, (_, i) => 0x80 + i));
+  for (let i = 0; i < decoded.length; i++) CP1252_HIGH.set(decoded.charCodeAt(i), 0x80 + i);
+}
+
+export class BinaryWriter {
+  /**
+   * @param {number} [initialSize=65536]
+   */
+  constructor(initialSize = 65536) {
+    this.bytes = new Uint8Array(initialSize);
+    this.view = new DataView(this.bytes.buffer);
+    this.offset = 0;
+    this.length = 0;
+  }
+
+  _reserve(count) {
+    const needed = this.offset + count;
+    if (needed <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < needed) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  _advance(count) {
+    this.offset += count;
+    if (this.offset > this.length) this.length = this.offset;
+  }
+
+  /**
+   * Move the write position; seeking past the end zero-fills the gap.
+   * @param {number} offset
+   */
+  seek(offset) {
+    if (offset > this.length) {
+      this.offset = this.length;
+      this._reserve(offset - this.length);
+      this.bytes.fill(0, this.length, offset);
+      this.length = offset;
+    }
+    this.offset = offset;
+  }
+
+  tell() {
+    return this.offset;
+  }
+
+  writeUint8(value) {
+    this._reserve(1);
+    this.view.setUint8(this.offset, value);
+    this._advance(1);
+  }
+
+  writeInt32(value) {
+    this._reserve(4);
+    this.view.setInt32(this.offset, value, true);
+    this._advance(4);
+  }
+
+  writeUint32(value) {
+    this._reserve(4);
+    this.view.setUint32(this.offset, value, true);
+    this._advance(4);
+  }
+
+  writeFloat(value) {
+    this._reserve(4);
+    this.view.setFloat32(this.offset, value, true);
+    this._advance(4);
+  }
+
+  /**
+   * Write raw bytes
+   * @param {Uint8Array} bytes
+   */
+  writeBytes(bytes) {
+    this._reserve(bytes.length);
+    this.bytes.set(bytes, this.offset);
+    this._advance(bytes.length);
+  }
+
+  /**
+   * Write a fixed-length string, null-padded (truncated if longer)
+   * @param {string} str
+   * @param {number} length - Number of bytes to write
+   */
+  writeString(str, length) {
+    const bytes = encodeString(str);
+    const out = new Uint8Array(length);
+    out.set(bytes.subarray(0, length));
+    this.writeBytes(out);
+  }
+
+  /**
+   * Write a null-terminated string
+   * @param {string} str
+   */
+  writeCString(str) {
+    this.writeBytes(encodeString(str));
+    this.writeUint8(0);
+  }
+
+  /**
+   * Write a 4-character chunk ID
+   * @param {string} id
+   */
+  writeChunkId(id) {
+    this.writeString(id, 4);
+  }
+
+  /**
+   * Write N floats
+   * @param {ArrayLike<number>} values
+   */
+  writeFloatArray(values) {
+    for (let i = 0; i < values.length; i++) this.writeFloat(values[i]);
+  }
+
+  /**
+   * Write a 4x4 matrix (16 floats, row-major as stored by PTA/3DS Max)
+   * @param {ArrayLike<number>} m
+   */
+  writeMatrix4x4(m) {
+    this.writeFloatArray(m);
+  }
+
+  /**
+   * Written bytes
+   * @returns {Uint8Array}
+   */
+  toUint8Array() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Single-byte (windows-1252) encoding of a string.
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function encodeString(str) {
+  const out = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    const byte = code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : CP1252_HIGH.get(code);
+    if (byte === undefined) throw new Error(`BinaryWriter: character "${str[i]}" has no single-byte encoding`);
+    out[i] = byte;
+  }
+  return out;
+}
@@ -84,6 +84,22 @@ export function ptaToThreeMatrix(m) {
   return result;
 }
 
+/**
+ * Convert a Three.js Matrix4 back to PTA's row-major 16 floats
+ * (inverse of ptaToThreeMatrix).
+ * @param {THREE.Matrix4} matrix
+ * @returns {number[]}
+ */
+export function threeToPtaMatrix(matrix) {
+  const e = matrix.elements;
+  return [
+    e[0], e[4], e[8], e[12],
+    e[1], e[5], e[9], e[13],
+    e[2], e[6], e[10], e[14],
+    e[3], e[7], e[11], e[15],
+  ];
+}
+
 /**
  * Convert UV coordinates from PTA to Three.js.
  * @param {number} u
@@ -0,0 +1,119 @@
+/**
+ * TgaDecoder - Truevision TGA to RGBA pixels, as PTA loaded its textures.
+ *
+ * Supports true-color images (type 2) and their RLE variant (type 10) at
+ * 24 and 32 bits per pixel. Output rows are bottom-up (OpenGL order), so the
+ * data can be uploaded with flipY = false; the origin flags in the image
+ * descriptor are applied while decoding.
+ *
+ * PTA enables alpha blending for any 32-bit texture, regardless of the actual
+ * alpha values, so hasAlpha reports the pixel depth rather than the contents.
+ */
+
+const TYPE_TRUECOLOR = 2;
+const TYPE_TRUECOLOR_RLE = 10;
+
+const ORIGIN_RIGHT = 0x10;
+const ORIGIN_TOP = 0x20;
+
+/**
+ * @param {ArrayBuffer} buffer - Complete .tga file
+ * @returns {{width: number, height: number, data: Uint8Array, bitsPerPixel: number, hasAlpha: boolean}}
+ */
+export function decodeTga(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < 18) throw new Error('TGA: file too short');
+
+  const idLength = bytes[0];
+  const colorMapType = bytes[1];
+  const imageType = bytes[2];
+  const colorMapLength = bytes[5] | (bytes[6] << 8);
+  const colorMapEntryBits = bytes[7];
+  const width = bytes[12] | (bytes[13] << 8);
+  const height = bytes[14] | (bytes[15] << 8);
+  const bitsPerPixel = bytes[16];
+  const descriptor = bytes[17];
+
+  if (imageType !== TYPE_TRUECOLOR && imageType !== TYPE_TRUECOLOR_RLE) {
+    throw new Error(`TGA: unsupported image type ${imageType}`);
+  }
+  if (bitsPerPixel !== 24 && bitsPerPixel !== 32) {
+    throw new Error(`TGA: unsupported pixel depth ${bitsPerPixel}`);
+  }
+  if (width === 0 || height === 0) throw new Error('TGA: empty image');
+
+  // True-color images may still carry a (unused) color map after the ID field
+  let offset = 18 + idLength;
+  if (colorMapType === 1) offset += colorMapLength * Math.ceil(colorMapEntryBits / 8);
+
+  const pixelSize = bitsPerPixel >> 3;
+  const pixelCount = width * height;
+  // Pixels in file order, still BGR(A)
+  let src;
+  if (imageType === TYPE_TRUECOLOR) {
+    const size = pixelCount * pixelSize;
+    if (offset + size > bytes.length) throw new Error('TGA: truncated pixel data');
+    src = bytes.subarray(offset, offset + size);
+  } else {
+    src = decodeRle(bytes, offset, pixelCount, pixelSize);
+  }
+
+  const data = new Uint8Array(pixelCount * 4);
+  const flipRows = (descriptor & ORIGIN_TOP) !== 0;
+  const flipColumns = (descriptor & ORIGIN_RIGHT) !== 0;
+
+  let s = 0;
+  for (let fileRow = 0; fileRow < height; fileRow++) {
+    const row = flipRows ? height - 1 - fileRow : fileRow;
+    for (let fileCol = 0; fileCol < width; fileCol++) {
+      const col = flipColumns ? width - 1 - fileCol : fileCol;
+      const d = (row * width + col) * 4;
+      data[d] = src[s + 2];
+      data[d + 1] = src[s + 1];
+      data[d + 2] = src[s];
+      data[d + 3] = pixelSize === 4 ? src[s + 3] : 255;
+      s += pixelSize;
+    }
+  }
+
+  return { width, height, data, bitsPerPixel, hasAlpha: bitsPerPixel === 32 };
+}
+
+/**
+ * Expand RLE packets. Packets may cross scanline boundaries.
+ * @param {Uint8Array} bytes
+ * @param {number} offset - Start of the packet stream
+ * @param {number} pixelCount
+ * @param {number} pixelSize - Bytes per pixel
+ * @returns {Uint8Array}
+ */
+function decodeRle(bytes, offset, pixelCount, pixelSize) {
+  const out = new Uint8Array(pixelCount * pixelSize);
+  const end = out.length;
+  let o = 0;
+  let i = offset;
+
+  while (o < end) {
+    if (i >= bytes.length) throw new Error('TGA: truncated RLE data');
+    const header = bytes[i++];
+    const count = (header & 0x7f) + 1;
+    const bytesNeeded = count * pixelSize;
+    if (o + bytesNeeded > end) throw new Error('TGA: RLE packet overruns image');
+
+    if (header & 0x80) {
+      // Run-length packet: one pixel repeated
+      if (i + pixelSize > bytes.length) throw new Error('TGA: truncated RLE data');
+      for (let n = 0; n < count; n++) {
+        for (let b = 0; b < pixelSize; b++) out[o++] = bytes[i + b];
+      }
+      i += pixelSize;
+    } else {
+      // Raw packet
+      if (i + bytesNeeded > bytes.length) throw new Error('TGA: truncated RLE data');
+      out.set(bytes.subarray(i, i + bytesNeeded), o);
+      o += bytesNeeded;
+      i += bytesNeeded;
+    }
+  }
+  return out;
+}
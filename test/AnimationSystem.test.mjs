@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  findKeyInterval,
+  getTransformMatrix,
+  interpolateCameraSettings,
+  interpolatePosition,
+  interpolateRotation,
+  interpolateScale,
+  ptaDecompose,
+} from '../shared/engine/AnimationSystem.js';
+import { loadScene } from './fixtures.mjs';
+
+function near(actual, expected, epsilon = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= epsilon, `${actual} is not within ${epsilon} of ${expected}`);
+}
+
+function nearArray(actual, expected, epsilon = 1e-6) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => near(value, expected[i], epsilon));
+}
+
+// Evenly spaced keys starting at 1000 ms, as the exporter writes them
+const posKeys = [0, 1, 2, 3].map(i => ({ t: 1000 + i * 100, pos: new THREE.Vector3(i * 10, 5 - i, 0) }));
+
+test('no keys give the identity values', () => {
+  assert.deepEqual(interpolatePosition([], 5).toArray(), [0, 0, 0]);
+  assert.deepEqual(interpolateRotation(undefined, 5).toArray(), [0, 0, 0, 1]);
+  const { scale, axes } = interpolateScale([], 5);
+  assert.deepEqual(scale.toArray(), [1, 1, 1]);
+  assert.deepEqual(axes.toArray(), [0, 0, 0, 1]);
+  assert.deepEqual(interpolateCameraSettings([], 5, { near: 1, far: 2, fov: 3 }), { near: 1, far: 2, fov: 3 });
+});
+
+test('times outside the keys clamp to the first and last key', () => {
+  assert.deepEqual(interpolatePosition(posKeys, 0).toArray(), [0, 5, 0]);
+  assert.deepEqual(interpolatePosition(posKeys, 1000).toArray(), [0, 5, 0]);
+  assert.deepEqual(interpolatePosition(posKeys, 1300).toArray(), [30, 2, 0]);
+  assert.deepEqual(interpolatePosition(posKeys, 99999).toArray(), [30, 2, 0]);
+  assert.deepEqual(interpolatePosition(posKeys.slice(0, 1), 1200).toArray(), [0, 5, 0]);
+});
+
+test('constant-delta lookup finds the key pair from the first interval', () => {
+  nearArray(interpolatePosition(posKeys, 1150).toArray(), [15, 3.5, 0]);
+  nearArray(interpolatePosition(posKeys, 1200).toArray(), [20, 3, 0]);
+  // Just before the last key still interpolates the last pair
+  nearArray(interpolatePosition(posKeys, 1299.999).toArray(), [29.9999, 2.00001, 0], 1e-4);
+  // Returned vectors are copies
+  interpolatePosition(posKeys, 1000).x = 5;
+  assert.equal(posKeys[0].pos.x, 0);
+});
+
+test('unevenly spaced keys are found by search from any direction', () => {
+  const times = [0, 10, 15, 100, 101, 400];
+  const keys = times.map((t, i) => ({ t, pos: new THREE.Vector3(i, 0, 0) }));
+  // Forward playback, a jump back, then random seeks
+  const samples = [1, 12, 14, 50, 100, 100.5, 300, 5, 399, 11, 101, 0.5, 250, 16];
+  for (const t of samples) {
+    const expected = times.findLastIndex(kt => kt <= t);
+    const { index, ct } = findKeyInterval(keys, t);
+    assert.equal(index, expected, `t=${t}`);
+    near(ct, (t - times[index]) / (times[index + 1] - times[index]));
+    near(interpolatePosition(keys, t).x, index + ct);
+  }
+  assert.deepEqual(findKeyInterval(keys, -1), { index: 0, ct: 0 });
+  assert.deepEqual(findKeyInterval(keys, 500), { index: 4, ct: 1 });
+});
+
+test('repeated key times step to the later key', () => {
+  const keys = [0, 10, 10, 20].map((t, i) => ({ t, pos: new THREE.Vector3(i, 0, 0) }));
+  near(interpolatePosition(keys, 9.99).x, 0.999);
+  near(interpolatePosition(keys, 10).x, 2);
+  near(interpolatePosition(keys, 15).x, 2.5);
+});
+
+test('edited tracks are re-checked for even spacing', () => {
+  const keys = [0, 1, 2].map(i => ({ t: i * 100, pos: new THREE.Vector3(i, 0, 0) }));
+  near(interpolatePosition(keys, 150).x, 1.5);
+  // Appending an uneven key leaves the constant-delta path
+  keys.push({ t: 1000, pos: new THREE.Vector3(3, 0, 0) });
+  near(interpolatePosition(keys, 600).x, 2.5);
+});
+
+test('evaluation writes into the given targets', () => {
+  const posKeys = [0, 1].map(i => ({ t: i * 100, pos: new THREE.Vector3(i, 0, 0) }));
+  const position = new THREE.Vector3();
+  assert.equal(interpolatePosition(posKeys, 50, position), position);
+  near(position.x, 0.5);
+
+  const axes = new THREE.Matrix4().makeTranslation(1, 2, 3);
+  const matrix = new THREE.Matrix4();
+  assert.equal(getTransformMatrix(50, { posKeys }, axes, matrix), matrix);
+  nearArray(matrix.elements, getTransformMatrix(50, { posKeys }, axes).elements);
+
+  // Repeating a time reuses the cached interval, a new time moves on
+  const interval = { index: -1, ct: -1 };
+  assert.equal(findKeyInterval(posKeys, 25, interval), interval);
+  assert.deepEqual(findKeyInterval(posKeys, 25), { index: 0, ct: 0.25 });
+  assert.deepEqual(findKeyInterval(posKeys, 75), { index: 0, ct: 0.75 });
+});
+
+test('rotations slerp and scales interpolate with their axes', () => {
+  const half = Math.SQRT1_2;
+  const rotKeys = [
+    { t: 0, quat: new THREE.Quaternion() },
+    { t: 100, quat: new THREE.Quaternion(0, half, 0, half) },
+  ];
+  const expected = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 4);
+  nearArray(interpolateRotation(rotKeys, 50).toArray(), expected.toArray());
+
+  const sclKeys = [
+    { t: 0, scale: new THREE.Vector3(1, 1, 1), axes: new THREE.Quaternion() },
+    { t: 100, scale: new THREE.Vector3(3, 1, 1), axes: new THREE.Quaternion(0, half, 0, half) },
+  ];
+  const { scale, axes } = interpolateScale(sclKeys, 50);
+  nearArray(scale.toArray(), [2, 1, 1]);
+  nearArray(axes.toArray(), expected.toArray());
+});
+
+test('camera settings interpolate near, far and fov', () => {
+  const keys = [
+    { t: 0, near: 1, far: 1000, fov: 40 },
+    { t: 200, near: 3, far: 2000, fov: 80 },
+  ];
+  assert.deepEqual(interpolateCameraSettings(keys, 100, null), { near: 2, far: 1500, fov: 60 });
+  assert.deepEqual(interpolateCameraSettings(keys, 500, null), { near: 3, far: 2000, fov: 80 });
+});
+
+test('ptaDecompose takes scale and rotation from matrix rows', () => {
+  // Scale (2, 3, 4) after a rotation about Z: rows are rotated, scaled axes
+  const rotation = new THREE.Matrix4().makeRotationZ(0.5);
+  const matrix = new THREE.Matrix4().makeScale(2, 3, 4).multiply(rotation).setPosition(5, 6, 7);
+  const { pos, scale, rotMatrix } = ptaDecompose(matrix);
+  nearArray(pos.toArray(), [5, 6, 7]);
+  nearArray(scale.toArray(), [2, 3, 4]);
+  nearArray(rotMatrix.elements, rotation.elements);
+
+  // Three.js decompose() measures columns instead, so the two differ here
+  const threeScale = new THREE.Vector3();
+  matrix.decompose(new THREE.Vector3(), new THREE.Quaternion(), threeScale);
+  assert.ok(Math.abs(threeScale.x - 2) > 0.1);
+});
+
+test('getTransformMatrix composes axes and keys like getTMatrix', () => {
+  const axes = new THREE.Matrix4().compose(
+    new THREE.Vector3(1, 2, 3),
+    new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), 0.3),
+    new THREE.Vector3(1, 1, 1)
+  );
+  nearArray(getTransformMatrix(0, {}, axes).elements, axes.elements);
+
+  const spin = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), 0.7);
+  const animation = {
+    posKeys: [{ t: 0, pos: new THREE.Vector3(10, 0, 0) }],
+    rotKeys: [{ t: 0, quat: spin }],
+    sclKeys: [{ t: 0, scale: new THREE.Vector3(2, 2, 2), axes: new THREE.Quaternion() }],
+  };
+  // T(key) * T(axes) * R(key) * R(axes) * S(key)
+  const expected = new THREE.Matrix4().makeTranslation(11, 2, 3)
+    .multiply(new THREE.Matrix4().makeRotationFromQuaternion(spin))
+    .multiply(new THREE.Matrix4().extractRotation(axes))
+    .multiply(new THREE.Matrix4().makeScale(2, 2, 2));
+  nearArray(getTransformMatrix(0, animation, axes).elements, expected.elements);
+});
+
+test('shipped keys are evenly spaced and reproduce themselves at key times', () => {
+  const scene = loadScene('odyssey/data/3dscenes/city/city02.pta');
+  const obj = scene.objects.find(o => o.posKeys.length > 2);
+  const delta = obj.posKeys[1].t - obj.posKeys[0].t;
+  for (let i = 1; i < obj.posKeys.length; i++) {
+    near(obj.posKeys[i].t - obj.posKeys[i - 1].t, delta, 1e-2);
+  }
+  const key = obj.posKeys[5];
+  nearArray(interpolatePosition(obj.posKeys, key.t).toArray(), key.pos.toArray(), 1e-3);
+});
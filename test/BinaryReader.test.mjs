@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BinaryReader } from '../shared/utils/BinaryReader.js';
+import { BinaryWriter } from '../shared/utils/BinaryWriter.js';
+import { readFixture } from './fixtures.mjs';
+
+function bytes(...values) {
+  return new Uint8Array(values).buffer;
+}
+
+test('numbers are little-endian and advance the offset', () => {
+  const view = new DataView(new ArrayBuffer(30));
+  view.setInt32(0, -2, true);
+  view.setUint32(4, 0xfffffffe, true);
+  view.setFloat32(8, 1.5, true);
+  view.setFloat64(12, -0.25, true);
+  view.setInt16(20, -300, true);
+  view.setUint16(22, 65000, true);
+  view.setInt8(24, -1);
+  view.setUint8(25, 200);
+  const reader = new BinaryReader(view.buffer);
+
+  assert.equal(reader.readInt32(), -2);
+  assert.equal(reader.readUint32(), 0xfffffffe);
+  assert.equal(reader.readFloat(), 1.5);
+  assert.equal(reader.readDouble(), -0.25);
+  assert.equal(reader.readInt16(), -300);
+  assert.equal(reader.readUint16(), 65000);
+  assert.equal(reader.readInt8(), -1);
+  assert.equal(reader.readUint8(), 200);
+  assert.equal(reader.tell(), 26);
+  assert.equal(reader.remaining(), 4);
+  assert.equal(reader.eof(), false);
+  reader.skip(4);
+  assert.equal(reader.eof(), true);
+});
+
+test('fixed strings stop at NUL but consume their full length', () => {
+  const reader = new BinaryReader(bytes(0x47, 0x4f, 0, 0, 0x5f, 0x5f, 0x47, 0x4f));
+  assert.equal(reader.readString(4), 'GO');
+  assert.equal(reader.tell(), 4);
+  assert.equal(reader.readChunkId(), '__GO');
+});
+
+test('C strings skip their terminator and stop at the end of the buffer', () => {
+  const reader = new BinaryReader(bytes(0x61, 0x62, 0, 0xe9, 0x63));
+  assert.equal(reader.readCString(), 'ab');
+  assert.equal(reader.tell(), 3);
+  // Single-byte decoding, as the exporter wrote Max's ANSI strings
+  assert.equal(reader.readCString(), 'éc');
+  assert.equal(reader.eof(), true);
+});
+
+test('arrays and byte reads', () => {
+  const view = new DataView(new ArrayBuffer(16));
+  view.setFloat32(0, 2, true);
+  view.setFloat32(4, -3, true);
+  view.setUint32(8, 7, true);
+  view.setUint32(12, 9, true);
+  const reader = new BinaryReader(view.buffer);
+
+  assert.deepEqual([...reader.readFloatArray(2)], [2, -3]);
+  assert.deepEqual([...reader.peekBytes(2)], [7, 0]);
+  const copy = reader.readBytes(4);
+  copy[0] = 99;
+  assert.equal(view.getUint8(8), 7);
+  reader.seek(8);
+  assert.deepEqual([...reader.readUint32Array(2)], [7, 9]);
+});
+
+test('BinaryWriter output reads back', () => {
+  const writer = new BinaryWriter(4);
+  writer.writeChunkId('ML__');
+  writer.writeInt32(-5);
+  writer.writeFloat(0.5);
+  writer.writeCString('café');
+  writer.writeString('abc', 6);
+  writer.seek(32);
+  writer.writeUint8(1);
+  const reader = new BinaryReader(writer.toUint8Array().buffer);
+
+  assert.equal(reader.readChunkId(), 'ML__');
+  assert.equal(reader.readInt32(), -5);
+  assert.equal(reader.readFloat(), 0.5);
+  assert.equal(reader.readCString(), 'café');
+  assert.equal(reader.readString(6), 'abc');
+  reader.seek(32);
+  assert.equal(reader.readUint8(), 1);
+  assert.equal(reader.length, 33);
+});
+
+test('shipped scene header', () => {
+  const reader = new BinaryReader(readFixture('odyssey/data/3dscenes/compos1/lens01.pta'));
+  assert.equal(reader.readString(4), '.PTA');
+  reader.seek(1024);
+  assert.equal(reader.readChunkId(), 'GI__');
+  reader.seek(2044);
+  assert.equal(reader.readChunkId(), '__GI');
+});
+
+test('fromUrlRange reads a range, or the whole file positioned at it', async (t) => {
+  const file = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7]);
+  const headers = [];
+  let status = 206;
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    headers.push(options.headers.Range);
+    const [, from, to] = /bytes=(\d+)-(\d+)/.exec(options.headers.Range).map(Number);
+    return status === 206
+      ? new Response(file.slice(from, to + 1), { status })
+      : new Response(file.slice(), { status });
+  });
+
+  const range = await BinaryReader.fromUrlRange('demo.dat', 2, 3);
+  assert.equal(range.isRange, true);
+  assert.equal(range.length, 3);
+  assert.equal(range.tell(), 0);
+  assert.equal(range.readUint8(), 2);
+
+  status = 200;
+  const whole = await BinaryReader.fromUrlRange('demo.dat', 2, 3);
+  assert.equal(whole.isRange, false);
+  assert.equal(whole.length, 8);
+  assert.equal(whole.tell(), 2);
+  assert.equal(whole.readUint8(), 2);
+  assert.deepEqual(headers, ['bytes=2-4', 'bytes=2-4']);
+
+  status = 416;
+  await assert.rejects(BinaryReader.fromUrlRange('demo.dat', 9, 1), /Failed to fetch demo\.dat: 416/);
+});
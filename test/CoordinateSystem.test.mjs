@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  ptaToThreeColor,
+  ptaToThreeEuler,
+  ptaToThreeMatrix,
+  ptaToThreePos,
+  ptaToThreeQuat,
+  ptaToThreeScale,
+  ptaToThreeUV,
+  threeToPtaMatrix,
+} from '../shared/utils/CoordinateSystem.js';
+
+// Rotation of 90 degrees about Z, then translation (10, 20, 30), row-major as stored
+const PTA_MATRIX = [
+  0, -1, 0, 10,
+  1, 0, 0, 20,
+  0, 0, 1, 30,
+  0, 0, 0, 1,
+];
+
+test('matrices keep PTA rows as mathematical rows', () => {
+  const matrix = ptaToThreeMatrix(PTA_MATRIX);
+  // Column-major storage: translation in elements 12-14
+  assert.deepEqual(matrix.elements.slice(12, 15), [10, 20, 30]);
+  assert.deepEqual(matrix.elements.slice(0, 3), [0, 1, 0]);
+
+  // Column-vector convention: X axis maps to +Y
+  const x = new THREE.Vector3(1, 0, 0).applyMatrix4(matrix);
+  assert.deepEqual(x.toArray(), [10, 21, 30]);
+});
+
+test('threeToPtaMatrix is the inverse of ptaToThreeMatrix', () => {
+  assert.deepEqual(threeToPtaMatrix(ptaToThreeMatrix(PTA_MATRIX)), PTA_MATRIX);
+  const matrix = new THREE.Matrix4().compose(
+    new THREE.Vector3(1, 2, 3),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(0.1, 0.2, 0.3)),
+    new THREE.Vector3(1, 2, 0.5)
+  );
+  assert.deepEqual(ptaToThreeMatrix(threeToPtaMatrix(matrix)).elements, matrix.elements);
+});
+
+test('vectors, quaternions and colors need no axis conversion', () => {
+  assert.deepEqual(ptaToThreePos(1, 2, 3).toArray(), [1, 2, 3]);
+  assert.deepEqual(ptaToThreeScale(4, 5, 6).toArray(), [4, 5, 6]);
+  // PTA stores w first; the loader passes (x, y, z, w)
+  assert.deepEqual(ptaToThreeQuat(0.1, 0.2, 0.3, 0.9).toArray(), [0.1, 0.2, 0.3, 0.9]);
+  assert.deepEqual(ptaToThreeColor(0.25, 0.5, 1).toArray(), [0.25, 0.5, 1]);
+});
+
+test('UVs flip only on request and Euler angles are degrees', () => {
+  assert.deepEqual(ptaToThreeUV(0.25, 0.75), { u: 0.25, v: 0.75 });
+  assert.deepEqual(ptaToThreeUV(0.25, 0.75, true), { u: 0.25, v: 0.25 });
+  const euler = ptaToThreeEuler(90, 0, 180);
+  assert.ok(Math.abs(euler.x - Math.PI / 2) < 1e-12);
+  assert.ok(Math.abs(euler.z - Math.PI) < 1e-12);
+  assert.equal(euler.order, 'XYZ');
+});
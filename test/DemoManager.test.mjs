@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DemoFX, DemoManager } from '../shared/engine/DemoManager.js';
+import { ScriptError, Severity } from '../shared/engine/ScriptParser.js';
+
+class FXProbe extends DemoFX {
+  static setupParams = ['count', 'size', 'texturePath'];
+
+  setup(count = 1, size = 1, texturePath = null) {
+    this.args = [count, size, texturePath];
+  }
+
+  async loadData() {
+    this.loaded = true;
+  }
+}
+
+/**
+ * DemoManager with stub renderer and assets. fetch() serves the current
+ * contents of `files`, so tests can edit the script between reloads.
+ * @param {import('node:test').TestContext} t
+ * @param {Object<string, string>} files
+ * @param {Object} [options] - DemoManager options
+ */
+function demo(t, files, options) {
+  t.mock.method(globalThis, 'fetch', async (url) =>
+    url in files ? new Response(files[url]) : new Response(null, { status: 404 }));
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'info', () => {});
+  const dm = new DemoManager({ setDemoViewport() {} }, null, { readPacked: async () => null }, options);
+  dm.effectRegistry.register('FXProbe', FXProbe);
+  return dm;
+}
+
+const diagnostics = (dm) => dm.diagnostics.map(d => [d.line, d.column, d.severity, d.message]);
+
+test('FX class= creates a registered effect with named params', async (t) => {
+  const dm = demo(t, {
+    'demo.scr': [
+      'FX class=FXProbe name="Probe" start=100 end=200 priority=3 params={"Count": 5, "size": 0.5, "texturePath": "data/a.tga"}',
+      'FX class=FXProbe start=0 end=10 params={"count": 2, "size": 1, "texturePath": null}',
+    ].join('\n'),
+  });
+  await dm.loadScript('demo.scr');
+  await dm.loadAllEffects();
+  assert.deepEqual(diagnostics(dm), []);
+
+  const [probe, unnamed] = dm.effects;
+  assert.equal(dm.effects.length, 2);
+  assert.ok(probe.fx instanceof FXProbe);
+  assert.deepEqual(probe.fx.args, [5, 0.5, 'data/a.tga']);
+  assert.ok(probe.fx.loaded);
+  assert.deepEqual([probe.name, probe.startTime, probe.endTime, probe.priority], ['Probe', 100, 200, 3]);
+  assert.equal(unnamed.name, 'FXProbe');
+  assert.deepEqual(unnamed.fx.args, [2, 1, null]);
+});
+
+test('unknown classes are errors, unknown and missing params warnings', async (t) => {
+  const dm = demo(t, {
+    'demo.scr': [
+      'FX class=FXNope start=0 end=10 params={}',
+      'FX class=FXProbe start=0 end=10 params={"count": 2, "colour": 1}',
+      'FX class=FXProbe start=0 end=10',
+    ].join('\n'),
+  });
+  await dm.loadScript('demo.scr');
+
+  assert.deepEqual(diagnostics(dm), [
+    [1, 4, Severity.ERROR, 'Unknown effect class "FXNope"'],
+    [2, 33, Severity.WARNING, 'FXProbe has no setup parameter "colour"'],
+    [2, 33, Severity.WARNING, 'FXProbe params missing: size, texturePath'],
+    [3, 1, Severity.WARNING, 'FXProbe params missing: count, size, texturePath'],
+  ]);
+  // Effects with unknown or missing params are still created, with setup() defaults
+  assert.deepEqual(dm.effects.map(e => e.fx.args), [[2, 1, null], [1, 1, null]]);
+
+  const strict = demo(t, { 'demo.scr': 'FX class=FXNope start=0 end=10' }, { strict: true });
+  await assert.rejects(strict.loadScript('demo.scr'), ScriptError);
+});
+
+test('hot reload replaces script-created effects and keeps manual ones', async (t) => {
+  const files = {
+    'demo.scr': 'FX class=FXProbe name="Probe" start=0 end=100 params={"count": 1, "size": 1, "texturePath": "a.tga"}',
+  };
+  const dm = demo(t, files);
+  const manual = new FXProbe();
+  dm.addFX(manual, 0, 50, 0, 'Manual');
+  await dm.loadScript('demo.scr');
+  await dm.loadAllEffects();
+  const first = dm.effects.find(e => e.name === 'Probe').fx;
+
+  files['demo.scr'] = 'FX class=FXProbe name="Probe" start=10 end=200 params={"count": 3, "size": 2, "texturePath": "b.tga"}';
+  assert.equal(await dm.reloadScript(), true);
+  assert.deepEqual(dm.effects.map(e => e.name), ['Manual', 'Probe']);
+  assert.equal(dm.effects[0].fx, manual);
+  const probe = dm.effects[1];
+  assert.notEqual(probe.fx, first);
+  assert.deepEqual(probe.fx.args, [3, 2, 'b.tga']);
+  assert.ok(probe.fx.loaded);
+  assert.deepEqual([probe.startTime, probe.endTime], [10, 200]);
+
+  // Unchanged text is not rebuilt; a removed line drops its effect
+  assert.equal(await dm.reloadScript(), false);
+  files['demo.scr'] = '; no effects';
+  assert.equal(await dm.reloadScript(), true);
+  assert.deepEqual(dm.effects.map(e => e.name), ['Manual']);
+});
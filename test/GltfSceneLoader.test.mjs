@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getTransformMatrix } from '../shared/engine/AnimationSystem.js';
+import { SceneManager } from '../shared/engine/SceneManager.js';
+import { buildGltf, encodeGlb } from '../shared/engine/PtaGltfExporter.js';
+import { parseGltfFile } from '../shared/engine/GltfSceneLoader.js';
+import { loadScene } from './fixtures.mjs';
+
+/**
+ * Minimal .gltf text with one embedded buffer holding the given arrays.
+ * @param {Object} json - Document; accessors refer to arrays by index as bufferView
+ * @param {ArrayBufferView[]} arrays
+ */
+function gltfText(json, arrays) {
+  const chunks = [];
+  let byteLength = 0;
+  json.bufferViews = arrays.map((array) => {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    const view = { buffer: 0, byteOffset: byteLength, byteLength: bytes.length };
+    chunks.push(bytes, new Uint8Array((4 - bytes.length % 4) % 4));
+    byteLength += bytes.length + (4 - bytes.length % 4) % 4;
+    return view;
+  });
+  json.buffers = [{
+    byteLength,
+    uri: `data:application/octet-stream;base64,${Buffer.concat(chunks).toString('base64')}`,
+  }];
+  return new TextEncoder().encode(JSON.stringify({ asset: { version: '2.0' }, ...json })).buffer;
+}
+
+test('exported PTA scenes import back with the same transforms and geometry', async () => {
+  const pta = loadScene('odyssey/data/3dscenes/city/city02.pta');
+  const textured = pta.materials.find(mat => mat.texture1);
+  const images = new Map([[textured.texture1, { mimeType: 'image/png', data: new Uint8Array([1, 2, 3]) }]]);
+  const glb = encodeGlb(buildGltf(pta, { images, sceneOptions: { fixedFrustumAspect: 4 / 3 } }));
+  const scene = await parseGltfFile(glb.buffer);
+
+  assert.equal(scene.objects.length, pta.objects.length);
+  assert.equal(scene.cameras.length, pta.cameras.length);
+  assert.equal(scene.lights.length, pta.lights.length);
+  assert.equal(scene.materials.length, pta.materials.length);
+  assert.ok(Math.abs(scene.animEndTime - (pta.animEndTime - pta.animStartTime)) < 0.01);
+
+  const t = (pta.animStartTime + pta.animEndTime) / 2;
+  pta.objects.forEach((obj, i) => {
+    const imported = scene.objects[i];
+    assert.equal(imported.name, obj.name);
+    assert.equal(imported.numFaces, obj.numFaces);
+    const expected = getTransformMatrix(t, obj, obj.transformMatrix).elements;
+    const actual = getTransformMatrix(t - pta.animStartTime, imported, imported.transformMatrix).elements;
+    const scale = Math.max(1, ...expected.map(Math.abs));
+    for (let k = 0; k < 16; k++) assert.ok(Math.abs(actual[k] - expected[k]) < 1e-4 * scale, `${obj.name}[${k}]`);
+  });
+
+  const sceneManager = new SceneManager(null, { fixedFrustumAspect: 4 / 3 });
+  const original = sceneManager._buildCamera(pta.cameras[0]);
+  const camera = sceneManager._buildCamera(scene.cameras[0]);
+  assert.ok(Math.abs(camera.fov - original.fov) < 1e-3);
+  assert.ok(camera.position.distanceTo(original.position) < 1e-3 * Math.max(1, original.position.length()));
+  const imported = scene.materials[pta.materials.indexOf(textured)];
+  assert.deepEqual([...scene.gltfImages.get(imported.texture1).data], [1, 2, 3]);
+});
+
+test('hierarchies, indexed primitives and cubic animation are flattened to PTA keys', async () => {
+  const positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0]);
+  const uvs = new Uint8Array([0, 0, 255, 0, 0, 255, 255, 255]);
+  const indices = new Uint16Array([0, 1, 2, 2, 1, 3]);
+  const times = new Float32Array([0, 2]);
+  // CUBICSPLINE: in-tangent, value, out-tangent per key
+  const translations = new Float32Array([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 10, 0, 0, 0, 0, 0]);
+  const buffer = gltfText({
+    scene: 0,
+    scenes: [{ nodes: [0, 3] }],
+    nodes: [
+      { name: 'Parent', children: [1, 2], scale: [2, 2, 2] },
+      { name: 'Quad', mesh: 0, translation: [0, 1, 0] },
+      { name: 'Flare', translation: [0, 0, -5], extras: { userProps: 'lensflare numflares=1' } },
+      { name: 'Sun', rotation: [-Math.SQRT1_2, 0, 0, Math.SQRT1_2], extensions: { KHR_lights_punctual: { light: 0 } } },
+    ],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, TEXCOORD_0: 1 }, indices: 2 }] }],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 4, type: 'VEC3' },
+      { bufferView: 1, componentType: 5121, normalized: true, count: 4, type: 'VEC2' },
+      { bufferView: 2, componentType: 5123, count: 6, type: 'SCALAR' },
+      { bufferView: 3, componentType: 5126, count: 2, type: 'SCALAR' },
+      { bufferView: 4, componentType: 5126, count: 6, type: 'VEC3' },
+    ],
+    animations: [{
+      channels: [{ sampler: 0, target: { node: 0, path: 'translation' } }],
+      samplers: [{ input: 3, output: 4, interpolation: 'CUBICSPLINE' }],
+    }],
+    extensions: { KHR_lights_punctual: { lights: [{ type: 'directional', color: [1, 0.5, 0] }] } },
+  }, [positions, uvs, indices, times, translations]);
+
+  const scene = await parseGltfFile(buffer, { fps: 10 });
+  assert.equal(scene.animEndTime, 2000);
+  assert.deepEqual(scene.helpers.map(h => h.name), ['Parent', 'Flare']);
+  assert.equal(scene.helpers[1].userProps, 'lensflare numflares=1');
+
+  const [quad] = scene.objects;
+  assert.deepEqual(quad.faces[1], { v0: 2, v1: 1, v2: 3 });
+  assert.deepEqual(quad.uvs1[2], { u: 0, v: 0 });
+  assert.equal(quad.posKeys.length, 21);
+
+  // Hermite with zero tangents: halfway is halfway
+  const matrix = getTransformMatrix(1000, quad, quad.transformMatrix);
+  const position = new THREE.Vector3().setFromMatrixPosition(matrix);
+  assert.ok(position.distanceTo(new THREE.Vector3(5, 2, 0)) < 1e-5);
+  assert.ok(Math.abs(new THREE.Vector3().setFromMatrixColumn(matrix, 0).length() - 2) < 1e-5);
+
+  // Directional lights point at the origin from their +Z side
+  const [sun] = scene.lights;
+  assert.equal(sun.type, 3);
+  const sunPosition = new THREE.Vector3().setFromMatrixPosition(sun.originMatrix).normalize();
+  assert.ok(sunPosition.distanceTo(new THREE.Vector3(0, 1, 0)) < 1e-6);
+});
+
+test('extras become userProps lines and unsupported required extensions are rejected', async () => {
+  const scene = await parseGltfFile(gltfText({
+    nodes: [{ name: 'Emitter', extras: { particles: true, particlenum: 60, texturefile: 'smoke.jpg' } }],
+  }, []));
+  assert.equal(scene.helpers[0].userProps, 'particles=true\r\nparticlenum=60\r\ntexturefile="smoke.jpg"');
+
+  await assert.rejects(
+    parseGltfFile(gltfText({ extensionsRequired: ['KHR_draco_mesh_compression'] }, [])),
+    /KHR_draco_mesh_compression/
+  );
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getCameraPose, getTransformMatrix, interpolateCameraSettings } from '../shared/engine/AnimationSystem.js';
+import { AnimationMode, createCameraClip, createLightClip, createObjectClip } from '../shared/engine/PtaAnimationClip.js';
+import { SceneManager } from '../shared/engine/SceneManager.js';
+import { loadScene } from './fixtures.mjs';
+
+/** Play a clip on root and return a function posing it at a time in ms, held at the end like SceneManager. */
+function player(clip, root) {
+  const mixer = new THREE.AnimationMixer(root);
+  const action = mixer.clipAction(clip).setLoop(THREE.LoopOnce).play();
+  action.clampWhenFinished = true;
+  return t => {
+    action.paused = false;
+    mixer.setTime(t / 1000);
+  };
+}
+
+function maxRelativeError(actual, expected) {
+  const scale = Math.max(1, ...expected.map(Math.abs));
+  return Math.max(...expected.map((v, i) => Math.abs(v - actual[i]))) / scale;
+}
+
+test('object clips reproduce getTransformMatrix on and between keys', () => {
+  for (const path of ['odyssey/data/3dscenes/city/city02.pta', 'odyssey/data/3dscenes/compos1/lens01.pta']) {
+    const scene = loadScene(path);
+    let animated = 0;
+    for (const obj of scene.objects) {
+      const clip = createObjectClip(obj);
+      if (!clip) {
+        assert.equal(obj.posKeys.length + obj.rotKeys.length + obj.sclKeys.length, 0);
+        continue;
+      }
+      animated++;
+      assert.equal(clip.name, obj.name);
+      const node = new THREE.Object3D();
+      const seek = player(clip, node);
+      const keys = [obj.posKeys, obj.rotKeys, obj.sclKeys].find(track => track.length > 1);
+      for (let i = 0; i < keys.length - 1; i += 5) {
+        for (const t of [keys[i].t, (keys[i].t + keys[i + 1].t) / 2]) {
+          seek(t);
+          node.updateMatrix();
+          const expected = getTransformMatrix(t, obj, obj.transformMatrix).elements;
+          assert.ok(maxRelativeError(node.matrix.elements, expected) < 1e-5, `${path} ${obj.name} at ${t}`);
+        }
+      }
+    }
+    assert.ok(animated > 0, path);
+  }
+});
+
+test('camera clips follow the camera pose and settings keys', () => {
+  const scene = loadScene('odyssey/data/3dscenes/city/city02.pta');
+  const aspect = 4 / 3;
+  for (const cam of scene.cameras) {
+    const clip = createCameraClip(cam, { fixedFrustumAspect: aspect });
+    const camera = new THREE.PerspectiveCamera();
+    const seek = player(clip, camera);
+    const keys = cam.posKeys.length > 0 ? cam.posKeys : cam.rotKeys;
+    for (const { t } of keys.slice(0, 30)) {
+      seek(t);
+      const position = new THREE.Vector3();
+      const quaternion = new THREE.Quaternion();
+      getCameraPose(t, cam, position, quaternion);
+      assert.ok(position.distanceTo(camera.position) <= 1e-5 * Math.max(1, position.length()), cam.name);
+      assert.ok(1 - Math.abs(quaternion.dot(camera.quaternion)) < 1e-6, cam.name);
+      if (cam.settingsKeys?.length > 0) {
+        const settings = interpolateCameraSettings(cam.settingsKeys, t, cam);
+        assert.ok(Math.abs(camera.fov - settings.fov / aspect) < 1e-4, cam.name);
+      }
+    }
+  }
+});
+
+test('light clips animate position and color', () => {
+  const keys = [
+    { t: 0, pos: new THREE.Vector3(0, 0, 0), color: { r: 0, g: 0, b: 0 } },
+    { t: 1000, pos: new THREE.Vector3(10, 20, 30), color: { r: 1, g: 0.5, b: 0 } },
+  ];
+  const lightData = { name: 'Omni01', posKeys: keys, settingsKeys: keys };
+  const light = new THREE.PointLight();
+  const seek = player(createLightClip(lightData), light);
+  seek(500);
+  assert.ok(maxRelativeError(light.position.toArray(), [5, 10, 15]) < 1e-6);
+  assert.ok(maxRelativeError(light.color.toArray(), [0.5, 0.25, 0]) < 1e-6);
+
+  // sRGB-authored colors are converted before interpolation
+  const srgb = new THREE.PointLight();
+  player(createLightClip(lightData, { colorsAreSRGB: true }), srgb)(1000);
+  assert.ok(Math.abs(srgb.color.g - new THREE.Color().setRGB(0, 0.5, 0, THREE.SRGBColorSpace).g) < 1e-6);
+
+  assert.equal(createLightClip({ name: 'static', posKeys: [], settingsKeys: [] }), null);
+});
+
+test('mixer mode plays one action per animated node', () => {
+  const sceneManager = new SceneManager(null, { animation: AnimationMode.MIXER });
+  const scene = loadScene('odyssey/data/3dscenes/compos1/lens01.pta');
+  const managed = sceneManager.buildScene('lens01', scene);
+
+  assert.ok(managed.mixer instanceof THREE.AnimationMixer);
+  const roots = managed.actions.map(action => action.getRoot());
+  for (const { mesh } of managed.meshes.values()) assert.ok(roots.includes(mesh));
+  assert.ok(roots.includes(managed.cameras.get('Camera01').camera));
+
+  // The default mode keeps evaluating the keys directly
+  const pta = new SceneManager(null).buildScene('lens01', scene);
+  assert.equal(pta.mixer, null);
+  assert.equal(pta.actions.length, 0);
+});
+
+test('static meshes follow edits to their transformMatrix in both modes', () => {
+  for (const animation of [AnimationMode.PTA, AnimationMode.MIXER]) {
+    const renderer = { currentViewport: { w: 800, h: 600 }, renderScene() {}, webglRenderer: { render() {} } };
+    const sceneManager = new SceneManager(renderer, { animation });
+    const scene = loadScene('odyssey/data/3dscenes/city/city02.pta');
+    const managed = sceneManager.buildScene('city02', scene);
+    const entry = [...managed.meshes.values()].find(e => !e.animated);
+    assert.ok(entry, 'city02 has a static mesh');
+
+    sceneManager.renderScene('city02', 0);
+    const before = entry.mesh.matrix.clone();
+    entry.data.transformMatrix.premultiply(new THREE.Matrix4().makeTranslation(5, 0, 0));
+    sceneManager.renderScene('city02', 100);
+    const expected = before.premultiply(new THREE.Matrix4().makeTranslation(5, 0, 0)).elements;
+    assert.ok(maxRelativeError(entry.mesh.matrix.elements, expected) < 1e-6, animation);
+  }
+});
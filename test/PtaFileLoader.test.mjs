@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePtaFile } from '../shared/engine/PtaFileLoader.js';
+import { parseSplineFile } from '../shared/engine/PtaSplineLoader.js';
+import { readFixture, shippedFiles } from './fixtures.mjs';
+
+test('every shipped scene parses into contiguous chunks', () => {
+  for (const path of shippedFiles('.pta')) {
+    const buffer = readFixture(path);
+    const scene = parsePtaFile(buffer);
+    const { header, chunks } = scene;
+
+    assert.equal(chunks[0].offset, 1024, path);
+    for (let i = 1; i < chunks.length; i++) {
+      assert.equal(chunks[i].offset, chunks[i - 1].offset + chunks[i - 1].length, `${path} ${chunks[i].id}`);
+    }
+    const last = chunks[chunks.length - 1];
+    assert.equal(last.id, '_PTA', path);
+    assert.equal(last.offset + last.length, buffer.byteLength, path);
+
+    assert.equal(scene.objects.length, header.numObjects, path);
+    assert.equal(scene.cameras.length, header.numCameras, path);
+    assert.equal(scene.helpers.length, header.numHelpers, path);
+    // cubos declares a light it never writes
+    assert.ok(scene.lights.length <= header.numLights, path);
+
+    for (const obj of scene.objects) {
+      for (const [track, count] of [['posKeys', header.numPosKeys], ['sclKeys', header.numSclKeys], ['rotKeys', header.numRotKeys]]) {
+        assert.ok(obj[track].length === 0 || obj[track].length === count, `${path} ${obj.name} ${track}`);
+      }
+    }
+  }
+});
+
+test('lens01 contents', () => {
+  const scene = parsePtaFile(readFixture('odyssey/data/3dscenes/compos1/lens01.pta'));
+  assert.deepEqual(
+    scene.chunks.map(chunk => `${chunk.id}@${chunk.offset}`),
+    ['GI__@1024', 'ML__@2048', 'CO__@2139', 'GO__@3105', 'GO__@9559', '_PTA@16013']
+  );
+  assert.deepEqual(scene.chunkOrder, ['CO__', 'GO__', 'GO__']);
+  assert.deepEqual(scene.materials.map(mat => mat.name), ['lens']);
+  assert.deepEqual(scene.objects.map(obj => obj.name), ['Circle03', 'Circle01']);
+  assert.equal(scene.cameras[0].name, 'Camera01');
+  assert.equal(scene.header.numRotKeys, 150);
+  for (const obj of scene.objects) {
+    assert.equal(obj.rotKeys.length, 150);
+    assert.equal(obj.posKeys.length, 0);
+    assert.ok(obj.rotKeys[0].t >= scene.animStartTime);
+  }
+});
+
+test('shipped splines parse', () => {
+  const paths = shippedFiles('.spl');
+  assert.ok(paths.length >= 5);
+  for (const path of paths) {
+    const splines = parseSplineFile(readFixture(path));
+    assert.ok(splines.length > 0, path);
+    for (const points of splines) {
+      assert.ok(points.length > 0, path);
+      for (const { x, y, z } of points) {
+        assert.ok(Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z), path);
+      }
+    }
+  }
+});
+
+test('bad spline signature is rejected', () => {
+  const bytes = new TextEncoder().encode('PTASPLIX\0\0\0\0');
+  assert.throws(() => parseSplineFile(bytes.buffer), /Not a PTA spline file/);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { parsePtaFile } from '../shared/engine/PtaFileLoader.js';
+import { writePtaFile } from '../shared/engine/PtaFileWriter.js';
+import { loadScene, readFixture, shippedFiles } from './fixtures.mjs';
+
+function reparse(scene) {
+  return parsePtaFile(writePtaFile(scene).buffer);
+}
+
+test('shipped scenes round-trip byte-identical', () => {
+  const scenes = shippedFiles('.pta');
+  assert.ok(scenes.length > 0);
+  for (const path of scenes) {
+    const bytes = readFixture(path);
+    const written = writePtaFile(parsePtaFile(bytes));
+    assert.ok(Buffer.from(written).equals(Buffer.from(bytes)), `${path} differs after writing`);
+  }
+});
+
+test('edited transforms and new key tracks are written', () => {
+  const scene = loadScene('odyssey/data/3dscenes/city/sala.pta');
+  const box = scene.objects.find(o => o.name === 'Box01');
+  box.transformMatrix = new THREE.Matrix4().makeTranslation(1.5, -2, 40);
+  box.posKeys = Array.from({ length: scene.header.numPosKeys }, (_, i) => ({
+    t: i * 10, pos: new THREE.Vector3(i, 0, 0),
+  }));
+
+  const reread = reparse(scene).objects.find(o => o.name === 'Box01');
+  assert.deepEqual(reread.transformMatrix.elements, box.transformMatrix.elements);
+  assert.equal(reread.posKeys.length, box.posKeys.length);
+  assert.equal(reread.posKeys.at(-1).pos.x, box.posKeys.length - 1);
+});
+
+test('key tracks must share the header key count', () => {
+  const scene = loadScene('odyssey/data/3dscenes/city/sala.pta');
+  const animated = scene.objects.find(o => o.posKeys.length > 0);
+  animated.posKeys = animated.posKeys.slice(1);
+  scene.objects.find(o => o !== animated && o.posKeys.length > 0).posKeys.push(animated.posKeys[0]);
+  assert.throws(() => writePtaFile(scene), /pos keys/);
+});
+
+test('scenes built from scratch load back', () => {
+  const scene = {
+    header: null,
+    globalInfo: { bgColor: { r: 0, g: 0, b: 0 }, ambientColor: { r: 0.1, g: 0.1, b: 0.1 } },
+    materials: [{
+      name: 'Mat', flags: 0, ambient: { r: 0, g: 0, b: 0 }, diffuse: { r: 1, g: 0.5, b: 0 },
+      specular: { r: 0, g: 0, b: 0 }, shininess: 0, texture1: 'data\\textures\\a.tga', texture2: null,
+      isTwoSided: true, subMaterials: [],
+    }],
+    objects: [{
+      name: 'Tri', userProps: '', flags: 0, materialId: 0, transformMatrix: new THREE.Matrix4(),
+      vertices: [new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0)],
+      normals: [], colors: [], uvs1: [{ u: 0, v: 0 }, { u: 1, v: 0 }, { u: 0, v: 1 }], uvs2: [],
+      edgeFlags: [], faces: [{ v0: 0, v1: 1, v2: 2 }], posKeys: [], sclKeys: [], rotKeys: [], bones: [],
+    }],
+    cameras: [], lights: [], helpers: [],
+    animStartTime: 0, animEndTime: 1000,
+  };
+
+  const reread = reparse(scene);
+  assert.equal(reread.materials[0].texture1, 'data\\textures\\a.tga');
+  assert.equal(reread.materials[0].isTwoSided, true);
+  const tri = reread.objects[0];
+  assert.equal(tri.name, 'Tri');
+  assert.equal(tri.materialId, 0);
+  assert.deepEqual(tri.uvs1, scene.objects[0].uvs1);
+  assert.deepEqual(tri.faces, scene.objects[0].faces);
+});
+
+test('bones, bone keys and vertex links round-trip', () => {
+  // Components as stored (float32), so keys compare exactly
+  const q = (x, y, z, w) => new THREE.Quaternion(...[x, y, z, w].map(Math.fround));
+  const bone = (x, keyed) => ({
+    flags: 0,
+    transformMatrix: new THREE.Matrix4().makeRotationZ(Math.PI / 2).setPosition(x, 0.5, -2),
+    posKeys: keyed ? [{ t: 0, pos: new THREE.Vector3(0, 0, 0) }, { t: 500, pos: new THREE.Vector3(1, 2, 3) }] : [],
+    sclKeys: keyed ? [
+      { t: 0, scale: new THREE.Vector3(1, 1, 1), axes: q(0, 0, 0, 1) },
+      { t: 500, scale: new THREE.Vector3(2, 1, 0.5), axes: q(0, 0.6, 0, 0.8) },
+    ] : [],
+    rotKeys: [{ t: 0, quat: q(0, 0, 0, 1) }, { t: 500, quat: q(0.6, 0, 0, 0.8) }],
+  });
+  const vertices = [new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0)];
+  const vertexBoneData = [
+    { localPositions: [new THREE.Vector3(0.5, 0.25, 0)], boneIndices: [0], weights: [1] },
+    { localPositions: [new THREE.Vector3(1, 0, 0), new THREE.Vector3(-1, 0.5, 2)], boneIndices: [0, 1], weights: [0.75, 0.25] },
+    { localPositions: [new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)], boneIndices: [1, 0], weights: [0.5, 0.5] },
+  ];
+  const scene = {
+    header: null,
+    globalInfo: { bgColor: { r: 0, g: 0, b: 0 }, ambientColor: { r: 0, g: 0, b: 0 } },
+    materials: [],
+    objects: [{
+      name: 'Skin', userProps: '', flags: 0, materialId: -1, wireColor: { r: 1, g: 0, b: 0 },
+      transformMatrix: new THREE.Matrix4().makeTranslation(0, 0, 5),
+      vertices, normals: [], colors: [], uvs1: [], uvs2: [], edgeFlags: [],
+      faces: [{ v0: 0, v1: 1, v2: 2 }], posKeys: [], sclKeys: [], rotKeys: [],
+      bones: [bone(1, true), bone(-1, false)], vertexBoneData,
+    }],
+    cameras: [], lights: [], helpers: [],
+    animStartTime: 0, animEndTime: 500,
+  };
+
+  const written = writePtaFile(scene);
+  const reread = parsePtaFile(written.buffer);
+  assert.equal(reread.header.numPosKeys, 2);
+  const skin = reread.objects[0];
+  assert.ok(skin.deformable);
+  assert.equal(skin.bones.length, 2);
+  skin.bones.forEach((b, i) => {
+    const source = scene.objects[0].bones[i];
+    for (let k = 0; k < 16; k++) {
+      assert.ok(Math.abs(b.transformMatrix.elements[k] - source.transformMatrix.elements[k]) < 1e-6, `bone ${i} [${k}]`);
+    }
+    assert.deepEqual(b.posKeys, source.posKeys);
+    assert.deepEqual(b.sclKeys, source.sclKeys);
+    assert.deepEqual(b.rotKeys, source.rotKeys);
+  });
+  assert.deepEqual(skin.vertexBoneData, vertexBoneData);
+
+  // Reading and writing again keeps every byte
+  assert.ok(Buffer.from(writePtaFile(reread)).equals(Buffer.from(written)));
+
+  scene.objects[0].vertexBoneData = vertexBoneData.slice(1);
+  assert.throws(() => writePtaFile(scene), /"Skin" has bone links for 2 of 3 vertices/);
+});
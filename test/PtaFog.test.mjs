@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { FogMode, PtaFog, usePtaFog } from '../shared/engine/PtaFog.js';
+
+const STOCK_FOG_FRAGMENT = THREE.ShaderChunk.fog_fragment;
+
+function compile(material) {
+  const shader = {
+    uniforms: {},
+    vertexShader: '',
+    fragmentShader: '#include <fog_pars_fragment>\nvoid main() {\n#include <fog_fragment>\n}',
+  };
+  material.onBeforeCompile(shader, null);
+  return shader;
+}
+
+test('usePtaFog switches only the materials it is given', () => {
+  const fogged = new THREE.MeshBasicMaterial();
+  const other = new THREE.MeshBasicMaterial();
+  const scene = new THREE.Scene();
+  scene.add(new THREE.Mesh(new THREE.BufferGeometry(), fogged));
+  usePtaFog(scene);
+
+  assert.equal(THREE.ShaderChunk.fog_fragment, STOCK_FOG_FRAGMENT);
+  assert.match(compile(fogged).fragmentShader, /ptaFogExp \? fogZ : fogZ \* fogZ/);
+  assert.match(compile(other).fragmentShader, /#include <fog_fragment>/);
+  assert.notEqual(fogged.customProgramCacheKey(), other.customProgramCacheKey());
+});
+
+test('usePtaFog keeps existing shader patches and program keys apart', () => {
+  const patched = new THREE.MeshPhongMaterial();
+  patched.onBeforeCompile = (shader) => {
+    shader.fragmentShader = shader.fragmentShader.replace('void main', '// patched\nvoid main');
+  };
+  const plain = new THREE.MeshPhongMaterial();
+  const scene = new THREE.Scene();
+  scene.add(new THREE.Mesh(new THREE.BufferGeometry(), [patched, plain]));
+  usePtaFog(scene);
+  usePtaFog(scene);
+
+  const shader = compile(patched);
+  assert.match(shader.fragmentShader, /\/\/ patched/);
+  assert.equal(shader.fragmentShader.match(/uniform bool ptaFogExp/g).length, 1);
+  assert.notEqual(patched.customProgramCacheKey(), plain.customProgramCacheKey());
+});
+
+test('the fog mode is taken from the scene being drawn', () => {
+  const material = new THREE.MeshBasicMaterial();
+  const scene = new THREE.Scene();
+  scene.add(new THREE.Mesh(new THREE.BufferGeometry(), material));
+  usePtaFog(scene);
+  const { uniforms } = compile(material);
+
+  for (const [mode, exp] of [[FogMode.EXP, true], [FogMode.EXP2, false], [FogMode.LINEAR, false]]) {
+    const fog = new PtaFog(mode, new THREE.Color(), 10, 20, 0.5);
+    scene.fog = fog.threeFog;
+    material.onBeforeRender(null, scene);
+    assert.equal(uniforms.ptaFogExp.value, exp, mode);
+  }
+  scene.fog = new THREE.FogExp2(0, 1);
+  material.onBeforeRender(null, scene);
+  assert.equal(uniforms.ptaFogExp.value, false);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getTransformMatrix } from '../shared/engine/AnimationSystem.js';
+import { buildGltf, encodeGlb } from '../shared/engine/PtaGltfExporter.js';
+import { loadScene } from './fixtures.mjs';
+
+function accessorData({ json, bin }, index) {
+  const accessor = json.accessors[index];
+  const view = json.bufferViews[accessor.bufferView];
+  return new Float32Array(bin.buffer.slice(bin.byteOffset + view.byteOffset, bin.byteOffset + view.byteOffset + view.byteLength));
+}
+
+test('meshes keep both UV channels and one corner per face vertex', () => {
+  const scene = loadScene('thisway/data/3Dscenes/mamut/mamut.PTA');
+  const gltf = buildGltf(scene);
+  const obj = scene.objects[0];
+  const { attributes } = gltf.json.meshes[0].primitives[0];
+
+  assert.equal(gltf.json.accessors[attributes.POSITION].count, obj.numFaces * 3);
+  const uv2 = accessorData(gltf, attributes.TEXCOORD_1);
+  const corner = obj.uvs2[obj.faces[0].v1];
+  assert.equal(uv2[2], Math.fround(corner.u));
+  assert.equal(uv2[3], Math.fround(1 - corner.v));
+  assert.equal(gltf.json.cameras.length, scene.cameras.length);
+  assert.equal(gltf.json.extensions.KHR_lights_punctual.lights.length, scene.lights.length);
+});
+
+test('animated objects are sampled with the engine transform', () => {
+  const scene = loadScene('odyssey/data/3dscenes/city/city02.pta');
+  const gltf = buildGltf(scene, { fps: 10 });
+  const [animation] = gltf.json.animations;
+  const channel = animation.channels.find(c => c.target.path === 'translation' &&
+    scene.objects.some(o => o.name === gltf.json.nodes[c.target.node].name));
+  const obj = scene.objects.find(o => o.name === gltf.json.nodes[channel.target.node].name);
+  const sampler = animation.samplers[channel.sampler];
+  const times = accessorData(gltf, sampler.input);
+  const values = accessorData(gltf, sampler.output);
+
+  const i = times.length >> 1;
+  const expected = new THREE.Vector3().setFromMatrixPosition(getTransformMatrix(times[i] * 1000, obj, obj.transformMatrix));
+  assert.ok(new THREE.Vector3().fromArray(values, i * 3).distanceTo(expected) < 1e-3 * Math.max(1, expected.length()));
+});
+
+test('glb container is aligned and sized', () => {
+  const glb = encodeGlb(buildGltf(loadScene('thisway/data/3Dscenes/mamut/mamut.PTA')));
+  const view = new DataView(glb.buffer);
+  assert.equal(view.getUint32(0, true), 0x46546c67);
+  assert.equal(view.getUint32(8, true), glb.length);
+  assert.equal(view.getUint32(12, true) % 4, 0);
+});
@@ -0,0 +1,237 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AssetManager } from '../shared/engine/AssetManager.js';
+import {
+  PACK_ENTRY_SIZE,
+  PACK_HEADER_SIZE,
+  PACK_PATH_LENGTH,
+  PtaPackFile,
+  normalizePackPath,
+  writePackFile,
+} from '../shared/engine/PtaPackFile.js';
+import { readFixture } from './fixtures.mjs';
+
+const text = (str) => new TextEncoder().encode(str);
+const decode = (buffer) => new TextDecoder().decode(buffer);
+
+/**
+ * An archive written field by field, so tests can damage any part of it.
+ * @param {Array<{path: string, data: Uint8Array, offset?: number, size?: number}>} files
+ * @param {{signature?: string, version?: number, count?: number}} [header]
+ * @returns {ArrayBuffer}
+ */
+function packBuffer(files, { signature = 'PACK', version = 1, count = files.length } = {}) {
+  const dataSize = files.reduce((sum, file) => sum + file.data.byteLength, 0);
+  const directoryOffset = PACK_HEADER_SIZE + dataSize;
+  const bytes = new Uint8Array(directoryOffset + files.length * PACK_ENTRY_SIZE);
+  const view = new DataView(bytes.buffer);
+
+  bytes.set(text(signature).subarray(0, 4), 0);
+  view.setInt32(4, version, true);
+  view.setInt32(8, count, true);
+  view.setInt32(12, directoryOffset, true);
+
+  let offset = PACK_HEADER_SIZE;
+  files.forEach((file, i) => {
+    bytes.set(file.data, offset);
+    const record = directoryOffset + i * PACK_ENTRY_SIZE;
+    view.setInt32(record, file.offset ?? offset, true);
+    view.setInt32(record + 4, file.size ?? file.data.byteLength, true);
+    bytes.set(text(file.path).subarray(0, PACK_PATH_LENGTH - 1), record + 8);
+    offset += file.data.byteLength;
+  });
+  return bytes.buffer;
+}
+
+const FILES = [
+  { path: 'data\\3dscenes\\City\\city01.pta', data: text('scene') },
+  { path: 'data/textures/sky.jpg', data: text('sky') },
+  { path: 'demo.scr', data: text('') },
+];
+
+test('normalizePackPath ignores case, slash style and a leading ./ or /', () => {
+  assert.equal(normalizePackPath('data\\3dscenes\\City\\city01.PTA'), 'data/3dscenes/city/city01.pta');
+  assert.equal(normalizePackPath('./data/a.jpg'), 'data/a.jpg');
+  assert.equal(normalizePackPath('/data/a.jpg'), 'data/a.jpg');
+});
+
+test('entries are found without case and with either slash', () => {
+  const pack = PtaPackFile.fromBuffer(packBuffer(FILES), 'demo.dat');
+  assert.equal(pack.entries.size, 3);
+  for (const path of ['data/3dscenes/city/city01.pta', 'DATA\\3DSCENES\\CITY\\CITY01.PTA', './data\\3dscenes/City/city01.pta']) {
+    assert.ok(pack.has(path), path);
+    assert.equal(decode(pack.get(path)), 'scene', path);
+  }
+  assert.equal(decode(pack.get('data\\textures\\SKY.jpg')), 'sky');
+  assert.equal(pack.entries.get('data/textures/sky.jpg').path, 'data/textures/sky.jpg');
+
+  assert.ok(pack.has('demo.scr'));
+  assert.equal(pack.get('demo.scr').byteLength, 0);
+
+  assert.ok(!pack.has('data/textures/sky.png'));
+  assert.equal(pack.get('data/textures/sky.png'), null);
+});
+
+test('get returns a copy of the entry', () => {
+  const pack = PtaPackFile.fromBuffer(packBuffer(FILES));
+  new Uint8Array(pack.get('data/textures/sky.jpg')).fill(0);
+  assert.equal(decode(pack.get('data/textures/sky.jpg')), 'sky');
+});
+
+test('damaged archives are rejected', () => {
+  assert.throws(() => PtaPackFile.fromBuffer(packBuffer(FILES, { signature: 'PAK0' }), 'demo.dat'),
+    /demo\.dat: bad signature "PAK0"/);
+  assert.throws(() => PtaPackFile.fromBuffer(packBuffer(FILES, { version: 2 }), 'demo.dat'),
+    /unsupported version 2/);
+
+  // More entries than the directory holds
+  assert.throws(() => PtaPackFile.fromBuffer(packBuffer(FILES, { count: 4 }), 'demo.dat'),
+    /demo\.dat: truncated directory/);
+  const whole = packBuffer(FILES);
+  assert.throws(() => PtaPackFile.fromBuffer(whole.slice(0, whole.byteLength - PACK_ENTRY_SIZE + 1)),
+    /truncated directory/);
+
+  const pastEnd = [{ path: 'data/a.jpg', data: text('abc'), size: 1000 }];
+  assert.throws(() => PtaPackFile.fromBuffer(packBuffer(pastEnd), 'demo.dat'),
+    /demo\.dat: entry "data\/a\.jpg" extends past end of file/);
+});
+
+test('scenes come from the archive, or loose when it lacks them', async (t) => {
+  const scene = new Uint8Array(readFixture('odyssey/data/3dscenes/city/city01.pta'));
+  const archive = packBuffer([{ path: 'data\\3dscenes\\City\\city01.pta', data: scene }]);
+  const requested = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    requested.push(url);
+    return url === 'odyssey/demo.dat' ? new Response(archive) : new Response(null, { status: 404 });
+  });
+  const assetManager = new AssetManager(null);
+  assetManager.basePath = 'odyssey/';
+  assetManager.defaultPackFile = 'demo.dat';
+
+  const packed = await assetManager.loadPtaScene('data\\3dscenes\\City\\city01.pta', 'demo.dat');
+  assert.ok(packed.objects.length > 0);
+  await assert.rejects(assetManager.loadPtaScene('data/3dscenes/city/sala.pta', 'demo.dat'), /404/);
+  // The archive has no city01 patch, so it is looked for loose
+  assert.deepEqual(requested, [
+    'odyssey/demo.dat',
+    'odyssey/data/3dscenes/city/city01.patch.json',
+    'odyssey/data/3dscenes/city/sala.pta',
+  ]);
+});
+
+test('script-named archives are only opened when the manifest names a packfile', async (t) => {
+  const requested = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    requested.push(url);
+    return new Response(null, { status: 404 });
+  });
+  t.mock.method(console, 'info', () => {});
+  const assetManager = new AssetManager(null);
+  assetManager.basePath = 'odyssey/';
+
+  await assert.rejects(assetManager.loadPtaScene('data/a.pta', 'demo.dat'));
+  assert.deepEqual(requested, ['odyssey/data/a.pta']);
+
+  requested.length = 0;
+  assetManager.defaultPackFile = 'bundle.dat';
+  await assert.rejects(assetManager.loadPtaScene('data/b.pta', 'demo.dat'));
+  await assert.rejects(assetManager.loadPtaScene('data/c.pta'));
+  await assert.rejects(assetManager.loadPtaScene('data/d.pta', 'DEMO.DAT'));
+  assert.deepEqual(requested, [
+    'odyssey/demo.dat', 'odyssey/data/b.pta',
+    'odyssey/bundle.dat', 'odyssey/data/c.pta',
+    'odyssey/data/d.pta',
+  ]);
+});
+
+/**
+ * Stub fetch serving one archive, with or without Range support.
+ * @param {import('node:test').TestContext} t
+ * @param {Uint8Array} bytes
+ * @param {boolean} ranges - Answer Range requests with 206
+ * @returns {string[]} Requested ranges ("all" for plain requests)
+ */
+function serve(t, bytes, ranges) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, options = {}) => {
+    assert.equal(url, 'https://example.com/demo.dat');
+    const range = options.headers?.Range;
+    requests.push(range ?? 'all');
+    const match = /^bytes=(\d+)-(\d+)$/.exec(range ?? '');
+    if (!ranges || !match) return new Response(bytes.slice(), { status: 200 });
+    return new Response(bytes.slice(Number(match[1]), Number(match[2]) + 1), { status: 206 });
+  });
+  return requests;
+}
+
+const BUNDLE = [
+  { path: 'data/3dscenes/city/city01.pta', data: text('scene data') },
+  { path: 'data/textures/empty.jpg', data: new Uint8Array(0) },
+  { path: 'demo.scr', data: text('3D_FADE start=0 end=100') },
+];
+
+test('writePackFile output reads back through fromBuffer', () => {
+  const bytes = writePackFile(BUNDLE);
+  const directoryOffset = PACK_HEADER_SIZE + 10 + 0 + 23;
+  assert.equal(bytes.byteLength, directoryOffset + 3 * PACK_ENTRY_SIZE);
+
+  const pack = PtaPackFile.fromBuffer(bytes.buffer, 'demo.dat');
+  // Stored with backslashes, as the script writes them
+  assert.deepEqual([...pack.entries.values()].map(e => e.path),
+    ['data\\3dscenes\\city\\city01.pta', 'data\\textures\\empty.jpg', 'demo.scr']);
+  for (const { path, data } of BUNDLE) {
+    assert.deepEqual(new Uint8Array(pack.get(path)), data, path);
+  }
+  assert.deepEqual(new Uint8Array(pack.get('DATA\\3DSCENES\\CITY\\CITY01.PTA')), BUNDLE[0].data);
+
+  assert.throws(() => writePackFile([{ path: 'x'.repeat(PACK_PATH_LENGTH), data: new Uint8Array(0) }]),
+    /printable ASCII under 260 chars/);
+  assert.throws(() => writePackFile([{ path: 'data/año.jpg', data: new Uint8Array(0) }]), /printable ASCII/);
+});
+
+test('fromUrl reads the directory and then each entry by range', async (t) => {
+  const bytes = writePackFile(BUNDLE);
+  const requests = serve(t, bytes, true);
+  const pack = await PtaPackFile.fromUrl('https://example.com/demo.dat');
+  assert.equal(pack.buffer, null);
+  const directoryOffset = bytes.byteLength - 3 * PACK_ENTRY_SIZE;
+  assert.deepEqual(requests, ['bytes=0-15', `bytes=${directoryOffset}-${bytes.byteLength - 1}`]);
+  assert.throws(() => pack.get('demo.scr'), /read by range, use read\(\)/);
+
+  assert.equal(decode(await pack.read('data\\3dscenes\\City\\city01.pta')), 'scene data');
+  assert.equal(decode(await pack.read('demo.scr')), '3D_FADE start=0 end=100');
+  assert.deepEqual(requests.slice(2), [`bytes=${PACK_HEADER_SIZE}-${PACK_HEADER_SIZE + 9}`, 'bytes=26-48']);
+
+  // Zero-size entries never reach the server (bytes=x-(x-1) is not a valid range)
+  assert.equal((await pack.read('data/textures/empty.jpg')).byteLength, 0);
+  assert.equal(await pack.read('data/textures/missing.jpg'), null);
+  assert.equal(requests.length, 4);
+});
+
+test('fromUrl keeps the whole archive when the server ignores Range', async (t) => {
+  const bytes = writePackFile(BUNDLE);
+  const requests = serve(t, bytes, false);
+  const pack = await PtaPackFile.fromUrl('https://example.com/demo.dat');
+  assert.deepEqual(requests, ['bytes=0-15']);
+  assert.equal(pack.buffer.byteLength, bytes.byteLength);
+
+  assert.equal(decode(await pack.read('demo.scr')), '3D_FADE start=0 end=100');
+  assert.equal((await pack.read('data/textures/empty.jpg')).byteLength, 0);
+  assert.equal(requests.length, 1);
+});
+
+test('read slices its entry when a range request comes back whole', async (t) => {
+  const bytes = writePackFile(BUNDLE);
+  serve(t, bytes, true);
+  const pack = await PtaPackFile.fromUrl('https://example.com/demo.dat');
+  // Server stops honouring Range after the directory (e.g. a CDN cache miss)
+  const requests = serve(t, bytes, false);
+  assert.equal(decode(await pack.read('data/3dscenes/city/city01.pta')), 'scene data');
+  assert.equal(decode(await pack.read('demo.scr')), '3D_FADE start=0 end=100');
+  assert.equal(requests.length, 2);
+});
+
+test('fromUrl reports HTTP errors', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 404 }));
+  await assert.rejects(PtaPackFile.fromUrl('https://example.com/demo.dat'), /Failed to fetch .*demo\.dat: 404/);
+});
@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getTransformMatrix } from '../shared/engine/AnimationSystem.js';
+import { parsePtaFile } from '../shared/engine/PtaFileLoader.js';
+import { writePtaFile } from '../shared/engine/PtaFileWriter.js';
+import { SkinningMode } from '../shared/engine/PtaSkinning.js';
+import { SceneManager } from '../shared/engine/SceneManager.js';
+
+const V = (x, y, z) => new THREE.Vector3(x, y, z);
+const turn = (axis, degrees) => new THREE.Quaternion().setFromAxisAngle(axis.normalize(), THREE.MathUtils.degToRad(degrees));
+
+// Bone rest poses; vertex local positions are taken from the rest mesh, as exported
+const BONE_REST = [
+  new THREE.Matrix4().makeTranslation(0, 0, 0),
+  new THREE.Matrix4().makeTranslation(0, 2, 0),
+  new THREE.Matrix4().makeRotationZ(0.3).setPosition(1, 1, 0),
+  new THREE.Matrix4().makeTranslation(-1, 0, 1),
+  new THREE.Matrix4().makeTranslation(0, 0, -1),
+];
+
+/**
+ * A deformable strip written to PTA and read back: 6 vertices on 1 to 5 bones.
+ * Bone 0 only moves (+3 x over 1000 ms); the others also rotate.
+ * @param {number} maxLinks - Bones linked to the last vertex
+ */
+function deformableScene(maxLinks) {
+  const objectRest = new THREE.Matrix4().makeRotationY(0.5).setPosition(2, 0, -3);
+  const vertices = [V(0, 0, 0), V(1, 0, 0), V(0, 1, 0), V(1, 1, 0), V(0, 2, 0.5), V(1, 2, -0.5)];
+  const links = [
+    [[0, 1]],
+    [[0, 0.5], [2, 0.5]],
+    [[1, 0.7], [2, 0.3]],
+    [[0, 0.25], [1, 0.25], [2, 0.5]],
+    [[1, 0.4], [2, 0.2], [3, 0.2], [0, 0.2]],
+    [[0, 0.2], [1, 0.2], [2, 0.2], [3, 0.2], [4, 0.2]].slice(0, maxLinks),
+  ];
+  const bones = BONE_REST.map((rest, b) => ({
+    transformMatrix: rest,
+    posKeys: [{ t: 0, pos: V(0, 0, 0) }, { t: 1000, pos: b === 0 ? V(3, 0, 0) : V(0.5, -b, 0.25) }],
+    sclKeys: [],
+    rotKeys: b === 0
+      ? [{ t: 0, quat: new THREE.Quaternion() }, { t: 1000, quat: new THREE.Quaternion() }]
+      : [{ t: 0, quat: new THREE.Quaternion() }, { t: 1000, quat: turn(V(b, 1, 0.5), 20 * b) }],
+  }));
+  const vertexBoneData = vertices.map((vertex, v) => {
+    const boneLinks = links[v];
+    const total = boneLinks.reduce((sum, [, w]) => sum + w, 0);
+    return {
+      boneIndices: boneLinks.map(([b]) => b),
+      weights: boneLinks.map(([, w]) => w / total),
+      localPositions: boneLinks.map(([b]) =>
+        vertex.clone().applyMatrix4(objectRest).applyMatrix4(BONE_REST[b].clone().invert())),
+    };
+  });
+
+  const scene = {
+    header: null,
+    globalInfo: { bgColor: { r: 0, g: 0, b: 0 }, ambientColor: { r: 0, g: 0, b: 0 } },
+    materials: [{
+      name: 'Mat', flags: 0, ambient: { r: 0, g: 0, b: 0 }, diffuse: { r: 1, g: 1, b: 1 },
+      specular: { r: 0, g: 0, b: 0 }, shininess: 0, texture1: null, texture2: null,
+      isTwoSided: false, subMaterials: [],
+    }],
+    objects: [{
+      name: 'Strip', userProps: '', flags: 0, materialId: 0, transformMatrix: objectRest,
+      vertices, normals: [], colors: [], uvs1: [], uvs2: [], edgeFlags: [],
+      faces: [{ v0: 0, v1: 1, v2: 2 }, { v0: 1, v1: 3, v2: 2 }, { v0: 2, v1: 3, v2: 4 }, { v0: 3, v1: 5, v2: 4 }],
+      posKeys: [], sclKeys: [], rotKeys: [], bones, vertexBoneData,
+    }],
+    cameras: [], lights: [], helpers: [],
+    animStartTime: 0, animEndTime: 1000,
+  };
+  return parsePtaFile(writePtaFile(scene).buffer);
+}
+
+function buildStrip(scene, skinning) {
+  const { mesh, data, skin } = new SceneManager(null, { skinning }).buildScene('strip', scene).meshes.get('Strip');
+  return { mesh, data, skin };
+}
+
+function pose(strip, t) {
+  const objectMatrix = getTransformMatrix(t, strip.data, strip.data.transformMatrix);
+  strip.skin.update(t, objectMatrix);
+  return objectMatrix;
+}
+
+function nearVector(actual, expected, epsilon, message) {
+  assert.ok(actual.distanceTo(expected) <= epsilon, `${message}: ${actual.toArray()} != ${expected.toArray()}`);
+}
+
+test('cpu skinning places vertices at the weighted sum of their bones', () => {
+  const scene = deformableScene(5);
+  const obj = scene.objects[0];
+  assert.ok(obj.deformable);
+  assert.equal(obj.bones.length, 5);
+
+  const strip = buildStrip(scene, SkinningMode.CPU);
+  assert.equal(strip.skin.mode, SkinningMode.CPU);
+  const position = strip.mesh.geometry.getAttribute('position');
+
+  for (const t of [0, 400, 1000]) {
+    const objectInverse = pose(strip, t).clone().invert();
+    const boneMatrices = obj.bones.map(bone => getTransformMatrix(t, bone, bone.transformMatrix));
+    for (let c = 0; c < position.count; c++) {
+      const link = obj.vertexBoneData[strip.skin.cornerToVertex[c]];
+      const world = new THREE.Vector3();
+      link.boneIndices.forEach((b, k) => {
+        world.addScaledVector(link.localPositions[k].clone().applyMatrix4(boneMatrices[b]), link.weights[k]);
+      });
+      const expected = world.applyMatrix4(objectInverse);
+      nearVector(new THREE.Vector3().fromBufferAttribute(position, c), expected, 1e-4, `t=${t} corner ${c}`);
+    }
+  }
+});
+
+test('cpu skinning follows a translated bone exactly', () => {
+  const scene = deformableScene(5);
+  const strip = buildStrip(scene, SkinningMode.CPU);
+  const position = strip.mesh.geometry.getAttribute('position');
+  // Corner 0 is vertex 0, linked only to bone 0 which moves +3 along x
+  pose(strip, 0);
+  const rest = new THREE.Vector3().fromBufferAttribute(position, 0);
+  nearVector(rest, new THREE.Vector3(0, 0, 0), 1e-5, 'rest');
+  const objectMatrix = pose(strip, 500);
+  const moved = new THREE.Vector3().fromBufferAttribute(position, 0).applyMatrix4(objectMatrix);
+  nearVector(moved, new THREE.Vector3(0, 0, 0).applyMatrix4(objectMatrix).add(V(1.5, 0, 0)), 1e-5, 'world');
+});
+
+test('gpu bone deltas match the cpu result for up to four influences', () => {
+  const scene = deformableScene(4);
+  const cpu = buildStrip(deformableScene(4), SkinningMode.CPU);
+  const gpu = buildStrip(scene, SkinningMode.GPU);
+  assert.equal(gpu.skin.mode, SkinningMode.GPU);
+  assert.ok(gpu.mesh.isSkinnedMesh);
+
+  const restPositions = gpu.mesh.geometry.getAttribute('position');
+  const cpuPositions = cpu.mesh.geometry.getAttribute('position');
+  for (const t of [0, 300, 1000]) {
+    pose(cpu, t);
+    pose(gpu, t);
+    gpu.mesh.skeleton.update();
+    for (let c = 0; c < restPositions.count; c++) {
+      const skinned = gpu.mesh.applyBoneTransform(c, new THREE.Vector3().fromBufferAttribute(restPositions, c));
+      nearVector(skinned, new THREE.Vector3().fromBufferAttribute(cpuPositions, c), 1e-4, `t=${t} corner ${c}`);
+    }
+  }
+});
+
+test('objects with more than four influences stay on the cpu', () => {
+  const strip = buildStrip(deformableScene(5), SkinningMode.GPU);
+  assert.equal(strip.skin.mode, SkinningMode.CPU);
+  assert.ok(!strip.mesh.isSkinnedMesh);
+});
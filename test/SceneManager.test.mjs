@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import * as THREE from 'three';
+import { normalizeProductionManifest, sceneOptionsFromManifest } from '../shared/engine/ProductionManifest.js';
+import { SceneManager } from '../shared/engine/SceneManager.js';
+import { ROOT, loadScene } from './fixtures.mjs';
+
+function productionSceneManager(production) {
+  const json = JSON.parse(readFileSync(join(ROOT, production, 'production.json'), 'utf8'));
+  const manifest = normalizeProductionManifest(json, `file://${ROOT}${production}/production.json`);
+  return new SceneManager(null, sceneOptionsFromManifest(manifest));
+}
+
+test('thisway builds the bump scene lens flare from its helper', async () => {
+  const sceneManager = productionSceneManager('thisway');
+  const managed = sceneManager.buildScene('bump', loadScene('thisway/data/3dscenes/bump/scene.pta'));
+  assert.equal(managed.lensFlares.length, 1);
+  const [flare] = managed.lensFlares;
+  assert.deepEqual(flare.elements.map(el => [el.texturePath, el.position, el.size]), [
+    ['data/textures/bump/flare.jpg', 0, 1.3],
+  ]);
+
+  const loaded = [];
+  await sceneManager.loadSceneHelperEffects('bump', async (path) => {
+    loaded.push(path);
+    return new THREE.Texture();
+  });
+  assert.deepEqual(loaded, ['data/textures/bump/flare.jpg']);
+  assert.ok(flare.elements[0].texture instanceof THREE.Texture);
+});
+
+test('loadSceneHelperEffects builds helper particle systems', async () => {
+  const sceneManager = productionSceneManager('odyssey');
+  const managed = sceneManager.buildScene('sala', loadScene('odyssey/data/3dscenes/city/sala.pta'));
+  assert.equal(managed.particleSystems.length, 2);
+  assert.ok(managed.particleSystems.every(psys => !psys.group));
+  await sceneManager.loadSceneHelperEffects('sala', async () => new THREE.Texture());
+  assert.ok(managed.particleSystems.every(psys => psys.group));
+});
+
+test('helperEffects=false skips helper flares', () => {
+  const sceneManager = new SceneManager(null, { helperEffects: false });
+  const managed = sceneManager.buildScene('bump', loadScene('thisway/data/3dscenes/bump/scene.pta'));
+  assert.equal(managed.lensFlares.length, 0);
+});
+
+test('setFog switches scene and particle materials to PTA fog once', async () => {
+  const ptaFogged = (material) => material.customProgramCacheKey().endsWith('ptaFog');
+  const sceneManager = productionSceneManager('odyssey');
+  const early = sceneManager.buildScene('sala', loadScene('odyssey/data/3dscenes/city/sala.pta'));
+  await sceneManager.loadSceneHelperEffects('sala', async () => new THREE.Texture());
+  const materials = (managed) => {
+    const list = [];
+    managed.threeScene.traverse(obj => { if (obj.material?.fog) list.push(obj.material); });
+    for (const psys of managed.particleSystems) list.push(...psys.spriteMaterials);
+    return list;
+  };
+  assert.ok(materials(early).length > 0);
+  assert.ok(!materials(early).some(ptaFogged));
+
+  sceneManager.setFog(sceneManager.createFog('LINEAR', [0, 0, 0], 10, 100, 1));
+  assert.ok(materials(early).every(ptaFogged));
+
+  // Scenes built while the fog is off still get it, so it's ready when turned back on
+  sceneManager.setFog(null);
+  const late = sceneManager.buildScene('sala2', loadScene('odyssey/data/3dscenes/city/sala.pta'));
+  await sceneManager.loadSceneHelperEffects('sala2', async () => new THREE.Texture());
+  assert.ok(materials(late).every(ptaFogged));
+});
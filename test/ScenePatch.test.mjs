@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import * as THREE from 'three';
+import { getTransformMatrix } from '../shared/engine/AnimationSystem.js';
+import {
+  applyScenePatch,
+  normalizeScenePatch,
+  patchedTransformMatrix,
+  scenePatchPath,
+} from '../shared/engine/ScenePatch.js';
+import { SceneManager } from '../shared/engine/SceneManager.js';
+import { AssetManager } from '../shared/engine/AssetManager.js';
+import { normalizeProductionManifest } from '../shared/engine/ProductionManifest.js';
+import { ROOT, loadScene, shippedFiles } from './fixtures.mjs';
+
+function loadPatch(path) {
+  return normalizeScenePatch(JSON.parse(readFileSync(join(ROOT, path), 'utf8')), path);
+}
+
+function near(actual, expected, epsilon = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= epsilon, `${actual} != ${expected}`);
+}
+
+function nearArray(actual, expected, epsilon = 1e-5) {
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= epsilon, `[${i}] ${actual[i]} != ${expected[i]}`);
+  }
+}
+
+test('patch files sit next to their scene', () => {
+  assert.equal(scenePatchPath('data/3dscenes/city/sala.pta'), 'data/3dscenes/city/sala.patch.json');
+  assert.equal(scenePatchPath('data\\3dscenes\\hall\\hall.glb'), 'data/3dscenes/hall/hall.patch.json');
+  assert.equal(scenePatchPath('scenes.v2/noext'), 'scenes.v2/noext.patch.json');
+});
+
+test('shipped patches are valid and name existing objects', () => {
+  const patches = shippedFiles('.patch.json');
+  assert.ok(patches.length >= 2);
+  for (const path of patches) {
+    const patch = loadPatch(path);
+    const scene = loadScene(path.replace(/\.patch\.json$/, '.pta'));
+    for (const name of Object.keys(patch.objects)) {
+      assert.ok(scene.objects.some(obj => obj.name === name), `${path} ${name}`);
+    }
+  }
+});
+
+test('manifests list exactly the shipped patches', () => {
+  const listed = [];
+  for (const production of ['odyssey', 'thisway']) {
+    const json = JSON.parse(readFileSync(join(ROOT, production, 'production.json'), 'utf8'));
+    const manifest = normalizeProductionManifest(json, `file://${ROOT}${production}/production.json`);
+    listed.push(...manifest.scenePatches.map(path => join(production, path)));
+  }
+  assert.deepEqual(listed.sort(), shippedFiles('.patch.json'));
+  assert.throws(() => normalizeProductionManifest({ timeline: 'src/timeline.js', scenePatches: 'sala.patch.json' }, 'file:///'),
+    /"scenePatches" must be a list of paths/);
+});
+
+test('only listed loose patches are fetched', async (t) => {
+  const requested = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    requested.push(url);
+    return new Response(readFileSync(join(ROOT, url)));
+  });
+  const assetManager = new AssetManager(null);
+  assetManager.basePath = 'odyssey/';
+  assetManager.scenePatches = ['data/3dscenes/city/sala.patch.json'];
+
+  assert.equal(await assetManager.loadScenePatch('data/3dscenes/city/city01.pta'), null);
+  const patch = await assetManager.loadScenePatch('data\\3dscenes\\City\\Sala.pta');
+  assert.ok(patch.objects.Box01);
+  assert.deepEqual(requested, ['odyssey/data/3dscenes/city/sala.patch.json']);
+});
+
+test('invalid patches are rejected with the offending property', () => {
+  const cases = [
+    [[], /expected a JSON object/],
+    [{ objects: [] }, /objects must map/],
+    [{ objects: { Box01: { positon: [0, 0, 0] } } }, /Box01"\]\.positon is not one of/],
+    [{ objects: { Box01: { position: [0, 0] } } }, /position must be/],
+    [{ objects: { Box01: { rotation: [0, null, 0] } } }, /rotation must be/],
+    [{ objects: { Box01: { side: 'inside' } } }, /side must be one of front, back, double/],
+    [{ objects: { Box01: { visible: 'no' } } }, /visible must be/],
+    [{ objects: { Box01: { material: { map: 'a.jpg' } } } }, /material\.map must be/],
+  ];
+  for (const [json, message] of cases) {
+    assert.throws(() => normalizeScenePatch(json, 'x.patch.json'), message);
+  }
+  assert.deepEqual(normalizeScenePatch({}), { comment: '', objects: {} });
+});
+
+test('sala boxes move to their demo positions, also when built again', () => {
+  const scene = loadScene('odyssey/data/3dscenes/city/sala.pta');
+  scene.patch = loadPatch('odyssey/data/3dscenes/city/sala.patch.json');
+  const sceneManager = new SceneManager(null);
+  for (let build = 0; build < 2; build++) {
+    const managed = sceneManager.buildScene('sala', scene);
+    const expected = { Box01: [0, -10], Box02: [20, 10], Box03: [0, 30], Box04: [-20, 10] };
+    for (const [name, [x, y]] of Object.entries(expected)) {
+      const { data, mesh } = managed.meshes.get(name);
+      const e = data.transformMatrix.elements;
+      assert.deepEqual([e[12], e[13]], [x, y], name);
+      near(e[14], 34.68144226074219);
+      assert.ok(mesh.matrix.equals(data.transformMatrix), name);
+    }
+  }
+});
+
+test('side and material changes leave objects sharing the material alone', () => {
+  const scene = loadScene('odyssey/data/3dscenes/city/city02.pta');
+  scene.patch = loadPatch('odyssey/data/3dscenes/city/city02.patch.json');
+  const managed = new SceneManager(null).buildScene('city02', scene);
+  const road = managed.meshes.get('suelo carretera').mesh;
+  const lamp = managed.meshes.get('farola palo izq07').mesh;
+  assert.equal(road.material.side, THREE.BackSide);
+  assert.notEqual(lamp.material.side, THREE.BackSide);
+
+  const original = road.material.color.clone();
+  applyScenePatch(managed, normalizeScenePatch({
+    objects: { 'farola palo izq07': { visible: false, material: { opacity: 0.5, color: [1, 0, 0] } } },
+  }));
+  assert.equal(lamp.visible, false);
+  assert.equal(lamp.material.opacity, 0.5);
+  assert.deepEqual(lamp.material.color.toArray(), [1, 0, 0]);
+  assert.ok(road.material.color.equals(original));
+
+  // Patching an object again starts from what it was built with
+  applyScenePatch(managed, normalizeScenePatch({ objects: { 'farola palo izq07': {} } }));
+  assert.equal(lamp.visible, true);
+  assert.notEqual(lamp.material.opacity, 0.5);
+});
+
+test('rotation turns the evaluated node about its pivot', () => {
+  const source = new THREE.Matrix4().compose(
+    new THREE.Vector3(5, 6, 7),
+    new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 1, 0).normalize(), 0.4),
+    new THREE.Vector3(1, 2, 3)
+  );
+  const patched = patchedTransformMatrix(source, { rotation: [0, 90, 0] });
+  const turn = new THREE.Matrix4().makeRotationY(Math.PI / 2);
+  const pivot = new THREE.Vector3(5, 6, 7);
+  const expected = getTransformMatrix(0, {}, source).clone()
+    .premultiply(new THREE.Matrix4().makeTranslation(-pivot.x, -pivot.y, -pivot.z))
+    .premultiply(turn)
+    .premultiply(new THREE.Matrix4().makeTranslation(pivot.x, pivot.y, pivot.z));
+  nearArray(getTransformMatrix(0, {}, patched).elements, expected.elements);
+
+  const moved = patchedTransformMatrix(source, { position: [null, 0, 1] });
+  nearArray(moved.elements, source.clone().setPosition(5, 0, 1).elements, 0);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  formatScriptCommand,
+  parseBlendMode,
+  parseScript,
+  parseTuple,
+  Severity,
+} from '../shared/engine/ScriptParser.js';
+import { ROOT } from './fixtures.mjs';
+
+function parse(text) {
+  const diagnostics = [];
+  return { commands: parseScript(text, diagnostics), diagnostics };
+}
+
+test('parseTuple reads numbers and blend names', () => {
+  assert.deepEqual(parseTuple('(0.5,0.3, 1)'), [0.5, 0.3, 1]);
+  assert.deepEqual(parseTuple('(ALPHA, INVALPHA)'), [4, 5]);
+  assert.deepEqual(parseTuple('(ONE,ZERO)'), [1, 0]);
+  assert.deepEqual(parseTuple('()'), []);
+  assert.deepEqual(parseTuple(''), []);
+  assert.ok(parseTuple('(1, x)').some(Number.isNaN));
+});
+
+test('parseBlendMode ignores case and defaults to ONE', () => {
+  assert.equal(parseBlendMode('invalpha'), 5);
+  assert.equal(parseBlendMode('SrcAlpha'), 4);
+  assert.equal(parseBlendMode('DSTCOLOR'), 8);
+  assert.equal(parseBlendMode('nonsense'), 1);
+});
+
+for (const script of ['odyssey/data/demo.scr', 'thisway/demo.scr']) {
+  test(`${script} parses without errors`, () => {
+    const { commands, diagnostics } = parse(readFileSync(join(ROOT, script), 'latin1'));
+    assert.deepEqual(diagnostics.filter(d => d.severity === Severity.ERROR).map(String), []);
+    assert.ok(commands.some(cmd => cmd.type === '3D_LOADSCENE'));
+  });
+}
+
+test('shipped commands keep their parameters', () => {
+  const text = readFileSync(join(ROOT, 'odyssey/data/demo.scr'), 'latin1');
+  const { commands } = parse(text);
+
+  const scene = commands.find(cmd => cmd.type === '3D_LOADSCENE');
+  assert.equal(scene.params.file, 'data\\3dscenes\\city\\city01.pta');
+  assert.equal(scene.params.id, 'City01');
+  assert.equal(scene.params.packfile, 'demo.dat');
+
+  const blend = commands.find(cmd => cmd.type === '3D_ALPHAFUNC');
+  assert.deepEqual(blend.params.func, [4, 5]);
+  assert.equal(blend.params.start, '4:4:232');
+  assert.equal(blend.params.alpha1, 0);
+});
+
+test('lines, columns and FORCE', () => {
+  const { commands } = parse('; comment\r\n\r\n  3D_FADE start=0 end=100 color=(1,1,1) FORCE\r\n');
+  assert.equal(commands.length, 1);
+  const [fade] = commands;
+  assert.equal(fade.line, 3);
+  assert.equal(fade.column, 3);
+  assert.equal(fade.columns.end, 19);
+  assert.deepEqual(fade.params.color, [1, 1, 1]);
+  assert.equal(fade.params.force, true);
+});
+
+test('diagnostics for unknown commands, malformed tuples and reversed ranges', () => {
+  const { diagnostics } = parse([
+    '3D_FADEE start=0 end=10',
+    '3D_FADE start=0 end=10 color=(1,a,1)',
+    '3D_FADE start=0 end=10 color=()',
+    '3D_FADE start=20 end=10',
+  ].join('\n'));
+
+  assert.deepEqual(diagnostics.map(d => [d.line, d.column, d.severity]), [
+    [1, 1, Severity.ERROR],
+    [2, 24, Severity.ERROR],
+    [3, 24, Severity.ERROR],
+    [4, 9, Severity.ERROR],
+  ]);
+  assert.match(diagnostics[0].message, /Unknown command "3D_FADEE"/);
+  assert.match(diagnostics[1].message, /non-numeric/);
+  assert.match(diagnostics[2].message, /empty/);
+  assert.match(diagnostics[3].message, /after end/);
+});
+
+test('formatScriptCommand writes lines parseScript reads back', () => {
+  const line = '3D_ALPHAFUNC start=6000 end=7000 func=(ALPHA, INVALPHA) alpha1=0 FORCE';
+  const [command] = parse(line).commands;
+  const formatted = formatScriptCommand(command.type, command.params);
+  assert.equal(formatted, line);
+  assert.deepEqual(parse(formatted).commands[0].params, command.params);
+});
+
+test('FX params= JSON ends at its own closing brace', () => {
+  const { commands, diagnostics } = parse([
+    'FX class=FXA params={"a": 1, "b": {"c": [1, 2]}} name="x}" start=0 end=10',
+    'FX class=FXA params={"text": "} = {", "q": "\\"}"} priority=2 ; note {x}',
+    'FX class=FXA params={}',
+  ].join('\n'));
+  assert.deepEqual(diagnostics.map(String), []);
+
+  const [first, second, empty] = commands;
+  assert.deepEqual(first.params.params, { a: 1, b: { c: [1, 2] } });
+  assert.equal(first.params.name, 'x}');
+  assert.equal(first.params.end, 10);
+  assert.equal(first.columns.params, 14);
+  assert.deepEqual(second.params.params, { text: '} = {', q: '"}' });
+  assert.equal(second.params.priority, 2);
+  assert.deepEqual(empty.params.params, {});
+});
+
+test('malformed or unclosed FX params= are errors', () => {
+  const { commands, diagnostics } = parse([
+    'FX class=FXA params={"a": } start=0',
+    'FX class=FXA params={"a": 1',
+  ].join('\n'));
+  assert.deepEqual(diagnostics.map(d => [d.line, d.column, d.severity]), [
+    [1, 14, Severity.ERROR],
+    [2, 14, Severity.ERROR],
+  ]);
+  assert.match(diagnostics[0].message, /Malformed JSON for "params"/);
+  assert.deepEqual(commands[0].params.params, {});
+  assert.equal(commands[0].params.start, 0);
+});
+
+test('FX params= round-trip through formatScriptCommand', () => {
+  const [command] = parse('FX class=FXA name="A" start=0 end=10 params={"t": "a} b", "n": [1, 2]}').commands;
+  const formatted = formatScriptCommand(command.type, command.params);
+  assert.deepEqual(parse(formatted).commands[0].params.params, command.params.params);
+});
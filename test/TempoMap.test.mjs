@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { TempoMap, isMusicalTime } from '../shared/engine/TempoMap.js';
+import { parseScript } from '../shared/engine/ScriptParser.js';
+import { ROOT } from './fixtures.mjs';
+
+function near(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= epsilon, `${actual} != ${expected}`);
+}
+
+function productionTempo(production) {
+  const json = JSON.parse(readFileSync(join(ROOT, production, 'production.json'), 'utf8'));
+  return new TempoMap(json.tempo);
+}
+
+test('isMusicalTime accepts bar:beat and bar:beat:tick only', () => {
+  assert.ok(isMusicalTime('17:1'));
+  assert.ok(isMusicalTime(' 17:3:240 '));
+  assert.ok(isMusicalTime('-1:4'));
+  assert.ok(!isMusicalTime('17'));
+  assert.ok(!isMusicalTime('17:1:2:3'));
+  assert.ok(!isMusicalTime('1.5:1'));
+  assert.ok(!isMusicalTime(1000));
+});
+
+test('resolve counts beats and ticks from the offset', () => {
+  // 120 bpm: 500 ms per beat, 2000 ms per bar
+  const tempo = new TempoMap({ bpm: 120, offset: 1000 });
+  near(tempo.resolve('1:1'), 1000);
+  near(tempo.resolve('1:1:0'), 1000);
+  near(tempo.resolve('1:3'), 2000);
+  near(tempo.resolve('2:1'), 3000);
+  near(tempo.resolve('2:2:240'), 3750);
+  near(tempo.resolve('1:1:1'), 1000 + 500 / 480);
+  near(tempo.resolve('0:1'), -1000);
+  near(tempo.resolve('3:1:960'), tempo.resolve('3:3'));
+});
+
+test('resolve passes milliseconds through and rejects other strings', () => {
+  const tempo = new TempoMap({ bpm: 120 });
+  assert.equal(tempo.resolve(1234.5), 1234.5);
+  assert.equal(tempo.resolve('1234.5'), 1234.5);
+  assert.throws(() => tempo.resolve('intro'), /Invalid time "intro"/);
+  assert.throws(() => new TempoMap({ bpm: 0 }), /bpm/);
+  assert.throws(() => new TempoMap({ bpm: 120, changes: [{ bar: 1, bpm: 60 }] }), /must come after bar 1/);
+});
+
+test('tempo and meter changes start at their bar', () => {
+  const tempo = new TempoMap({
+    bpm: 120,
+    ticksPerBeat: 96,
+    changes: [{ bar: 5, beatsPerBar: 3 }, { bar: 3, bpm: 60 }],
+  });
+  // Bars 1-2 at 120 bpm (2000 ms), bars 3-4 at 60 bpm (4000 ms), then 3/4 at 60 bpm
+  near(tempo.resolve('3:1'), 4000);
+  near(tempo.resolve('3:2:48'), 5500);
+  near(tempo.resolve('5:1'), 12000);
+  near(tempo.resolve('6:1'), 15000);
+  near(tempo.resolve('5:3:95'), 14000 + 1000 * 95 / 96);
+  // The last beat before a change still runs at the old tempo
+  near(tempo.resolve('2:4:48'), 3750);
+});
+
+test('format is the inverse of resolve to the nearest tick', () => {
+  const tempo = new TempoMap({ bpm: 155.035, offset: 8, changes: [{ bar: 97, bpm: 100 }] });
+  for (const bbt of ['1:1:0', '1:4:479', '37:2:231', '96:4:479', '97:1:0', '99:4:386', '0:4:0']) {
+    assert.equal(tempo.format(tempo.resolve(bbt)), bbt);
+  }
+  assert.deepEqual(tempo.fromMs(tempo.resolve('97:1') - 0.1), { bar: 97, beat: 1, tick: 0 });
+  assert.deepEqual(tempo.fromMs(tempo.resolve('97:1') + 1000), { bar: 97, beat: 2, tick: 320 });
+  // Within half a tick (~0.2 ms at 155 bpm) of the written time
+  const ms = tempo.resolve(tempo.format(56311));
+  assert.ok(Math.abs(ms - 56311) < 0.5 * 60000 / 155.035 / 480);
+});
+
+test('shipped tempo maps keep the original sync times', () => {
+  const odyssey = productionTempo('odyssey');
+  const thisway = productionTempo('thisway');
+  // First and last of FXSplineForm SINCRO_BEATS, FXBouncingObject BOUNCE_INSTANTS
+  // and FX3DObjectMamut MAMUT_SYNCS against the ms values of the C++ original
+  const cases = [
+    [odyssey, '60:4:12', 92513], [odyssey, '69:1:33', 105301],
+    [odyssey, '37:2:231', 56311], [odyssey, '50:4:345', 77301],
+    [thisway, '19:2:44', 50548], [thisway, '26:3:416', 63628],
+  ];
+  for (const [tempo, bbt, ms] of cases) {
+    assert.ok(Math.abs(tempo.resolve(bbt) - ms) < 1, `${bbt} ${tempo.resolve(bbt)} != ${ms}`);
+  }
+});
+
+for (const production of ['odyssey', 'thisway']) {
+  test(`${production} script times resolve in order`, () => {
+    const tempo = productionTempo(production);
+    const script = production === 'odyssey' ? 'odyssey/data/demo.scr' : 'thisway/demo.scr';
+    const commands = parseScript(readFileSync(join(ROOT, script), 'latin1'), []);
+    const timed = commands.filter(cmd => isMusicalTime(cmd.params.start) || isMusicalTime(cmd.params.end));
+    assert.ok(timed.length > 0);
+    for (const { params } of timed) {
+      const start = tempo.resolve(params.start ?? 0);
+      const end = tempo.resolve(params.end ?? start);
+      assert.ok(Number.isFinite(start) && start <= end, `${params.start} .. ${params.end}`);
+    }
+  });
+}
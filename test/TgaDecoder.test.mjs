@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeTga } from '../shared/utils/TgaDecoder.js';
+import { readFixture, shippedFiles } from './fixtures.mjs';
+
+/**
+ * A .tga file with an 18-byte header followed by `body`.
+ * @param {Object} header
+ * @param {number[]} body - ID field, color map and pixel data
+ * @returns {ArrayBuffer}
+ */
+function tga({ type = 2, bpp = 24, width, height, descriptor = 0, idLength = 0, colorMap = null }, body) {
+  const bytes = new Uint8Array(18 + body.length);
+  bytes[0] = idLength;
+  if (colorMap) {
+    bytes[1] = 1;
+    bytes[5] = colorMap.length;
+    bytes[7] = colorMap.bits;
+  }
+  bytes[2] = type;
+  bytes[12] = width;
+  bytes[14] = height;
+  bytes[16] = bpp;
+  bytes[17] = descriptor;
+  bytes.set(body, 18);
+  return bytes.buffer;
+}
+
+// 2x2 BGR pixels in file order: bottom row, then top row
+const BGR = [
+  0, 0, 255, 0, 255, 0,
+  255, 0, 0, 255, 255, 255,
+];
+const RGBA = [
+  255, 0, 0, 255, 0, 255, 0, 255,
+  0, 0, 255, 255, 255, 255, 255, 255,
+];
+
+test('shipped textures decode to bottom-up RGBA', () => {
+  const files = shippedFiles('.tga');
+  assert.ok(files.some(path => path.endsWith('glow.tga')));
+  for (const path of files) {
+    const buffer = readFixture(path);
+    const bytes = new Uint8Array(buffer);
+    const image = decodeTga(buffer);
+    assert.equal(image.width, bytes[12] | (bytes[13] << 8), path);
+    assert.equal(image.height, bytes[14] | (bytes[15] << 8), path);
+    assert.equal(image.data.length, image.width * image.height * 4, path);
+    assert.equal(image.hasAlpha, image.bitsPerPixel === 32, path);
+
+    // First pixel in the file is the bottom-left one (origin flags clear)
+    const first = 18 + bytes[0];
+    const alpha = image.bitsPerPixel === 32 ? bytes[first + 3] : 255;
+    assert.deepEqual([...image.data.subarray(0, 4)], [bytes[first + 2], bytes[first + 1], bytes[first], alpha], path);
+  }
+});
+
+test('24-bit images are opaque, 32-bit ones keep their alpha', () => {
+  const opaque = decodeTga(tga({ width: 2, height: 2 }, BGR));
+  assert.deepEqual([...opaque.data], RGBA);
+  assert.equal(opaque.hasAlpha, false);
+
+  // PTA blends any 32-bit texture, even when every pixel is opaque
+  const solid = decodeTga(tga({ bpp: 32, width: 1, height: 1 }, [1, 2, 3, 255]));
+  assert.deepEqual([...solid.data], [3, 2, 1, 255]);
+  assert.equal(solid.hasAlpha, true);
+  assert.equal(solid.bitsPerPixel, 32);
+
+  const translucent = decodeTga(tga({ bpp: 32, width: 2, height: 1 }, [1, 2, 3, 0, 4, 5, 6, 128]));
+  assert.deepEqual([...translucent.data], [3, 2, 1, 0, 6, 5, 4, 128]);
+});
+
+test('origin flags flip rows and columns into bottom-left order', () => {
+  // Top-left origin: the file starts with the top row
+  const topRows = [...BGR.slice(6), ...BGR.slice(0, 6)];
+  assert.deepEqual([...decodeTga(tga({ width: 2, height: 2, descriptor: 0x20 }, topRows)).data], RGBA);
+
+  // Right origin: each row starts with its rightmost pixel
+  const rightCols = [...BGR.slice(3, 6), ...BGR.slice(0, 3), ...BGR.slice(9), ...BGR.slice(6, 9)];
+  assert.deepEqual([...decodeTga(tga({ width: 2, height: 2, descriptor: 0x10 }, rightCols)).data], RGBA);
+
+  const both = [...rightCols.slice(6), ...rightCols.slice(0, 6)];
+  assert.deepEqual([...decodeTga(tga({ width: 2, height: 2, descriptor: 0x30 }, both)).data], RGBA);
+});
+
+test('RLE packets expand across scanlines', () => {
+  // 3x2, 24-bit: a run of 4 red pixels crossing into the top row, then 2 raw pixels
+  const rle24 = decodeTga(tga({ type: 10, width: 3, height: 2 }, [
+    0x83, 0, 0, 255,
+    0x01, 0, 255, 0, 255, 0, 0,
+  ]));
+  assert.deepEqual([...rle24.data], [
+    255, 0, 0, 255, 255, 0, 0, 255, 255, 0, 0, 255,
+    255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255,
+  ]);
+
+  // 32-bit, top-left origin: raw top row, then a run for the bottom row
+  const rle32 = decodeTga(tga({ type: 10, bpp: 32, width: 2, height: 2, descriptor: 0x20 }, [
+    0x01, 1, 2, 3, 4, 5, 6, 7, 8,
+    0x81, 9, 9, 9, 0,
+  ]));
+  assert.deepEqual([...rle32.data], [
+    9, 9, 9, 0, 9, 9, 9, 0,
+    3, 2, 1, 4, 7, 6, 5, 8,
+  ]);
+  assert.equal(rle32.hasAlpha, true);
+});
+
+test('ID field and color map are skipped', () => {
+  const body = [7, 7, 7, /* color map: 2 x 16 bit */ 0, 0, 0, 0, ...BGR];
+  const image = decodeTga(tga({ width: 2, height: 2, idLength: 3, colorMap: { length: 2, bits: 16 } }, body));
+  assert.deepEqual([...image.data], RGBA);
+});
+
+test('unsupported and damaged files are rejected', () => {
+  assert.throws(() => decodeTga(new ArrayBuffer(10)), /file too short/);
+  assert.throws(() => decodeTga(tga({ type: 1, width: 1, height: 1 }, [0, 0, 0])), /unsupported image type 1/);
+  assert.throws(() => decodeTga(tga({ bpp: 16, width: 1, height: 1 }, [0, 0])), /unsupported pixel depth 16/);
+  assert.throws(() => decodeTga(tga({ width: 0, height: 1 }, [])), /empty image/);
+  assert.throws(() => decodeTga(tga({ width: 2, height: 2 }, BGR.slice(0, 9))), /truncated pixel data/);
+  assert.throws(() => decodeTga(tga({ type: 10, width: 2, height: 1 }, [0x80, 1, 2, 3])), /truncated RLE data/);
+  assert.throws(() => decodeTga(tga({ type: 10, width: 2, height: 1 }, [0x82, 1, 2, 3])), /overruns image/);
+  assert.throws(() => decodeTga(tga({ type: 10, width: 1, height: 1 }, [0x80, 1, 2])), /truncated RLE data/);
+});
@@ -0,0 +1,44 @@
+/**
+ * Shipped production data used as test fixtures.
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parsePtaFile } from '../shared/engine/PtaFileLoader.js';
+
+export const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Contents of a file in the repository.
+ * @param {string} path - Relative to the repository root
+ * @returns {ArrayBuffer}
+ */
+export function readFixture(path) {
+  const bytes = readFileSync(join(ROOT, path));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+/**
+ * Shipped data files with an extension, from every production.
+ * @param {string} ext - e.g. '.pta'
+ * @returns {string[]} Paths relative to the repository root
+ */
+export function shippedFiles(ext) {
+  const files = [];
+  for (const production of ['odyssey', 'thisway']) {
+    const data = join(ROOT, production, 'data');
+    for (const file of readdirSync(data, { recursive: true })) {
+      if (file.toLowerCase().endsWith(ext)) files.push(join(production, 'data', file));
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * @param {string} path - Relative to the repository root
+ * @returns {import('../shared/engine/PtaFileLoader.js').PtaScene}
+ */
+export function loadScene(path) {
+  return parsePtaFile(readFixture(path));
+}
@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -9,8 +9,8 @@ import * as THREE from 'three';
  * The object matrix resets to identity each frame; completed actions persist
  * via whenFinished behavior. Final transform: actionMatrix * initialMatrix.
  *
- * Lens flare: parsed from helper userProps in the PTA scene file. Rendered
- * as additive textured quads projected from the helper's world position.
+ * The scene's lens flare (helper Point01's userProps) is built and drawn by
+ * SceneManager like any helper-driven flare.
  *
  * Original: FX3DObjectBump.cpp + FX3DObject.cpp (CreateActions)
  */
@@ -28,14 +28,9 @@ const BUMP_SYNCS = [
   67141, 67572, 68007, 68460, 68913, 69347, 69785,
 ];
 
-// Lens flare fade speed (C++: alpha += incMs / 150.0)
-const FLARE_FADE_SPEED = 1.0 / 150.0;
-
-// Reusable objects for raycasting (avoid per-frame allocation)
-const _raycaster = new THREE.Raycaster();
-const _rayDir = new THREE.Vector3();
-
 export class FX3DObjectBump extends DemoFX {
+  static setupParams = ['name', 'camera', 'sceneFile', 'textureDir'];
+
   constructor() {
     super();
     this.name = 'FX3DObjectBump';
@@ -51,14 +46,6 @@ export class FX3DObjectBump extends DemoFX {
     this.targetMesh = null;
     /** @type {THREE.Matrix4|null} */
     this.initialMatrix = null;
-
-    // Lens flare data (parsed from helper userProps)
-    /** @type {Array<{position: number, size: number, texture: THREE.Texture}>} */
-    this.flares = [];
-    /** @type {THREE.Vector3|null} */
-    this.flareSourcePos = null;
-    this.flareAlpha = 1.0;
-    this.lastFxTime = 0;
   }
 
   setup(name, camera, sceneFile, textureDir) {
@@ -70,14 +57,14 @@ export class FX3DObjectBump extends DemoFX {
 
   async loadData(dm) {
     if (!this.sceneFile) return;
-    let ptaScene;
     try {
       this.sceneId = `bump_${Date.now()}`;
-      ptaScene = await dm.assetManager.loadPtaScene(this.sceneFile);
+      const ptaScene = await dm.assetManager.loadPtaScene(this.sceneFile);
       const textures = this.textureDir
         ? await dm.assetManager.loadSceneTextures(ptaScene, this.textureDir)
         : new Map();
       dm.sceneManager.buildScene(this.sceneId, ptaScene, textures);
+      await dm.sceneManager.loadSceneHelperEffects(this.sceneId, (path) => dm.assetManager.loadTextureByPath(path));
     } catch (err) {
       console.warn(`FX3DObjectBump: failed to load scene "${this.sceneFile}":`, err.message);
       this.sceneId = null;
@@ -106,44 +93,6 @@ export class FX3DObjectBump extends DemoFX {
         }
       }
     }
-
-    // Parse lens flare from helper userProps
-    if (ptaScene && ptaScene.helpers) {
-      for (const helper of ptaScene.helpers) {
-        if (!helper.userProps || !helper.userProps.toLowerCase().includes('lensflare')) continue;
-
-        // Extract flare source position from helper matrix
-        const pos = new THREE.Vector3();
-        helper.transformMatrix.decompose(pos, new THREE.Quaternion(), new THREE.Vector3());
-        this.flareSourcePos = pos;
-
-        // Parse userProps text: numflares, texturefile, position, size
-        const props = helper.userProps;
-        const numMatch = props.match(/numflares\s*=\s*(\d+)/i);
-        const numFlares = numMatch ? parseInt(numMatch[1]) : 0;
-
-        // Extract all texture/position/size entries
-        const texMatches = [...props.matchAll(/texturefile\s*=\s*"([^"]+)"/gi)];
-        const posMatches = [...props.matchAll(/position\s*=\s*([\d.]+)/gi)];
-        const sizeMatches = [...props.matchAll(/size\s*=\s*([\d.]+)/gi)];
-
-        for (let i = 0; i < numFlares; i++) {
-          const texPath = texMatches[i] ? texMatches[i][1].replace(/\\/g, '/') : null;
-          const fPos = posMatches[i] ? parseFloat(posMatches[i][1]) : 0;
-          const fSize = sizeMatches[i] ? parseFloat(sizeMatches[i][1]) : 1.0;
-
-          if (texPath) {
-            try {
-              const tex = await dm.assetManager.loadTextureByPath(texPath);
-              this.flares.push({ position: fPos, size: fSize, texture: tex });
-            } catch (err) {
-              console.warn(`FX3DObjectBump: failed to load flare texture "${texPath}":`, err.message);
-            }
-          }
-        }
-        break; // Only process the first helper with lensflare
-      }
-    }
   }
 
   doFrame(fxTime, demoTime, dm) {
@@ -189,106 +138,14 @@ export class FX3DObjectBump extends DemoFX {
       }
     }
 
-    // Render scene (time=-1: skip keyframe animation, FX manages matrices)
+    // Render scene (time=-1: skip keyframe animation, FX manages matrices).
+    // Lens flares are drawn over it, occluded by the rotating object.
     dm.sceneManager.renderScene(this.sceneId, -1, activeCamera, 1.0);
-
-    // Render lens flares (C++: post-render, always on top, additive blend)
-    this._renderFlares(fxTime, activeCamera, dm);
-
-    this.lastFxTime = fxTime;
-  }
-
-  _renderFlares(fxTime, cameraName, dm) {
-    if (this.flares.length === 0 || !this.flareSourcePos) return;
-
-    const managed = dm.sceneManager.getScene(this.sceneId);
-    if (!managed) return;
-
-    const camEntry = managed.cameras.get(cameraName);
-    if (!camEntry) return;
-
-    const camera = camEntry.camera;
-
-    // Project flare source position to screen space (0-1 normalized)
-    const projected = this.flareSourcePos.clone().project(camera);
-
-    // projected.x and projected.y are in NDC [-1, 1]
-    // Convert to PTA viewport coords (0-1, y=0=top)
-    const screenX = (projected.x + 1) * 0.5;
-    const screenY = 1 - (projected.y + 1) * 0.5; // Flip Y for PTA convention
-
-    // Check if flare is behind camera (projected.z > 1)
-    const isInFront = projected.z >= -1 && projected.z <= 1;
-    const isOnScreen = screenX >= 0 && screenX <= 1 && screenY >= 0 && screenY <= 1;
-
-    // C++ occlusion: after scene render, read Z-buffer at projected position.
-    // If mesh depth < flare depth → occluded. Three.js equivalent: raycast.
-    let isOccluded = false;
-    if (isInFront && isOnScreen && this.targetMesh) {
-      // Ray from camera toward flare source
-      const camPos = camera.getWorldPosition(new THREE.Vector3());
-      _rayDir.copy(this.flareSourcePos).sub(camPos).normalize();
-      _raycaster.set(camPos, _rayDir);
-
-      // Distance from camera to flare source
-      const flareDist = camPos.distanceTo(this.flareSourcePos);
-
-      // Test intersection against the target mesh
-      const intersects = _raycaster.intersectObject(this.targetMesh, false);
-      if (intersects.length > 0 && intersects[0].distance < flareDist) {
-        isOccluded = true;
-      }
-    }
-
-    // Update flare alpha (C++: fade in/out over 150ms)
-    const incMs = Math.max(0, fxTime - this.lastFxTime);
-    if (isInFront && isOnScreen && !isOccluded) {
-      this.flareAlpha = Math.min(1.0, this.flareAlpha + incMs * FLARE_FADE_SPEED);
-    } else {
-      this.flareAlpha = Math.max(0.0, this.flareAlpha - incMs * FLARE_FADE_SPEED);
-    }
-    this.flareAlpha = Math.max(0.0, Math.min(1.0, this.flareAlpha));
-
-    if (this.flareAlpha <= 0.001) return;
-
-    // C++ size pulsing: sizeMultiplier = 0.75 + (alpha / 4.0)
-    const sizeMultiplier = 0.75 + (this.flareAlpha / 4.0);
-
-    // Screen center (PTA coords)
-    const centerX = 0.5;
-    const centerY = 0.5;
-
-    // Ray from flare position to screen center
-    const rayX = (centerX - screenX) * 2.0;
-    const rayY = (centerY - screenY) * 2.0;
-
-    for (const flare of this.flares) {
-      // Position along the ray trajectory
-      const flareX = screenX + rayX * flare.position;
-      const flareY = screenY + rayY * flare.position;
-
-      // C++ size with 4:3 aspect ratio: width = size, height = size * 1.33
-      const w = flare.size * sizeMultiplier;
-      const h = w * 1.33;
-
-      // Draw flare quad (additive blending, no depth test)
-      dm.renderer.drawTexturedQuad(
-        flare.texture,
-        flareX, flareY,
-        w, h,
-        0,
-        this.flareAlpha,
-        4, // SRCALPHA
-        1  // ONE (additive)
-      );
-    }
   }
 
   close() {
     this.sceneId = null;
     this.targetMesh = null;
     this.initialMatrix = null;
-    this.flares = [];
-    this.flareSourcePos = null;
   }
 }
@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -19,12 +19,12 @@ import * as THREE from 'three';
  * Original: FX3DObjectMamut.cpp (subclass of FX3DObject.cpp)
  */
 
-// 16 absolute demo times (ms) where bounce/rotation triggers
+// 16 sync points (bar:beat:tick) where bounce/rotation triggers
 const MAMUT_SYNCS = [
-  50548, 51439, 52233, 53123,
-  54023, 54888, 55794, 56654,
-  57553, 58456, 59282, 60153,
-  61046, 61941, 62771, 63628,
+  '19:2:44', '19:4:58', '20:1:445', '20:3:458',
+  '21:2:1', '21:3:466', '22:2:16', '22:3:476',
+  '23:2:18', '23:4:45', '24:1:467', '24:3:459',
+  '25:1:475', '25:4:12', '26:1:439', '26:3:416',
 ];
 
 const ROTATION_DURATION = 250;  // ms
@@ -38,6 +38,8 @@ const BOUNCE_DECAY = 0.17;
 const BOUNCE_FREQ = 0.03;
 
 export class FX3DObjectMamut extends DemoFX {
+  static setupParams = ['name', 'camera', 'sceneFile', 'textureDir'];
+
   constructor() {
     super();
     this.name = 'FX3DObjectMamut';
@@ -53,6 +55,9 @@ export class FX3DObjectMamut extends DemoFX {
     this.initialMatrix = null;
     /** @type {THREE.Mesh|null} */
     this.targetMesh = null;
+
+    /** Sync points, ms or "bar:beat:tick" (resolved with the tempo map in loadData) */
+    this.syncs = MAMUT_SYNCS;
   }
 
   setup(name, camera, sceneFile, textureDir) {
@@ -63,6 +68,7 @@ export class FX3DObjectMamut extends DemoFX {
   }
 
   async loadData(dm) {
+    this.syncs = this.syncs.map(t => dm.time(t));
     if (!this.sceneFile) return;
     try {
       this.sceneId = `mamut_${Date.now()}`;
@@ -71,6 +77,7 @@ export class FX3DObjectMamut extends DemoFX {
         ? await dm.assetManager.loadSceneTextures(ptaScene, this.textureDir)
         : new Map();
       dm.sceneManager.buildScene(this.sceneId, ptaScene, textures);
+      await dm.sceneManager.loadSceneHelperEffects(this.sceneId, (path) => dm.assetManager.loadTextureByPath(path));
 
       // Match PTA bump register-combiner output used by this scene:
       //   diffuse term should be texture * NdotL (no material diffuse attenuation),
@@ -115,8 +122,8 @@ export class FX3DObjectMamut extends DemoFX {
       const fullAngleRad = ROTATION_ANGLE * (Math.PI / 180);
 
       // Priority 1: Process all rotations
-      for (let i = 0; i < MAMUT_SYNCS.length; i++) {
-        const sync = MAMUT_SYNCS[i];
+      for (let i = 0; i < this.syncs.length; i++) {
+        const sync = this.syncs[i];
         const rotStart = sync - ROTATION_PRE;
         const rotEnd = sync + ROTATION_POST;
 
@@ -134,8 +141,8 @@ export class FX3DObjectMamut extends DemoFX {
       }
 
       // Priority 2: Process all bounces
-      for (let i = 0; i < MAMUT_SYNCS.length; i++) {
-        const sync = MAMUT_SYNCS[i];
+      for (let i = 0; i < this.syncs.length; i++) {
+        const sync = this.syncs[i];
         const bounceEnd = sync + BOUNCE_DURATION;
 
         if (demoTime >= sync && demoTime < bounceEnd) {
@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXBackground1 - Multi-layer parallax tiled background.
@@ -24,6 +24,8 @@ function msvcRand(state) {
 const MSVC_RAND_MAX = 0x7FFF;
 
 export class FXBackground1 extends DemoFX {
+  static setupParams = ['numQuads', 'sizeX', 'sizeY', 'texturePath'];
+
   constructor() {
     super();
     this.name = 'FXBackground1';
@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -14,6 +14,8 @@ import * as THREE from 'three';
  * Original: FXBackgroundDistortion.cpp
  */
 export class FXBackgroundDistortion extends DemoFX {
+  static setupParams = ['gridW', 'gridH', 'duration', 'clearColor'];
+
   constructor() {
     super();
     this.name = 'FXBackgroundDistortion';
@@ -50,7 +52,7 @@ export class FXBackgroundDistortion extends DemoFX {
   /**
    * Build the distortion grid mesh. Framebuffer texture is created lazily
    * in doFrame to match the current viewport size (set by ViewportInt).
-   * @param {import('../engine/DemoManager.js').DemoManager} dm
+   * @param {import('../../../shared/engine/DemoManager.js').DemoManager} dm
    */
   async loadData(dm) {
     // Grid mesh covering 0-1 screen space
@@ -158,7 +160,7 @@ export class FXBackgroundDistortion extends DemoFX {
    * Capture framebuffer, distort grid, and redraw.
    * @param {number} fxTime - Time since effect start (ms)
    * @param {number} demoTime - Absolute demo time (ms)
-   * @param {import('../engine/DemoManager.js').DemoManager} dm
+   * @param {import('../../../shared/engine/DemoManager.js').DemoManager} dm
    */
   doFrame(fxTime, demoTime, dm) {
     if (!this.mesh) return;
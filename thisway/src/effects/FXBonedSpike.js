@@ -1,5 +1,5 @@
-import { DemoFX } from '../engine/DemoManager.js';
-import { getTransformMatrix } from '../engine/AnimationSystem.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
+import { getTransformMatrix } from '../../../shared/engine/AnimationSystem.js';
 import * as THREE from 'three';
 
 /**
@@ -19,6 +19,8 @@ import * as THREE from 'three';
 const DEG_TO_RAD = Math.PI / 180;
 
 export class FXBonedSpike extends DemoFX {
+  static setupParams = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'elasticity', 'sceneFile', 'textureDir'];
+
   constructor() {
     super();
     this.name = 'FXBonedSpike';
@@ -71,6 +73,7 @@ export class FXBonedSpike extends DemoFX {
         ? await dm.assetManager.loadSceneTextures(ptaScene, this.textureDir)
         : new Map();
       dm.sceneManager.buildScene(this.sceneId, ptaScene, textures);
+      await dm.sceneManager.loadSceneHelperEffects(this.sceneId, (path) => dm.assetManager.loadTextureByPath(path));
     } catch (err) {
       console.warn(`FXBonedSpike: failed to load scene "${this.sceneFile}":`, err.message);
       this.sceneId = null;
@@ -1,5 +1,6 @@
-import { DemoFX } from '../engine/DemoManager.js';
-import { getTransformMatrix } from '../engine/AnimationSystem.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
+import { getTransformMatrix } from '../../../shared/engine/AnimationSystem.js';
+import { PtaFog, FogMode, usePtaFog } from '../../../shared/engine/PtaFog.js';
 import * as THREE from 'three';
 
 /**
@@ -30,6 +31,8 @@ const TRAIL_SCALE = 3.2;      // size growth factor over lifetime
 const TRAIL_SPEED = 5.0;      // direction magnitude (from direction vector (0,5,0))
 
 export class FXEP10ParticledSpheres extends DemoFX {
+  static setupParams = ['sceneFile', 'particleTexture', 'textureDir', 'camera', 'sceneTime', 'playSpeed'];
+
   constructor() {
     super();
     this.name = 'FXEP10ParticledSpheres';
@@ -230,13 +233,13 @@ export class FXEP10ParticledSpheres extends DemoFX {
     this.cScene = new THREE.Scene();
     this.trailScene = new THREE.Scene();
 
-    // Add fog to scenes that need it
-    const fogCol = BG_COLOR.clone();
-    this.aScene.fog = new THREE.Fog(fogCol, 145, 240);
-    this.wireScene.fog = new THREE.Fog(fogCol, 145, 240);
-    this.bScene.fog = new THREE.Fog(fogCol, 145, 240);
-    this.cScene.fog = new THREE.Fog(fogCol, 145, 240);
-    this.trailScene.fog = new THREE.Fog(fogCol, 145, 240);
+    // C++: glFogi(GL_FOG_MODE, GL_LINEAR), start=145, end=240, shared by all passes
+    this.fog = new PtaFog(FogMode.LINEAR, BG_COLOR, 145, 240);
+    this.aScene.fog = this.fog.threeFog;
+    this.wireScene.fog = this.fog.threeFog;
+    this.bScene.fog = this.fog.threeFog;
+    this.cScene.fog = this.fog.threeFog;
+    this.trailScene.fog = this.fog.threeFog;
 
     // Add lights from main scene to sub-scenes (store clones for sync in doFrame)
     this.aLights = [];
@@ -469,6 +472,9 @@ export class FXEP10ParticledSpheres extends DemoFX {
       }
     }
 
+    for (const scene of [this.aScene, this.wireScene, this.bScene, this.cScene, this.trailScene]) {
+      usePtaFog(scene);
+    }
     this.initialized = true;
   }
 
@@ -1,6 +1,6 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
-import { getTransformMatrix } from '../engine/AnimationSystem.js';
+import { getTransformMatrix } from '../../../shared/engine/AnimationSystem.js';
 
 /**
  * FXEuskal10Circles - 3D circles scene with per-object Z rotation and sync pulses.
@@ -52,6 +52,8 @@ const ASTOMP_DURATION = 500; // ms
 const FILL_TINT = new THREE.Color(0.655, 0.62, 0.7411);
 
 export class FXEuskal10Circles extends DemoFX {
+  static setupParams = ['sceneFile', 'textureDir', 'camera', 'sceneTime', 'playSpeed', 'bgTexturePath'];
+
   constructor() {
     super();
     this.name = 'FXEuskal10Circles';
@@ -122,6 +124,7 @@ export class FXEuskal10Circles extends DemoFX {
           ? await dm.assetManager.loadSceneTextures(ptaScene, this.textureDir)
           : new Map();
         dm.sceneManager.buildScene(this.sceneId, ptaScene, textures);
+        await dm.sceneManager.loadSceneHelperEffects(this.sceneId, (path) => dm.assetManager.loadTextureByPath(path));
       } catch (err) {
         console.warn(`FXEuskal10Circles: failed to load scene "${this.sceneFile}":`, err.message);
         this.sceneId = null;
@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -27,6 +27,11 @@ const THREE_HALF_PI = PI + HALF_PI; // 3π/2
 const INITIALHEIGHT = 3.0;
 
 export class FXEuskal10Credits extends DemoFX {
+  static setupParams = [
+    'numChars', 'charTextures', 'textureDir', 'x', 'y', 'charW', 'charH', 'spacing',
+    'totalDuration', 'charDelay', 'fadeTime',
+  ];
+
   constructor() {
     super();
     this.name = 'FXEuskal10Credits';
@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -26,6 +26,8 @@ const MASK_W = 64;   // Full-width bars don't need horizontal resolution
 const MASK_H = 256;  // Vertical resolution matters for horizontal bars
 
 export class FXEuskal10Greets extends DemoFX {
+  static setupParams = ['x', 'y', 'w', 'h', 'fadeIn', 'stay', 'fadeOut', 'texturePath'];
+
   constructor() {
     super();
     this.name = 'FXEuskal10Greets';
@@ -1,5 +1,5 @@
-import { DemoFX } from '../engine/DemoManager.js';
-import { getTransformMatrix } from '../engine/AnimationSystem.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
+import { getTransformMatrix } from '../../../shared/engine/AnimationSystem.js';
 import * as THREE from 'three';
 
 /**
@@ -27,6 +27,8 @@ const FOG_START = 260.0;
 const FOG_END = 620.0;
 
 export class FXEuskal10GreetsScene extends DemoFX {
+  static setupParams = ['deformAmount', 'sceneFile', 'textureDir', 'camera', 'sceneTime', 'playSpeed'];
+
   constructor() {
     super();
     this.name = 'FXEuskal10GreetsScene';
@@ -159,6 +161,7 @@ export class FXEuskal10GreetsScene extends DemoFX {
         ? await dm.assetManager.loadSceneTextures(ptaScene, this.textureDir)
         : new Map();
       dm.sceneManager.buildScene(this.sceneId, ptaScene, textures);
+      await dm.sceneManager.loadSceneHelperEffects(this.sceneId, (path) => dm.assetManager.loadTextureByPath(path));
     } catch (err) {
       console.warn(`FXEuskal10GreetsScene: failed to load scene "${this.sceneFile}":`, err.message);
       this.sceneId = null;
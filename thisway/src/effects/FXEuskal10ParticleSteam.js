@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -21,6 +21,11 @@ import * as THREE from 'three';
 const TWO_PI = Math.PI * 2;
 
 export class FXEuskal10ParticleSteam extends DemoFX {
+  static setupParams = [
+    'numParticles', 'minSize', 'maxSize', 'minY', 'maxY', 'minSpeed', 'maxSpeed', 'radius',
+    'texturePath', 'useFog', 'fogColor',
+  ];
+
   constructor() {
     super();
     this.name = 'FXEuskal10ParticleSteam';
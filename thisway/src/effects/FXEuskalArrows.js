@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -58,6 +58,10 @@ const ARROW_MOV_DURATION = 300; // ms — rotation decay duration
  * Original: FXEuskalArrows.cpp
  */
 export class FXEuskalArrows extends DemoFX {
+  static setupParams = [
+    'sceneFile', 'textureDir', 'camera', 'fStart', 'fSpeed', 'nIndexStart', 'fArrowMovSpeed',
+  ];
+
   constructor() {
     super();
     this.name = 'FXEuskalArrows';
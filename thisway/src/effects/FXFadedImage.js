@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -17,6 +17,11 @@ import * as THREE from 'three';
  * Original: FXFadedImage.cpp
  */
 export class FXFadedImage extends DemoFX {
+  static setupParams = [
+    'pos1', 'pos2', 'size1', 'size2', 'angle1', 'angle2', 'fadeIn', 'stay', 'fadeOut',
+    'texturePath', 'alpha1', 'alpha2',
+  ];
+
   constructor() {
     super();
     this.name = 'FXFadedImage';
@@ -76,7 +81,7 @@ export class FXFadedImage extends DemoFX {
 
   /**
    * Load the texture asset.
-   * @param {import('../engine/DemoManager.js').DemoManager} dm
+   * @param {import('../../../shared/engine/DemoManager.js').DemoManager} dm
    */
   async loadData(dm) {
     if (this.texturePath) {
@@ -97,7 +102,7 @@ export class FXFadedImage extends DemoFX {
    *
    * @param {number} fxTime - Time since effect start (ms)
    * @param {number} demoTime - Absolute demo time (ms)
-   * @param {import('../engine/DemoManager.js').DemoManager} dm
+   * @param {import('../../../shared/engine/DemoManager.js').DemoManager} dm
    */
   doFrame(fxTime, demoTime, dm) {
     if (!this.texture) return;
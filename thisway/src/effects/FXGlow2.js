@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -30,6 +30,11 @@ const X_ROT_SPEED = 0.0004;
 const TWO_PI = Math.PI * 2;
 
 export class FXGlow2 extends DemoFX {
+  static setupParams = [
+    'x', 'y', 'w', 'h', 'depth', 'scaleX', 'scaleY', 'delay', 'blink', 'glowTex', 'rayMap',
+    'opacityTex',
+  ];
+
   constructor() {
     super();
     this.name = 'FXGlow2';
@@ -1,5 +1,5 @@
-import { DemoFX } from '../engine/DemoManager.js';
-import { getTransformMatrix } from '../engine/AnimationSystem.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
+import { getTransformMatrix } from '../../../shared/engine/AnimationSystem.js';
 import * as THREE from 'three';
 
 /**
@@ -67,6 +67,11 @@ function overhouserSpline(points, t, out) {
 }
 
 export class FXHairyObject extends DemoFX {
+  static setupParams = [
+    'numHairParticles', 'hairLength', 'basePartSize', 'extremePartSize', 'texturePath',
+    'sceneFile', 'objectName', 'camera',
+  ];
+
   constructor() {
     super();
     this.name = 'FXHairyObject';
@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -20,6 +20,8 @@ import * as THREE from 'three';
  * Original: FXImageStencilTransition.cpp
  */
 export class FXImageStencilTransition extends DemoFX {
+  static setupParams = ['duration', 'texturePath'];
+
   constructor() {
     super();
     this.name = 'FXImageStencilTransition';
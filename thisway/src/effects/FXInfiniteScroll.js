@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -13,6 +13,8 @@ import * as THREE from 'three';
  * Original: FXInfiniteScroll.cpp
  */
 export class FXInfiniteScroll extends DemoFX {
+  static setupParams = ['pos', 'size', 'dir', 'offset', 'speed', 'alpha', 'texturePath', 'additive'];
+
   constructor() {
     super();
     this.name = 'FXInfiniteScroll';
@@ -55,7 +57,7 @@ export class FXInfiniteScroll extends DemoFX {
 
   /**
    * Load the scrolling texture.
-   * @param {import('../engine/DemoManager.js').DemoManager} dm
+   * @param {import('../../../shared/engine/DemoManager.js').DemoManager} dm
    */
   async loadData(dm) {
     if (this.texturePath) {
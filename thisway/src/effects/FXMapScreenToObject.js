@@ -1,5 +1,5 @@
-import { DemoFX } from '../engine/DemoManager.js';
-import { BlendMode } from '../engine/Renderer.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
+import { BlendMode } from '../../../shared/engine/Renderer.js';
 import * as THREE from 'three';
 
 /**
@@ -18,6 +18,8 @@ import * as THREE from 'three';
  * Original: FXMapScreenToObject.cpp
  */
 export class FXMapScreenToObject extends DemoFX {
+  static setupParams = ['sceneFile', 'objectName', 'camera', 'textureDir', 'playSpeed'];
+
   constructor() {
     super();
     this.name = 'FXMapScreenToObject';
@@ -60,6 +62,7 @@ export class FXMapScreenToObject extends DemoFX {
         ? await dm.assetManager.loadSceneTextures(ptaScene, this.textureDir)
         : new Map();
       const managed = dm.sceneManager.buildScene(this.sceneId, ptaScene, textures);
+      await dm.sceneManager.loadSceneHelperEffects(this.sceneId, (path) => dm.assetManager.loadTextureByPath(path));
 
       // C++ PTA renders this scene with lighting DISABLED.
       // Output = tex1 * tex2 (GL_MODULATE multitexture). Use MeshBasicMaterial
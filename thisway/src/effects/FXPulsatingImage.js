@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXPulsatingImage - Pulse-triggered alpha flash quad.
@@ -17,6 +17,8 @@ import { DemoFX } from '../engine/DemoManager.js';
  * Original: FXPulsatingImage.cpp
  */
 export class FXPulsatingImage extends DemoFX {
+  static setupParams = ['x', 'y', 'w', 'h', 'minAlpha', 'maxAlpha', 'texturePath'];
+
   constructor() {
     super();
     this.name = 'FXPulsatingImage';
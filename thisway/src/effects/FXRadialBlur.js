@@ -1,6 +1,6 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
-import { BlendMode } from '../engine/Renderer.js';
+import { BlendMode } from '../../../shared/engine/Renderer.js';
 
 // Map PTA blend modes to Three.js blend factors (duplicated from Renderer for local use)
 const BLEND_MAP = {
@@ -71,6 +71,8 @@ function createBlurMaterial(texture, alpha, srcBlend, dstBlend) {
  * Original: FXRadialBlur.cpp
  */
 export class FXRadialBlur extends DemoFX {
+  static setupParams = ['w', 'h', 'duration', 'scale1', 'scale2', 'intensity1', 'intensity2', 'addBlend'];
+
   constructor() {
     super();
     this.name = 'FXRadialBlur';
@@ -233,6 +235,8 @@ export class FXRadialBlurInOut extends FXRadialBlur {
  * Original: Not a direct C++ class — uses FXRadialBlur with multi-pass overlays.
  */
 export class FXRadialBlurCircles extends DemoFX {
+  static setupParams = ['w', 'h', 'period', 'numPasses', 'scaleVec1', 'scaleVec2', 'alpha', 'flag'];
+
   constructor() {
     super();
     this.name = 'FXRadialBlurCircles';
@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 import * as THREE from 'three';
 
 /**
@@ -66,6 +66,8 @@ export class FXTransitionCapture extends DemoFX {
  * Original: FXStencilTransition.cpp (ScaleOut variant)
  */
 export class FXStencilTransitionScaleOut extends DemoFX {
+  static setupParams = ['gridW', 'gridH', 'duration'];
+
   constructor() {
     super();
     this.name = 'FXStencilTransitionScaleOut';
@@ -196,6 +198,8 @@ export class FXStencilTransitionScaleOut extends DemoFX {
  * Original: FXStencilTransition.cpp (ExplosionOut variant)
  */
 export class FXStencilTransitionExplosionOut extends DemoFX {
+  static setupParams = ['gridW', 'gridH', 'duration'];
+
   constructor() {
     super();
     this.name = 'FXStencilTransitionExplosionOut';
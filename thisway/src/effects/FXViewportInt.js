@@ -1,4 +1,4 @@
-import { DemoFX } from '../engine/DemoManager.js';
+import { DemoFX } from '../../../shared/engine/DemoManager.js';
 
 /**
  * FXViewportInt - Internal viewport for post-process effects.
@@ -10,6 +10,8 @@ import { DemoFX } from '../engine/DemoManager.js';
  * Original: FXViewportInt.cpp
  */
 export class FXViewportInt extends DemoFX {
+  static setupParams = ['x', 'y', 'w', 'h'];
+
   constructor() {
     super();
     this.name = 'FXViewportInt';
@@ -40,7 +42,7 @@ export class FXViewportInt extends DemoFX {
    * Set the viewport to the internal dimensions.
    * @param {number} fxTime
    * @param {number} demoTime
-   * @param {import('../engine/DemoManager.js').DemoManager} dm
+   * @param {import('../../../shared/engine/DemoManager.js').DemoManager} dm
    */
   doFrame(fxTime, demoTime, dm) {
     // Set viewport to the specified dimensions
@@ -1,8 +1,9 @@
 /**
  * timeline.js — Port of FXManagement.cpp
  *
- * Registers all ~60 effect instances with exact ms timing and priority,
- * matching the original Stravaganza demo.
+ * Registers all ~60 effect instances with the timing and priority of the
+ * original Stravaganza demo. Times are bar:beat:tick on the tempo map in
+ * production.json.
  */
 
 import { FXTelevision } from './effects/FXTelevision.js';
@@ -39,9 +40,21 @@ const sgzTextures     = ['s.tga', 't.tga', 'r.tga', 'a.tga', 'v.tga', 'a.tga', '
 
 /**
  * Register all manual effects with the demo manager.
- * @param {import('./engine/DemoManager.js').DemoManager} dm
+ * @param {import('../../shared/engine/DemoManager.js').DemoManager} dm
  */
 export function registerAllEffects(dm) {
+  // Effect classes demo.scr can instantiate with FX class=
+  // (FXTransitionCapture is left out: it is constructed with its transition)
+  dm.effectRegistry.registerAll({
+    FXTelevision, FXFadedImage, FXPulsatingImage, FXPulsatingImageGlow1, FXPulsatingImageTest,
+    FXPulsatingThisWay, FXEuskalArrows, FXImageStencilTransition, FXEuskal10ParticleSteam,
+    FXEP10ParticledSpheres, FXBackgroundDistortionArrows, FXRadialBlurInOut,
+    FXStencilTransitionScaleOut, FXStencilTransitionExplosionOut, FXBonedSpike, FXGlow2,
+    FX3DObjectMamut, FX3DObjectBump, FXInfiniteScroll, FXBackground1, FXRadialBlur,
+    FXEuskal10Greets, FXEuskal10Credits, FXEuskal10Circles, FXRadialBlurCircles,
+    FXEuskal10GreetsScene, FXHairyObject, FXMapScreenToObject, FXViewportInt,
+  });
+
   // ---- Allocate effects ----
 
   const viewportInt1 = new FXViewportInt();
@@ -280,137 +293,138 @@ export function registerAllEffects(dm) {
 
   // ---- Register with demo system (exact timings from FXManagement.cpp) ----
 
-  dm.addFX(televisionStart1, 1800, 2200, 3, 'TelevisionStart1');
-  dm.addFX(televisionStart2, 2790, 2920, 3, 'TelevisionStart2');
-  dm.addFX(televisionStart3, 3000, 3200, 3, 'TelevisionStart3');
-  dm.addFX(televisionStart4, 4150, 4450, 3, 'TelevisionStart4');
+  dm.addFX(televisionStart1, '1:2:475', '1:3:208', 3, 'TelevisionStart1');
+  dm.addFX(televisionStart2, '1:4:43', '1:4:112', 3, 'TelevisionStart2');
+  dm.addFX(televisionStart3, '1:4:155', '1:4:261', 3, 'TelevisionStart3');
+  dm.addFX(televisionStart4, '2:1:288', '2:1:448', 3, 'TelevisionStart4');
 
-  dm.addFX(arrows1, 4900, 10000, 2, 'Arrows1');
-  dm.addFX(arrows2, 10000, 12000, 2, 'Arrows2');
-  dm.addFX(arrows3, 12000, 16100, 2, 'Arrows3');
+  dm.addFX(arrows1, '2:2:208', '3:4:48', 2, 'Arrows1');
+  dm.addFX(arrows2, '3:4:48', '4:2:155', 2, 'Arrows2');
+  dm.addFX(arrows3, '4:2:155', '5:2:421', 2, 'Arrows3');
   // Two-phase transition: capture arrows content (priority 3, after arrows at 2),
   // render captured arrows as overlay (priority 8, after spheres at 7).
   // C++ used stencil buffer; JS uses framebuffer capture + mask overlay.
-  dm.addFX(arrowsTransitionCapture, 14100, 16100, 3, 'Arrows Transition Capture');
-  dm.addFX(arrowsTransition, 14100, 16100, 8, 'Arrows Transition');
-
-  dm.addFX(particleSteamSph[0], 14100, 17500, 6, 'Particle Steam sph1');
-  dm.addFX(particleSteamSph[1], 16500, 24900, 11, 'Particle Steam sph2');
-  dm.addFX(particleSteamSph[2], 23900, 27000, 16, 'Particle Steam sph3');
-  dm.addFX(particleSteamSph[3], 26000, 29500, 21, 'Particle Steam sph4');
-  dm.addFX(particleSteamSph[4], 28500, 32300, 26, 'Particle Steam sph5');
-  dm.addFX(particleSteamSph[5], 31300, 36700, 31, 'Particle Steam sph6');
-
-  dm.addFX(particledSpheres[0], 14100, 17500, 7, 'Particled spheres 1');
-  dm.addFX(particledSpheres[1], 16500, 24900, 10, 'Particled spheres 2');
-  dm.addFX(particledSpheres[2], 23900, 27000, 15, 'Particled spheres 3');
-  dm.addFX(particledSpheres[3], 26000, 29500, 20, 'Particled spheres 4');
-  dm.addFX(particledSpheres[4], 28500, 32300, 25, 'Particled spheres 5');
-  dm.addFX(particledSpheres[5], 31300, 36700, 30, 'Particled spheres 6');
-
-  dm.addFX(viewportInt1, 19200, 23500, 0, 'Viewport int balls1');
-  dm.addFX(bgDistortionBalls, 19200, 23500, 12, 'BG Distort Balls');
-  dm.addFX(viewportInt1, 29500, 31300, 0, 'Viewport int balls2');
-  dm.addFX(radialBlurBalls, 29500, 31300, 27, 'Radial Blur Balls');
-
-  dm.addFX(viewportInt1, 36100, 36700, 0, 'Viewport int Spike');
+  dm.addFX(arrowsTransitionCapture, '4:4:315', '5:2:421', 3, 'Arrows Transition Capture');
+  dm.addFX(arrowsTransition, '4:4:315', '5:2:421', 8, 'Arrows Transition');
+
+  dm.addFX(particleSteamSph[0], '4:4:315', '5:4:208', 6, 'Particle Steam sph1');
+  dm.addFX(particleSteamSph[1], '5:3:155', '7:4:315', 11, 'Particle Steam sph2');
+  dm.addFX(particleSteamSph[2], '7:3:261', '8:2:475', 16, 'Particle Steam sph3');
+  dm.addFX(particleSteamSph[3], '8:1:421', '9:1:368', 21, 'Particle Steam sph4');
+  dm.addFX(particleSteamSph[4], '8:4:315', '9:4:421', 26, 'Particle Steam sph5');
+  dm.addFX(particleSteamSph[5], '9:3:368', '11:2:274', 31, 'Particle Steam sph6');
+
+  dm.addFX(particledSpheres[0], '4:4:315', '5:4:208', 7, 'Particled spheres 1');
+  dm.addFX(particledSpheres[1], '5:3:155', '7:4:315', 10, 'Particled spheres 2');
+  dm.addFX(particledSpheres[2], '7:3:261', '8:2:475', 15, 'Particled spheres 3');
+  dm.addFX(particledSpheres[3], '8:1:421', '9:1:368', 20, 'Particled spheres 4');
+  dm.addFX(particledSpheres[4], '8:4:315', '9:4:421', 25, 'Particled spheres 5');
+  dm.addFX(particledSpheres[5], '9:3:368', '11:2:274', 30, 'Particled spheres 6');
+
+  dm.addFX(viewportInt1, '6:2:155', '7:3:48', 0, 'Viewport int balls1');
+  dm.addFX(bgDistortionBalls, '6:2:155', '7:3:48', 12, 'BG Distort Balls');
+  dm.addFX(viewportInt1, '9:1:368', '9:3:368', 0, 'Viewport int balls2');
+  dm.addFX(radialBlurBalls, '9:1:368', '9:3:368', 27, 'Radial Blur Balls');
+
+  dm.addFX(viewportInt1, '11:1:99', '11:2:274', 0, 'Viewport int Spike');
   // Two-phase transition: capture old content (priority 31, before new scene),
   // render tiles as overlay (priority 36, after new scene).
   // C++ used stencil buffer; JS uses overlay approach.
-  dm.addFX(transitionPreSpikeCapture, 36100, 36700, 31, 'Transition Spike Capture');
-  dm.addFX(transitionPreSpike, 36100, 36700, 36, 'Transition Spike');
+  dm.addFX(transitionPreSpikeCapture, '11:1:99', '11:2:274', 31, 'Transition Spike Capture');
+  dm.addFX(transitionPreSpike, '11:1:99', '11:2:274', 36, 'Transition Spike');
 
-  dm.addFX(bgLayer1Spike, 36100, 51000, 32, 'pBGLayer1Spike');
-  dm.addFX(spike, 36100, 51000, 34, 'Spike');
-  dm.addFX(pulsatingImg1, 36100, 51000, 35, 'Pulsating Img 1');
+  dm.addFX(bgLayer1Spike, '11:1:99', '19:3:58', 32, 'pBGLayer1Spike');
+  dm.addFX(spike, '11:1:99', '19:3:58', 34, 'Spike');
+  dm.addFX(pulsatingImg1, '11:1:99', '19:3:58', 35, 'Pulsating Img 1');
 
   const glowNames = ['GlowT', 'GlowH', 'GlowI', 'GlowS', 'GlowW', 'GlowA', 'GlowY', 'Glow Arrow'];
-  const glowStarts = [48050, 48211, 48211, 48719, 48873, 48873, 49370, 49516];
-  glows.forEach((g, i) => dm.addFX(g, glowStarts[i], 50000, 34, glowNames[i]));
+  const glowStarts = ['17:4:195', '17:4:371', '17:4:371', '18:1:446', '18:2:134', '18:2:134', '18:3:197', '18:3:357'];
+  glows.forEach((g, i) => dm.addFX(g, glowStarts[i], '18:4:406', 34, glowNames[i]));
 
-  dm.addFX(viewportInt1, 50000, 51000, 0, 'Viewport int Expl');
+  dm.addFX(viewportInt1, '18:4:406', '19:3:58', 0, 'Viewport int Expl');
   // Two-phase: capture spike content (priority 36, after spike at 32-35),
   // render explosion tiles (priority 41, after mamut at 39-40).
-  dm.addFX(transitionExplCapture, 50000, 51000, 36, 'Transition Expl Capture');
-  dm.addFX(transitionExpl, 50000, 51000, 41, 'Transition Expl');
-
-  dm.addFX(mamutBackground, 50000, 64000, 39, 'Mamut Background');
-  dm.addFX(mamut, 50000, 64000, 40, 'Mamut');
-
-  dm.addFX(bumpBackground, 64000, 71000, 42, 'Bumped flareobj bg');
-  dm.addFX(bumpScroll, 64000, 71000, 43, 'Bump scroll');
-  dm.addFX(bump, 64000, 71000, 45, 'Bumped flare object');
-
-  dm.addFX(classicBG1, 71000, 85100, 3, 'Classical BG1');
-  dm.addFX(classicBG2, 71000, 85100, 4, 'Classical BG2');
-  dm.addFX(classicBG3, 71000, 85100, 5, 'Classical BG3');
-  dm.addFX(hairyObject, 71000, 85100, 6, 'Hairy object');
-  dm.addFX(gfx, 71000, 77000, 16, 'GFX');
-  dm.addFX(tekno, 72000, 78000, 17, 'Tekno');
-  dm.addFX(music, 78000, 84000, 16, 'Music');
-  dm.addFX(wonder, 79000, 85000, 17, 'Wonder');
-  dm.addFX(thisWayImgJapo1, 84350, 84750, 27, 'TW japo1');
-  dm.addFX(thisWayImgJapo2, 84750, 85150, 27, 'TW japo2');
-
-  dm.addFX(code, 85150, 90150, 66, 'Code');
-  dm.addFX(ithaqua, 86150, 92150, 67, 'Ithaqua');
-  dm.addFX(radialBlurLyrics, 85150, 108000, 57, 'Radial blur lyrics');
-  dm.addFX(viewportInt1, 85150, 108000, 0, 'Viewport lyrics');
+  dm.addFX(transitionExplCapture, '18:4:406', '19:3:58', 36, 'Transition Expl Capture');
+  dm.addFX(transitionExpl, '18:4:406', '19:3:58', 41, 'Transition Expl');
+
+  dm.addFX(mamutBackground, '18:4:406', '26:4:342', 39, 'Mamut Background');
+  dm.addFX(mamut, '18:4:406', '26:4:342', 40, 'Mamut');
+
+  dm.addFX(bumpBackground, '26:4:342', '30:4:310', 42, 'Bumped flareobj bg');
+  dm.addFX(bumpScroll, '26:4:342', '30:4:310', 43, 'Bump scroll');
+  dm.addFX(bump, '26:4:342', '30:4:310', 45, 'Bumped flare object');
+
+  dm.addFX(classicBG1, '30:4:310', '38:4:356', 3, 'Classical BG1');
+  dm.addFX(classicBG2, '30:4:310', '38:4:356', 4, 'Classical BG2');
+  dm.addFX(classicBG3, '30:4:310', '38:4:356', 5, 'Classical BG3');
+  dm.addFX(hairyObject, '30:4:310', '38:4:356', 6, 'Hairy object');
+  dm.addFX(gfx, '30:4:310', '34:2:146', 16, 'GFX');
+  dm.addFX(tekno, '31:2:443', '34:4:278', 17, 'Tekno');
+  dm.addFX(music, '34:4:278', '38:2:114', 16, 'Music');
+  dm.addFX(wonder, '35:2:411', '38:4:247', 17, 'Wonder');
+  dm.addFX(thisWayImgJapo1, '38:3:16', '38:3:454', 27, 'TW japo1');
+  dm.addFX(thisWayImgJapo2, '38:3:454', '38:4:411', 27, 'TW japo2');
+
+  dm.addFX(code, '38:4:411', '41:4:114', 66, 'Code');
+  dm.addFX(ithaqua, '39:3:63', '42:4:379', 67, 'Ithaqua');
+  dm.addFX(radialBlurLyrics, '38:4:411', '51:4:416', 57, 'Radial blur lyrics');
+  dm.addFX(viewportInt1, '38:4:411', '51:4:416', 0, 'Viewport lyrics');
 
   // Lyrics timings
   const lyricTimings = [
-    [92000, 95000], [93000, 96000], [93500, 96500], [95000, 98000],
-    [96000, 99000], [97000, 100000], [98000, 101000], [99000, 102000],
-    [101000, 104000], [102000, 105000], [103000, 106000], [104000, 107000],
+    ['42:4:215', '44:3:133'], ['43:2:347', '45:1:265'], ['43:3:414', '45:2:332'], ['44:3:133', '46:2:50'],
+    ['45:1:265', '46:4:183'], ['45:3:398', '47:2:316'], ['46:2:50', '47:4:448'], ['46:4:183', '48:3:101'],
+    ['47:4:448', '49:3:366'], ['48:3:101', '50:2:19'], ['49:1:233', '50:4:151'], ['49:3:366', '51:2:284'],
   ];
   lyrics.forEach((fx, i) => dm.addFX(fx, lyricTimings[i][0], lyricTimings[i][1], 27, `Lyric${i + 1}`));
 
-  dm.addFX(pulsatingThisWay, 104000, 108000, 27, 'Pulsating this way');
+  dm.addFX(pulsatingThisWay, '49:3:366', '51:4:416', 27, 'Pulsating this way');
 
-  dm.addFX(euskal10Circles, 108000, 124000, 6, 'Euskal 10 Circles');
+  dm.addFX(euskal10Circles, '51:4:416', '61:1:138', 6, 'Euskal 10 Circles');
   // Two-phase transition: capture circles content (priority 7, after circles at 6),
   // render captured circles as overlay (priority 11, after calamares at 10).
-  dm.addFX(circlesTransitionCapture, 122000, 124000, 7, 'Circles Transition Capture');
-  dm.addFX(circlesTransition, 122000, 124000, 11, 'Circles Transition');
+  dm.addFX(circlesTransitionCapture, '59:4:353', '61:1:138', 7, 'Circles Transition Capture');
+  dm.addFX(circlesTransition, '59:4:353', '61:1:138', 11, 'Circles Transition');
 
-  dm.addFX(calamares[0], 122000, 129400, 10, 'Calamares1');
-  dm.addFX(calamares[1], 128900, 136400, 15, 'Calamares2');
-  dm.addFX(calamares[2], 135900, 143400, 20, 'Calamares3');
-  dm.addFX(calamares[3], 142900, 150800, 25, 'Calamares4');
+  dm.addFX(calamares[0], '59:4:353', '64:1:278', 10, 'Calamares1');
+  dm.addFX(calamares[1], '63:4:212', '68:1:246', 15, 'Calamares2');
+  dm.addFX(calamares[2], '67:4:180', '72:1:215', 20, 'Calamares3');
+  dm.addFX(calamares[3], '71:4:148', '76:2:140', 25, 'Calamares4');
 
-  dm.addFX(particleSteamCal[0], 122000, 129400, 11, 'Particle Steam Cal 1');
-  dm.addFX(particleSteamCal[1], 128900, 136400, 16, 'Particle Steam Cal 2');
-  dm.addFX(particleSteamCal[2], 135900, 143400, 21, 'Particle Steam Cal 3');
-  dm.addFX(particleSteamCal[3], 142900, 150800, 26, 'Particle Steam Cal 4');
+  dm.addFX(particleSteamCal[0], '59:4:353', '64:1:278', 11, 'Particle Steam Cal 1');
+  dm.addFX(particleSteamCal[1], '63:4:212', '68:1:246', 16, 'Particle Steam Cal 2');
+  dm.addFX(particleSteamCal[2], '67:4:180', '72:1:215', 21, 'Particle Steam Cal 3');
+  dm.addFX(particleSteamCal[3], '71:4:148', '76:2:140', 26, 'Particle Steam Cal 4');
 
-  const greetStart = 124000;
+  // Greets and respects in batches: 1-5, 6-9, 1-5, 6-9
+  const greetBatches = ['61:1:138', '63:4:321', '66:4:24', '69:3:207', '72:2:390'];
   // Greets batch 1 (0-4)
   for (let i = 0; i < 5; i++) {
-    dm.addFX(greets[i], greetStart, greetStart + 5000, 35, `Greet${i + 1}`);
+    dm.addFX(greets[i], greetBatches[0], greetBatches[1], 35, `Greet${i + 1}`);
   }
   // Greets batch 2 (5-8)
   for (let i = 5; i < 9; i++) {
-    dm.addFX(greets[i], greetStart + 5000, greetStart + 10000, 35, `Greet${i + 1}`);
+    dm.addFX(greets[i], greetBatches[1], greetBatches[2], 35, `Greet${i + 1}`);
   }
   // Respects batch 1 (0-4)
   for (let i = 0; i < 5; i++) {
-    dm.addFX(respects[i], greetStart + 10000, greetStart + 15000, 35, `Respect${i + 1}`);
+    dm.addFX(respects[i], greetBatches[2], greetBatches[3], 35, `Respect${i + 1}`);
   }
   // Respects batch 2 (5-8)
   for (let i = 5; i < 9; i++) {
-    dm.addFX(respects[i], greetStart + 15000, greetStart + 20000, 35, `Respect${i + 1}`);
+    dm.addFX(respects[i], greetBatches[3], greetBatches[4], 35, `Respect${i + 1}`);
   }
 
   // Final TV section televisions
   const tvTimings = [
-    [144250, 144650], [145500, 145750], [146350, 146450],
-    [147450, 147550], [148250, 148550], [149350, 149650],
-    [150800, 172000],
+    ['72:3:183', '72:4:140'], ['73:2:109', '73:2:382'], ['73:4:78', '73:4:187'],
+    ['74:2:320', '74:2:429'], ['74:4:234', '75:1:81'], ['75:2:475', '75:3:323'],
+    ['76:2:140', '88:2:263'],
   ];
   televisionF.forEach((tv, i) => dm.addFX(tv, tvTimings[i][0], tvTimings[i][1], 40, `TelevisionF${i + 1}`));
 
-  dm.addFX(viewportInt1, 146900, 172000, 0, 'Viewport tv');
-  dm.addFX(stravaganzaFinal, 160000, 168000, 43, 'Stravaganza final');
-  dm.addFX(ep2000, 162000, 168000, 43, 'EP2002');
-  dm.addFX(finalScreenToObj, 146900, 172000, 42, 'Final Screen to obj');
+  dm.addFX(viewportInt1, '74:1:199', '88:2:263', 0, 'Viewport tv');
+  dm.addFX(stravaganzaFinal, '81:3:112', '86:1:212', 43, 'Stravaganza final');
+  dm.addFX(ep2000, '82:3:377', '86:1:212', 43, 'EP2002');
+  dm.addFX(finalScreenToObj, '74:1:199', '88:2:263', 42, 'Final Screen to obj');
 }
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * bench-animation - Time SceneManager's per-frame animation update.
+ *
+ *   node tools/bench-animation.mjs [scene.pta] [--frames N] [--mixer]
+ *
+ * Builds the scene headless (default: Odyssey's city01, the biggest) and plays
+ * N frames at 60 fps through renderScene() with a renderer stub, so only key
+ * evaluation and node updates are measured. Prints the frame time (mean, 99th
+ * percentile, worst) and the garbage collections that happened meanwhile.
+ * --mixer uses the AnimationMixer playback mode instead of PTA evaluation.
+ */
+
+import './register-three.mjs';
+import { readFileSync } from 'node:fs';
+import { relative, resolve } from 'node:path';
+import { PerformanceObserver, performance } from 'node:perf_hooks';
+
+const { parsePtaFile } = await import('../shared/engine/PtaFileLoader.js');
+const { SceneManager } = await import('../shared/engine/SceneManager.js');
+
+const USAGE = 'Usage: node tools/bench-animation.mjs [scene.pta] [--frames N] [--mixer]';
+const DEFAULT_SCENE = new URL('../odyssey/data/3dscenes/city/city01.pta', import.meta.url);
+const WARMUP_FRAMES = 200;
+
+function parseArgs(argv) {
+  const args = { input: null, frames: 3000, mixer: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--frames') args.frames = parseInt(argv[++i], 10);
+    else if (arg === '--mixer') args.mixer = true;
+    else if (arg === '-h' || arg === '--help') return null;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option "${arg}"`);
+    else args.input = arg;
+  }
+  if (!(args.frames > 0)) throw new Error('--frames must be a positive number');
+  return args;
+}
+
+const rendererStub = {
+  currentViewport: { w: 800, h: 510 },
+  demoWidth: 800,
+  demoHeight: 600,
+  renderScene() {},
+  webglRenderer: { render() {} },
+};
+
+/** Give the GC observer time to deliver its (asynchronously queued) entries. */
+function flushObserver() {
+  return new Promise(resolve => setTimeout(resolve, 100));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args) {
+    console.log(USAGE);
+    return;
+  }
+
+  const path = args.input ? resolve(args.input) : DEFAULT_SCENE;
+  const bytes = readFileSync(path);
+  const scene = parsePtaFile(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+  const sceneManager = new SceneManager(rendererStub, { animation: args.mixer ? 'mixer' : 'pta' });
+  sceneManager.buildScene('bench', scene);
+
+  const start = scene.animStartTime;
+  const length = Math.max(1, scene.animEndTime - start);
+  const frameTime = i => start + ((i * 1000) / 60) % length;
+
+  for (let i = 0; i < WARMUP_FRAMES; i++) sceneManager.renderScene('bench', frameTime(i));
+
+  const gcs = [];
+  const observer = new PerformanceObserver(list => gcs.push(...list.getEntries()));
+  observer.observe({ entryTypes: ['gc'] });
+
+  const times = new Float64Array(args.frames);
+  for (let i = 0; i < args.frames; i++) {
+    const t0 = performance.now();
+    sceneManager.renderScene('bench', frameTime(WARMUP_FRAMES + i));
+    times[i] = performance.now() - t0;
+  }
+
+  await flushObserver();
+  observer.disconnect();
+
+  const sorted = times.slice().sort();
+  const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+  const gcTime = gcs.reduce((sum, entry) => sum + entry.duration, 0);
+  const name = typeof path === 'string' ? relative(process.cwd(), path) : 'city01.pta';
+  console.log(`${name}: ${scene.objects.length} objects, ${scene.cameras.length} cameras, ` +
+    `${scene.lights.length} lights, ${args.frames} frames (${args.mixer ? 'mixer' : 'pta'})`);
+  console.log(`frame  mean ${mean.toFixed(3)} ms  p99 ${sorted[Math.floor(sorted.length * 0.99)].toFixed(3)} ms  ` +
+    `max ${sorted[sorted.length - 1].toFixed(3)} ms`);
+  console.log(`gc     ${gcs.length} collections, ${gcTime.toFixed(1)} ms`);
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error(`bench-animation: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * build-bundle - Pack a production's assets into one PTA packfile.
+ *
+ *   node tools/build-bundle.mjs <production-dir> [--out <file>] [--exclude .log,.txt]
+ *
+ * Walks <production-dir>/data and adds the script and music named by
+ * production.json. The archive is written as <production-dir>/demo.dat (or the
+ * manifest "packfile") unless --out is given. Script lines already name
+ * packfile="demo.dat"; set "packfile" in production.json as well so the script,
+ * music and effect assets are read from the bundle too.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'node:fs';
+import { join, relative, resolve, sep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { normalizeProductionManifest } from '../shared/engine/ProductionManifest.js';
+import { parseScript } from '../shared/engine/ScriptParser.js';
+import { writePackFile, normalizePackPath } from '../shared/engine/PtaPackFile.js';
+
+const USAGE = 'Usage: node tools/build-bundle.mjs <production-dir> [--out <file>] [--exclude .log,.txt]';
+
+function parseArgs(argv) {
+  const args = { dir: null, out: null, exclude: ['.log'] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--exclude') args.exclude = argv[++i].split(',').map(e => e.trim().toLowerCase());
+    else if (arg === '-h' || arg === '--help') return null;
+    else if (!args.dir) args.dir = arg;
+    else throw new Error(`Unexpected argument "${arg}"`);
+  }
+  return args.dir ? args : null;
+}
+
+/**
+ * All files below dir, as paths relative to root with forward slashes.
+ * @param {string} root
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function walk(root, dir) {
+  const files = [];
+  for (const dirent of readdirSync(dir, { withFileTypes: true })) {
+    const full = join(dir, dirent.name);
+    if (dirent.isDirectory()) files.push(...walk(root, full));
+    else if (dirent.isFile()) files.push(relative(root, full).split(sep).join('/'));
+  }
+  return files;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args) {
+    console.log(USAGE);
+    return;
+  }
+
+  const root = resolve(args.dir);
+  const manifestPath = join(root, 'production.json');
+  const manifest = normalizeProductionManifest(
+    JSON.parse(readFileSync(manifestPath, 'utf8')), pathToFileURL(manifestPath).href
+  );
+
+  const candidates = existsSync(join(root, 'data')) ? walk(root, join(root, 'data')) : [];
+  for (const path of [manifest.script, manifest.music]) {
+    if (!path) continue;
+    if (existsSync(join(root, path))) candidates.push(path);
+    else console.warn(`warning: ${path} (from production.json) not found`);
+  }
+
+  // Paths are looked up without case, so case-only duplicates (data/3Dscenes
+  // next to data/3dscenes) must hold the same bytes.
+  const files = new Map();
+  for (const path of candidates.sort()) {
+    if (args.exclude.some(ext => path.toLowerCase().endsWith(ext))) continue;
+    const key = normalizePackPath(path);
+    const data = readFileSync(join(root, path));
+    const existing = files.get(key);
+    if (existing) {
+      if (!Buffer.from(existing.data).equals(data)) {
+        throw new Error(`${path} and ${existing.path} differ only in case but have different contents`);
+      }
+      continue;
+    }
+    files.set(key, { path, data: new Uint8Array(data.buffer, data.byteOffset, data.byteLength) });
+  }
+
+  // Warn about script references the bundle cannot satisfy
+  const scriptEntry = manifest.script && files.get(normalizePackPath(manifest.script));
+  if (scriptEntry) {
+    const commands = parseScript(Buffer.from(scriptEntry.data).toString('utf8'));
+    for (const cmd of commands) {
+      const file = cmd.params.file;
+      if ((cmd.type === '3D_LOADSCENE' || cmd.type === '3D_LOADIMAGE') && file &&
+          !files.has(normalizePackPath(String(file)))) {
+        console.warn(`warning: ${manifest.script}:${cmd.line}: ${file} is not in the bundle`);
+      }
+    }
+  }
+
+  const out = args.out ? resolve(args.out) : join(root, manifest.packfile || 'demo.dat');
+  const bundle = writePackFile([...files.values()]);
+  writeFileSync(out, bundle);
+  console.log(`${relative(process.cwd(), out) || out}: ${files.size} files, ${(bundle.byteLength / 1048576).toFixed(1)} MB`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`build-bundle: ${err.message}`);
+  process.exitCode = 1;
+}
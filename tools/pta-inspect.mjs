@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * pta-inspect - Print the structure of a PTA scene, or compare two.
+ *
+ *   node tools/pta-inspect.mjs <scene.pta> [--table]
+ *   node tools/pta-inspect.mjs --diff <a.pta> <b.pta> [--json]
+ *
+ * The dump (JSON by default, aligned text with --table) has the header,
+ * chunk offsets, the material tree and, for every object, camera, light and
+ * helper, its flags, counts, animation key counts and userProps.
+ *
+ * --diff compares the dumps (chunk offsets aside) with nodes and materials
+ * matched by name, and exits with status 1 when the files differ.
+ */
+
+import './register-three.mjs';
+import { readFileSync } from 'node:fs';
+import { basename, resolve } from 'node:path';
+
+const pta = await import('../shared/engine/PtaFileLoader.js');
+
+const USAGE = 'Usage: node tools/pta-inspect.mjs <scene.pta> [--table]\n' +
+  '       node tools/pta-inspect.mjs --diff <a.pta> <b.pta> [--json]';
+
+const FILE_FLAGS = flagNames('FILE_');
+const OBJ_FLAGS = flagNames('OBJ_');
+const CAM_FLAGS = flagNames('CAM_', 'TCAM_');
+const LIGHT_FLAGS = flagNames('LIGHT_', 'TLIGHT_');
+const MAT_FLAGS = flagNames('MAT_');
+const CAMERA_TYPES = { 1: 'free', 2: 'target' };
+const LIGHT_TYPES = { 1: 'omni', 2: 'spot', 3: 'directional' };
+const NODE_LISTS = { GO__: 'objects', CO__: 'cameras', LO__: 'lights', HO__: 'helpers' };
+
+/**
+ * Flag bit → name table from the loader's exported constants.
+ * @param {...string} prefixes
+ * @returns {Array<[number, string]>}
+ */
+function flagNames(...prefixes) {
+  return Object.entries(pta)
+    .filter(([name, value]) => typeof value === 'number' && prefixes.some(p => name.startsWith(p)))
+    .map(([name, value]) => [value, name])
+    .sort((a, b) => (a[0] >>> 0) - (b[0] >>> 0));
+}
+
+function flagList(flags, table) {
+  const names = [];
+  let rest = flags >>> 0;
+  for (const [bit, name] of table) {
+    if (rest & (bit >>> 0)) {
+      names.push(name);
+      rest &= ~bit;
+    }
+  }
+  if (rest) names.push(`0x${(rest >>> 0).toString(16)}`);
+  return names;
+}
+
+const num = (v) => Number(v.toPrecision(6));
+const color = (c) => (c ? [num(c.r), num(c.g), num(c.b)] : null);
+const position = (m) => [num(m.elements[12]), num(m.elements[13]), num(m.elements[14])];
+const keyCounts = (node, prefix = '') => ({
+  pos: node[`${prefix}${prefix ? 'Pos' : 'pos'}Keys`]?.length ?? 0,
+  scl: node[`${prefix}${prefix ? 'Scl' : 'scl'}Keys`]?.length ?? 0,
+  rot: node[`${prefix}${prefix ? 'Rot' : 'rot'}Keys`]?.length ?? 0,
+});
+
+function materialSummary(mat) {
+  return {
+    name: mat.name,
+    flags: flagList(mat.flags, MAT_FLAGS),
+    ambient: color(mat.ambient),
+    diffuse: color(mat.diffuse),
+    specular: color(mat.specular),
+    shininess: num(mat.shininess),
+    texture1: mat.texture1,
+    texture2: mat.texture2,
+    subMaterials: mat.subMaterials.map(materialSummary),
+  };
+}
+
+/**
+ * JSON-ready description of a parsed scene.
+ * @param {import('../shared/engine/PtaFileLoader.js').PtaScene} scene
+ * @param {number} size - File size in bytes
+ * @returns {Object}
+ */
+function summarize(scene, size) {
+  const { header } = scene;
+  const seen = { GO__: 0, CO__: 0, LO__: 0, HO__: 0 };
+  return {
+    size,
+    header: {
+      signature: header.signature,
+      flags: flagList(header.flags, FILE_FLAGS),
+      tInit: num(header.tInit),
+      tEnd: num(header.tEnd),
+      numPosKeys: header.numPosKeys,
+      numSclKeys: header.numSclKeys,
+      numRotKeys: header.numRotKeys,
+      numCamKeys: header.numCamKeys,
+      numLightKeys: header.numLightKeys,
+      numObjects: header.numObjects,
+      numCameras: header.numCameras,
+      numLights: header.numLights,
+      numHelpers: header.numHelpers,
+    },
+    globalInfo: scene.globalInfo
+      ? { bgColor: color(scene.globalInfo.bgColor), ambientColor: color(scene.globalInfo.ambientColor) }
+      : null,
+    chunks: scene.chunks.map(({ id, offset, length }) => {
+      const list = NODE_LISTS[id];
+      const chunk = { id, offset, length };
+      if (list) chunk.name = scene[list][seen[id]++]?.name;
+      return chunk;
+    }),
+    materials: scene.materials.map(materialSummary),
+    objects: scene.objects.map(obj => ({
+      name: obj.name,
+      flags: flagList(obj.flags, OBJ_FLAGS),
+      materialId: obj.materialId,
+      wireColor: color(obj.wireColor),
+      vertices: obj.numVertices,
+      normals: obj.numVertexNormals,
+      colors: obj.numColorVertices,
+      textureVertices: obj.numTextureVertices,
+      uvChannels: [1, 2].filter(c => obj.uvChannelFlags & c),
+      faces: obj.numFaces,
+      // Older exporter versions wrote no edge flag count
+      edgeFlags: obj.hasEdgeFlagCount ? obj.numEdgeFlags : null,
+      position: position(obj.transformMatrix),
+      keys: keyCounts(obj),
+      bones: obj.bones.length,
+      deformable: obj.deformable,
+      userProps: obj.userProps,
+    })),
+    cameras: scene.cameras.map(cam => ({
+      name: cam.name,
+      type: CAMERA_TYPES[cam.type] ?? cam.type,
+      flags: flagList(cam.flags, CAM_FLAGS),
+      near: num(cam.near),
+      far: num(cam.far),
+      fov: num(cam.fov),
+      position: position(cam.originMatrix),
+      keys: { settings: cam.settingsKeys.length, ...keyCounts(cam) },
+      targetKeys: keyCounts(cam, 'target'),
+      userProps: cam.userProps,
+    })),
+    lights: scene.lights.map(light => ({
+      name: light.name,
+      type: LIGHT_TYPES[light.type] ?? light.type,
+      flags: flagList(light.flags, LIGHT_FLAGS),
+      color: color(light.color),
+      intensity: num(light.intensity),
+      falloff: num(light.falloff),
+      position: position(light.originMatrix),
+      keys: { settings: light.settingsKeys.length, ...keyCounts(light) },
+      targetKeys: keyCounts(light, 'target'),
+      userProps: light.userProps,
+    })),
+    helpers: scene.helpers.map(helper => ({
+      name: helper.name,
+      flags: flagList(helper.flags, OBJ_FLAGS),
+      position: position(helper.transformMatrix),
+      keys: keyCounts(helper),
+      userProps: helper.userProps,
+    })),
+  };
+}
+
+// --- Table output ---
+
+function table(rows, columns) {
+  const cells = rows.map(row => columns.map(([, get]) => String(get(row) ?? '')));
+  const widths = columns.map(([title], c) => Math.max(title.length, ...cells.map(r => r[c].length)));
+  const line = (values) => values.map((v, c) => v.padEnd(widths[c])).join('  ').trimEnd();
+  return [line(columns.map(([title]) => title)), ...cells.map(line)].map(l => `  ${l}`).join('\n');
+}
+
+const keysText = (k) => `${k.pos}/${k.scl}/${k.rot}`;
+const firstLine = (text, max = 60) => {
+  const line = (text || '').split(/\r?\n/).filter(Boolean).join(' | ');
+  return line.length > max ? `${line.slice(0, max - 3)}...` : line;
+};
+
+function printTable(file, info) {
+  const h = info.header;
+  const out = [
+    `${file}: ${info.size} bytes, ${h.signature}, time ${h.tInit}..${h.tEnd} ms`,
+    `  flags ${h.flags.join(' ')}`,
+    `  keys pos ${h.numPosKeys}, scl ${h.numSclKeys}, rot ${h.numRotKeys}, camera ${h.numCamKeys}, light ${h.numLightKeys}`,
+    `  declared: ${h.numObjects} objects, ${h.numCameras} cameras, ${h.numLights} lights, ${h.numHelpers} helpers`,
+  ];
+  if (info.globalInfo) {
+    out.push(`  background ${info.globalInfo.bgColor.join(' ')}, ambient ${info.globalInfo.ambientColor.join(' ')}`);
+  }
+
+  const section = (title, rows, columns) => {
+    if (rows.length) out.push('', `${title} (${rows.length})`, table(rows, columns));
+  };
+  section('Chunks', info.chunks, [
+    ['offset', c => c.offset], ['length', c => c.length], ['id', c => c.id], ['name', c => c.name],
+  ]);
+
+  const materials = [];
+  const flatten = (list, depth, prefix) => list.forEach((mat, i) => {
+    materials.push({ ...mat, index: `${prefix}${i}`, depth });
+    flatten(mat.subMaterials, depth + 1, `${prefix}${i}.`);
+  });
+  flatten(info.materials, 0, '');
+  section('Materials', materials, [
+    ['#', m => m.index], ['name', m => `${'  '.repeat(m.depth)}${m.name}`],
+    ['diffuse', m => m.diffuse.join(' ')], ['shininess', m => m.shininess],
+    ['texture1', m => m.texture1], ['texture2', m => m.texture2],
+    ['flags', m => m.flags.map(f => f.replace(/^MAT_/, '')).join(' ')],
+  ]);
+  section('Objects', info.objects, [
+    ['name', o => o.name], ['mat', o => o.materialId], ['verts', o => o.vertices], ['faces', o => o.faces],
+    ['normals', o => o.normals], ['colors', o => o.colors], ['uv', o => o.uvChannels.join('+')],
+    ['keys p/s/r', o => keysText(o.keys)], ['bones', o => o.bones || ''],
+    ['flags', o => o.flags.map(f => f.replace(/^OBJ_/, '')).join(' ')], ['userProps', o => firstLine(o.userProps)],
+  ]);
+  section('Cameras', info.cameras, [
+    ['name', c => c.name], ['type', c => c.type], ['fov', c => c.fov], ['near', c => c.near], ['far', c => c.far],
+    ['settings', c => c.keys.settings], ['keys p/s/r', c => keysText(c.keys)],
+    ['target p/s/r', c => keysText(c.targetKeys)], ['userProps', c => firstLine(c.userProps)],
+  ]);
+  section('Lights', info.lights, [
+    ['name', l => l.name], ['type', l => l.type], ['color', l => l.color.join(' ')],
+    ['intensity', l => l.intensity], ['settings', l => l.keys.settings], ['keys p/s/r', l => keysText(l.keys)],
+    ['userProps', l => firstLine(l.userProps)],
+  ]);
+  section('Helpers', info.helpers, [
+    ['name', h => h.name], ['position', h => h.position.join(' ')], ['keys p/s/r', h => keysText(h.keys)],
+    ['userProps', h => firstLine(h.userProps, 80)],
+  ]);
+  console.log(out.join('\n'));
+}
+
+// --- Diff ---
+
+/**
+ * Differences between two dumps, as paths with both values, or a named
+ * item only one side has. Lists of named items are matched by name
+ * (repeated names by occurrence).
+ * @returns {Array<{path: string, a?: *, b?: *, added?: boolean, removed?: boolean}>}
+ */
+function diff(a, b, path = '', out = []) {
+  if (Array.isArray(a) && Array.isArray(b) && [...a, ...b].every(item => typeof item?.name === 'string')) {
+    const keyed = (list) => {
+      const counts = new Map();
+      return new Map(list.map((item) => {
+        const n = (counts.get(item.name) ?? 0) + 1;
+        counts.set(item.name, n);
+        return [n > 1 ? `${item.name}#${n}` : item.name, item];
+      }));
+    };
+    const left = keyed(a);
+    const right = keyed(b);
+    for (const [name, item] of left) {
+      const itemPath = `${path}[${JSON.stringify(name)}]`;
+      if (right.has(name)) diff(item, right.get(name), itemPath, out);
+      else out.push({ path: itemPath, removed: true });
+    }
+    for (const name of right.keys()) {
+      if (!left.has(name)) out.push({ path: `${path}[${JSON.stringify(name)}]`, added: true });
+    }
+  } else if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      diff(a[key], b[key], path ? `${path}.${key}` : key, out);
+    }
+  } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+    out.push({ path, a, b });
+  }
+  return out;
+}
+
+function load(file) {
+  const bytes = readFileSync(resolve(file));
+  const scene = pta.parsePtaFile(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+  return summarize(scene, bytes.length);
+}
+
+function main(argv) {
+  const options = new Set(argv.filter(arg => arg.startsWith('-')));
+  const files = argv.filter(arg => !arg.startsWith('-'));
+  for (const option of options) {
+    if (!['--table', '--diff', '--json', '-h', '--help'].includes(option)) throw new Error(`Unknown option "${option}"`);
+  }
+  const diffMode = options.has('--diff');
+  if (options.has('-h') || options.has('--help') || files.length !== (diffMode ? 2 : 1)) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!diffMode) {
+    const info = load(files[0]);
+    if (options.has('--table')) printTable(basename(files[0]), info);
+    else console.log(JSON.stringify(info, null, 2));
+    return 0;
+  }
+
+  const [a, b] = files.map(load);
+  delete a.chunks;
+  delete b.chunks;
+  const changes = diff(a, b);
+  if (options.has('--json')) {
+    console.log(JSON.stringify(changes, null, 2));
+  } else {
+    for (const change of changes) {
+      if (change.added) console.log(`+ ${change.path}`);
+      else if (change.removed) console.log(`- ${change.path}`);
+      else console.log(`${change.path}: ${JSON.stringify(change.a)} -> ${JSON.stringify(change.b)}`);
+    }
+    if (changes.length === 0) console.log('No differences');
+  }
+  return changes.length > 0 ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`pta-inspect: ${err.message}`);
+  process.exitCode = 2;
+}
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * pta2gltf - Convert a PTA scene to glTF 2.0 (.glb or self-contained .gltf).
+ *
+ *   node tools/pta2gltf.mjs <scene.pta> [-o <out.glb|out.gltf>] [--textures <dir>] [--fps 30] [--aspect <n>]
+ *
+ * Textures are looked up the way the demo does it: in the texturedir= of the
+ * production script's 3D_LOADSCENE line for this file (or --textures), trying
+ * .png/.jpg/.tga when the named file is missing. Scenes loaded by effects
+ * rather than the script fall back to data/textures/<scene folder> and
+ * data/textures/3dscenes/<scene folder>. TGA textures are converted
+ * to PNG. The frustum aspect and color mode come from the production.json
+ * above the scene, if there is one.
+ */
+
+import './register-three.mjs';
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'node:fs';
+import { basename, dirname, extname, join, relative, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { deflateSync } from 'node:zlib';
+
+const { parsePtaFile } = await import('../shared/engine/PtaFileLoader.js');
+const { buildGltf, encodeGlb, encodeGltf } = await import('../shared/engine/PtaGltfExporter.js');
+const { normalizeProductionManifest, sceneOptionsFromManifest } = await import('../shared/engine/ProductionManifest.js');
+const { parseScript } = await import('../shared/engine/ScriptParser.js');
+const { decodeTga } = await import('../shared/utils/TgaDecoder.js');
+
+const USAGE = 'Usage: node tools/pta2gltf.mjs <scene.pta> [-o <out.glb|out.gltf>] [--textures <dir>] [--fps 30] [--aspect <n>]';
+
+function parseArgs(argv) {
+  const args = { input: null, out: null, textures: null, fps: 30, aspect: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-o' || arg === '--out') args.out = argv[++i];
+    else if (arg === '--textures') args.textures = argv[++i];
+    else if (arg === '--fps') args.fps = Number(argv[++i]);
+    else if (arg === '--aspect') args.aspect = Number(argv[++i]);
+    else if (arg === '-h' || arg === '--help') return null;
+    else if (!args.input) args.input = arg;
+    else throw new Error(`Unexpected argument "${arg}"`);
+  }
+  if (!(args.fps > 0)) throw new Error('--fps must be a positive number');
+  return args.input ? args : null;
+}
+
+/**
+ * Path of an existing file, matching each component without case
+ * (the data was authored on Windows).
+ * @param {string} root
+ * @param {string} path - Relative path, either slash
+ * @returns {string|null}
+ */
+function findFile(root, path) {
+  let current = root;
+  for (const part of path.split(/[\\/]+/).filter(Boolean)) {
+    if (!existsSync(current)) return null;
+    const match = readdirSync(current).find(name => name.toLowerCase() === part.toLowerCase());
+    if (!match) return null;
+    current = join(current, match);
+  }
+  return current;
+}
+
+/**
+ * Closest production.json above the scene file.
+ * @returns {{root: string, manifest: Object}|null}
+ */
+function findProduction(file) {
+  for (let dir = dirname(file); dir !== dirname(dir); dir = dirname(dir)) {
+    const manifestPath = join(dir, 'production.json');
+    if (existsSync(manifestPath)) {
+      const manifest = normalizeProductionManifest(
+        JSON.parse(readFileSync(manifestPath, 'utf8')), pathToFileURL(manifestPath).href
+      );
+      return { root: dir, manifest };
+    }
+  }
+  return null;
+}
+
+/**
+ * texturedir= of the script line that loads this scene.
+ * @returns {string|null} Directory relative to the production root
+ */
+function scriptTextureDir(production, file) {
+  const scriptPath = findFile(production.root, production.manifest.script);
+  if (!scriptPath) return null;
+  const scenePath = relative(production.root, file).toLowerCase().replace(/\\/g, '/');
+  for (const cmd of parseScript(readFileSync(scriptPath, 'utf8'))) {
+    if (cmd.type !== '3D_LOADSCENE' || !cmd.params.file) continue;
+    if (String(cmd.params.file).toLowerCase().replace(/\\/g, '/') === scenePath) {
+      return cmd.params.texturedir ? String(cmd.params.texturedir) : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a texture as PNG/JPEG bytes for the glTF.
+ * @returns {{mimeType: string, data: Uint8Array, hasAlpha: boolean}|null}
+ */
+function loadImage(textureDir, name) {
+  const base = name.replace(/\.\w+$/, '');
+  const candidates = [name, ...['.png', '.jpg', '.tga'].map(ext => base + ext)];
+  for (const candidate of candidates) {
+    const path = findFile(textureDir, candidate);
+    if (!path) continue;
+    const bytes = readFileSync(path);
+    const ext = extname(path).toLowerCase();
+    if (ext === '.png') return { mimeType: 'image/png', data: bytes, hasAlpha: false };
+    if (ext === '.jpg' || ext === '.jpeg') return { mimeType: 'image/jpeg', data: bytes, hasAlpha: false };
+    if (ext === '.tga') {
+      const tga = decodeTga(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+      return { mimeType: 'image/png', data: encodePng(tga), hasAlpha: tga.hasAlpha };
+    }
+  }
+  return null;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * RGBA PNG from decoded TGA pixels (rows bottom-up).
+ * @param {{width: number, height: number, data: Uint8Array}} image
+ * @returns {Uint8Array}
+ */
+function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const src = (height - 1 - y) * stride; // PNG rows are top-down
+    raw.set(data.subarray(src, src + stride), y * (stride + 1) + 1);
+  }
+  const chunk = (type, body) => {
+    const out = Buffer.alloc(12 + body.length);
+    out.writeUInt32BE(body.length, 0);
+    out.write(type, 4, 'latin1');
+    body.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+    return out;
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function collectTextureNames(materials, names = new Set()) {
+  for (const mat of materials) {
+    if (mat.texture1) names.add(mat.texture1);
+    if (mat.texture2) names.add(mat.texture2);
+    collectTextureNames(mat.subMaterials ?? [], names);
+  }
+  return names;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args) {
+    console.log(USAGE);
+    return;
+  }
+
+  const input = resolve(args.input);
+  const bytes = readFileSync(input);
+  const scene = parsePtaFile(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+
+  const production = findProduction(input);
+  const sceneOptions = production ? sceneOptionsFromManifest(production.manifest) : {};
+  if (Number.isFinite(args.aspect)) sceneOptions.fixedFrustumAspect = args.aspect;
+
+  let textureDir = args.textures ? resolve(args.textures) : null;
+  if (!textureDir && production) {
+    const folder = basename(dirname(input));
+    const dirs = [scriptTextureDir(production, input), `data/textures/${folder}`, `data/textures/3dscenes/${folder}`];
+    textureDir = dirs.filter(Boolean).map(dir => findFile(production.root, dir)).find(Boolean) ?? null;
+  }
+  textureDir ??= dirname(input);
+
+  const images = new Map();
+  for (const name of collectTextureNames(scene.materials)) {
+    const image = loadImage(textureDir, name);
+    if (image) images.set(name, image);
+    else console.warn(`warning: texture ${name} not found in ${relative(process.cwd(), textureDir) || '.'}`);
+  }
+
+  const name = basename(input).replace(/\.\w+$/, '');
+  const gltf = buildGltf(scene, { images, sceneOptions, fps: args.fps, name });
+  const out = resolve(args.out ?? join(dirname(input), `${name}.glb`));
+  if (extname(out).toLowerCase() === '.gltf') writeFileSync(out, encodeGltf(gltf));
+  else writeFileSync(out, encodeGlb(gltf));
+
+  const json = gltf.json;
+  console.log(`${relative(process.cwd(), out)}: ${json.meshes?.length ?? 0} meshes, ` +
+    `${json.materials?.length ?? 0} materials, ${json.textures?.length ?? 0} textures, ` +
+    `${json.cameras?.length ?? 0} cameras, ${json.extensions?.KHR_lights_punctual.lights.length ?? 0} lights, ` +
+    `${json.animations?.[0].channels.length ?? 0} animation channels`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`pta2gltf: ${err.message}`);
+  process.exitCode = 1;
+}
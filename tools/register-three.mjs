@@ -0,0 +1,9 @@
+/**
+ * Lets Node load the engine modules, which import 'three' as a bare specifier:
+ *
+ *   node --import ./tools/register-three.mjs <script>
+ */
+
+import { register } from 'node:module';
+
+register('./three-resolve.mjs', import.meta.url);
@@ -0,0 +1,12 @@
+/**
+ * Module resolve hook: maps the bare 'three' specifier to the copy of three.js
+ * the productions ship (the browser gets the same mapping from the importmap
+ * in each production's index.html). Registered by register-three.mjs.
+ */
+
+const THREE_URL = new URL('../odyssey/lib/three.module.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'three') return { url: THREE_URL, shortCircuit: true };
+  return nextResolve(specifier, context);
+}